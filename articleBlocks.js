@@ -0,0 +1,135 @@
+/**
+ * Article block helpers for Article to Audio Extension (Local Version)
+ * Articles are stored as an ordered list of blocks alongside their plain text:
+ * { type: 'heading' | 'paragraph' | 'quote' | 'list-item' | 'code' | 'caption', text, level?, ordered? }
+ */
+
+const BLOCK_TYPES = {
+  HEADING: 'heading',
+  PARAGRAPH: 'paragraph',
+  QUOTE: 'quote',
+  LIST_ITEM: 'list-item',
+  CODE: 'code',
+  CAPTION: 'caption'
+};
+
+/**
+ * Split plain article text into blocks on blank lines
+ * Used to backfill articles saved before blocks existed, so it only applies
+ * light heuristics for bullets and short title-like lines
+ * @param {string} text - Plain article text
+ * @returns {Array<Object>} Ordered blocks
+ */
+function textToBlocks(text) {
+  if (!text) return [];
+
+  const chunks = text
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean);
+
+  const blocks = [];
+
+  chunks.forEach((chunk, index) => {
+    const lines = chunk.split('\n').map(line => line.trim()).filter(Boolean);
+
+    // Bulleted or numbered lines become list items
+    const bulletPattern = /^([-*•]|\d+[.)])\s+/;
+    if (lines.every(line => bulletPattern.test(line))) {
+      lines.forEach(line => {
+        blocks.push({
+          type: BLOCK_TYPES.LIST_ITEM,
+          ordered: /^\d/.test(line),
+          text: line.replace(bulletPattern, '')
+        });
+      });
+      return;
+    }
+
+    const singleLine = lines.join(' ');
+
+    // A short line with no closing punctuation followed by more text reads as a heading
+    const isLast = index === chunks.length - 1;
+    if (!isLast && lines.length === 1 && singleLine.length <= 80 && !/[.!?:;,"'”’)]$/.test(singleLine)) {
+      blocks.push({ type: BLOCK_TYPES.HEADING, level: 2, text: singleLine });
+      return;
+    }
+
+    blocks.push({ type: BLOCK_TYPES.PARAGRAPH, text: singleLine });
+  });
+
+  return blocks;
+}
+
+/**
+ * Convert blocks back to plain text with blank lines between blocks
+ * @param {Array<Object>} blocks - Ordered blocks
+ * @returns {string} Plain text
+ */
+function blocksToText(blocks) {
+  return (blocks || []).map(block => {
+    if (block.type === BLOCK_TYPES.LIST_ITEM) return `- ${block.text}`;
+    return block.text;
+  }).join('\n\n');
+}
+
+/**
+ * Group blocks into sections, each starting at a heading
+ * Blocks before the first heading form an untitled leading section
+ * @param {Array<Object>} blocks - Ordered blocks
+ * @returns {Array<Object>} Sections with heading (string or null) and blocks
+ */
+function getArticleSections(blocks) {
+  const sections = [];
+  let current = { heading: null, blocks: [] };
+
+  (blocks || []).forEach(block => {
+    if (block.type === BLOCK_TYPES.HEADING) {
+      if (current.heading || current.blocks.length > 0) {
+        sections.push(current);
+      }
+      current = { heading: block.text, blocks: [] };
+    } else {
+      current.blocks.push(block);
+    }
+  });
+
+  if (current.heading || current.blocks.length > 0) {
+    sections.push(current);
+  }
+
+  return sections;
+}
+
+/**
+ * Render blocks as lightly marked-up text for use in LLM prompts
+ * Headings are marked with "##" so prompts can refer to sections by name
+ * @param {Array<Object>} blocks - Ordered blocks
+ * @returns {string} Marked-up article text
+ */
+function blocksToPromptText(blocks) {
+  return (blocks || []).map(block => {
+    switch (block.type) {
+      case BLOCK_TYPES.HEADING:
+        return `## ${block.text}`;
+      case BLOCK_TYPES.QUOTE:
+        return `> ${block.text}`;
+      case BLOCK_TYPES.LIST_ITEM:
+        return `- ${block.text}`;
+      case BLOCK_TYPES.CODE:
+        return '```\n' + block.text + '\n```';
+      case BLOCK_TYPES.CAPTION:
+        return `[Image caption: ${block.text}]`;
+      default:
+        return block.text;
+    }
+  }).join('\n\n');
+}
+
+export {
+  BLOCK_TYPES,
+  textToBlocks,
+  blocksToText,
+  getArticleSections,
+  blocksToPromptText
+};
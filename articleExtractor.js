@@ -0,0 +1,679 @@
+/**
+ * Article Extraction Engine for Article to Audio Extension (Local Version)
+ * Scores candidate content nodes (paragraph density, link density, class/id hints),
+ * prunes boilerplate and returns clean text plus structured content blocks and metadata
+ */
+
+import { blocksToText } from './articleBlocks.js';
+
+/**
+ * Extract the main article content from a document
+ *
+ * This function is also handed to chrome.scripting.executeScript as `func` by the
+ * background fallback, which serializes it into the page. It must therefore stay
+ * fully self-contained: every helper lives inside it and nothing from module scope
+ * may be referenced.
+ *
+ * @param {Document} [doc] - Document to extract from (defaults to the current page)
+ * @returns {Object} Extracted article with title, text, blocks, metadata and nextPageUrl
+ */
+function extractArticleContent(doc) {
+  doc = doc || document;
+
+  // Class/id hints, modelled on Mozilla Readability
+  const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|subscribe|promo|outbrain|taboola|share|modal/i;
+  const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|consent|cookie|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|tags|tool|widget|newsletter|subscribe|taboola/i;
+
+  // Short lines that are almost always page chrome rather than article text
+  const BOILERPLATE_TEXT = /^(advertisement|advertisement\s*-\s*scroll to continue|sponsored|share( this( article| story)?)?|share on \w+|read more|continue reading|sign up|subscribe( now)?|related( stories| articles)?|recommended( for you)?|most popular|\d+\s+comments?|comments?|accept( all)?( cookies)?|we use cookies.*|skip to (main )?content|listen to this article|follow us.*)$/i;
+
+  const REMOVE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+    'form', 'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="complementary"]', '[role="dialog"]',
+    '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]'
+  ].join(', ');
+
+  const BLOCK_TAGS = ['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIELDSET',
+    'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+    'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'];
+
+  const MIN_PARAGRAPH_LENGTH = 25;
+
+  /**
+   * Collapse whitespace in a string
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Get the normalized text of an element (textContent works in jsdom too)
+   * @param {Element} element - Element to read
+   * @returns {string} Normalized text
+   */
+  function getText(element) {
+    return normalizeText(element.textContent);
+  }
+
+  /**
+   * Get the class and id of an element as a single string
+   * @param {Element} element - Element to inspect
+   * @returns {string} Class and id string
+   */
+  function getMatchString(element) {
+    return `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+  }
+
+  /**
+   * Ratio of text inside links to total text for an element
+   * @param {Element} element - Element to inspect
+   * @returns {number} Link density between 0 and 1
+   */
+  function getLinkDensity(element) {
+    const textLength = getText(element).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      const href = link.getAttribute('href');
+      // In-page anchors (footnotes, tables of contents) count for less
+      const coefficient = href && href.charAt(0) === '#' ? 0.3 : 1;
+      linkLength += getText(link).length * coefficient;
+    });
+
+    return linkLength / textLength;
+  }
+
+  /**
+   * Weight an element by its class and id names
+   * @param {Element} element - Element to inspect
+   * @returns {number} Positive or negative weight
+   */
+  function getClassWeight(element) {
+    let weight = 0;
+    const className = typeof element.className === 'string' ? element.className : '';
+    if (className) {
+      if (NEGATIVE.test(className)) weight -= 25;
+      if (POSITIVE.test(className)) weight += 25;
+    }
+    if (element.id) {
+      if (NEGATIVE.test(element.id)) weight -= 25;
+      if (POSITIVE.test(element.id)) weight += 25;
+    }
+    return weight;
+  }
+
+  /**
+   * Check whether an element contains any block-level children
+   * @param {Element} element - Element to inspect
+   * @returns {boolean} Whether a block child exists
+   */
+  function hasBlockChildren(element) {
+    for (const child of element.children) {
+      if (BLOCK_TAGS.indexOf(child.tagName) !== -1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove page chrome and unlikely candidates from a cloned body
+   * @param {Element} root - Root element to clean in place
+   */
+  function removeUnlikelyNodes(root) {
+    root.querySelectorAll(REMOVE_SELECTORS).forEach(el => el.remove());
+
+    // Inline styles are the only reliable hint for hidden nodes in a detached clone
+    root.querySelectorAll('[style]').forEach(el => {
+      const style = (el.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+      if (style.indexOf('display:none') !== -1 || style.indexOf('visibility:hidden') !== -1) {
+        el.remove();
+      }
+    });
+
+    root.querySelectorAll('*').forEach(el => {
+      if (!el.parentNode || ['BODY', 'ARTICLE', 'MAIN', 'A'].indexOf(el.tagName) !== -1) return;
+      const matchString = getMatchString(el);
+      if (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+        el.remove();
+      }
+    });
+
+    // Headers are only chrome when they sit outside the article itself
+    root.querySelectorAll('header').forEach(el => {
+      if (!el.closest('article, main, [role="main"]')) {
+        el.remove();
+      }
+    });
+  }
+
+  /**
+   * Score every paragraph-like element and propagate the score to its ancestors
+   * @param {Element} root - Cleaned root element
+   * @returns {Element|null} Best scoring candidate
+   */
+  function findTopCandidate(root) {
+    const scores = new Map();
+
+    function initializeScore(element) {
+      if (scores.has(element)) return;
+      let score = getClassWeight(element);
+      switch (element.tagName) {
+        case 'ARTICLE':
+        case 'MAIN':
+          score += 10;
+          break;
+        case 'DIV':
+        case 'SECTION':
+          score += 5;
+          break;
+        case 'PRE':
+        case 'TD':
+        case 'BLOCKQUOTE':
+          score += 3;
+          break;
+        case 'ADDRESS':
+        case 'OL':
+        case 'UL':
+        case 'DL':
+        case 'DD':
+        case 'DT':
+        case 'LI':
+        case 'FORM':
+          score -= 3;
+          break;
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+        case 'TH':
+          score -= 5;
+          break;
+      }
+      scores.set(element, score);
+    }
+
+    const scorable = [];
+    root.querySelectorAll('p, pre, td, blockquote, div, section').forEach(el => {
+      if (el.tagName === 'DIV' || el.tagName === 'SECTION') {
+        // Only text-only containers behave like paragraphs
+        if (!hasBlockChildren(el)) scorable.push(el);
+      } else {
+        scorable.push(el);
+      }
+    });
+
+    scorable.forEach(element => {
+      const text = getText(element);
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      // One point for the paragraph, one per comma, up to three for length
+      let contentScore = 1;
+      contentScore += text.split(/[,，、]/).length;
+      contentScore += Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = element.parentElement;
+      let level = 0;
+      while (ancestor && level < 5) {
+        initializeScore(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        if (ancestor === root) break;
+        ancestor = ancestor.parentElement;
+        level++;
+      }
+    });
+
+    let topCandidate = null;
+    let topScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - getLinkDensity(element));
+      scores.set(element, adjusted);
+      if (adjusted > topScore) {
+        topScore = adjusted;
+        topCandidate = element;
+      }
+    });
+
+    if (!topCandidate) return null;
+
+    // A candidate that is the only child of its parent loses nothing by widening
+    while (topCandidate !== root && topCandidate.parentElement &&
+           topCandidate.parentElement.children.length === 1) {
+      topCandidate = topCandidate.parentElement;
+    }
+
+    // Pull in siblings that look like they belong to the same article
+    const container = doc.createElement('div');
+    const parent = topCandidate.parentElement;
+    const siblings = parent && topCandidate !== root ? Array.from(parent.children) : [topCandidate];
+    const threshold = Math.max(10, topScore * 0.2);
+    const topClass = typeof topCandidate.className === 'string' ? topCandidate.className : '';
+
+    siblings.forEach(sibling => {
+      let append = sibling === topCandidate;
+      if (!append) {
+        let bonus = 0;
+        const siblingClass = typeof sibling.className === 'string' ? sibling.className : '';
+        if (topClass && siblingClass === topClass) bonus += topScore * 0.2;
+        if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+          append = true;
+        } else if (sibling.tagName === 'P') {
+          const text = getText(sibling);
+          const linkDensity = getLinkDensity(sibling);
+          if (text.length > 80 && linkDensity < 0.25) {
+            append = true;
+          } else if (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text)) {
+            append = true;
+          }
+        }
+      }
+      if (append) container.appendChild(sibling.cloneNode(true));
+    });
+
+    return container;
+  }
+
+  /**
+   * Drop containers that look like link lists, galleries or forms
+   * @param {Element} root - Candidate content root, cleaned in place
+   */
+  function pruneBoilerplate(root) {
+    root.querySelectorAll('div, section, ul, ol, table').forEach(el => {
+      if (!el.parentNode) return;
+      const text = getText(el);
+      const weight = getClassWeight(el);
+      const linkDensity = getLinkDensity(el);
+      const paragraphCount = el.querySelectorAll('p').length;
+      const imageCount = el.querySelectorAll('img').length;
+      const listItemCount = el.querySelectorAll('li').length;
+
+      if (weight < 0 && linkDensity > 0.2) {
+        el.remove();
+      } else if (linkDensity > 0.5 && text.length < 1000) {
+        el.remove();
+      } else if (el.tagName !== 'UL' && el.tagName !== 'OL' && text.length < 25 && imageCount === 0) {
+        // Empty wrappers and stray labels; headings inside are kept as blocks anyway
+        if (!el.querySelector('h1, h2, h3, h4, h5, h6, pre, blockquote')) el.remove();
+      } else if (imageCount > 1 && paragraphCount === 0 && text.length < 200) {
+        el.remove();
+      } else if (listItemCount > 0 && paragraphCount === 0 && linkDensity > 0.3 &&
+                 el.tagName !== 'UL' && el.tagName !== 'OL') {
+        el.remove();
+      }
+    });
+  }
+
+  /**
+   * Walk the content tree and turn it into ordered blocks
+   * @param {Element} root - Cleaned content root
+   * @returns {Array<Object>} Blocks of type heading, paragraph, list-item, quote, code or caption
+   */
+  function collectBlocks(root) {
+    const blocks = [];
+
+    function pushBlock(block) {
+      if (!block.text) return;
+      if (block.type !== 'code' && BOILERPLATE_TEXT.test(block.text)) return;
+      const previous = blocks[blocks.length - 1];
+      if (previous && previous.type === block.type && previous.text === block.text) return;
+      blocks.push(block);
+    }
+
+    function walk(element) {
+      for (const child of Array.from(element.children)) {
+        const tag = child.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+          pushBlock({ type: 'heading', level: parseInt(tag.charAt(1), 10), text: getText(child) });
+        } else if (tag === 'P') {
+          const text = getText(child);
+          // Skip link-only paragraphs ("Read more: ...") and stray fragments
+          if (text.length > 0 && !(getLinkDensity(child) > 0.5 && text.length < 200)) {
+            pushBlock({ type: 'paragraph', text });
+          }
+        } else if (tag === 'PRE') {
+          pushBlock({ type: 'code', text: (child.textContent || '').replace(/^\n+|\s+$/g, '') });
+        } else if (tag === 'BLOCKQUOTE') {
+          if (hasBlockChildren(child) && child.querySelector('p')) {
+            child.querySelectorAll('p').forEach(p => pushBlock({ type: 'quote', text: getText(p) }));
+          } else {
+            pushBlock({ type: 'quote', text: getText(child) });
+          }
+        } else if (tag === 'UL' || tag === 'OL') {
+          Array.from(child.children).forEach(item => {
+            if (item.tagName !== 'LI') return;
+            const text = getText(item);
+            if (text && getLinkDensity(item) < 0.5) {
+              pushBlock({ type: 'list-item', ordered: tag === 'OL', text });
+            }
+          });
+        } else if (tag === 'FIGCAPTION') {
+          pushBlock({ type: 'caption', text: getText(child) });
+        } else if (tag === 'TABLE') {
+          child.querySelectorAll('tr').forEach(row => {
+            const cells = Array.from(row.children).map(getText).filter(Boolean);
+            if (cells.length > 0) pushBlock({ type: 'paragraph', text: cells.join(' | ') });
+          });
+        } else if (hasBlockChildren(child)) {
+          walk(child);
+        } else if (BLOCK_TAGS.indexOf(tag) !== -1 || tag === 'SPAN') {
+          // Text-only containers (common in CMS output) behave like paragraphs
+          const text = getText(child);
+          if (text.length >= MIN_PARAGRAPH_LENGTH && getLinkDensity(child) < 0.5) {
+            pushBlock({ type: 'paragraph', text });
+          }
+        }
+      }
+    }
+
+    walk(root);
+    return blocks;
+  }
+
+  /**
+   * Convert blocks to plain text with blank lines between blocks
+   * A copy of blocksToText in articleBlocks.js, which can't be imported in the page
+   * @param {Array<Object>} blocks - Content blocks
+   * @returns {string} Plain text
+   */
+  function blocksToText(blocks) {
+    return blocks.map(block => {
+      if (block.type === 'list-item') return `- ${block.text}`;
+      return block.text;
+    }).join('\n\n');
+  }
+
+  /**
+   * Read article metadata from JSON-LD, OpenGraph, meta tags and markup
+   * @returns {Object} Metadata with title, author, publishedDate, siteName, leadImage and language
+   */
+  function extractMetadata() {
+    const ARTICLE_TYPES = /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting|TechArticle|ScholarlyArticle|Report|OpinionNewsArticle|LiveBlogPosting)$/;
+
+    function getMeta(names) {
+      for (const name of names) {
+        const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+        const content = element && normalizeText(element.getAttribute('content'));
+        if (content) return content;
+      }
+      return null;
+    }
+
+    function toIsoDate(value) {
+      if (!value) return null;
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    function toAbsoluteUrl(value) {
+      if (!value) return null;
+      try {
+        return new URL(value, doc.baseURI).href;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Authors come as strings, objects or arrays of either
+    function readName(value) {
+      if (!value) return null;
+      if (typeof value === 'string') return normalizeText(value);
+      if (Array.isArray(value)) {
+        const names = value.map(readName).filter(Boolean);
+        return names.length > 0 ? names.join(', ') : null;
+      }
+      return value.name ? normalizeText(value.name) : null;
+    }
+
+    function readImage(value) {
+      if (!value) return null;
+      if (typeof value === 'string') return value;
+      if (Array.isArray(value)) return readImage(value[0]);
+      return value.url || value.contentUrl || null;
+    }
+
+    // Find the first JSON-LD node typed as an article, looking inside @graph containers
+    function findLinkedDataArticle() {
+      const queue = [];
+      doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          queue.push(JSON.parse(script.textContent));
+        } catch (e) {
+          // Malformed JSON-LD is common; ignore it
+        }
+      });
+
+      while (queue.length > 0) {
+        const node = queue.shift();
+        if (!node || typeof node !== 'object') continue;
+        if (Array.isArray(node)) {
+          queue.push(...node);
+          continue;
+        }
+        const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+        if (types.some(type => ARTICLE_TYPES.test(type || ''))) return node;
+        if (node['@graph']) queue.push(node['@graph']);
+      }
+      return null;
+    }
+
+    const linkedData = findLinkedDataArticle() || {};
+
+    let author = readName(linkedData.author) || getMeta(['author', 'parsely-author', 'sailthru.author', 'dc.creator']);
+    if (!author) {
+      const articleAuthor = getMeta(['article:author']);
+      if (articleAuthor && !/^https?:/.test(articleAuthor)) author = articleAuthor;
+    }
+    if (!author) {
+      const bylineElement = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author, .article-author');
+      const byline = bylineElement && getText(bylineElement);
+      if (byline && byline.length < 100) author = byline;
+    }
+    if (author) author = author.replace(/^by\s+/i, '');
+
+    let publishedDate = toIsoDate(linkedData.datePublished) ||
+      toIsoDate(getMeta(['article:published_time', 'datePublished', 'publish-date', 'pubdate', 'date', 'dc.date', 'parsely-pub-date']));
+    if (!publishedDate) {
+      const timeElement = doc.querySelector('time[pubdate][datetime], time[itemprop="datePublished"][datetime], article time[datetime], time[datetime]');
+      if (timeElement) publishedDate = toIsoDate(timeElement.getAttribute('datetime'));
+    }
+
+    const publisher = linkedData.publisher;
+    const siteName = getMeta(['og:site_name', 'application-name']) || readName(publisher) || null;
+
+    const leadImage = toAbsoluteUrl(readImage(linkedData.image) || getMeta(['og:image', 'og:image:url', 'twitter:image', 'twitter:image:src']));
+
+    let language = doc.documentElement && doc.documentElement.getAttribute('lang');
+    if (!language) {
+      const locale = getMeta(['og:locale']) || (typeof linkedData.inLanguage === 'string' ? linkedData.inLanguage : null);
+      if (locale) language = locale.replace('_', '-');
+    }
+
+    const title = normalizeText(linkedData.headline) || getMeta(['og:title', 'twitter:title']) || normalizeText(doc.title);
+
+    // Where the publisher says the story lives; AMP and syndicated copies point back to it
+    const canonicalLink = doc.querySelector('link[rel="canonical"][href]');
+    const canonicalUrl = toAbsoluteUrl(canonicalLink && canonicalLink.getAttribute('href')) ||
+      toAbsoluteUrl(getMeta(['og:url']));
+
+    return {
+      title,
+      canonicalUrl,
+      author: author || null,
+      publishedDate,
+      siteName,
+      leadImage,
+      language: language ? language.trim() : null
+    };
+  }
+
+  /**
+   * Find the link to the next page of a paginated article
+   * @returns {string|null} Absolute URL of the next page on the same site
+   */
+  function findNextPageUrl() {
+    const NEXT_TEXT = /^(next|next page|next ›|next »|next →|›|»|→|continue|continue reading|weiter|suivant|siguiente)$/i;
+    const PAGINATION_CONTAINER = /pag(e|ing|inat)|pager|next/i;
+
+    let currentUrl;
+    try {
+      // baseURI rather than URL so documents parsed with a <base> resolve to the original page
+      currentUrl = new URL(doc.baseURI || doc.URL);
+    } catch (e) {
+      return null;
+    }
+
+    function toCandidate(href) {
+      if (!href || href.charAt(0) === '#' || /^(javascript|mailto):/i.test(href)) return null;
+      try {
+        const url = new URL(href, doc.baseURI);
+        url.hash = '';
+        // Only follow pages on the same site, and never the page we are on
+        if (url.origin !== currentUrl.origin) return null;
+        const current = currentUrl.href.replace(/#.*$/, '');
+        return url.href === current ? null : url.href;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Explicit rel="next" hints win
+    const relNext = doc.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+    const relCandidate = relNext && toCandidate(relNext.getAttribute('href'));
+    if (relCandidate) return relCandidate;
+
+    // "Next" links inside pagination containers
+    const links = Array.from(doc.querySelectorAll('a[href]'));
+    for (const link of links) {
+      const text = normalizeText(link.textContent || link.getAttribute('aria-label') || '');
+      const label = normalizeText(link.getAttribute('aria-label') || link.getAttribute('title') || '');
+      const container = link.closest('nav, ul, ol, div, section');
+      const inPagination = container && PAGINATION_CONTAINER.test(getMatchString(container));
+      if ((NEXT_TEXT.test(text) || /^next( page)?$/i.test(label)) &&
+          (inPagination || /next/i.test(getMatchString(link)))) {
+        const candidate = toCandidate(link.getAttribute('href'));
+        if (candidate) return candidate;
+      }
+    }
+
+    // Links to the numbered page after this one (?page=2, /page/2, /2/)
+    const pageMatch = currentUrl.href.match(/[?&](?:page|pg|p)=(\d+)/i) || currentUrl.pathname.match(/\/(?:page\/)?(\d+)\/?$/);
+    const nextNumber = pageMatch ? parseInt(pageMatch[1], 10) + 1 : 2;
+    for (const link of links) {
+      if (normalizeText(link.textContent) !== String(nextNumber)) continue;
+      const candidate = toCandidate(link.getAttribute('href'));
+      if (candidate && new RegExp(`(?:[?&](?:page|pg|p)=|/(?:page/)?)${nextNumber}(?:/|$|&)`, 'i').test(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  const metadata = extractMetadata();
+  const nextPageUrl = findNextPageUrl();
+
+  if (!doc.body) {
+    return { title: metadata.title, text: '', blocks: [], metadata, nextPageUrl };
+  }
+
+  const bodyClone = doc.body.cloneNode(true);
+  removeUnlikelyNodes(bodyClone);
+
+  const candidate = findTopCandidate(bodyClone) || bodyClone;
+  pruneBoilerplate(candidate);
+
+  let blocks = collectBlocks(candidate);
+
+  // Scoring can fail on pages built from bare text nodes; fall back to all paragraphs
+  if (blocksToText(blocks).length < 200) {
+    const paragraphBlocks = Array.from(bodyClone.querySelectorAll('p'))
+      .map(p => ({ type: 'paragraph', text: getText(p) }))
+      .filter(block => block.text.length > 30);
+    if (blocksToText(paragraphBlocks).length > blocksToText(blocks).length) {
+      blocks = paragraphBlocks;
+    }
+  }
+
+  return {
+    title: metadata.title,
+    text: blocksToText(blocks),
+    blocks,
+    metadata,
+    nextPageUrl
+  };
+}
+
+/**
+ * Get the key blocks are compared by when merging pages
+ * @param {Object} block - Content block
+ * @returns {string} Lowercased text with whitespace collapsed
+ */
+function getBlockKey(block) {
+  return block.text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Count the blocks two pages share at their start, or at their end
+ * @param {Array<Object>} blocks - Blocks of one page
+ * @param {Array<Object>} otherBlocks - Blocks of another page
+ * @param {boolean} fromEnd - Compare the ends of the pages instead of the starts
+ * @returns {number} Number of matching blocks
+ */
+function countSharedBlocks(blocks, otherBlocks, fromEnd) {
+  const limit = Math.min(blocks.length, otherBlocks.length);
+  let count = 0;
+  while (count < limit) {
+    const index = fromEnd ? blocks.length - 1 - count : count;
+    const otherIndex = fromEnd ? otherBlocks.length - 1 - count : count;
+    if (getBlockKey(blocks[index]) !== getBlockKey(otherBlocks[otherIndex])) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Merge the extracted pages of a paginated article into a single article
+ * Sites repeat the headline and lede at the top of every page and a series note or
+ * byline at the bottom. Only those runs are dropped: blocks a later page opens with like
+ * the first or previous page, and blocks a page ends with like the next page, so the
+ * closing boilerplate is kept once, after the last page. Text repeated inside the article
+ * is left alone.
+ * @param {Array<Object>} pages - Extraction results in page order
+ * @returns {Object} Merged article with title, text, blocks, metadata and pageCount
+ */
+function mergeArticlePages(pages) {
+  const pageBlocks = pages.map(page => page.blocks || []);
+  const blocks = [];
+
+  pageBlocks.forEach((current, index) => {
+    const start = index === 0 ? 0 : Math.max(
+      countSharedBlocks(current, pageBlocks[0], false),
+      countSharedBlocks(current, pageBlocks[index - 1], false)
+    );
+    const end = index === pageBlocks.length - 1
+      ? current.length
+      : current.length - countSharedBlocks(current, pageBlocks[index + 1], true);
+    blocks.push(...current.slice(start, Math.max(start, end)));
+  });
+
+  return {
+    title: pages[0].title,
+    text: blocksToText(blocks),
+    blocks,
+    metadata: pages[0].metadata,
+    pageCount: pages.length
+  };
+}
+
+export {
+  extractArticleContent,
+  mergeArticlePages
+};
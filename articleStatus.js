@@ -0,0 +1,63 @@
+/**
+ * Reading status of saved articles for Article to Audio Extension (Local Version)
+ * Statuses follow an article from saving to listening:
+ * unread → read → queued → in-podcast → listened, with archived set aside by hand.
+ */
+
+const ARTICLE_STATUS = {
+  UNREAD: 'unread',
+  READ: 'read',
+  QUEUED: 'queued',
+  IN_PODCAST: 'in-podcast',
+  LISTENED: 'listened',
+  ARCHIVED: 'archived'
+};
+
+const STATUS_LABELS = {
+  [ARTICLE_STATUS.UNREAD]: 'Unread',
+  [ARTICLE_STATUS.READ]: 'Read',
+  [ARTICLE_STATUS.QUEUED]: 'Queued',
+  [ARTICLE_STATUS.IN_PODCAST]: 'In podcast',
+  [ARTICLE_STATUS.LISTENED]: 'Listened',
+  [ARTICLE_STATUS.ARCHIVED]: 'Archived'
+};
+
+// Order of the automatic progression; archived is outside it
+const STATUS_PROGRESSION = [
+  ARTICLE_STATUS.UNREAD,
+  ARTICLE_STATUS.READ,
+  ARTICLE_STATUS.QUEUED,
+  ARTICLE_STATUS.IN_PODCAST,
+  ARTICLE_STATUS.LISTENED
+];
+
+/**
+ * Get an article's status; records saved before statuses existed count as unread
+ * @param {Object} article - Article data
+ * @returns {string} Status
+ */
+function getArticleStatus(article) {
+  return STATUS_LABELS[article.status] ? article.status : ARTICLE_STATUS.UNREAD;
+}
+
+/**
+ * Work out the status after an automatic event (opened, generated, played)
+ * Automatic updates never move an article backwards or out of the archive
+ * @param {string} currentStatus - Current status
+ * @param {string} eventStatus - Status the event implies
+ * @returns {string} Resulting status
+ */
+function advanceStatus(currentStatus, eventStatus) {
+  if (currentStatus === ARTICLE_STATUS.ARCHIVED) return currentStatus;
+
+  const currentRank = STATUS_PROGRESSION.indexOf(currentStatus);
+  const eventRank = STATUS_PROGRESSION.indexOf(eventStatus);
+  return eventRank > currentRank ? eventStatus : currentStatus;
+}
+
+export {
+  ARTICLE_STATUS,
+  STATUS_LABELS,
+  getArticleStatus,
+  advanceStatus
+};
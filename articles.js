@@ -6,21 +6,76 @@
 import {
   getAllArticles,
   getArticleById,
+  updateArticle,
+  searchArticleIndex,
+  organizeArticles,
+  getAllTags,
+  getAllFolders,
   deleteArticle,
   getAudioForArticle,
   getSetting,
   exportDatabase,
   DB_NAME,
   DB_VERSION,
-  saveSetting
+  saveSetting,
+  saveAsset,
+  getAllAssets,
+  getAssetById,
+  deleteAsset,
+  updateAudio,
+  getAllPodcasts
 } from './db.js';
 
+import { BLOCK_TYPES, textToBlocks } from './articleBlocks.js';
+import { highlightSearchTerms, createSearchSnippet, escapeHtml } from './searchIndex.js';
+import {
+  parseTagInput,
+  normalizeFolder,
+  matchesCollectionRules,
+  describeCollectionRules,
+  getSmartCollections,
+  saveSmartCollection,
+  deleteSmartCollection
+} from './collections.js';
+import {
+  ARTICLE_STATUS,
+  STATUS_LABELS,
+  getArticleStatus
+} from './articleStatus.js';
+import { findDuplicateGroups, getDuplicateReason, mergeDuplicateArticles } from './duplicates.js';
+import { getTtsSettings, getTtsProvider, getVoiceCatalog, getVoiceSampleText } from './ttsProviders.js';
+import { getLlmSettings } from './llmProviders.js';
+import { WORDS_PER_MINUTE, TARGET_LENGTHS, compareToTarget, describeLengthComparison } from './scriptLength.js';
+import { DEFAULT_FORMAT_ID, getPodcastFormats } from './podcastFormats.js';
+import { findTimelineEntry, timelineToWebVtt, timelineToSrt } from './podcastTimeline.js';
+import { DEFAULT_TARGET_LUFS, MUSIC_KINDS } from './audioMixer.js';
+import { EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT_ID, getExportFormat, createEpisodeDescription, exportPodcast } from './podcastExport.js';
+import { FEED_SETTINGS_KEY, FEED_FORMAT_IDS, DEFAULT_CHANNEL, getEpisodeDetails, exportFeed } from './podcastFeed.js';
+import { getPublishSettings } from './publishTargets.js';
+import { PUBLISH_STATES } from './podcastPublisher.js';
+import {
+  MAX_CAST_SIZE,
+  getSpeakerRole,
+  normalizeCast,
+  getScriptCast,
+  findSpeakerByLabel,
+  createSpeakerLabelPattern,
+  getShows,
+  saveShow,
+  deleteShow
+} from './cast.js';
+
 import {
-  generatePodcast,
   formatDuration,
   estimateAudioDuration
 } from './podcastGenerator.js';
 
+// Setting that remembers the generate modal's length and model choices
+const SCRIPT_SETTINGS_KEY = 'script_settings';
+
+// Setting that remembers the download dialog's format, bitrate and cover
+const EXPORT_SETTINGS_KEY = 'export_settings';
+
 // Global variables
 let allArticles = [];
 let filteredArticles = [];
@@ -28,10 +83,71 @@ let selectedArticles = new Set();
 let currentPage = 1;
 let articlesPerPage = 12;
 let currentPodcastId = null;
-let currentPodcastScriptData = null;
+
+// Background generation jobs, newest first, and the one the generate modal is following
+let podcastJobs = [];
+let watchedJobId = null;
+
+// Script open in the review editor: { jobId, cast, sections, dialogue, targetMinutes, dirty }
+let scriptEditor = null;
+
+// Podcast open in the transcript player: { podcast, cast, timeline, audioUrl, rows, current }
+let transcriptPlayer = null;
+
+// Podcast formats offered in the generate modal
+let podcastFormats = [];
+
+// Saved shows offered in the generate modal
+let podcastShows = [];
+
+// Uploaded music offered in the generate modal, without the audio
+let musicAssets = [];
+
+// Largest music file accepted for upload
+const MAX_MUSIC_FILE_BYTES = 20 * 1024 * 1024;
+
+// Largest cover image accepted for upload
+const MAX_COVER_FILE_BYTES = 5 * 1024 * 1024;
+
+// Podcast open in the download dialog: { podcastId, abortController }
+let exportDialog = null;
+
+// Feed export in progress: { podcastIds, abortController }
+let feedExport = null;
+
+// Podcast open in the episode details dialog
+let episodeEditor = null;
+
+// Publish target from the options page, loaded with the podcasts
+let publishSettings = null;
+
+// How each speaker role is shown on podcast cards and in the cast editor
+const SPEAKER_ROLE_LABELS = {
+  'host': 'Host',
+  'co-host': 'Co-Host',
+  'guest': 'Guest'
+};
+
+// Script colors for each speaker, in cast order
+const SPEAKER_COLORS = ['#2563eb', '#dc2626', '#059669', '#7c3aed'];
+
+// Voices offered by the configured text-to-speech provider
+let voiceCatalog = [];
 let allPodcasts = [];
 let selectedPodcasts = new Set();
 
+// Parsed query of the active search, used to highlight matches in cards
+let activeSearchQuery = null;
+let latestSearchId = 0;
+
+// Range of the active date filter: { startDate, endDate, dateField, includeUndated }, or null
+let activeDateFilter = null;
+
+// Folder, tag and smart collection currently narrowing the library
+const UNFILED_FOLDER = '__unfiled__';
+let smartCollections = [];
+let editingCollectionId = null;
+
 // Store expanded article IDs for persistence
 const expandedArticles = new Set();
 
@@ -53,6 +169,12 @@ function initializeUI() {
     // Load podcasts tab
     loadPodcasts();
     
+    // Follow podcast generation running in the background
+    loadJobs();
+    
+    // Follow podcasts being published
+    followPublishing();
+    
     // Check for API key
     initializeVoiceSettings();
     
@@ -62,20 +184,421 @@ function initializeUI() {
 }
 
 /**
- * Initialize voice settings from saved preferences
+ * Fill the generate modal's length and advanced script settings from saved preferences
+ */
+async function initializeScriptSettings() {
+  const targetLengthSelect = document.getElementById('targetLengthSelect');
+  const formatSelect = document.getElementById('podcastFormatSelect');
+  const saved = (await getSetting(SCRIPT_SETTINGS_KEY)) || {};
+  
+  podcastFormats = await getPodcastFormats();
+  formatSelect.innerHTML = '';
+  podcastFormats.forEach(format => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.name;
+    formatSelect.appendChild(option);
+  });
+  formatSelect.value = podcastFormats.some(format => format.id === saved.formatId) ? saved.formatId : DEFAULT_FORMAT_ID;
+  updateFormatFields();
+  
+  targetLengthSelect.innerHTML = '<option value="">Automatic (about 3.5 minutes per article)</option>' +
+    TARGET_LENGTHS.map(minutes => `<option value="${minutes}">${minutes} minutes</option>`).join('');
+  targetLengthSelect.value = saved.targetMinutes ? String(saved.targetMinutes) : '';
+  
+  document.getElementById('scriptTemperatureInput').value = saved.temperature ?? 0.7;
+  document.getElementById('scriptMaxTokensInput').value = saved.maxTokens || 4096;
+  document.getElementById('scriptTimeoutInput').value = saved.timeoutSeconds || 60;
+  await loadMusicAssets();
+  applyAudioSettings(saved);
+  document.getElementById('reviewScriptCheckbox').checked = Boolean(saved.reviewScript);
+  
+  await initializeShows(saved.showId);
+}
+
+/**
+ * Read a number input, keeping it within limits
+ * @param {string} id - Input ID
+ * @param {number} fallback - Value when the input is empty or invalid
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value
+ */
+function readNumberInput(id, fallback, min, max) {
+  const value = parseFloat(document.getElementById(id).value);
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+/**
+ * Read the generate modal's length and advanced script settings, with the sound settings
+ * @returns {Object} { showId, formatId, targetMinutes, temperature, maxTokens, timeoutSeconds,
+ *   reviewScript, turnPauseSeconds, mix }
+ */
+function getScriptSettingsFromForm() {
+  return {
+    showId: document.getElementById('showSelect').value || null,
+    formatId: document.getElementById('podcastFormatSelect').value || DEFAULT_FORMAT_ID,
+    targetMinutes: parseInt(document.getElementById('targetLengthSelect').value, 10) || null,
+    temperature: readNumberInput('scriptTemperatureInput', 0.7, 0, 2),
+    maxTokens: Math.round(readNumberInput('scriptMaxTokensInput', 4096, 256, 32000)),
+    timeoutSeconds: Math.round(readNumberInput('scriptTimeoutInput', 60, 10, 600)),
+    reviewScript: document.getElementById('reviewScriptCheckbox').checked,
+    ...getAudioSettingsFromForm()
+  };
+}
+
+/**
+ * Read the generate modal's sound settings, which are also saved with shows
+ * @returns {Object} { turnPauseSeconds, mix: { normalize, targetLufs, crossfadeSeconds,
+ *   music: { intro, transition, outro } } }
+ */
+function getAudioSettingsFromForm() {
+  const music = {};
+  MUSIC_KINDS.forEach(kind => {
+    music[kind] = parseInt(document.getElementById(`${kind}MusicSelect`).value, 10) || null;
+  });
+  
+  return {
+    turnPauseSeconds: readNumberInput('turnPauseInput', 0.3, 0, 3),
+    mix: {
+      normalize: document.getElementById('normalizeLoudnessCheckbox').checked,
+      crossfadeSeconds: readNumberInput('crossfadeInput', 0, 0, 1),
+      targetLufs: readNumberInput('loudnessTargetInput', DEFAULT_TARGET_LUFS, -30, -10),
+      music
+    }
+  };
+}
+
+/**
+ * Fill the generate modal's sound settings
+ * @param {Object} audio - { turnPauseSeconds, mix: { normalize, targetLufs, crossfadeSeconds, music } }
+ */
+function applyAudioSettings(audio) {
+  const mix = audio.mix || {};
+  const music = mix.music || {};
+  document.getElementById('turnPauseInput').value = audio.turnPauseSeconds ?? 0.3;
+  document.getElementById('crossfadeInput').value = mix.crossfadeSeconds ?? 0;
+  document.getElementById('normalizeLoudnessCheckbox').checked = Boolean(mix.normalize);
+  document.getElementById('loudnessTargetInput').value = mix.targetLufs ?? DEFAULT_TARGET_LUFS;
+  MUSIC_KINDS.forEach(kind => selectMusicAsset(kind, music[kind]));
+}
+
+/**
+ * Select a music asset in the generate modal, or none when it was deleted
+ * @param {string} kind - 'intro', 'transition' or 'outro'
+ * @param {number|null} assetId - Asset ID
+ */
+function selectMusicAsset(kind, assetId) {
+  const select = document.getElementById(`${kind}MusicSelect`);
+  select.value = musicAssets.some(asset => asset.kind === kind && asset.id === assetId) ? String(assetId) : '';
+}
+
+/**
+ * Load the uploaded music and fill the generate modal's music choices, keeping what was selected
+ */
+async function loadMusicAssets() {
+  const selected = getAudioSettingsFromForm().mix.music;
+  musicAssets = await getAllAssets();
+  
+  MUSIC_KINDS.forEach(kind => {
+    const select = document.getElementById(`${kind}MusicSelect`);
+    select.innerHTML = '<option value="">None</option>';
+    musicAssets
+      .filter(asset => asset.kind === kind)
+      .forEach(asset => {
+        const option = document.createElement('option');
+        option.value = asset.id;
+        option.textContent = asset.name;
+        select.appendChild(option);
+      });
+    selectMusicAsset(kind, selected[kind]);
+  });
+}
+
+/**
+ * Save a music file picked for upload and select it
+ * @param {Event} event - Change event of the music file input
+ */
+async function uploadMusicAsset(event) {
+  const input = event.target;
+  const file = input.files[0];
+  const kind = input.dataset.kind;
+  input.value = '';
+  if (!file || !MUSIC_KINDS.includes(kind)) return;
+  
+  if (!file.type.startsWith('audio/')) {
+    showStatus(`"${file.name}" is not an audio file`, 'error');
+    return;
+  }
+  if (file.size > MAX_MUSIC_FILE_BYTES) {
+    showStatus(`"${file.name}" is larger than ${MAX_MUSIC_FILE_BYTES / (1024 * 1024)} MB`, 'error');
+    return;
+  }
+  
+  try {
+    const name = file.name.replace(/\.[^.]+$/, '') || file.name;
+    const id = await saveAsset({ name, kind, blob: file });
+    await loadMusicAssets();
+    selectMusicAsset(kind, id);
+    showStatus(`Uploaded "${name}"`, 'success');
+  } catch (error) {
+    console.error('Error uploading music:', error);
+    showStatus(`Error uploading music: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete the music selected for a place in the episode
+ * Shows that use it will play without it
+ * @param {string} kind - 'intro', 'transition' or 'outro'
+ */
+async function deleteMusicAsset(kind) {
+  const assetId = parseInt(document.getElementById(`${kind}MusicSelect`).value, 10);
+  const asset = musicAssets.find(entry => entry.id === assetId);
+  if (!asset) return;
+  if (!confirm(`Delete the music "${asset.name}"?`)) return;
+  
+  try {
+    await deleteAsset(asset.id);
+    await loadMusicAssets();
+    showStatus(`Deleted "${asset.name}"`, 'success');
+  } catch (error) {
+    console.error('Error deleting music:', error);
+    showStatus(`Error deleting music: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Describe the selected format and how many speakers it is written for
+ */
+function updateFormatFields() {
+  const format = podcastFormats.find(entry => entry.id === document.getElementById('podcastFormatSelect').value);
+  if (!format) return;
+  
+  document.getElementById('podcastFormatDescription').textContent = format.description || '';
+}
+
+/**
+ * Load the speech provider's voices
  */
 async function initializeVoiceSettings() {
-  const hostVoiceSelect = document.getElementById('hostVoiceSelect');
-  const cohostVoiceSelect = document.getElementById('cohostVoiceSelect');
+  voiceCatalog = getVoiceCatalog(await getTtsSettings());
+}
 
-  const hostVoice = await getSetting('host_voice');
-  if (hostVoice) {
-    hostVoiceSelect.value = hostVoice;
+/**
+ * Fill the show list and load the last used show's cast, or a cast from the saved voices
+ * @param {string|null} showId - Show used last time
+ */
+async function initializeShows(showId) {
+  const showSelect = document.getElementById('showSelect');
+  podcastShows = await getShows();
+  
+  showSelect.innerHTML = '<option value="">Custom cast</option>';
+  podcastShows.forEach(show => {
+    const option = document.createElement('option');
+    option.value = show.id;
+    option.textContent = show.name;
+    showSelect.appendChild(option);
+  });
+  
+  if (podcastShows.some(show => show.id === showId)) {
+    showSelect.value = showId;
+    applyShow(showId);
+  } else {
+    showSelect.value = '';
+    renderCast(await getDefaultCast());
   }
+}
 
+/**
+ * Build a two-speaker cast from the voices used last time
+ * Speakers are named after their voices, as before casts existed
+ * @returns {Promise<Array<Object>>} Speakers as { name, persona, voice }
+ */
+async function getDefaultCast() {
+  const voiceIds = voiceCatalog.map(voice => voice.id);
+  const hostVoice = await getSetting('host_voice');
   const cohostVoice = await getSetting('cohost_voice');
-  if (cohostVoice) {
-    cohostVoiceSelect.value = cohostVoice;
+  
+  // Saved voices from another provider aren't in this catalog
+  const voices = [
+    voiceIds.includes(hostVoice) ? hostVoice : voiceIds[0],
+    voiceIds.includes(cohostVoice) ? cohostVoice : (voiceIds[1] || voiceIds[0])
+  ].filter(Boolean);
+  
+  return voices.map(voice => ({ name: getVoiceName(voice), persona: '', voice }));
+}
+
+/**
+ * Load a saved show's format, cast and sound settings into the generate modal
+ * @param {string} showId - Show ID
+ */
+function applyShow(showId) {
+  const show = podcastShows.find(entry => entry.id === showId);
+  if (!show) return;
+  
+  const formatSelect = document.getElementById('podcastFormatSelect');
+  if (show.formatId && podcastFormats.some(format => format.id === show.formatId)) {
+    formatSelect.value = show.formatId;
+    updateFormatFields();
+  }
+  renderCast(show.cast);
+  if (show.audio) {
+    applyAudioSettings(show.audio);
+  }
+}
+
+/**
+ * Show the cast editor with one row per speaker
+ * @param {Array<Object>} cast - Speakers as { name, persona, voice }
+ */
+function renderCast(cast) {
+  const castList = document.getElementById('castList');
+  castList.innerHTML = '';
+  
+  cast.forEach((speaker, index) => {
+    const row = document.createElement('div');
+    row.className = 'cast-speaker';
+    
+    const role = document.createElement('div');
+    role.className = 'cast-speaker-role';
+    role.textContent = SPEAKER_ROLE_LABELS[getSpeakerRole(index)];
+    
+    const controls = document.createElement('div');
+    controls.className = 'voice-select-container';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'cast-name';
+    nameInput.placeholder = 'Name';
+    nameInput.value = speaker.name || '';
+    
+    const voiceSelect = document.createElement('select');
+    voiceSelect.className = 'cast-voice';
+    voiceCatalog.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.id;
+      option.textContent = voice.name;
+      voiceSelect.appendChild(option);
+    });
+    // Keep a voice from another provider visible so the problem can be seen
+    if (speaker.voice && !voiceCatalog.some(voice => voice.id === speaker.voice)) {
+      const option = document.createElement('option');
+      option.value = speaker.voice;
+      option.textContent = `${speaker.voice} (not available)`;
+      voiceSelect.appendChild(option);
+    }
+    voiceSelect.value = speaker.voice || '';
+    
+    const previewButton = document.createElement('button');
+    previewButton.type = 'button';
+    previewButton.className = 'btn btn-sm btn-secondary cast-preview';
+    previewButton.textContent = 'Preview Voice';
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-sm btn-secondary cast-remove';
+    removeButton.textContent = 'Remove';
+    removeButton.disabled = cast.length === 1;
+    
+    const personaInput = document.createElement('input');
+    personaInput.type = 'text';
+    personaInput.className = 'cast-persona';
+    personaInput.placeholder = 'Persona, e.g. a former science teacher who loves analogies';
+    personaInput.value = speaker.persona || '';
+    
+    controls.append(nameInput, voiceSelect, previewButton, removeButton);
+    row.append(role, controls, personaInput);
+    castList.appendChild(row);
+  });
+  
+  document.getElementById('addSpeakerBtn').disabled = cast.length >= MAX_CAST_SIZE;
+  validateVoiceSelections();
+}
+
+/**
+ * Read the cast editor
+ * @returns {Array<Object>} Speakers as { name, persona, voice }
+ */
+function getCastFromForm() {
+  return Array.from(document.querySelectorAll('#castList .cast-speaker')).map(row => ({
+    name: row.querySelector('.cast-name').value,
+    persona: row.querySelector('.cast-persona').value,
+    voice: row.querySelector('.cast-voice').value
+  }));
+}
+
+/**
+ * Add a speaker with a voice nobody in the cast uses yet
+ */
+function addSpeaker() {
+  const cast = getCastFromForm();
+  if (cast.length >= MAX_CAST_SIZE) return;
+  
+  const usedVoices = cast.map(speaker => speaker.voice);
+  const voice = voiceCatalog.find(entry => !usedVoices.includes(entry.id)) || voiceCatalog[0];
+  cast.push({ name: voice ? voice.name : '', persona: '', voice: voice ? voice.id : '' });
+  
+  document.getElementById('showSelect').value = '';
+  renderCast(cast);
+}
+
+/**
+ * Remove a speaker from the cast
+ * @param {number} index - Position of the speaker
+ */
+function removeSpeaker(index) {
+  const cast = getCastFromForm();
+  if (cast.length <= 1) return;
+  
+  cast.splice(index, 1);
+  document.getElementById('showSelect').value = '';
+  renderCast(cast);
+}
+
+/**
+ * Save the current format, cast and sound settings as a show, updating the selected show if there is one
+ */
+async function saveCurrentShow() {
+  const showSelect = document.getElementById('showSelect');
+  const existing = podcastShows.find(show => show.id === showSelect.value);
+  const name = prompt('Show name:', existing ? existing.name : '');
+  if (name === null) return;
+  
+  try {
+    const show = await saveShow({
+      id: existing ? existing.id : null,
+      name,
+      formatId: document.getElementById('podcastFormatSelect').value,
+      cast: getCastFromForm(),
+      audio: getAudioSettingsFromForm()
+    });
+    await initializeShows(show.id);
+    showStatus(`Saved show "${show.name}"`, 'success');
+  } catch (error) {
+    console.error('Error saving show:', error);
+    showStatus(`Error saving show: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete the selected show; its cast stays in the editor
+ */
+async function deleteCurrentShow() {
+  const showSelect = document.getElementById('showSelect');
+  const show = podcastShows.find(entry => entry.id === showSelect.value);
+  if (!show) return;
+  if (!confirm(`Delete the show "${show.name}"?`)) return;
+  
+  try {
+    const cast = getCastFromForm();
+    await deleteShow(show.id);
+    await initializeShows(null);
+    renderCast(cast);
+    showStatus(`Deleted show "${show.name}"`, 'success');
+  } catch (error) {
+    console.error('Error deleting show:', error);
+    showStatus(`Error deleting show: ${error.message}`, 'error');
   }
 }
 
@@ -100,9 +623,11 @@ async function loadArticles() {
     selectedArticles.clear();
     updateButtonsState();
     
+    // Populate folder, tag and collection filters
+    await loadOrganizationFilters();
+    
     // Check for OpenAI API key
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
+    if (await needsOpenAIKey()) {
       showStatus(
         'OpenAI API key not set. Please go to settings and add your API key to generate podcasts.',
         'warning'
@@ -114,48 +639,108 @@ async function loadArticles() {
   }
 }
 
+/**
+ * Check whether podcast generation is missing the OpenAI API key it needs
+ * @returns {Promise<boolean>} True when OpenAI is a selected provider and no key is saved
+ */
+async function needsOpenAIKey() {
+  const [llmSettings, ttsSettings] = await Promise.all([getLlmSettings(), getTtsSettings()]);
+  if (llmSettings.provider !== 'openai' && ttsSettings.provider !== 'openai') {
+    return false;
+  }
+  return !(await getSetting('openai_api_key'));
+}
+
+/**
+ * Get the date of an article used for date filtering
+ * @param {Object} article - Article data
+ * @param {string} dateField - 'dateAdded' (saved date) or 'publishedDate'
+ * @returns {Date|null} Article date, or null when the article has no publish date
+ */
+function getArticleDate(article, dateField = 'dateAdded') {
+  if (dateField === 'publishedDate') {
+    // Articles saved before metadata capture, or from pages without one, have no publish date
+    return article.publishedDate ? new Date(article.publishedDate) : null;
+  }
+  return new Date(article.dateAdded);
+}
+
+/**
+ * Get the date field selected in the date filter
+ * @returns {string} 'dateAdded' or 'publishedDate'
+ */
+function getSelectedDateField() {
+  const dateFieldSelect = document.getElementById('dateFieldFilter');
+  return dateFieldSelect ? dateFieldSelect.value : 'dateAdded';
+}
+
 /**
  * Filter articles by date range
+ * The range also applies to search results, so the list is rebuilt through searchArticles
  * @param {Date} startDate - Start date for filtering (inclusive)
  * @param {Date} endDate - End date for filtering (inclusive)
+ * @param {string} [dateField] - Date to filter on: 'dateAdded' (saved) or 'publishedDate'
  */
-function filterArticlesByDate(startDate, endDate) {
+function filterArticlesByDate(startDate, endDate, dateField = 'dateAdded') {
   // If no dates are provided, reset to all articles
   if (!startDate && !endDate) {
-    filteredArticles = [...allArticles];
-    currentPage = 1;
-    displayArticles(filteredArticles);
-    return;
-  }
-  
-  // Set default dates if not provided
-  if (!startDate) {
-    startDate = new Date(0); // Beginning of time
+    activeDateFilter = null;
+  } else {
+    // Set time to end of day for the end date to include the entire day
+    const rangeEnd = new Date(endDate || new Date());
+    rangeEnd.setHours(23, 59, 59, 999);
+    
+    activeDateFilter = {
+      startDate: startDate || new Date(0),
+      endDate: rangeEnd,
+      dateField,
+      includeUndated: document.getElementById('includeUndatedFilter')?.checked || false
+    };
   }
   
-  if (!endDate) {
-    endDate = new Date(); // Current date
+  searchArticles(document.getElementById('searchInput')?.value || '');
+}
+
+/**
+ * Narrow articles to the active date filter
+ * Articles without the chosen date (no publish date was found when they were saved) are
+ * left out unless the filter includes them, and counted either way for the status message
+ * @param {Array} articles - Articles, in display order
+ * @returns {Object} { articles, undatedCount }
+ */
+function applyActiveDateFilter(articles) {
+  if (!activeDateFilter) {
+    return { articles, undatedCount: 0 };
   }
   
-  // Set time to end of day for the end date to include the entire day
-  endDate = new Date(endDate);
-  endDate.setHours(23, 59, 59, 999);
-  
-  // Filter articles
-  filteredArticles = allArticles.filter(article => {
-    const articleDate = new Date(article.dateAdded);
+  const { startDate, endDate, dateField, includeUndated } = activeDateFilter;
+  let undatedCount = 0;
+  const inRange = articles.filter(article => {
+    const articleDate = getArticleDate(article, dateField);
+    if (!articleDate) {
+      undatedCount++;
+      return includeUndated;
+    }
     return articleDate >= startDate && articleDate <= endDate;
   });
   
-  // Reset pagination
-  currentPage = 1;
-  
-  // Display filtered articles
-  displayArticles(filteredArticles);
-  
-  // Show status
+  return { articles: inRange, undatedCount };
+}
+
+/**
+ * Report how many articles the active date filter shows
+ * @param {number} undatedCount - Articles without the chosen date
+ */
+function showDateFilterStatus(undatedCount) {
   const count = filteredArticles.length;
-  showStatus(`Showing ${count} article${count !== 1 ? 's' : ''} in the selected date range`, 'info');
+  const dateLabel = activeDateFilter.dateField === 'publishedDate' ? 'published' : 'saved';
+  let undatedNote = '';
+  if (undatedCount > 0) {
+    undatedNote = activeDateFilter.includeUndated
+      ? ` (including ${undatedCount} with no publish date)`
+      : ` (${undatedCount} with no publish date not shown)`;
+  }
+  showStatus(`Showing ${count} article${count !== 1 ? 's' : ''} ${dateLabel} in the selected date range${undatedNote}`, 'info');
 }
 
 /**
@@ -168,7 +753,7 @@ function applyDateFilter() {
   let startDate = startDateInput.value ? new Date(startDateInput.value) : null;
   let endDate = endDateInput.value ? new Date(endDateInput.value) : null;
   
-  filterArticlesByDate(startDate, endDate);
+  filterArticlesByDate(startDate, endDate, getSelectedDateField());
 }
 
 /**
@@ -226,7 +811,7 @@ function applyQuickDateFilter(period) {
   
   endDateInput.value = now.toISOString().split('T')[0];
   
-  filterArticlesByDate(startDate, now);
+  filterArticlesByDate(startDate, now, getSelectedDateField());
 }
 
 /**
@@ -294,8 +879,31 @@ function createArticleCard(article) {
     day: 'numeric' 
   });
   
-  // Prepare the summary text (truncated)
-  const summaryText = article.summary || article.content.slice(0, 150) + '...';
+  // Byline and publish date captured from the page metadata
+  const bylineParts = [];
+  if (article.author) {
+    bylineParts.push(`By ${escapeHtml(article.author)}`);
+  }
+  if (article.publishedDate) {
+    const publishedDate = new Date(article.publishedDate).toLocaleDateString(undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+    bylineParts.push(`Published ${publishedDate}`);
+  }
+  const bylineHtml = bylineParts.length > 0
+    ? `<p class="card-byline">${bylineParts.join(' • ')}</p>`
+    : '';
+  
+  // Prepare the summary text (truncated), or a highlighted snippet of the match while searching
+  let summaryText = article.summary || article.content.slice(0, 150) + '...';
+  let titleText = article.title || 'Untitled Article';
+  if (activeSearchQuery) {
+    titleText = highlightSearchTerms(titleText, activeSearchQuery);
+    summaryText = createSearchSnippet(article.content, activeSearchQuery) ||
+      highlightSearchTerms(summaryText, activeSearchQuery);
+  }
   
   // Calculate word count and reading time
   const wordCount = article.content.split(/\s+/).length;
@@ -308,17 +916,20 @@ function createArticleCard(article) {
         <input type="checkbox" class="article-checkbox" data-id="${article.id}" ${selectedArticles.has(article.id) ? 'checked' : ''}>
         <span class="checkmark"></span>
       </label>
-      <h3 class="card-title">${article.title || 'Untitled Article'}</h3>
+      <h3 class="card-title">${titleText}</h3>
     </div>
     <div class="card-body">
       <div class="card-content">
+        ${bylineHtml}
+        <div class="card-tags"></div>
         <p class="card-summary">${summaryText}</p>
         <div class="card-full-content" style="display: none; margin-top: 15px; padding-top: 15px; border-top: 1px solid var(--border-color);">
           <div class="article-stats" style="margin-bottom: 10px; font-size: 12px; color: var(--text-light);">
             <span>${wordCount.toLocaleString()} words</span> • 
             <span>~${readingTimeMinutes} min read</span>
+            ${article.pageCount > 1 ? ` • <span>${article.pageCount} pages</span>` : ''}
           </div>
-          <div class="full-text" style="max-height: 300px; overflow-y: auto;">${article.content}</div>
+          <div class="full-text article-blocks" style="max-height: 300px; overflow-y: auto;"></div>
         </div>
       </div>
       <button class="toggle-content-btn" aria-label="Toggle full content">
@@ -328,8 +939,11 @@ function createArticleCard(article) {
     </div>
     <div class="card-footer">
       <div class="meta-info">
-        <div>${formattedDate}</div>
-        <div>${article.url ? new URL(article.url).hostname : 'No URL'}</div>
+        <div>Saved ${formattedDate}</div>
+        <div>${escapeHtml(article.siteName || (article.url ? new URL(article.url).hostname : 'No URL'))}</div>
+        <select class="status-select" title="Status" aria-label="Article status">
+          ${Object.keys(STATUS_LABELS).map(status => `<option value="${status}" ${getArticleStatus(article) === status ? 'selected' : ''}>${STATUS_LABELS[status]}</option>`).join('')}
+        </select>
       </div>
       <div class="card-actions">
         <button class="view-btn" title="View Article" data-id="${article.id}">👁️</button>
@@ -338,15 +952,27 @@ function createArticleCard(article) {
     </div>
   `;
   
+  // Render the stored block structure (older records fall back to splitting the text)
+  const blocks = Array.isArray(article.blocks) ? article.blocks : textToBlocks(article.content);
+  card.querySelector('.full-text').appendChild(renderArticleBlocks(blocks));
+  
+  renderCardTags(card.querySelector('.card-tags'), article);
+  
   // Add event listeners
   const checkbox = card.querySelector('.article-checkbox');
   checkbox.addEventListener('change', (e) => {
     toggleArticleSelection(article.id, e.target.checked);
   });
   
+  const statusSelect = card.querySelector('.status-select');
+  statusSelect.addEventListener('change', (e) => {
+    applyOrganizationChanges([article.id], { status: e.target.value });
+  });
+  
   const viewBtn = card.querySelector('.view-btn');
   viewBtn.addEventListener('click', () => {
     if (article.url) {
+      markArticlesStatus([article.id], ARTICLE_STATUS.READ);
       window.open(article.url, '_blank');
     } else {
       showStatus('No URL available for this article', 'warning');
@@ -382,12 +1008,69 @@ function createArticleCard(article) {
       toggleText.textContent = 'Hide Full Article';
       // Add to expanded set
       expandedArticles.add(articleId);
+      markArticlesStatus([articleId], ARTICLE_STATUS.READ);
     }
   });
   
   return card;
 }
 
+/**
+ * Render article blocks as DOM elements
+ * @param {Array<Object>} blocks - Ordered article blocks
+ * @returns {DocumentFragment} Rendered blocks
+ */
+function renderArticleBlocks(blocks) {
+  const fragment = document.createDocumentFragment();
+  let currentList = null;
+  
+  blocks.forEach(block => {
+    // Consecutive list items share one list element
+    if (block.type === BLOCK_TYPES.LIST_ITEM) {
+      const listTag = block.ordered ? 'ol' : 'ul';
+      if (!currentList || currentList.tagName.toLowerCase() !== listTag) {
+        currentList = document.createElement(listTag);
+        fragment.appendChild(currentList);
+      }
+      const item = document.createElement('li');
+      item.textContent = block.text;
+      currentList.appendChild(item);
+      return;
+    }
+    currentList = null;
+    
+    let element;
+    switch (block.type) {
+      case BLOCK_TYPES.HEADING:
+        // Card headings start at h4 so they stay below the card title
+        element = document.createElement(`h${Math.min(6, 3 + (block.level || 2))}`);
+        element.className = 'block-heading';
+        break;
+      case BLOCK_TYPES.QUOTE:
+        element = document.createElement('blockquote');
+        element.className = 'block-quote';
+        break;
+      case BLOCK_TYPES.CODE:
+        element = document.createElement('pre');
+        element.className = 'block-code';
+        break;
+      case BLOCK_TYPES.CAPTION:
+        element = document.createElement('p');
+        element.className = 'block-caption';
+        break;
+      default:
+        element = document.createElement('p');
+        element.className = 'block-paragraph';
+        break;
+    }
+    
+    element.textContent = block.text;
+    fragment.appendChild(element);
+  });
+  
+  return fragment;
+}
+
 /**
  * Update pagination controls
  * @param {number} totalPages - Total number of pages
@@ -482,71 +1165,537 @@ function updateButtonsState() {
   const generatePodcastBtn = document.getElementById('generatePodcastBtn');
   const exportSelectedBtn = document.getElementById('exportSelectedBtn');
   const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+  const tagSelectedBtn = document.getElementById('tagSelectedBtn');
+  const moveSelectedBtn = document.getElementById('moveSelectedBtn');
+  const archiveSelectedBtn = document.getElementById('archiveSelectedBtn');
   
   const hasSelection = selectedArticles.size > 0;
   
   generatePodcastBtn.disabled = !hasSelection;
   exportSelectedBtn.disabled = !hasSelection;
   deleteSelectedBtn.disabled = !hasSelection;
+  if (tagSelectedBtn) tagSelectedBtn.disabled = !hasSelection;
+  if (moveSelectedBtn) moveSelectedBtn.disabled = !hasSelection;
+  if (archiveSelectedBtn) archiveSelectedBtn.disabled = !hasSelection;
 }
 
 /**
- * Search articles by title or content
- * @param {string} query - Search query
+ * Search articles through the full-text index, ranked by relevance
+ * @param {string} query - Search query; quoted text matches as a phrase
  */
-function searchArticles(query) {
+async function searchArticles(query) {
+  const searchId = ++latestSearchId;
+  
+  let matchingArticles;
+  
   if (!query || query.trim() === '') {
-    filteredArticles = [...allArticles];
+    activeSearchQuery = null;
+    matchingArticles = getOrganizedArticles();
   } else {
-    query = query.toLowerCase().trim();
-    filteredArticles = allArticles.filter(article => {
-      const title = (article.title || '').toLowerCase();
-      const content = (article.content || '').toLowerCase();
-      const summary = (article.summary || '').toLowerCase();
+    try {
+      const { query: parsedQuery, results } = await searchArticleIndex(query);
       
-      return title.includes(query) || content.includes(query) || summary.includes(query);
-    });
+      // A newer search started while this one was reading the index
+      if (searchId !== latestSearchId) return;
+      
+      const articlesById = new Map(getOrganizedArticles().map(article => [article.id, article]));
+      activeSearchQuery = parsedQuery;
+      matchingArticles = results
+        .map(result => articlesById.get(result.articleId))
+        .filter(Boolean);
+    } catch (error) {
+      console.error('Error searching articles:', error);
+      showStatus(`Error searching articles: ${error.message}`, 'error');
+      return;
+    }
   }
   
+  const { articles, undatedCount } = applyActiveDateFilter(matchingArticles);
+  filteredArticles = articles;
   currentPage = 1;
   displayArticles(filteredArticles);
+  
+  if (activeDateFilter) {
+    showDateFilterStatus(undatedCount);
+  }
 }
 
 /**
- * Delete an article by ID
- * @param {number} articleId - Article ID
+ * Get the articles in the selected folder, tag and smart collection
+ * Search and date filters narrow this set further, in searchArticles
+ * @returns {Array} Articles
  */
-async function deleteArticleById(articleId) {
-  try {
-    await deleteArticle(articleId);
-    
-    // Remove from arrays and selection
-    allArticles = allArticles.filter(article => article.id !== articleId);
-    filteredArticles = filteredArticles.filter(article => article.id !== articleId);
-    selectedArticles.delete(articleId);
-    
-    // Update UI
-    displayArticles(filteredArticles);
-    updateButtonsState();
-    
-    showStatus('Article deleted successfully', 'success');
-  } catch (error) {
-    console.error('Error deleting article:', error);
-    showStatus(`Error deleting article: ${error.message}`, 'error');
-  }
+function getOrganizedArticles() {
+  const status = document.getElementById('statusFilter')?.value ?? 'active';
+  const folder = document.getElementById('folderFilter')?.value || '';
+  const tag = document.getElementById('tagFilter')?.value || '';
+  const collectionId = document.getElementById('collectionFilter')?.value || '';
+  const collection = smartCollections.find(item => item.id === collectionId);
+  
+  // Articles already included in a podcast, for the "has podcast" rule
+  const podcastArticleIds = new Set();
+  allPodcasts.forEach(podcast => {
+    (podcast.articleIds || []).forEach(id => podcastArticleIds.add(id));
+  });
+  
+  return allArticles.filter(article => {
+    const articleStatus = getArticleStatus(article);
+    if (status === 'active' && articleStatus === ARTICLE_STATUS.ARCHIVED) return false;
+    if (status && status !== 'active' && articleStatus !== status) return false;
+    if (folder === UNFILED_FOLDER && article.folder) return false;
+    if (folder && folder !== UNFILED_FOLDER && article.folder !== folder) return false;
+    if (tag && (article.tags || []).indexOf(tag) === -1) return false;
+    if (collection && !matchesCollectionRules(article, collection.rules, { podcastArticleIds })) return false;
+    return true;
+  });
 }
 
 /**
- * Delete all selected articles
+ * Re-apply the library filters, keeping any active search
  */
-async function deleteSelectedArticles() {
-  if (selectedArticles.size === 0) return;
-  
-  const confirmMessage = selectedArticles.size === 1
-    ? 'Are you sure you want to delete the selected article?'
-    : `Are you sure you want to delete ${selectedArticles.size} selected articles?`;
+function applyLibraryFilters() {
+  const collectionId = document.getElementById('collectionFilter')?.value || '';
+  const collection = smartCollections.find(item => item.id === collectionId);
   
-  if (!confirm(confirmMessage)) return;
+  document.getElementById('collectionDescription').textContent = collection
+    ? describeCollectionRules(collection.rules)
+    : '';
+  document.getElementById('editCollectionBtn').disabled = !collection;
+  document.getElementById('deleteCollectionBtn').disabled = !collection;
+  
+  searchArticles(document.getElementById('searchInput')?.value || '');
+}
+
+/**
+ * Fill a select with options, keeping the current choice when it still exists
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<Object>} options - Options after the fixed leading ones: { value, label }
+ * @param {number} fixedCount - Number of leading options to keep
+ */
+function fillFilterSelect(select, options, fixedCount) {
+  const currentValue = select.value;
+  
+  while (select.options.length > fixedCount) {
+    select.remove(fixedCount);
+  }
+  
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  select.value = Array.from(select.options).some(option => option.value === currentValue)
+    ? currentValue
+    : '';
+}
+
+/**
+ * Load folders, tags and smart collections into the library filters
+ */
+async function loadOrganizationFilters() {
+  try {
+    const [tags, folders, collections] = await Promise.all([
+      getAllTags(),
+      getAllFolders(),
+      getSmartCollections()
+    ]);
+    smartCollections = collections;
+    
+    const folderFilter = document.getElementById('folderFilter');
+    const tagFilter = document.getElementById('tagFilter');
+    const collectionFilter = document.getElementById('collectionFilter');
+    if (!folderFilter || !tagFilter || !collectionFilter) return;
+    
+    fillFilterSelect(folderFilter, [
+      { value: UNFILED_FOLDER, label: 'Unfiled' },
+      ...folders.map(folder => ({ value: folder, label: folder }))
+    ], 1);
+    fillFilterSelect(tagFilter, tags.map(tag => ({ value: tag, label: tag })), 1);
+    fillFilterSelect(collectionFilter, collections.map(collection => ({
+      value: collection.id,
+      label: collection.name
+    })), 1);
+  } catch (error) {
+    console.error('Error loading library filters:', error);
+  }
+}
+
+/**
+ * Render the folder and tag chips of an article card
+ * @param {HTMLElement} container - Chip container in the card
+ * @param {Object} article - Article data
+ */
+function renderCardTags(container, article) {
+  container.innerHTML = '';
+  
+  const folderChip = document.createElement('button');
+  folderChip.className = 'tag-chip folder-chip';
+  folderChip.title = 'Move to folder';
+  folderChip.textContent = `📁 ${article.folder || 'Unfiled'}`;
+  folderChip.addEventListener('click', () => moveArticlesToFolder([article.id], article.folder));
+  container.appendChild(folderChip);
+  
+  (article.tags || []).forEach(tag => {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip';
+    chip.title = `Remove tag "${tag}"`;
+    chip.textContent = tag;
+    
+    const remove = document.createElement('span');
+    remove.className = 'remove-tag';
+    remove.textContent = '×';
+    chip.appendChild(remove);
+    
+    chip.addEventListener('click', () => applyOrganizationChanges([article.id], { removeTags: [tag] }));
+    container.appendChild(chip);
+  });
+  
+  const addChip = document.createElement('button');
+  addChip.className = 'tag-chip add-tag-chip';
+  addChip.textContent = '+ Tag';
+  addChip.addEventListener('click', () => tagArticles([article.id]));
+  container.appendChild(addChip);
+}
+
+/**
+ * Save tag or folder changes and refresh the library
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {Object} changes - Changes passed to organizeArticles
+ * @returns {Promise<Array<Object>>} Updated articles
+ */
+async function applyOrganizationChanges(articleIds, changes) {
+  try {
+    const updatedArticles = await organizeArticles(articleIds, changes);
+    const updatedById = new Map(updatedArticles.map(article => [article.id, article]));
+    
+    allArticles = allArticles.map(article => updatedById.get(article.id) || article);
+    filteredArticles = filteredArticles.map(article => updatedById.get(article.id) || article);
+    
+    await loadOrganizationFilters();
+    displayArticles(filteredArticles);
+    return updatedArticles;
+  } catch (error) {
+    console.error('Error organizing articles:', error);
+    showStatus(`Error updating articles: ${error.message}`, 'error');
+    return [];
+  }
+}
+
+/**
+ * Move articles forward after an automatic event (opened, queued, listened)
+ * Cards are updated in place so expanding an article doesn't redraw the page
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {string} status - Status the event implies
+ */
+async function markArticlesStatus(articleIds, status) {
+  try {
+    const updatedArticles = await organizeArticles(articleIds, { advanceStatus: status });
+    const updatedById = new Map(updatedArticles.map(article => [article.id, article]));
+    
+    allArticles = allArticles.map(article => updatedById.get(article.id) || article);
+    filteredArticles = filteredArticles.map(article => updatedById.get(article.id) || article);
+    
+    updatedArticles.forEach(article => {
+      const select = document.querySelector(`.article-card[data-id="${article.id}"] .status-select`);
+      if (select) {
+        select.value = getArticleStatus(article);
+      }
+    });
+  } catch (error) {
+    console.error('Error updating article status:', error);
+  }
+}
+
+/**
+ * Mark the articles covered by a podcast as listened once its playback finishes
+ * @param {HTMLAudioElement} audioPlayer - Player of the podcast
+ * @param {Array<number>} articleIds - Articles in the podcast
+ */
+function trackPlaybackCompletion(audioPlayer, articleIds) {
+  audioPlayer.onended = () => {
+    if (articleIds && articleIds.length > 0) {
+      markArticlesStatus(articleIds, ARTICLE_STATUS.LISTENED);
+    }
+  };
+}
+
+/**
+ * Archive all selected articles
+ */
+async function archiveSelectedArticles() {
+  if (selectedArticles.size === 0) return;
+  
+  const count = selectedArticles.size;
+  const updated = await applyOrganizationChanges(Array.from(selectedArticles), {
+    status: ARTICLE_STATUS.ARCHIVED
+  });
+  if (updated.length === 0) return;
+  
+  // Clear selection and hide the archived articles unless the filter shows them
+  selectedArticles.clear();
+  updateButtonsState();
+  applyLibraryFilters();
+  
+  showStatus(`Archived ${count} article${count !== 1 ? 's' : ''}`, 'success');
+}
+
+/**
+ * Ask for tags and add them to articles
+ * @param {Array<number>} articleIds - Article IDs
+ */
+async function tagArticles(articleIds) {
+  const input = prompt('Add tags (comma separated):');
+  const tags = parseTagInput(input);
+  if (tags.length === 0) return;
+  
+  const updated = await applyOrganizationChanges(articleIds, { addTags: tags });
+  if (updated.length > 1) {
+    showStatus(`Tagged ${updated.length} articles with ${tags.join(', ')}`, 'success');
+  }
+}
+
+/**
+ * Ask for a folder and move articles into it
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {string|null} [currentFolder] - Folder to prefill
+ */
+async function moveArticlesToFolder(articleIds, currentFolder = null) {
+  const input = prompt('Move to folder (leave empty to unfile):', currentFolder || '');
+  if (input === null) return;
+  
+  const folder = normalizeFolder(input);
+  const updated = await applyOrganizationChanges(articleIds, { folder });
+  if (updated.length > 1) {
+    showStatus(`Moved ${updated.length} articles to ${folder || 'Unfiled'}`, 'success');
+  }
+}
+
+/**
+ * Open the smart collection modal
+ * @param {Object|null} collection - Collection to edit, or null for a new one
+ */
+function openCollectionModal(collection = null) {
+  const rules = collection ? collection.rules : {};
+  editingCollectionId = collection ? collection.id : null;
+  
+  document.getElementById('collectionModalTitle').textContent = collection
+    ? 'Edit Smart Collection'
+    : 'New Smart Collection';
+  document.getElementById('collectionName').value = collection ? collection.name : '';
+  document.getElementById('collectionTags').value = (rules.tags || []).join(', ');
+  document.getElementById('collectionTagMatch').value = rules.tagMatch || 'any';
+  document.getElementById('collectionDomain').value = rules.domain || '';
+  document.getElementById('collectionFolder').value = rules.folder || '';
+  document.getElementById('collectionDateField').value = rules.dateField || 'dateAdded';
+  document.getElementById('collectionDateFrom').value = rules.dateFrom || '';
+  document.getElementById('collectionDateTo').value = rules.dateTo || '';
+  document.getElementById('collectionMinWords').value = rules.minWords || '';
+  document.getElementById('collectionMaxWords').value = rules.maxWords || '';
+  document.getElementById('collectionHasPodcast').value =
+    rules.hasPodcast === true ? 'yes' : rules.hasPodcast === false ? 'no' : '';
+  
+  document.getElementById('collectionModal').style.display = 'flex';
+}
+
+/**
+ * Close the smart collection modal
+ */
+function closeCollectionModal() {
+  document.getElementById('collectionModal').style.display = 'none';
+  editingCollectionId = null;
+}
+
+/**
+ * Save the smart collection described in the modal
+ */
+async function saveCollectionFromModal() {
+  const name = document.getElementById('collectionName').value.trim();
+  if (!name) {
+    showStatus('Please give the collection a name', 'warning');
+    return;
+  }
+  
+  const hasPodcast = document.getElementById('collectionHasPodcast').value;
+  const rules = {
+    tags: parseTagInput(document.getElementById('collectionTags').value),
+    tagMatch: document.getElementById('collectionTagMatch').value,
+    domain: document.getElementById('collectionDomain').value.trim().toLowerCase() || null,
+    folder: normalizeFolder(document.getElementById('collectionFolder').value),
+    dateField: document.getElementById('collectionDateField').value,
+    dateFrom: document.getElementById('collectionDateFrom').value || null,
+    dateTo: document.getElementById('collectionDateTo').value || null,
+    minWords: parseInt(document.getElementById('collectionMinWords').value, 10) || null,
+    maxWords: parseInt(document.getElementById('collectionMaxWords').value, 10) || null,
+    hasPodcast: hasPodcast === 'yes' ? true : hasPodcast === 'no' ? false : null
+  };
+  
+  try {
+    const saved = await saveSmartCollection({ id: editingCollectionId, name, rules });
+    closeCollectionModal();
+    await loadOrganizationFilters();
+    document.getElementById('collectionFilter').value = saved.id;
+    applyLibraryFilters();
+    showStatus(`Smart collection "${name}" saved`, 'success');
+  } catch (error) {
+    console.error('Error saving collection:', error);
+    showStatus(`Error saving collection: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete the selected smart collection
+ */
+async function deleteSelectedCollection() {
+  const collectionId = document.getElementById('collectionFilter').value;
+  const collection = smartCollections.find(item => item.id === collectionId);
+  if (!collection) return;
+  
+  if (!confirm(`Delete the smart collection "${collection.name}"? Articles are not affected.`)) return;
+  
+  try {
+    await deleteSmartCollection(collectionId);
+    await loadOrganizationFilters();
+    applyLibraryFilters();
+    showStatus('Smart collection deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    showStatus(`Error deleting collection: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the groups of duplicate articles in the library
+ */
+function openDuplicatesModal() {
+  renderDuplicateGroups();
+  document.getElementById('duplicatesModal').style.display = 'flex';
+}
+
+/**
+ * Close the duplicates modal
+ */
+function closeDuplicatesModal() {
+  document.getElementById('duplicatesModal').style.display = 'none';
+}
+
+/**
+ * Render every group of duplicates with a "keep" choice per article
+ */
+function renderDuplicateGroups() {
+  const container = document.getElementById('duplicateGroups');
+  const groups = findDuplicateGroups(allArticles);
+  container.innerHTML = '';
+  
+  if (groups.length === 0) {
+    container.innerHTML = '<div class="no-articles">No duplicates found.</div>';
+    return;
+  }
+  
+  groups.forEach(group => {
+    const groupElement = document.createElement('div');
+    groupElement.className = 'duplicate-group';
+    
+    const heading = document.createElement('h4');
+    const sameUrl = group.every(article => getDuplicateReason(group[0], article) === 'url');
+    heading.textContent = `${group.length} copies ${sameUrl ? 'of the same page' : 'with nearly the same text'}`;
+    groupElement.appendChild(heading);
+    
+    group.forEach(article => {
+      const row = document.createElement('div');
+      row.className = 'duplicate-row';
+      
+      const info = document.createElement('div');
+      const title = document.createElement('div');
+      title.textContent = article.title || 'Untitled Article';
+      const meta = document.createElement('div');
+      meta.className = 'duplicate-meta';
+      meta.textContent = [
+        article.siteName || (article.url ? new URL(article.url).hostname : 'No URL'),
+        `Saved ${new Date(article.dateAdded).toLocaleDateString()}`,
+        `${(article.content || '').split(/\s+/).length.toLocaleString()} words`
+      ].join(' • ');
+      info.appendChild(title);
+      info.appendChild(meta);
+      
+      const keepBtn = document.createElement('button');
+      keepBtn.className = 'btn btn-primary btn-sm';
+      keepBtn.textContent = 'Keep This';
+      keepBtn.addEventListener('click', () => resolveDuplicateGroup(article, group));
+      
+      row.appendChild(info);
+      row.appendChild(keepBtn);
+      groupElement.appendChild(row);
+    });
+    
+    container.appendChild(groupElement);
+  });
+}
+
+/**
+ * Keep one article of a duplicate group, merging the others into it and deleting them
+ * @param {Object} kept - Article to keep
+ * @param {Array<Object>} group - All articles in the group
+ */
+async function resolveDuplicateGroup(kept, group) {
+  const others = group.filter(article => article.id !== kept.id);
+  
+  try {
+    const merged = others.reduce((result, other) => mergeDuplicateArticles(result, other), kept);
+    await updateArticle(merged);
+    
+    for (const other of others) {
+      await deleteArticle(other.id);
+      selectedArticles.delete(other.id);
+    }
+    
+    await loadArticles();
+    applyLibraryFilters();
+    renderDuplicateGroups();
+    
+    showStatus(`Merged ${others.length} duplicate${others.length !== 1 ? 's' : ''} into "${kept.title || 'Untitled Article'}"`, 'success');
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    showStatus(`Error merging duplicates: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete an article by ID
+ * @param {number} articleId - Article ID
+ */
+async function deleteArticleById(articleId) {
+  try {
+    await deleteArticle(articleId);
+    
+    // Remove from arrays and selection
+    allArticles = allArticles.filter(article => article.id !== articleId);
+    filteredArticles = filteredArticles.filter(article => article.id !== articleId);
+    selectedArticles.delete(articleId);
+    
+    // Update UI
+    displayArticles(filteredArticles);
+    updateButtonsState();
+    
+    showStatus('Article deleted successfully', 'success');
+  } catch (error) {
+    console.error('Error deleting article:', error);
+    showStatus(`Error deleting article: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete all selected articles
+ */
+async function deleteSelectedArticles() {
+  if (selectedArticles.size === 0) return;
+  
+  const confirmMessage = selectedArticles.size === 1
+    ? 'Are you sure you want to delete the selected article?'
+    : `Are you sure you want to delete ${selectedArticles.size} selected articles?`;
+  
+  if (!confirm(confirmMessage)) return;
   
   try {
     const deletePromises = Array.from(selectedArticles).map(id => deleteArticle(id));
@@ -565,375 +1714,1212 @@ async function deleteSelectedArticles() {
     
     showStatus('Selected articles deleted successfully', 'success');
   } catch (error) {
-    console.error('Error deleting articles:', error);
-    showStatus(`Error deleting articles: ${error.message}`, 'error');
+    console.error('Error deleting articles:', error);
+    showStatus(`Error deleting articles: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Export selected articles
+ */
+async function exportSelectedArticles() {
+  if (selectedArticles.size === 0) return;
+  
+  try {
+    // Get full articles for the selected IDs
+    const selectedArticlesData = await Promise.all(
+      Array.from(selectedArticles).map(id => getArticleById(id))
+    );
+    
+    // Get audio files for the selected articles
+    const audioData = [];
+    for (const article of selectedArticlesData) {
+      const audioFiles = await getAudioForArticle(article.id);
+      audioData.push(...audioFiles);
+    }
+    
+    // Create export data
+    const exportData = {
+      articles: selectedArticlesData,
+      audio: audioData,
+      exportDate: new Date().toISOString(),
+      version: '1.0'
+    };
+    
+    // Create and download JSON file
+    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `article-export-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    showStatus(`${selectedArticlesData.length} articles exported successfully`, 'success');
+  } catch (error) {
+    console.error('Error exporting articles:', error);
+    showStatus(`Error exporting articles: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Validate the cast and update Generate button state
+ */
+function validateVoiceSelections() {
+  const startGenerateBtn = document.getElementById('startGenerateBtn');
+  const castHint = document.getElementById('castHint');
+  const cast = getCastFromForm();
+  const format = podcastFormats.find(entry => entry.id === document.getElementById('podcastFormatSelect').value);
+  
+  let problem = '';
+  try {
+    normalizeCast(cast);
+    const voices = cast.map(speaker => speaker.voice);
+    if (voices.some(voice => !voice)) {
+      problem = 'Every speaker needs a voice';
+    } else if (new Set(voices).size !== voices.length) {
+      problem = 'Please select a different voice for each speaker';
+    }
+  } catch (error) {
+    problem = error.message;
+  }
+  
+  startGenerateBtn.disabled = Boolean(problem);
+  
+  if (problem) {
+    castHint.textContent = problem;
+  } else if (format && format.speakers === 1 && cast.length > 1) {
+    castHint.textContent = `${format.name} is written for one speaker; only ${cast[0].name} may get lines.`;
+  } else if (format && format.speakers > 1 && cast.length === 1) {
+    castHint.textContent = `${format.name} is written for several speakers; add a speaker for a conversation.`;
+  } else {
+    castHint.textContent = '';
+  }
+}
+
+/**
+ * Open the generate podcast modal
+ */
+async function openGeneratePodcastModal() {
+  console.log('openGeneratePodcastModal called, selectedArticles size:', selectedArticles.size);
+  
+  if (selectedArticles.size === 0) {
+    console.log('No articles selected, returning...');
+    return;
+  }
+  
+  // Get the modal and title input
+  const modal = document.getElementById('generatePodcastModal');
+  const titleInput = document.getElementById('podcastTitle');
+  
+  if (!modal || !titleInput) {
+    console.error('Modal or title input not found!');
+    return;
+  }
+  
+  console.log('Setting up the modal...');
+  
+  // Reset the modal
+  watchedJobId = null;
+  document.getElementById('progressContainer').style.display = 'none';
+  document.getElementById('progressFill').style.backgroundColor = '';
+  document.getElementById('generatedPodcast').style.display = 'none';
+  document.getElementById('scriptLengthInfo').textContent = '';
+  document.getElementById('startGenerateBtn').style.display = 'block';
+  document.getElementById('downloadPodcastBtn').style.display = 'none';
+  
+  // Set default title as current date in format "15 Mar, 2025"
+  const now = new Date();
+  const day = now.getDate();
+  const month = now.toLocaleString('en-US', { month: 'short' });
+  const year = now.getFullYear();
+  titleInput.value = `${day} ${month}, ${year}`;
+  
+  // Load the voice catalog; the provider may have changed since the page opened
+  try {
+    await initializeVoiceSettings();
+  } catch (error) {
+    console.error('Error loading voice settings:', error);
+  }
+  
+  // Script settings also load the last used show and its cast
+  try {
+    await initializeScriptSettings();
+  } catch (error) {
+    console.error('Error loading script settings:', error);
+  }
+  
+  // Validate the initial cast
+  validateVoiceSelections();
+  
+  // Display the modal
+  console.log('Displaying the modal...');
+  modal.style.display = 'flex';
+}
+
+/**
+ * Close the generate podcast modal
+ */
+function closeGeneratePodcastModal() {
+  const modal = document.getElementById('generatePodcastModal');
+  modal.style.display = 'none';
+}
+
+/**
+ * Start podcast generation
+ */
+async function startPodcastGeneration() {
+  if (selectedArticles.size === 0) return;
+  
+  // Get selected articles
+  const articleIds = Array.from(selectedArticles);
+  
+  // Get options from form
+  const title = document.getElementById('podcastTitle').value;
+  const includeIntro = document.getElementById('includeIntro').checked;
+  const includeConclusion = document.getElementById('includeConclusion').checked;
+  const scriptSettings = getScriptSettingsFromForm();
+  
+  let cast;
+  try {
+    cast = normalizeCast(getCastFromForm());
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  // Save the first two voices and the script settings so they're remembered for next time
+  try {
+    await saveSetting('host_voice', cast[0].voice);
+    if (cast[1]) {
+      await saveSetting('cohost_voice', cast[1].voice);
+    }
+    await saveSetting(SCRIPT_SETTINGS_KEY, scriptSettings);
+  } catch (error) {
+    console.error('Error saving voice settings:', error);
+    // Continue anyway - this is not critical
+  }
+  
+  const speakerNames = cast.map(speaker => speaker.name);
+  const speakerList = speakerNames.length > 1
+    ? `${speakerNames.slice(0, -1).join(', ')} and ${speakerNames[speakerNames.length - 1]}`
+    : speakerNames[0];
+  
+  // Prepare UI for generation
+  document.getElementById('progressContainer').style.display = 'block';
+  document.getElementById('startGenerateBtn').disabled = true;
+  document.getElementById('progressText').textContent = `Starting podcast generation with ${speakerList}...`;
+  document.getElementById('progressFill').style.width = '5%';
+  
+  try {
+    // The OpenAI key is only needed when OpenAI writes the script or speaks it
+    if (await needsOpenAIKey()) {
+      throw new Error('OpenAI API key not set. Please go to settings and add your API key.');
+    }
+    
+    // Set up options
+    const options = {
+      title,
+      cast,
+      includeIntroduction: includeIntro,
+      includeConclusion: includeConclusion,
+      ...scriptSettings
+    };
+    
+    // The selected articles are waiting on this episode
+    await markArticlesStatus(articleIds, ARTICLE_STATUS.QUEUED);
+    
+    // Generation runs as a job in the background worker, so it carries on if this page closes
+    const response = await chrome.runtime.sendMessage({ action: 'START_PODCAST_JOB', articleIds, options });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not start podcast generation');
+    }
+    
+    watchedJobId = response.job.id;
+    currentPodcastId = null;
+    document.getElementById('startGenerateBtn').style.display = 'none';
+    handleJobUpdate(response.job);
+  } catch (error) {
+    console.error('Error generating podcast:', error);
+    document.getElementById('progressText').textContent = `Error: ${error.message}`;
+    document.getElementById('progressFill').style.backgroundColor = 'var(--error-color)';
+  } finally {
+    document.getElementById('startGenerateBtn').disabled = false;
+  }
+}
+
+/**
+ * Show a generated script in the generate podcast modal, colored by speaker
+ * @param {string} script - Podcast script
+ * @param {Array<Object>} cast - Cast the script was written for
+ */
+function showGeneratedScript(script, cast) {
+  document.getElementById('generatedPodcast').style.display = 'block';
+  document.getElementById('startGenerateBtn').style.display = 'none';
+  
+  const labelPattern = new RegExp(`^(${createSpeakerLabelPattern(cast)})\\s*:`, 'i');
+  const scriptElement = document.getElementById('podcastScript');
+  scriptElement.innerHTML = '';
+  
+  script.split('\n').forEach((line, index) => {
+    if (index > 0) {
+      scriptElement.appendChild(document.createTextNode('\n'));
+    }
+    
+    const match = line.match(labelPattern);
+    const speaker = match ? findSpeakerByLabel(cast, match[1]) : null;
+    if (!speaker) {
+      scriptElement.appendChild(document.createTextNode(line));
+      return;
+    }
+    
+    // Show the speaker's name in place of IDs like HOST:
+    const span = document.createElement('span');
+    span.style.color = SPEAKER_COLORS[cast.indexOf(speaker) % SPEAKER_COLORS.length];
+    span.textContent = `${speaker.name}:${line.substring(match[0].length)}`;
+    scriptElement.appendChild(span);
+  });
+  
+  const audioStatusElement = document.getElementById('audioStatus') || document.createElement('div');
+  if (!document.getElementById('audioStatus')) {
+    audioStatusElement.id = 'audioStatus';
+    audioStatusElement.className = 'audio-status';
+    document.getElementById('generatedPodcast').appendChild(audioStatusElement);
+  }
+  audioStatusElement.innerHTML = '<p>Audio is being generated in the background. You can close this window; progress stays in the generation panel.</p>';
+}
+
+/**
+ * Load the background generation jobs and start following their updates
+ */
+async function loadJobs() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'JOB_UPDATED') {
+      handleJobUpdate(message.job);
+    }
+  });
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_JOBS' });
+    if (response && response.success) {
+      podcastJobs = response.jobs;
+      renderJobsPanel();
+    }
+  } catch (error) {
+    console.error('Error loading generation jobs:', error);
+  }
+}
+
+/**
+ * Apply a job update from the background worker
+ * @param {Object} job - Job summary
+ */
+function handleJobUpdate(job) {
+  const index = podcastJobs.findIndex(existing => existing.id === job.id);
+  const previous = index === -1 ? null : podcastJobs[index];
+  
+  // Updates can arrive out of order; keep the most recent one
+  if (previous && previous.dateUpdated > job.dateUpdated) return;
+  
+  if (index === -1) {
+    podcastJobs.unshift(job);
+  } else {
+    podcastJobs[index] = job;
+  }
+  renderJobsPanel();
+  
+  const justCompleted = job.state === 'completed' && (!previous || previous.state !== 'completed');
+  if (justCompleted) {
+    loadPodcasts();
+    markArticlesStatus(job.articleIds, ARTICLE_STATUS.IN_PODCAST);
+  }
+  
+  if (job.id !== watchedJobId) return;
+  
+  if (job.script && (!previous || !previous.script)) {
+    showGeneratedScript(job.script, job.cast || getScriptCast({ hostNames: job.hostNames || {} }));
+  }
+  
+  if (job.lengthReport) {
+    document.getElementById('scriptLengthInfo').textContent =
+      `Estimated script length: ${describeLengthComparison(job.lengthReport)}`;
+  }
+  
+  if (job.state === 'completed') {
+    if (justCompleted) {
+      currentPodcastId = job.podcastId;
+      updateProgress({
+        stage: 'complete',
+        progress: 100,
+        audioData: {
+          podcastId: job.podcastId,
+          duration: job.duration,
+          size: job.size,
+          articleIds: job.articleIds,
+          targetMinutes: job.options ? job.options.targetMinutes : null
+        }
+      });
+    }
+  } else if (job.state === 'failed') {
+    updateProgress({ error: true, message: job.error });
+  } else if (job.state === 'cancelled') {
+    updateProgress({ message: 'Podcast generation cancelled', progress: 0 });
+  } else if (job.state === 'review') {
+    updateProgress({ message: job.message, progress: job.progress });
+    const audioStatus = document.getElementById('audioStatus');
+    if (audioStatus) {
+      audioStatus.textContent = 'The script is waiting for review. Audio is made once you choose Synthesize.';
+    }
+    if (!previous || previous.state !== 'review') {
+      closeGeneratePodcastModal();
+      openScriptEditor(job.id);
+    }
+  } else {
+    updateProgress({ message: job.message, progress: job.progress });
+  }
+}
+
+/**
+ * Render the list of background generation jobs
+ */
+function renderJobsPanel() {
+  const panel = document.getElementById('jobsPanel');
+  const list = document.getElementById('jobsList');
+  if (!panel || !list) return;
+  
+  panel.style.display = podcastJobs.length > 0 ? 'block' : 'none';
+  list.innerHTML = '';
+  podcastJobs.forEach(job => list.appendChild(createJobRow(job)));
+}
+
+/**
+ * Create the panel row for a generation job
+ * @param {Object} job - Job summary
+ * @returns {HTMLElement} Job row
+ */
+function createJobRow(job) {
+  const row = document.createElement('div');
+  row.className = `job-row ${job.state}`;
+  
+  const stateLabels = {
+    pending: 'Queued',
+    running: 'Running',
+    review: 'Awaiting review',
+    completed: 'Completed',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  };
+  
+  let detail = job.state === 'failed' ? job.error : job.message;
+  if (job.state === 'running' && job.lineProgress) {
+    detail += ` (line ${job.lineProgress.current} of ${job.lineProgress.total})`;
+  }
+  
+  const articleCount = job.articleIds.length;
+  row.innerHTML = `
+    <div class="job-row-header">
+      <div>
+        <strong>${job.title || 'Untitled Podcast'}</strong>
+        <span class="job-meta">${stateLabels[job.state]} • ${articleCount} article${articleCount === 1 ? '' : 's'}</span>
+      </div>
+      <div class="job-actions"></div>
+    </div>
+    <div class="job-meta">${detail || ''}</div>
+    ${job.state === 'running' || job.state === 'pending' ? `
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${job.progress || 0}%"></div>
+      </div>
+    ` : ''}
+  `;
+  
+  const actions = row.querySelector('.job-actions');
+  const addAction = (label, action) => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary btn-sm';
+    button.textContent = label;
+    button.addEventListener('click', () => sendJobAction(action, job.id));
+    actions.appendChild(button);
+  };
+  
+  if (job.state === 'pending' || job.state === 'running') {
+    addAction('Cancel', 'CANCEL_JOB');
+  }
+  if (job.state === 'failed' || job.state === 'cancelled') {
+    addAction('Retry', 'RETRY_JOB');
+  }
+  if (job.state === 'review') {
+    const reviewButton = document.createElement('button');
+    reviewButton.className = 'btn btn-primary btn-sm';
+    reviewButton.textContent = 'Review Script';
+    reviewButton.addEventListener('click', () => openScriptEditor(job.id));
+    actions.appendChild(reviewButton);
+  }
+  if (job.state !== 'running') {
+    addAction('Remove', 'REMOVE_JOB');
+  }
+  
+  return row;
+}
+
+/**
+ * Ask the background worker to act on a generation job
+ * @param {string} action - CANCEL_JOB, RETRY_JOB or REMOVE_JOB
+ * @param {number} jobId - Job ID
+ */
+async function sendJobAction(action, jobId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action, jobId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The job could not be updated');
+    }
+    
+    if (action === 'REMOVE_JOB') {
+      podcastJobs = podcastJobs.filter(job => job.id !== jobId);
+      renderJobsPanel();
+    }
+  } catch (error) {
+    console.error(`Error handling ${action}:`, error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Remove completed, failed and cancelled jobs from the panel
+ */
+async function clearFinishedJobs() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'CLEAR_FINISHED_JOBS' });
+    podcastJobs = podcastJobs.filter(job => ['pending', 'running', 'review'].includes(job.state));
+    renderJobsPanel();
+  } catch (error) {
+    console.error('Error clearing jobs:', error);
+    showStatus(`Error clearing jobs: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the script of a job awaiting review in the editor
+ * @param {number} jobId - Job ID
+ */
+async function openScriptEditor(jobId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_JOB_SCRIPT', jobId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The script could not be loaded');
+    }
+    
+    scriptEditor = {
+      jobId,
+      cast: response.cast,
+      sections: response.sections,
+      dialogue: response.dialogue,
+      targetMinutes: response.lengthReport ? response.lengthReport.targetMinutes : null,
+      dirty: false
+    };
+    renderScriptEditor();
+    document.getElementById('scriptEditorModal').style.display = 'flex';
+  } catch (error) {
+    console.error('Error opening script editor:', error);
+    showStatus(`Error opening script: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Close the script editor, checking first when there are unsaved edits
+ */
+function closeScriptEditor() {
+  if (scriptEditor && scriptEditor.dirty && !confirm('Close the script without saving your changes?')) return;
+  
+  document.getElementById('scriptEditorModal').style.display = 'none';
+  scriptEditor = null;
+}
+
+/**
+ * Get the section a turn is shown under in the editor
+ * @param {Object} turn - Dialogue turn
+ * @returns {string|null} Section ID, or null for turns outside the known sections
+ */
+function getEditorSection(turn) {
+  return scriptEditor.sections.some(section => section.id === turn.section) ? turn.section : null;
+}
+
+/**
+ * Show the script under review, one editable row per turn, grouped by section
+ */
+function renderScriptEditor() {
+  const container = document.getElementById('scriptEditorTurns');
+  container.innerHTML = '';
+  
+  const groups = [...scriptEditor.sections];
+  if (scriptEditor.dialogue.some(turn => getEditorSection(turn) === null)) {
+    groups.push({ id: null, title: 'Other lines' });
+  }
+  
+  groups.forEach(section => {
+    const header = document.createElement('div');
+    header.className = 'script-section-header';
+    const title = document.createElement('h4');
+    title.textContent = section.title;
+    const actions = document.createElement('div');
+    actions.className = 'script-turn-actions';
+    header.append(title, actions);
+    
+    if (section.articleId) {
+      actions.appendChild(createEditorButton('Regenerate', 'regenerate', { section: section.id, articleId: section.articleId }));
+    }
+    actions.appendChild(createEditorButton('Add Line', 'add', { section: section.id || '' }));
+    container.appendChild(header);
+    
+    scriptEditor.dialogue.forEach((turn, index) => {
+      if (getEditorSection(turn) !== section.id) return;
+      container.appendChild(createScriptTurnRow(turn, index));
+    });
+  });
+  
+  updateScriptEditorInfo();
+}
+
+/**
+ * Create a small editor button that carries its action in data attributes
+ * @param {string} label - Button text
+ * @param {string} action - Editor action
+ * @param {Object} data - Extra data attributes
+ * @returns {HTMLButtonElement} Button
+ */
+function createEditorButton(label, action, data = {}) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm btn-secondary';
+  button.textContent = label;
+  button.dataset.action = action;
+  Object.entries(data).forEach(([key, value]) => {
+    button.dataset[key] = value;
+  });
+  return button;
+}
+
+/**
+ * Create the editor row for one turn
+ * @param {Object} turn - Dialogue turn
+ * @param {number} index - Position in the dialogue
+ * @returns {HTMLElement} Row
+ */
+function createScriptTurnRow(turn, index) {
+  const row = document.createElement('div');
+  row.className = 'script-turn';
+  row.dataset.index = index;
+  
+  const speakerSelect = document.createElement('select');
+  speakerSelect.className = 'script-turn-speaker';
+  scriptEditor.cast.forEach(speaker => {
+    const option = document.createElement('option');
+    option.value = speaker.id;
+    option.textContent = speaker.name;
+    speakerSelect.appendChild(option);
+  });
+  speakerSelect.value = turn.speaker;
+  
+  const textArea = document.createElement('textarea');
+  textArea.className = 'script-turn-text';
+  textArea.value = turn.text;
+  
+  const section = getEditorSection(turn);
+  const previous = scriptEditor.dialogue[index - 1];
+  const next = scriptEditor.dialogue[index + 1];
+  
+  const actions = document.createElement('div');
+  actions.className = 'script-turn-actions';
+  const upButton = createEditorButton('\u2191', 'up');
+  upButton.title = 'Move up';
+  upButton.disabled = !previous || getEditorSection(previous) !== section;
+  const downButton = createEditorButton('\u2193', 'down');
+  downButton.title = 'Move down';
+  downButton.disabled = !next || getEditorSection(next) !== section;
+  const insertButton = createEditorButton('+', 'insert');
+  insertButton.title = 'Insert a line below';
+  const deleteButton = createEditorButton('\u00d7', 'delete');
+  deleteButton.title = 'Delete line';
+  actions.append(upButton, downButton, insertButton, deleteButton);
+  
+  row.append(speakerSelect, textArea, actions);
+  return row;
+}
+
+/**
+ * Show the line count and estimated length of the script under review
+ */
+function updateScriptEditorInfo() {
+  const words = scriptEditor.dialogue
+    .map(turn => turn.text.split(/\s+/).filter(Boolean).length)
+    .reduce((total, count) => total + count, 0);
+  const comparison = compareToTarget(words / WORDS_PER_MINUTE, scriptEditor.targetMinutes);
+  
+  document.getElementById('scriptEditorInfo').textContent =
+    `${scriptEditor.dialogue.length} lines, ${words} words, estimated ${describeLengthComparison(comparison)}` +
+    (scriptEditor.dirty ? ' \u2022 unsaved changes' : '');
+}
+
+/**
+ * Mark the script as edited and redraw it
+ */
+function markScriptEdited() {
+  scriptEditor.dirty = true;
+  renderScriptEditor();
+}
+
+/**
+ * Find where new lines of a section go: after its last line, or where it would start
+ * @param {string|null} sectionId - Section ID
+ * @returns {number} Position in the dialogue
+ */
+function getSectionEnd(sectionId) {
+  const order = scriptEditor.sections.map(section => section.id);
+  const rank = id => (id === null ? order.length : order.indexOf(id));
+  const sectionRank = rank(sectionId);
+  
+  let position = 0;
+  scriptEditor.dialogue.forEach((turn, index) => {
+    if (rank(getEditorSection(turn)) <= sectionRank) {
+      position = index + 1;
+    }
+  });
+  return position;
+}
+
+/**
+ * Get the speaker who usually follows another: the next cast member in order
+ * @param {string} speakerId - Speaker ID
+ * @returns {string} Speaker ID
+ */
+function getNextSpeaker(speakerId) {
+  const index = scriptEditor.cast.findIndex(speaker => speaker.id === speakerId);
+  return scriptEditor.cast[(index + 1) % scriptEditor.cast.length].id;
+}
+
+/**
+ * Handle a click on one of the script editor's buttons
+ * @param {Event} event - Click event
+ */
+async function handleScriptEditorClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button || !scriptEditor) return;
+  
+  const dialogue = scriptEditor.dialogue;
+  const row = button.closest('.script-turn');
+  const index = row ? parseInt(row.dataset.index, 10) : -1;
+  
+  switch (button.dataset.action) {
+    case 'up':
+      [dialogue[index - 1], dialogue[index]] = [dialogue[index], dialogue[index - 1]];
+      break;
+    case 'down':
+      [dialogue[index], dialogue[index + 1]] = [dialogue[index + 1], dialogue[index]];
+      break;
+    case 'insert':
+      dialogue.splice(index + 1, 0, {
+        speaker: getNextSpeaker(dialogue[index].speaker),
+        text: '',
+        section: dialogue[index].section
+      });
+      break;
+    case 'delete':
+      dialogue.splice(index, 1);
+      break;
+    case 'add': {
+      const sectionId = button.dataset.section || null;
+      const position = getSectionEnd(sectionId);
+      const before = dialogue[position - 1];
+      dialogue.splice(position, 0, {
+        speaker: before && getEditorSection(before) === sectionId ? getNextSpeaker(before.speaker) : scriptEditor.cast[0].id,
+        text: '',
+        section: sectionId || undefined
+      });
+      break;
+    }
+    case 'regenerate':
+      await regenerateScriptSection(button, button.dataset.section, parseInt(button.dataset.articleId, 10));
+      return;
+    default:
+      return;
+  }
+  
+  markScriptEdited();
+}
+
+/**
+ * Replace one article's lines with a newly written discussion
+ * @param {HTMLButtonElement} button - Regenerate button, disabled while the model writes
+ * @param {string} sectionId - Section ID
+ * @param {number} articleId - Article ID
+ */
+async function regenerateScriptSection(button, sectionId, articleId) {
+  const jobId = scriptEditor.jobId;
+  button.disabled = true;
+  button.textContent = 'Writing...';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'REGENERATE_JOB_SEGMENT', jobId, articleId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The discussion could not be rewritten');
+    }
+    // The editor may have been closed while the model was writing
+    if (!scriptEditor || scriptEditor.jobId !== jobId) return;
+    
+    const position = getSectionEnd(sectionId) - scriptEditor.dialogue.filter(turn => turn.section === sectionId).length;
+    scriptEditor.dialogue = scriptEditor.dialogue.filter(turn => turn.section !== sectionId);
+    scriptEditor.dialogue.splice(position, 0, ...response.turns);
+    markScriptEdited();
+    showStatus('Discussion rewritten; save or synthesize to keep it', 'success');
+  } catch (error) {
+    console.error('Error regenerating discussion:', error);
+    showStatus(`Error regenerating discussion: ${error.message}`, 'error');
+    button.disabled = false;
+    button.textContent = 'Regenerate';
+  }
+}
+
+/**
+ * Save the edited script, or save it and start making the audio
+ * @param {boolean} synthesize - Whether to synthesize after saving
+ */
+async function saveEditedScript(synthesize) {
+  if (!scriptEditor) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: synthesize ? 'SYNTHESIZE_JOB' : 'SAVE_JOB_SCRIPT',
+      jobId: scriptEditor.jobId,
+      dialogue: scriptEditor.dialogue
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The script could not be saved');
+    }
+    
+    scriptEditor.dirty = false;
+    if (synthesize) {
+      closeScriptEditor();
+      showStatus('Script saved; the audio is being made in the background', 'success');
+    } else {
+      // Empty lines are dropped when the script is saved
+      scriptEditor.dialogue = scriptEditor.dialogue.filter(turn => turn.text.trim());
+      renderScriptEditor();
+      showStatus('Script saved', 'success');
+    }
+  } catch (error) {
+    console.error('Error saving script:', error);
+    showStatus(`Error saving script: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Download the generated podcast
+ */
+async function downloadPodcast() {
+  if (!currentPodcastId) return;
+  
+  try {
+    const podcast = await getAudioById(currentPodcastId);
+    
+    if (!podcast || !podcast.blob) {
+      throw new Error('Podcast audio not found');
+    }
+    
+    await openExportDialog(podcast);
+  } catch (error) {
+    console.error('Error downloading podcast:', error);
+    showStatus(`Error downloading podcast: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Open the download dialog for a podcast, with its details filled in from its show and articles
+ * @param {Object} podcast - Podcast record
+ */
+async function openExportDialog(podcast) {
+  const saved = (await getSetting(EXPORT_SETTINGS_KEY)) || {};
+  const settings = podcast.settings || {};
+  
+  const formatSelect = document.getElementById('exportFormatSelect');
+  formatSelect.innerHTML = '';
+  EXPORT_FORMATS.forEach(format => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  });
+  formatSelect.value = getExportFormat(saved.formatId || DEFAULT_EXPORT_FORMAT_ID).id;
+  updateExportBitrates(saved.bitrates || {});
+  
+  const shows = await getShows();
+  const show = shows.find(entry => entry.id === settings.showId);
+  const articles = await Promise.all((podcast.articleIds || []).map(id => getArticleById(id).catch(() => null)));
+  const articleTitles = articles.filter(Boolean).map(article => article.title || 'Untitled');
+  
+  const details = getEpisodeDetails(podcast);
+  document.getElementById('exportTitleInput').value = details.title;
+  document.getElementById('exportShowInput').value = show ? show.name : '';
+  document.getElementById('exportDescriptionInput').value = details.description || createEpisodeDescription(articleTitles);
+  await loadCoverAssets(saved.coverId);
+  
+  document.getElementById('exportProgress').style.display = 'none';
+  document.getElementById('startExportBtn').disabled = false;
+  exportDialog = { podcastId: podcast.id, abortController: null };
+  document.getElementById('exportModal').style.display = 'flex';
+}
+
+/**
+ * Offer the selected format's bitrates; WAV has none
+ * @param {Object} [bitrates] - Bitrate chosen last time, by format ID
+ */
+function updateExportBitrates(bitrates = {}) {
+  const format = getExportFormat(document.getElementById('exportFormatSelect').value);
+  const bitrateSelect = document.getElementById('exportBitrateSelect');
+  
+  bitrateSelect.innerHTML = '';
+  format.bitrates.forEach(bitrate => {
+    const option = document.createElement('option');
+    option.value = bitrate;
+    option.textContent = `${bitrate} kbps`;
+    bitrateSelect.appendChild(option);
+  });
+  bitrateSelect.value = String(format.bitrates.includes(bitrates[format.id]) ? bitrates[format.id] : format.defaultBitrate);
+  bitrateSelect.style.display = format.bitrates.length > 0 ? '' : 'none';
+}
+
+/**
+ * Fill a dialog's cover choices from the uploaded images
+ * @param {number|null} coverId - Cover to select
+ * @param {string} [selectId] - Cover select to fill
+ */
+async function loadCoverAssets(coverId, selectId = 'exportCoverSelect') {
+  const coverSelect = document.getElementById(selectId);
+  const covers = (await getAllAssets()).filter(asset => asset.kind === 'cover');
+  
+  coverSelect.innerHTML = '<option value="">None</option>';
+  covers.forEach(cover => {
+    const option = document.createElement('option');
+    option.value = cover.id;
+    option.textContent = cover.name;
+    coverSelect.appendChild(option);
+  });
+  coverSelect.value = covers.some(cover => cover.id === coverId) ? String(coverId) : '';
+}
+
+/**
+ * Save a cover image picked for upload and select it
+ * @param {Event} event - Change event of the cover file input
+ */
+async function uploadCoverAsset(event) {
+  const input = event.target;
+  const file = input.files[0];
+  const selectId = input.dataset.select || 'exportCoverSelect';
+  input.value = '';
+  if (!file) return;
+  
+  // Podcast apps only read JPEG and PNG covers
+  if (!['image/jpeg', 'image/png'].includes(file.type)) {
+    showStatus(`"${file.name}" is not a JPEG or PNG image`, 'error');
+    return;
+  }
+  if (file.size > MAX_COVER_FILE_BYTES) {
+    showStatus(`"${file.name}" is larger than ${MAX_COVER_FILE_BYTES / (1024 * 1024)} MB`, 'error');
+    return;
+  }
+  
+  try {
+    const name = file.name.replace(/\.[^.]+$/, '') || file.name;
+    const id = await saveAsset({ name, kind: 'cover', blob: file });
+    await loadCoverAssets(id, selectId);
+    showStatus(`Uploaded "${name}"`, 'success');
+  } catch (error) {
+    console.error('Error uploading cover:', error);
+    showStatus(`Error uploading cover: ${error.message}`, 'error');
   }
 }
 
 /**
- * Export selected articles
+ * Delete the selected cover image
  */
-async function exportSelectedArticles() {
-  if (selectedArticles.size === 0) return;
+async function deleteCoverAsset() {
+  const coverSelect = document.getElementById('exportCoverSelect');
+  const coverId = parseInt(coverSelect.value, 10);
+  if (!coverId) return;
+  const name = coverSelect.options[coverSelect.selectedIndex].textContent;
+  if (!confirm(`Delete the cover "${name}"?`)) return;
   
   try {
-    // Get full articles for the selected IDs
-    const selectedArticlesData = await Promise.all(
-      Array.from(selectedArticles).map(id => getArticleById(id))
-    );
-    
-    // Get audio files for the selected articles
-    const audioData = [];
-    for (const article of selectedArticlesData) {
-      const audioFiles = await getAudioForArticle(article.id);
-      audioData.push(...audioFiles);
-    }
+    await deleteAsset(coverId);
+    await loadCoverAssets(null);
+    showStatus(`Deleted "${name}"`, 'success');
+  } catch (error) {
+    console.error('Error deleting cover:', error);
+    showStatus(`Error deleting cover: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Encode the podcast in the chosen format and download it
+ */
+async function startExport() {
+  if (!exportDialog || exportDialog.abortController) return;
+  
+  const formatId = document.getElementById('exportFormatSelect').value;
+  const format = getExportFormat(formatId);
+  const bitrate = parseInt(document.getElementById('exportBitrateSelect').value, 10) || null;
+  const coverId = parseInt(document.getElementById('exportCoverSelect').value, 10) || null;
+  const showName = document.getElementById('exportShowInput').value.trim() || 'Article to Audio';
+  const title = document.getElementById('exportTitleInput').value.trim() || 'Untitled Podcast';
+  
+  const progressText = document.getElementById('exportProgressText');
+  const progressFill = document.getElementById('exportProgressFill');
+  const startExportBtn = document.getElementById('startExportBtn');
+  document.getElementById('exportProgress').style.display = 'block';
+  progressFill.style.width = '0%';
+  startExportBtn.disabled = true;
+  
+  const dialog = exportDialog;
+  dialog.abortController = new AbortController();
+  
+  try {
+    const saved = (await getSetting(EXPORT_SETTINGS_KEY)) || {};
+    await saveSetting(EXPORT_SETTINGS_KEY, {
+      formatId,
+      bitrates: { ...(saved.bitrates || {}), ...(bitrate ? { [formatId]: bitrate } : {}) },
+      coverId
+    });
     
-    // Create export data
-    const exportData = {
-      articles: selectedArticlesData,
-      audio: audioData,
-      exportDate: new Date().toISOString(),
-      version: '1.0'
+    const podcast = await getAudioById(dialog.podcastId);
+    const cover = coverId ? await getAssetById(coverId) : null;
+    const metadata = {
+      title,
+      artist: showName,
+      album: showName,
+      description: document.getElementById('exportDescriptionInput').value.trim(),
+      cover: cover && cover.blob ? { type: cover.blob.type, data: new Uint8Array(await cover.blob.arrayBuffer()) } : null
     };
     
-    // Create and download JSON file
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    const blob = await exportPodcast(podcast, { formatId, bitrate, metadata }, (progress) => {
+      progressText.textContent = progress.message;
+      progressFill.style.width = `${progress.progress}%`;
+    }, dialog.abortController.signal);
+    
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `article-export-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `${title}.${format.extension}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
-    showStatus(`${selectedArticlesData.length} articles exported successfully`, 'success');
+    closeExportDialog();
+    showStatus(`Downloaded "${title}" as ${format.label}`, 'success');
   } catch (error) {
-    console.error('Error exporting articles:', error);
-    showStatus(`Error exporting articles: ${error.message}`, 'error');
+    if (dialog.abortController.signal.aborted) return;
+    console.error('Error exporting podcast:', error);
+    progressText.textContent = `Error: ${error.message}`;
+    showStatus(`Error exporting podcast: ${error.message}`, 'error');
+  } finally {
+    dialog.abortController = null;
+    startExportBtn.disabled = false;
   }
 }
 
 /**
- * Validate voice selections and update Generate button state
+ * Close the download dialog, stopping an export that is still running
  */
-function validateVoiceSelections() {
-  const hostVoice = document.getElementById('hostVoiceSelect').value;
-  const cohostVoice = document.getElementById('cohostVoiceSelect').value;
-  const startGenerateBtn = document.getElementById('startGenerateBtn');
-  
-  // Enable the Generate button only if both voices are selected and they are different
-  startGenerateBtn.disabled = !hostVoice || !cohostVoice || hostVoice === cohostVoice;
-  
-  if (hostVoice && cohostVoice && hostVoice === cohostVoice) {
-    showStatus('Please select different voices for host and co-host', 'warning');
+function closeExportDialog() {
+  if (exportDialog && exportDialog.abortController) {
+    exportDialog.abortController.abort();
   }
+  exportDialog = null;
+  document.getElementById('exportModal').style.display = 'none';
 }
 
 /**
- * Open the generate podcast modal
+ * Open the feed dialog for the selected podcasts, or all of them
  */
-async function openGeneratePodcastModal() {
-  console.log('openGeneratePodcastModal called, selectedArticles size:', selectedArticles.size);
-  
-  if (selectedArticles.size === 0) {
-    console.log('No articles selected, returning...');
-    return;
-  }
-  
-  // Get the modal and title input
-  const modal = document.getElementById('generatePodcastModal');
-  const titleInput = document.getElementById('podcastTitle');
-  
-  if (!modal || !titleInput) {
-    console.error('Modal or title input not found!');
+async function openFeedDialog() {
+  const podcastIds = selectedPodcasts.size > 0
+    ? Array.from(selectedPodcasts)
+    : allPodcasts.map(podcast => podcast.id);
+  if (podcastIds.length === 0) {
+    showStatus('There are no podcasts to export', 'error');
     return;
   }
   
-  console.log('Setting up the modal...');
-  
-  // Reset the modal
-  document.getElementById('progressContainer').style.display = 'none';
-  document.getElementById('generatedPodcast').style.display = 'none';
-  document.getElementById('startGenerateBtn').style.display = 'block';
-  document.getElementById('downloadPodcastBtn').style.display = 'none';
-  
-  // Set default title as current date in format "15 Mar, 2025"
-  const now = new Date();
-  const day = now.getDate();
-  const month = now.toLocaleString('en-US', { month: 'short' });
-  const year = now.getFullYear();
-  titleInput.value = `${day} ${month}, ${year}`;
-  
-  // Load voice settings from storage
-  try {
-    const hostVoice = await getSetting('host_voice');
-    if (hostVoice) {
-      document.getElementById('hostVoiceSelect').value = hostVoice;
-    }
-    
-    const cohostVoice = await getSetting('cohost_voice');
-    if (cohostVoice) {
-      document.getElementById('cohostVoiceSelect').value = cohostVoice;
-    }
-  } catch (error) {
-    console.error('Error loading voice settings:', error);
-  }
-  
-  // Validate initial voice selections
-  validateVoiceSelections();
+  const saved = (await getSetting(FEED_SETTINGS_KEY)) || {};
+  const channel = { ...DEFAULT_CHANNEL, ...(saved.channel || {}) };
+  
+  document.getElementById('feedEpisodeCount').textContent = podcastIds.length === 1
+    ? '1 episode will be exported.'
+    : `${podcastIds.length} episodes will be exported.`;
+  document.getElementById('feedBaseUrlInput').value = channel.baseUrl;
+  document.getElementById('feedTitleInput').value = channel.title;
+  document.getElementById('feedDescriptionInput').value = channel.description;
+  document.getElementById('feedAuthorInput').value = channel.author;
+  document.getElementById('feedEmailInput').value = channel.email;
+  document.getElementById('feedLanguageInput').value = channel.language;
+  document.getElementById('feedCategoryInput').value = channel.category;
+  document.getElementById('feedExplicitCheckbox').checked = Boolean(channel.explicit);
+  await loadCoverAssets(channel.coverId, 'feedCoverSelect');
+  
+  const formatSelect = document.getElementById('feedFormatSelect');
+  formatSelect.innerHTML = '';
+  FEED_FORMAT_IDS.map(getExportFormat).forEach(format => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  });
+  formatSelect.value = FEED_FORMAT_IDS.includes(saved.formatId) ? saved.formatId : FEED_FORMAT_IDS[0];
   
-  // Display the modal
-  console.log('Displaying the modal...');
-  modal.style.display = 'flex';
+  document.getElementById('feedProgress').style.display = 'none';
+  document.getElementById('startFeedExportBtn').disabled = false;
+  feedExport = { podcastIds, abortController: null };
+  document.getElementById('feedModal').style.display = 'flex';
 }
 
 /**
- * Close the generate podcast modal
+ * Read the feed dialog's channel details
+ * @returns {Object} Channel details, as DEFAULT_CHANNEL
  */
-function closeGeneratePodcastModal() {
-  const modal = document.getElementById('generatePodcastModal');
-  modal.style.display = 'none';
+function getChannelFromForm() {
+  return {
+    baseUrl: document.getElementById('feedBaseUrlInput').value.trim(),
+    title: document.getElementById('feedTitleInput').value.trim() || DEFAULT_CHANNEL.title,
+    description: document.getElementById('feedDescriptionInput').value.trim() || DEFAULT_CHANNEL.description,
+    author: document.getElementById('feedAuthorInput').value.trim(),
+    email: document.getElementById('feedEmailInput').value.trim(),
+    language: document.getElementById('feedLanguageInput').value.trim() || DEFAULT_CHANNEL.language,
+    category: document.getElementById('feedCategoryInput').value.trim(),
+    explicit: document.getElementById('feedExplicitCheckbox').checked,
+    coverId: parseInt(document.getElementById('feedCoverSelect').value, 10) || null
+  };
 }
 
 /**
- * Start podcast generation
+ * Export the feed and download it as a zip
  */
-async function startPodcastGeneration() {
-  if (selectedArticles.size === 0) return;
+async function startFeedExport() {
+  if (!feedExport || feedExport.abortController) return;
   
-  // Get selected articles
-  const articleIds = Array.from(selectedArticles);
-  
-  // Get options from form
-  const title = document.getElementById('podcastTitle').value;
-  const hostVoice = document.getElementById('hostVoiceSelect').value;
-  const cohostVoice = document.getElementById('cohostVoiceSelect').value;
-  const includeIntro = document.getElementById('includeIntro').checked;
-  const includeConclusion = document.getElementById('includeConclusion').checked;
-  
-  // Save the selected voices to storage so they're remembered for next time
-  try {
-    await saveSetting('host_voice', hostVoice);
-    await saveSetting('cohost_voice', cohostVoice);
-  } catch (error) {
-    console.error('Error saving voice settings:', error);
-    // Continue anyway - this is not critical
-  }
-  
-  // Voice to name mapping
-  const voiceNameMap = {
-    'alloy': 'Esha',
-    'echo': 'Hari',
-    'fable': 'Mira',
-    'onyx': 'Tej',
-    'nova': 'Leela',
-    'shimmer': 'Veena'
-  };
-  
-  // Get host names from the mapping
-  const hostName = voiceNameMap[hostVoice];
-  const cohostName = voiceNameMap[cohostVoice];
+  const channel = getChannelFromForm();
+  const formatId = document.getElementById('feedFormatSelect').value;
+  const progressText = document.getElementById('feedProgressText');
+  const progressFill = document.getElementById('feedProgressFill');
+  const startFeedExportBtn = document.getElementById('startFeedExportBtn');
+  document.getElementById('feedProgress').style.display = 'block';
+  progressFill.style.width = '0%';
+  startFeedExportBtn.disabled = true;
   
-  // Prepare UI for generation
-  document.getElementById('progressContainer').style.display = 'block';
-  document.getElementById('startGenerateBtn').disabled = true;
-  document.getElementById('progressText').textContent = `Starting podcast generation with ${hostName} and ${cohostName}...`;
-  document.getElementById('progressFill').style.width = '5%';
+  const dialog = feedExport;
+  dialog.abortController = new AbortController();
   
   try {
-    // Check for API key
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not set. Please go to settings and add your API key.');
-    }
-    
-    // Set up options
-    const options = {
-      title,
-      voiceMap: {
-        'HOST': hostVoice,
-        'CO-HOST': cohostVoice
-      },
-      hostNames: {
-        'HOST': hostName,
-        'CO-HOST': cohostName
-      },
-      includeIntroduction: includeIntro,
-      includeConclusion: includeConclusion,
-      // Add explicit name replacements
-      nameReplacements: {
-        'Alice': hostName,
-        'Bob': cohostName
-      }
-    };
-    
-    // Generate podcast script and start audio generation in background
-    const podcastData = await generatePodcast(articleIds, options, updateProgress);
+    await saveSetting(FEED_SETTINGS_KEY, { channel, formatId });
     
-    // Show the generated podcast script immediately
-    document.getElementById('generatedPodcast').style.display = 'block';
-    document.getElementById('startGenerateBtn').style.display = 'none';
-    
-    // Show the script in the UI
-    const scriptElement = document.getElementById('podcastScript') || document.createElement('div');
-    if (!document.getElementById('podcastScript')) {
-      scriptElement.id = 'podcastScript';
-      scriptElement.style.display = 'none';
-      scriptElement.style.maxHeight = '300px';
-      scriptElement.style.overflowY = 'auto';
-      scriptElement.style.border = '1px solid var(--border-color)';
-      scriptElement.style.borderRadius = '6px';
-      scriptElement.style.padding = '15px';
-      scriptElement.style.background = '#f8f9fa';
-      scriptElement.style.whiteSpace = 'pre-wrap';
-      scriptElement.style.lineHeight = '1.5';
-      document.querySelector('.script-container').appendChild(scriptElement);
-    }
-    
-    // Color-code the script based on speaker
-    const coloredScript = podcastData.script
-      .split('\n')
-      .map(line => {
-        // Get the first word before the colon (the speaker name)
-        const speaker = line.split(':')[0];
-        
-        // Replace HOST/CO-HOST with actual names if present
-        let processedLine = line;
-        if (line.startsWith('HOST:')) {
-          processedLine = line.replace('HOST:', `${hostName}:`);
-        } else if (line.startsWith('CO-HOST:')) {
-          processedLine = line.replace('CO-HOST:', `${cohostName}:`);
-        }
-        
-        // Color based on the speaker name
-        if (speaker === hostName || speaker === 'HOST') {
-          return `<span style="color: #2563eb;">${processedLine}</span>`;
-        } else if (speaker === cohostName || speaker === 'CO-HOST') {
-          return `<span style="color: #dc2626;">${processedLine}</span>`;
-        }
-        return processedLine;
-      })
-      .join('\n');
-    
-    // Set the script content with colors
-    scriptElement.innerHTML = coloredScript;
-    
-    // Set up script toggle
-    const scriptToggle = document.getElementById('scriptToggle');
-    if (scriptToggle) {
-      // Remove existing event listeners by cloning and replacing
-      const newScriptToggle = scriptToggle.cloneNode(true);
-      scriptToggle.parentNode.replaceChild(newScriptToggle, scriptToggle);
-      
-      // Add new event listener
-      newScriptToggle.addEventListener('click', function() {
-        const scriptContainer = document.getElementById('podcastScript');
-        if (scriptContainer.style.display === 'none') {
-          scriptContainer.style.display = 'block';
-          newScriptToggle.textContent = 'Hide Script';
-        } else {
-          scriptContainer.style.display = 'none';
-          newScriptToggle.textContent = 'Show Script';
-        }
-      });
-    }
-    
-    // Audio is being generated in the background
-    // Show a message that audio is being generated
-    const audioStatusElement = document.getElementById('audioStatus') || document.createElement('div');
-    if (!document.getElementById('audioStatus')) {
-      audioStatusElement.id = 'audioStatus';
-      audioStatusElement.className = 'audio-status';
-      document.getElementById('generatedPodcast').appendChild(audioStatusElement);
-    }
-    audioStatusElement.innerHTML = '<p>Audio is being generated in the background. The player will appear when ready.</p>';
-    
-    // The download button will be shown when audio generation is complete
-    document.getElementById('downloadPodcastBtn').style.display = 'none';
-    
-    // Store script data for future reference
-    currentPodcastScriptData = podcastData;
+    const podcasts = (await Promise.all(dialog.podcastIds.map(id => getAudioById(id)))).filter(Boolean);
+    const zip = await exportFeed(podcasts, channel, formatId, (progress) => {
+      progressText.textContent = progress.message;
+      progressFill.style.width = `${progress.progress}%`;
+    }, dialog.abortController.signal);
     
-    // Store the generated podcast ID
-    currentPodcastId = podcastData.podcastId;
-    
-    // Show the generated podcast
-    document.getElementById('generatedPodcast').style.display = 'block';
-    document.getElementById('startGenerateBtn').style.display = 'none';
-    document.getElementById('downloadPodcastBtn').style.display = 'block';
-    
-    // Set up audio player
-    const audioPlayer = document.getElementById('audioPlayer');
-    const audio = await getAudioById(podcastData.podcastId);
+    const url = URL.createObjectURL(zip);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `podcast-feed-${new Date().toISOString().split('T')[0]}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
     
-    if (audio && audio.blob) {
-      const audioUrl = URL.createObjectURL(audio.blob);
-      audioPlayer.src = audioUrl;
-      
-      // Show podcast info
-      const duration = safeFormatDuration(safeEstimateAudioDuration(podcastData.duration));
-      const sizeInMb = (podcastData.size / (1024 * 1024)).toFixed(2);
-      document.getElementById('podcastInfo').textContent = 
-        `Duration: ${duration} | Size: ${sizeInMb} MB | Articles: ${articleIds.length}`;
-        
-      // Add podcast script to the display
-      if (audio.script) {
-        const scriptContainer = document.getElementById('podcastScript');
-        scriptContainer.textContent = audio.script;
-        
-        // Set up script toggle
-        const scriptToggle = document.getElementById('scriptToggle');
-        scriptToggle.addEventListener('click', function() {
-          const scriptContainer = document.getElementById('podcastScript');
-          if (scriptContainer.style.display === 'none') {
-            scriptContainer.style.display = 'block';
-            scriptToggle.textContent = 'Hide Script';
-          } else {
-            scriptContainer.style.display = 'none';
-            scriptToggle.textContent = 'Show Script';
-          }
-        });
-      }
-    }
+    closeFeedDialog();
+    showStatus(`Exported a feed with ${podcasts.length} episode${podcasts.length === 1 ? '' : 's'}`, 'success');
   } catch (error) {
-    console.error('Error generating podcast:', error);
-    document.getElementById('progressText').textContent = `Error: ${error.message}`;
-    document.getElementById('progressFill').style.backgroundColor = 'var(--error-color)';
+    if (dialog.abortController.signal.aborted) return;
+    console.error('Error exporting feed:', error);
+    progressText.textContent = `Error: ${error.message}`;
+    showStatus(`Error exporting feed: ${error.message}`, 'error');
   } finally {
-    document.getElementById('startGenerateBtn').disabled = false;
+    dialog.abortController = null;
+    startFeedExportBtn.disabled = false;
   }
 }
 
 /**
- * Download the generated podcast
+ * Close the feed dialog, stopping an export that is still running
  */
-async function downloadPodcast() {
-  if (!currentPodcastId) return;
+function closeFeedDialog() {
+  if (feedExport && feedExport.abortController) {
+    feedExport.abortController.abort();
+  }
+  feedExport = null;
+  document.getElementById('feedModal').style.display = 'none';
+}
+
+/**
+ * Open a podcast's episode details for the feed
+ * @param {Object} podcast - Podcast record
+ */
+function openEpisodeEditor(podcast) {
+  const details = getEpisodeDetails(podcast);
+  
+  document.getElementById('episodeTitleInput').value = details.title;
+  document.getElementById('episodeDescriptionInput').value = details.description;
+  document.getElementById('episodeNumberInput').value = details.number || '';
+  document.getElementById('episodeSeasonInput').value = details.season || '';
+  document.getElementById('episodeDateInput').value = details.publishedAt.split('T')[0];
+  document.getElementById('episodeExplicitCheckbox').checked = details.explicit;
+  
+  episodeEditor = podcast;
+  document.getElementById('episodeModal').style.display = 'flex';
+}
+
+/**
+ * Save the episode details with the podcast
+ */
+async function saveEpisodeDetails() {
+  if (!episodeEditor) return;
+  
+  const date = document.getElementById('episodeDateInput').value;
+  const episode = {
+    title: document.getElementById('episodeTitleInput').value.trim() || null,
+    description: document.getElementById('episodeDescriptionInput').value.trim(),
+    number: parseInt(document.getElementById('episodeNumberInput').value, 10) || null,
+    season: parseInt(document.getElementById('episodeSeasonInput').value, 10) || null,
+    explicit: document.getElementById('episodeExplicitCheckbox').checked,
+    // Episodes published the same day keep the time they were made, so they stay in order
+    publishedAt: date && date !== getEpisodeDetails(episodeEditor).publishedAt.split('T')[0]
+      ? new Date(`${date}T12:00:00`).toISOString()
+      : getEpisodeDetails(episodeEditor).publishedAt
+  };
   
   try {
-    const podcast = await getAudioById(currentPodcastId);
-    
-    if (!podcast || !podcast.blob) {
-      throw new Error('Podcast audio not found');
+    const podcast = await getAudioById(episodeEditor.id);
+    if (!podcast) {
+      throw new Error('Podcast not found');
     }
-    
-    // Create download link
-    const url = URL.createObjectURL(podcast.blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${podcast.title || 'podcast'}.mp3`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    await updateAudio({ ...podcast, episode });
+    episodeEditor.episode = episode;
+    closeEpisodeEditor();
+    showStatus('Episode details saved', 'success');
   } catch (error) {
-    console.error('Error downloading podcast:', error);
-    showStatus(`Error downloading podcast: ${error.message}`, 'error');
+    console.error('Error saving episode details:', error);
+    showStatus(`Error saving episode details: ${error.message}`, 'error');
   }
 }
 
+/**
+ * Close the episode details dialog
+ */
+function closeEpisodeEditor() {
+  episodeEditor = null;
+  document.getElementById('episodeModal').style.display = 'none';
+}
+
 /**
  * Get audio by ID
  * @param {number} id - Audio ID
@@ -1013,12 +2999,20 @@ async function updateProgress(progress) {
         const url = URL.createObjectURL(audio.blob);
         audioPlayer.src = url;
         audioPlayer.style.display = 'block';
+        trackPlaybackCompletion(audioPlayer, progress.audioData.articleIds);
         
         // Show podcast info
         const duration = safeFormatDuration(progress.audioData.duration);
         const sizeInMb = (progress.audioData.size / (1024 * 1024)).toFixed(2);
         document.getElementById('podcastInfo').textContent = 
           `Duration: ${duration} | Size: ${sizeInMb} MB | Articles: ${progress.audioData?.articleIds?.length || 'Unknown'}`;
+        
+        // Compare the finished audio against the requested length
+        if (progress.audioData.targetMinutes && progress.audioData.duration) {
+          const comparison = compareToTarget(progress.audioData.duration / 60, progress.audioData.targetMinutes);
+          document.getElementById('scriptLengthInfo').textContent =
+            `Audio length: ${describeLengthComparison(comparison)}`;
+        }
       }
     }).catch(error => {
       console.error('Error loading audio:', error);
@@ -1120,6 +3114,7 @@ function switchView(view) {
  */
 async function loadPodcasts() {
   try {
+    publishSettings = await getPublishSettings();
     allPodcasts = await getAllPodcasts();
     displayPodcasts(allPodcasts);
   } catch (error) {
@@ -1128,48 +3123,6 @@ async function loadPodcasts() {
   }
 }
 
-/**
- * Get all podcasts from the database
- * @returns {Promise<Array>} Array of podcast objects
- */
-async function getAllPodcasts() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    
-    request.onerror = () => {
-      reject(new Error("Failed to open database."));
-    };
-    
-    request.onsuccess = (event) => {
-      const db = event.target.result;
-      const transaction = db.transaction(["audio"], "readonly");
-      const store = transaction.objectStore("audio");
-      const index = store.index("type");
-      const query = IDBKeyRange.only("podcast");
-      const podcasts = [];
-      
-      index.openCursor(query).onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          // Don't include the blob in the results to save memory
-          const podcast = { ...cursor.value };
-          delete podcast.blob;
-          podcasts.push(podcast);
-          cursor.continue();
-        } else {
-          // Sort by date created (newest first)
-          podcasts.sort((a, b) => new Date(b.dateCreated) - new Date(a.dateCreated));
-          resolve(podcasts);
-        }
-      };
-      
-      transaction.onerror = () => {
-        reject(new Error("Failed to retrieve podcasts."));
-      };
-    };
-  });
-}
-
 /**
  * Display podcasts in the UI
  * @param {Array} podcasts - Array of podcast objects
@@ -1217,6 +3170,7 @@ function displayPodcasts(podcasts) {
 function createPodcastCard(podcast) {
   const card = document.createElement('div');
   card.className = 'podcast-card';
+  card.dataset.id = podcast.id;
   
   // Format date
   const date = new Date(podcast.dateCreated);
@@ -1244,14 +3198,13 @@ function createPodcastCard(podcast) {
     }
   }
   
-  // Get host names from the podcast settings
-  const hostName = podcast.settings?.hostNames?.['HOST'] || 'Host';
-  const cohostName = podcast.settings?.hostNames?.['CO-HOST'] || 'Co-Host';
+  // Get speaker names from the podcast settings
+  const cast = getScriptCast(podcast.settings || {});
   
   // Speaker info
   const speakerInfo = `
     <div class="speaker-info">
-      Host: ${hostName} | Co-Host: ${cohostName}
+      ${cast.map((speaker, index) => `${SPEAKER_ROLE_LABELS[getSpeakerRole(index)]}: ${speaker.name}`).join(' | ')}
     </div>
   `;
   
@@ -1267,115 +3220,371 @@ function createPodcastCard(podcast) {
     </div>
     <div class="podcast-body">
       <div class="podcast-info">
-        Created: ${formattedDate}
+        Created: ${formattedDate}<span class="podcast-duration"></span>
       </div>
+      <div class="podcast-publish"></div>
       <audio class="audio-player" controls></audio>
+      <div class="podcast-chapters"></div>
       ${speakerInfo}
       ${articlesList}
       <div class="podcast-actions" style="margin-top: 15px;">
-        <button class="btn btn-secondary view-script-btn">View Script</button>
+        <button class="btn btn-secondary view-script-btn">Transcript</button>
+        <button class="btn btn-secondary episode-btn">Episode Details</button>
+        <button class="btn btn-secondary publish-btn">Publish</button>
         <button class="btn btn-primary download-btn">Download</button>
       </div>
     </div>
   `;
   
-  // Set up audio player
-  const audioPlayer = card.querySelector('.audio-player');
-  getAudioById(podcast.id).then(audio => {
-    if (audio && audio.blob) {
-      const audioUrl = URL.createObjectURL(audio.blob);
-      audioPlayer.src = audioUrl;
+  // Set up audio player
+  const audioPlayer = card.querySelector('.audio-player');
+  getAudioById(podcast.id).then(audio => {
+    if (audio && audio.blob) {
+      const audioUrl = URL.createObjectURL(audio.blob);
+      audioPlayer.src = audioUrl;
+    }
+  });
+  trackPlaybackCompletion(audioPlayer, podcast.articleIds);
+  
+  // Podcasts store their measured length; older ones fall back to what the player reports
+  const durationElement = card.querySelector('.podcast-duration');
+  if (podcast.duration) {
+    durationElement.textContent = ` | Duration: ${safeFormatDuration(podcast.duration)}`;
+  } else {
+    audioPlayer.addEventListener('loadedmetadata', () => {
+      if (Number.isFinite(audioPlayer.duration)) {
+        durationElement.textContent = ` | Duration: ${safeFormatDuration(audioPlayer.duration)}`;
+      }
+    }, { once: true });
+  }
+  renderPodcastChapters(card.querySelector('.podcast-chapters'), podcast.timeline, audioPlayer);
+  
+  // Set up selection
+  const checkbox = card.querySelector('.podcast-checkbox');
+  checkbox.addEventListener('change', (e) => {
+    togglePodcastSelection(podcast.id, e.target.checked);
+  });
+  
+  // Set up transcript button
+  const viewScriptBtn = card.querySelector('.view-script-btn');
+  viewScriptBtn.addEventListener('click', () => openTranscript(podcast, audioPlayer));
+  
+  // Set up episode details button
+  const episodeBtn = card.querySelector('.episode-btn');
+  episodeBtn.addEventListener('click', () => openEpisodeEditor(podcast));
+  
+  // Set up publish button and status
+  const publishBtn = card.querySelector('.publish-btn');
+  publishBtn.addEventListener('click', () => publishPodcast(podcast.id));
+  renderPublishStatus(card, podcast.publish);
+  
+  // Set up download button
+  const downloadBtn = card.querySelector('.download-btn');
+  downloadBtn.addEventListener('click', () => {
+    openExportDialog(podcast).catch(error => {
+      console.error('Error downloading podcast:', error);
+      showStatus(`Error downloading podcast: ${error.message}`, 'error');
+    });
+  });
+  
+  return card;
+}
+
+/**
+ * Show a podcast's publish status on its card
+ * The publish button only shows once a publish target is set up on the options page.
+ * @param {HTMLElement} card - Podcast card
+ * @param {Object} [publish] - Publish state stored with the podcast
+ */
+function renderPublishStatus(card, publish) {
+  const status = card.querySelector('.podcast-publish');
+  const publishBtn = card.querySelector('.publish-btn');
+  const state = publish ? publish.status : null;
+  
+  status.className = `podcast-publish ${state || ''}`;
+  status.style.display = state ? 'block' : 'none';
+  if (state === PUBLISH_STATES.PUBLISHING) {
+    status.textContent = `Publishing: ${publish.message}`;
+  } else if (state === PUBLISH_STATES.PUBLISHED) {
+    status.textContent = `Published ${new Date(publish.publishedAt).toLocaleString()}`;
+  } else if (state === PUBLISH_STATES.FAILED) {
+    status.textContent = `Publishing failed: ${publish.error}`;
+  }
+  
+  publishBtn.style.display = publishSettings && publishSettings.target !== 'none' ? '' : 'none';
+  if (state === PUBLISH_STATES.FAILED) {
+    publishBtn.textContent = 'Retry Publish';
+  } else if (state === PUBLISH_STATES.PUBLISHED) {
+    publishBtn.textContent = 'Republish';
+  } else {
+    publishBtn.textContent = 'Publish';
+  }
+}
+
+/**
+ * Start following publish updates from the offscreen document
+ */
+function followPublishing() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'PUBLISH_UPDATED') {
+      handlePublishUpdate(message.podcastId, message.publish);
     }
   });
+}
+
+/**
+ * Apply a publish update to the podcast and its card
+ * @param {number} podcastId - Podcast ID
+ * @param {Object} publish - Publish state
+ */
+function handlePublishUpdate(podcastId, publish) {
+  const podcast = allPodcasts.find(existing => existing.id === podcastId);
+  if (!podcast) return;
   
-  // Set up selection
-  const checkbox = card.querySelector('.podcast-checkbox');
-  checkbox.addEventListener('change', (e) => {
-    togglePodcastSelection(podcast.id, e.target.checked);
-  });
+  // Updates can arrive out of order; keep the most recent one
+  if (podcast.publish && podcast.publish.dateUpdated > publish.dateUpdated) return;
+  podcast.publish = publish;
   
-  // Set up view script button
-  const viewScriptBtn = card.querySelector('.view-script-btn');
-  viewScriptBtn.addEventListener('click', () => {
-    // Create modal for script display
-    const modal = document.createElement('div');
-    modal.className = 'modal';
-    modal.style.display = 'flex';
-    
-    // Color-code the script based on speaker
-    const coloredScript = (podcast.script || 'No script available')
-      .split('\n')
-      .map(line => {
-        // Get the first word before the colon (the speaker name)
-        const speaker = line.split(':')[0];
-        
-        // Replace HOST/CO-HOST with actual names if present
-        let processedLine = line;
-        if (line.startsWith('HOST:')) {
-          processedLine = line.replace('HOST:', `${hostName}:`);
-        } else if (line.startsWith('CO-HOST:')) {
-          processedLine = line.replace('CO-HOST:', `${cohostName}:`);
-        }
-        
-        // Color based on the speaker name
-        if (speaker === hostName || speaker === 'HOST') {
-          return `<span style="color: #2563eb;">${processedLine}</span>`;
-        } else if (speaker === cohostName || speaker === 'CO-HOST') {
-          return `<span style="color: #dc2626;">${processedLine}</span>`;
-        }
-        return processedLine;
-      })
-      .join('\n');
-    
-    modal.innerHTML = `
-      <div class="modal-content" style="width: 80%; max-width: 800px;">
-        <div class="modal-header">
-          <h2>Podcast Script</h2>
-          <button class="modal-close">&times;</button>
-        </div>
-        <div class="modal-body" style="max-height: 70vh; overflow-y: auto;">
-          <pre style="white-space: pre-wrap; padding: 10px; background: #f8f9fa; border-radius: 6px; line-height: 1.6;">${coloredScript}</pre>
-        </div>
-      </div>
-    `;
+  const card = document.querySelector(`.podcast-card[data-id="${podcastId}"]`);
+  if (card) {
+    renderPublishStatus(card, publish);
+  }
+}
+
+/**
+ * Publish a podcast to the publish target
+ * Publishing runs in the background; its progress shows on the podcast's card.
+ * @param {number} podcastId - Podcast ID
+ */
+async function publishPodcast(podcastId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'PUBLISH_PODCAST', podcastId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the background worker');
+    }
+    showStatus('Podcast published', 'success');
+  } catch (error) {
+    console.error('Error publishing podcast:', error);
+    showStatus(`Error publishing podcast: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show a podcast's chapters; clicking one seeks the player to it
+ * Podcasts generated before timelines were stored have no chapters, and the list stays hidden
+ * @param {HTMLElement} container - Chapter list container
+ * @param {Object} [timeline] - Timeline stored with the podcast
+ * @param {HTMLAudioElement} audioPlayer - The card's player
+ */
+function renderPodcastChapters(container, timeline, audioPlayer) {
+  const chapters = timeline && Array.isArray(timeline.chapters) ? timeline.chapters : [];
+  if (chapters.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  const heading = document.createElement('h4');
+  heading.textContent = 'Chapters';
+  container.appendChild(heading);
+  
+  const items = chapters.map(chapter => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'chapter-item';
     
-    document.body.appendChild(modal);
+    const time = document.createElement('span');
+    time.className = 'chapter-time';
+    time.textContent = safeFormatDuration(chapter.start);
     
-    // Set up close button
-    const closeBtn = modal.querySelector('.modal-close');
-    closeBtn.addEventListener('click', () => {
-      document.body.removeChild(modal);
-    });
+    const title = document.createElement('span');
+    title.className = 'chapter-title';
+    title.textContent = chapter.title;
     
-    // Close when clicking outside the content
-    modal.addEventListener('click', (event) => {
-      if (event.target === modal) {
-        document.body.removeChild(modal);
-      }
+    item.append(time, title);
+    item.addEventListener('click', () => {
+      audioPlayer.currentTime = chapter.start;
+      audioPlayer.play().catch(error => console.error('Error playing podcast:', error));
     });
+    container.appendChild(item);
+    return item;
   });
   
-  // Set up download button
-  const downloadBtn = card.querySelector('.download-btn');
-  downloadBtn.addEventListener('click', () => {
-    getAudioById(podcast.id).then(audio => {
-      if (audio && audio.blob) {
-        const url = URL.createObjectURL(audio.blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${podcast.title || 'podcast'}.mp3`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+  // Mark the chapter that is playing
+  audioPlayer.addEventListener('timeupdate', () => {
+    const current = findTimelineEntry(chapters, audioPlayer.currentTime);
+    items.forEach((item, index) => item.classList.toggle('active', index === current));
+  });
+}
+
+/**
+ * Open a podcast in the transcript player, continuing from where its card's player is
+ * @param {Object} podcast - Podcast record
+ * @param {HTMLAudioElement} cardPlayer - The card's player
+ */
+async function openTranscript(podcast, cardPlayer) {
+  try {
+    const audio = await getAudioById(podcast.id);
+    const timeline = podcast.timeline && Array.isArray(podcast.timeline.lines) ? podcast.timeline : null;
+    
+    const startTime = cardPlayer.currentTime;
+    cardPlayer.pause();
+    
+    transcriptPlayer = {
+      podcast,
+      cast: getScriptCast(podcast.settings || {}),
+      timeline,
+      audioUrl: audio && audio.blob ? URL.createObjectURL(audio.blob) : null,
+      rows: [],
+      current: -1
+    };
+    
+    document.getElementById('transcriptTitle').textContent = podcast.title || 'Untitled Podcast';
+    document.getElementById('downloadVttBtn').disabled = !timeline;
+    document.getElementById('downloadSrtBtn').disabled = !timeline;
+    
+    const player = document.getElementById('transcriptAudio');
+    player.src = transcriptPlayer.audioUrl || '';
+    player.addEventListener('loadedmetadata', () => {
+      player.currentTime = startTime;
+    }, { once: true });
+    
+    renderTranscript();
+    document.getElementById('transcriptModal').style.display = 'flex';
+  } catch (error) {
+    console.error('Error opening transcript:', error);
+    showStatus(`Error opening transcript: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Close the transcript player and release its audio
+ */
+function closeTranscript() {
+  const player = document.getElementById('transcriptAudio');
+  player.pause();
+  player.removeAttribute('src');
+  
+  if (transcriptPlayer && transcriptPlayer.audioUrl) {
+    URL.revokeObjectURL(transcriptPlayer.audioUrl);
+  }
+  transcriptPlayer = null;
+  document.getElementById('transcriptModal').style.display = 'none';
+}
+
+/**
+ * Show the transcript line by line, under the chapter and source article each passage came from
+ * Podcasts generated before timelines were stored show their script without timings
+ */
+function renderTranscript() {
+  const container = document.getElementById('transcriptLines');
+  const hint = document.getElementById('transcriptHint');
+  container.innerHTML = '';
+  
+  const { podcast, cast, timeline } = transcriptPlayer;
+  if (!timeline) {
+    hint.textContent = 'This podcast was made before line timings were recorded, so the transcript cannot follow playback.';
+    const pre = document.createElement('pre');
+    pre.className = 'transcript-plain';
+    pre.textContent = podcast.script || 'No script available';
+    container.appendChild(pre);
+    return;
+  }
+  hint.textContent = 'Click a line to play from there.';
+  
+  let section;
+  transcriptPlayer.rows = timeline.lines.map(line => {
+    if (line.section !== section) {
+      section = line.section;
+      const chapter = timeline.chapters.find(entry => entry.id === section);
+      if (chapter) {
+        container.appendChild(createTranscriptHeader(chapter));
       }
-    }).catch(error => {
-      console.error('Error downloading podcast:', error);
-      showStatus(`Error downloading podcast: ${error.message}`, 'error');
+    }
+    
+    const speakerIndex = cast.findIndex(speaker => speaker.id === line.speaker);
+    const row = document.createElement('div');
+    row.className = 'transcript-line';
+    
+    const time = document.createElement('span');
+    time.className = 'transcript-time';
+    time.textContent = safeFormatDuration(line.start);
+    
+    const speaker = document.createElement('span');
+    speaker.className = 'transcript-speaker';
+    speaker.style.color = SPEAKER_COLORS[Math.max(speakerIndex, 0) % SPEAKER_COLORS.length];
+    speaker.textContent = speakerIndex === -1 ? line.speaker : cast[speakerIndex].name;
+    
+    const text = document.createElement('span');
+    text.className = 'transcript-text';
+    text.textContent = line.text;
+    
+    row.append(time, speaker, text);
+    row.addEventListener('click', () => {
+      const player = document.getElementById('transcriptAudio');
+      player.currentTime = line.start;
+      player.play().catch(error => console.error('Error playing podcast:', error));
     });
+    container.appendChild(row);
+    return row;
   });
+}
+
+/**
+ * Create the heading shown where a chapter starts in the transcript
+ * @param {Object} chapter - Timeline chapter
+ * @returns {HTMLElement} Heading
+ */
+function createTranscriptHeader(chapter) {
+  const header = document.createElement('div');
+  header.className = 'transcript-chapter';
+  
+  // Article chapters name the source article as it is titled now, falling back to the stored title
+  const article = chapter.articleId !== undefined ? allArticles.find(entry => entry.id === chapter.articleId) : null;
+  header.textContent = chapter.articleId !== undefined
+    ? `Source article: ${(article && article.title) || chapter.title}`
+    : chapter.title;
+  return header;
+}
+
+/**
+ * Highlight the line being spoken and keep it in view
+ */
+function syncTranscript() {
+  if (!transcriptPlayer || !transcriptPlayer.timeline) return;
   
-  return card;
+  const player = document.getElementById('transcriptAudio');
+  const current = findTimelineEntry(transcriptPlayer.timeline.lines, player.currentTime);
+  if (current === transcriptPlayer.current) return;
+  
+  const previousRow = transcriptPlayer.rows[transcriptPlayer.current];
+  if (previousRow) previousRow.classList.remove('active');
+  
+  transcriptPlayer.current = current;
+  const row = transcriptPlayer.rows[current];
+  if (row) {
+    row.classList.add('active');
+    row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+}
+
+/**
+ * Download the timed transcript as subtitles
+ * @param {string} format - 'vtt' or 'srt'
+ */
+function downloadTranscript(format) {
+  if (!transcriptPlayer || !transcriptPlayer.timeline) return;
+  
+  const { podcast, cast, timeline } = transcriptPlayer;
+  const text = format === 'vtt' ? timelineToWebVtt(timeline, cast) : timelineToSrt(timeline, cast);
+  const blob = new Blob([text], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${podcast.title || 'podcast'}.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
 }
 
 /**
@@ -1625,15 +3834,203 @@ function initializeEventListeners() {
     scriptToggle.addEventListener('click', toggleScript);
   }
   
-  // Voice preview buttons
-  const previewHostVoiceBtn = document.getElementById('previewHostVoice');
-  if (previewHostVoiceBtn) {
-    previewHostVoiceBtn.addEventListener('click', previewHostVoice);
+  // Script review editor
+  const scriptEditorTurns = document.getElementById('scriptEditorTurns');
+  if (scriptEditorTurns) {
+    scriptEditorTurns.addEventListener('click', handleScriptEditorClick);
+    scriptEditorTurns.addEventListener('input', (event) => {
+      const row = event.target.closest('.script-turn');
+      if (!row || !scriptEditor) return;
+      
+      const turn = scriptEditor.dialogue[parseInt(row.dataset.index, 10)];
+      if (event.target.classList.contains('script-turn-text')) {
+        turn.text = event.target.value;
+      } else if (event.target.classList.contains('script-turn-speaker')) {
+        turn.speaker = event.target.value;
+      }
+      scriptEditor.dirty = true;
+      updateScriptEditorInfo();
+    });
+  }
+  
+  const scriptEditorModalClose = document.getElementById('scriptEditorModalClose');
+  if (scriptEditorModalClose) {
+    scriptEditorModalClose.addEventListener('click', closeScriptEditor);
+  }
+  
+  const closeScriptEditorBtn = document.getElementById('closeScriptEditorBtn');
+  if (closeScriptEditorBtn) {
+    closeScriptEditorBtn.addEventListener('click', closeScriptEditor);
+  }
+  
+  // Transcript player
+  const transcriptModalClose = document.getElementById('transcriptModalClose');
+  if (transcriptModalClose) {
+    transcriptModalClose.addEventListener('click', closeTranscript);
+  }
+  
+  const closeTranscriptBtn = document.getElementById('closeTranscriptBtn');
+  if (closeTranscriptBtn) {
+    closeTranscriptBtn.addEventListener('click', closeTranscript);
+  }
+  
+  const transcriptAudio = document.getElementById('transcriptAudio');
+  if (transcriptAudio) {
+    transcriptAudio.addEventListener('timeupdate', syncTranscript);
+  }
+  
+  const downloadVttBtn = document.getElementById('downloadVttBtn');
+  if (downloadVttBtn) {
+    downloadVttBtn.addEventListener('click', () => downloadTranscript('vtt'));
   }
   
-  const previewCohostVoiceBtn = document.getElementById('previewCohostVoice');
-  if (previewCohostVoiceBtn) {
-    previewCohostVoiceBtn.addEventListener('click', previewCohostVoice);
+  const downloadSrtBtn = document.getElementById('downloadSrtBtn');
+  if (downloadSrtBtn) {
+    downloadSrtBtn.addEventListener('click', () => downloadTranscript('srt'));
+  }
+  
+  // Download dialog
+  const exportFormatSelect = document.getElementById('exportFormatSelect');
+  if (exportFormatSelect) {
+    exportFormatSelect.addEventListener('change', async () => {
+      const saved = (await getSetting(EXPORT_SETTINGS_KEY)) || {};
+      updateExportBitrates(saved.bitrates || {});
+    });
+  }
+  
+  const startExportBtn = document.getElementById('startExportBtn');
+  if (startExportBtn) {
+    startExportBtn.addEventListener('click', startExport);
+  }
+  
+  ['exportModalClose', 'cancelExportBtn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', closeExportDialog);
+    }
+  });
+  
+  const coverFileInput = document.getElementById('coverFileInput');
+  if (coverFileInput) {
+    coverFileInput.addEventListener('change', uploadCoverAsset);
+  }
+  
+  // Both dialogs upload covers through one file input, which remembers whose select to fill
+  [['exportCoverUploadBtn', 'exportCoverSelect'], ['feedCoverUploadBtn', 'feedCoverSelect']].forEach(([buttonId, selectId]) => {
+    const button = document.getElementById(buttonId);
+    if (button && coverFileInput) {
+      button.addEventListener('click', () => {
+        coverFileInput.dataset.select = selectId;
+        coverFileInput.click();
+      });
+    }
+  });
+  
+  const exportCoverDeleteBtn = document.getElementById('exportCoverDeleteBtn');
+  if (exportCoverDeleteBtn) {
+    exportCoverDeleteBtn.addEventListener('click', deleteCoverAsset);
+  }
+  
+  // Feed export
+  const exportFeedBtn = document.getElementById('exportFeedBtn');
+  if (exportFeedBtn) {
+    exportFeedBtn.addEventListener('click', openFeedDialog);
+  }
+  
+  const startFeedExportBtn = document.getElementById('startFeedExportBtn');
+  if (startFeedExportBtn) {
+    startFeedExportBtn.addEventListener('click', startFeedExport);
+  }
+  
+  ['feedModalClose', 'cancelFeedBtn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', closeFeedDialog);
+    }
+  });
+  
+  // Episode details
+  const saveEpisodeBtn = document.getElementById('saveEpisodeBtn');
+  if (saveEpisodeBtn) {
+    saveEpisodeBtn.addEventListener('click', saveEpisodeDetails);
+  }
+  
+  ['episodeModalClose', 'cancelEpisodeBtn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', closeEpisodeEditor);
+    }
+  });
+  
+  const saveScriptBtn = document.getElementById('saveScriptBtn');
+  if (saveScriptBtn) {
+    saveScriptBtn.addEventListener('click', () => saveEditedScript(false));
+  }
+  
+  const synthesizeScriptBtn = document.getElementById('synthesizeScriptBtn');
+  if (synthesizeScriptBtn) {
+    synthesizeScriptBtn.addEventListener('click', () => saveEditedScript(true));
+  }
+  
+  // Cast editor: voice previews, removing speakers and validation
+  const castList = document.getElementById('castList');
+  if (castList) {
+    castList.addEventListener('click', (event) => {
+      const row = event.target.closest('.cast-speaker');
+      if (!row) return;
+      
+      if (event.target.classList.contains('cast-preview')) {
+        playVoicePreview(row.querySelector('.cast-voice').value);
+      } else if (event.target.classList.contains('cast-remove')) {
+        removeSpeaker(Array.from(castList.children).indexOf(row));
+      }
+    });
+    castList.addEventListener('input', validateVoiceSelections);
+    castList.addEventListener('change', () => {
+      // An edited cast no longer matches the saved show
+      document.getElementById('showSelect').value = '';
+      validateVoiceSelections();
+    });
+  }
+  
+  const addSpeakerBtn = document.getElementById('addSpeakerBtn');
+  if (addSpeakerBtn) {
+    addSpeakerBtn.addEventListener('click', addSpeaker);
+  }
+  
+  const showSelect = document.getElementById('showSelect');
+  if (showSelect) {
+    showSelect.addEventListener('change', () => applyShow(showSelect.value));
+  }
+  
+  const saveShowBtn = document.getElementById('saveShowBtn');
+  if (saveShowBtn) {
+    saveShowBtn.addEventListener('click', saveCurrentShow);
+  }
+  
+  const deleteShowBtn = document.getElementById('deleteShowBtn');
+  if (deleteShowBtn) {
+    deleteShowBtn.addEventListener('click', deleteCurrentShow);
+  }
+  
+  // Music uploads share one file input, which remembers the kind being uploaded
+  const musicFileInput = document.getElementById('musicFileInput');
+  if (musicFileInput) {
+    musicFileInput.addEventListener('change', uploadMusicAsset);
+    MUSIC_KINDS.forEach(kind => {
+      const uploadBtn = document.getElementById(`${kind}MusicUploadBtn`);
+      if (uploadBtn) {
+        uploadBtn.addEventListener('click', () => {
+          musicFileInput.dataset.kind = kind;
+          musicFileInput.click();
+        });
+      }
+      
+      const deleteBtn = document.getElementById(`${kind}MusicDeleteBtn`);
+      if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => deleteMusicAsset(kind));
+      }
+    });
   }
   
   // Select all checkbox
@@ -1648,6 +4045,85 @@ function initializeEventListeners() {
     toggleAllBtn.addEventListener('click', toggleAllArticles);
   }
   
+  // Bulk organization of selected articles
+  const tagSelectedBtn = document.getElementById('tagSelectedBtn');
+  if (tagSelectedBtn) {
+    tagSelectedBtn.addEventListener('click', () => tagArticles(Array.from(selectedArticles)));
+  }
+  
+  const moveSelectedBtn = document.getElementById('moveSelectedBtn');
+  if (moveSelectedBtn) {
+    moveSelectedBtn.addEventListener('click', () => moveArticlesToFolder(Array.from(selectedArticles)));
+  }
+  
+  const archiveSelectedBtn = document.getElementById('archiveSelectedBtn');
+  if (archiveSelectedBtn) {
+    archiveSelectedBtn.addEventListener('click', archiveSelectedArticles);
+  }
+  
+  // Generation jobs panel
+  const clearFinishedJobsBtn = document.getElementById('clearFinishedJobsBtn');
+  if (clearFinishedJobsBtn) {
+    clearFinishedJobsBtn.addEventListener('click', clearFinishedJobs);
+  }
+  
+  // Duplicates view
+  const findDuplicatesBtn = document.getElementById('findDuplicatesBtn');
+  if (findDuplicatesBtn) {
+    findDuplicatesBtn.addEventListener('click', openDuplicatesModal);
+  }
+  
+  const duplicatesModalClose = document.getElementById('duplicatesModalClose');
+  if (duplicatesModalClose) {
+    duplicatesModalClose.addEventListener('click', closeDuplicatesModal);
+  }
+  
+  const closeDuplicatesBtn = document.getElementById('closeDuplicatesBtn');
+  if (closeDuplicatesBtn) {
+    closeDuplicatesBtn.addEventListener('click', closeDuplicatesModal);
+  }
+  
+  // Status, folder, tag and smart collection filters
+  ['statusFilter', 'folderFilter', 'tagFilter', 'collectionFilter'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) {
+      select.addEventListener('change', applyLibraryFilters);
+    }
+  });
+  
+  const newCollectionBtn = document.getElementById('newCollectionBtn');
+  if (newCollectionBtn) {
+    newCollectionBtn.addEventListener('click', () => openCollectionModal());
+  }
+  
+  const editCollectionBtn = document.getElementById('editCollectionBtn');
+  if (editCollectionBtn) {
+    editCollectionBtn.addEventListener('click', () => {
+      const collectionId = document.getElementById('collectionFilter').value;
+      openCollectionModal(smartCollections.find(item => item.id === collectionId) || null);
+    });
+  }
+  
+  const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+  if (deleteCollectionBtn) {
+    deleteCollectionBtn.addEventListener('click', deleteSelectedCollection);
+  }
+  
+  const collectionModalClose = document.getElementById('collectionModalClose');
+  if (collectionModalClose) {
+    collectionModalClose.addEventListener('click', closeCollectionModal);
+  }
+  
+  const cancelCollectionBtn = document.getElementById('cancelCollectionBtn');
+  if (cancelCollectionBtn) {
+    cancelCollectionBtn.addEventListener('click', closeCollectionModal);
+  }
+  
+  const saveCollectionBtn = document.getElementById('saveCollectionBtn');
+  if (saveCollectionBtn) {
+    saveCollectionBtn.addEventListener('click', saveCollectionFromModal);
+  }
+  
   // Date filter
   const applyDateFilterBtn = document.getElementById('applyDateFilterBtn');
   if (applyDateFilterBtn) {
@@ -1659,6 +4135,26 @@ function initializeEventListeners() {
     resetDateFilterBtn.addEventListener('click', resetDateFilter);
   }
   
+  // Re-apply the current range when switching between saved and published dates, or
+  // choosing whether articles without a publish date are listed
+  const reapplyDateFilter = () => {
+    const startDateInput = document.getElementById('startDateFilter');
+    const endDateInput = document.getElementById('endDateFilter');
+    if (startDateInput.value || endDateInput.value) {
+      applyDateFilter();
+    }
+  };
+  
+  const dateFieldFilter = document.getElementById('dateFieldFilter');
+  if (dateFieldFilter) {
+    dateFieldFilter.addEventListener('change', reapplyDateFilter);
+  }
+  
+  const includeUndatedFilter = document.getElementById('includeUndatedFilter');
+  if (includeUndatedFilter) {
+    includeUndatedFilter.addEventListener('change', reapplyDateFilter);
+  }
+  
   // Quick date filters
   const todayFilterBtn = document.getElementById('todayFilterBtn');
   if (todayFilterBtn) {
@@ -1680,42 +4176,23 @@ function initializeEventListeners() {
     yearFilterBtn.addEventListener('click', () => applyQuickDateFilter('year'));
   }
   
-  // Voice selection change handlers
-  const hostVoiceSelect = document.getElementById('hostVoiceSelect');
-  const cohostVoiceSelect = document.getElementById('cohostVoiceSelect');
-  
-  if (hostVoiceSelect) {
-    hostVoiceSelect.addEventListener('change', () => {
-      updateVoiceLabels();
-      validateVoiceSelections();
-    });
-  }
-  
-  if (cohostVoiceSelect) {
-    cohostVoiceSelect.addEventListener('change', () => {
-      updateVoiceLabels();
+  const podcastFormatSelect = document.getElementById('podcastFormatSelect');
+  if (podcastFormatSelect) {
+    podcastFormatSelect.addEventListener('change', () => {
+      updateFormatFields();
       validateVoiceSelections();
     });
   }
-  
-  // Initial update of voice labels
-  updateVoiceLabels();
-}
-
-/**
- * Preview the host voice
- */
-async function previewHostVoice() {
-  const voice = document.getElementById('hostVoiceSelect').value;
-  await playVoicePreview(voice);
 }
 
 /**
- * Preview the co-host voice
+ * Get the display name of a voice
+ * @param {string} voiceId - Voice ID from the provider's catalog
+ * @returns {string} Voice name, or the ID when the voice isn't in the catalog
  */
-async function previewCohostVoice() {
-  const voice = document.getElementById('cohostVoiceSelect').value;
-  await playVoicePreview(voice);
+function getVoiceName(voiceId) {
+  const voice = voiceCatalog.find(entry => entry.id === voiceId);
+  return voice ? voice.name : voiceId;
 }
 
 /**
@@ -1723,69 +4200,23 @@ async function previewCohostVoice() {
  * @param {string} voice - The voice ID (e.g., "alloy", "onyx")
  */
 async function playVoicePreview(voice) {
+  const previewButtons = document.querySelectorAll('.cast-preview');
+  
   try {
-    const voiceNameMap = {
-      'alloy': 'Esha',
-      'echo': 'Hari',
-      'fable': 'Mira',
-      'onyx': 'Tej',
-      'nova': 'Leela',
-      'shimmer': 'Veena'
-    };
+    const voiceInfo = voiceCatalog.find(entry => entry.id === voice) || { id: voice, name: voice };
     
     // Show status with the mapped name
-    showStatus(`Loading ${voiceNameMap[voice]} voice sample...`, 'info');
-    
-    // Get the OpenAI API key
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not set. Please go to settings and add your API key.');
-    }
-    
-    // Sample text for each voice using mapped names
-    const sampleTexts = {
-      'alloy': `Hi, I'm Esha. I am a versatile voice that can adapt to various content styles.`,
-      'echo': `Hi, I'm Hari. I have a soft-spoken and articulate voice, ideal for educational content.`,
-      'fable': `Hi, I'm Mira. I have a narration style that's great for storytelling and creative content.`,
-      'onyx': `Hi, I'm Tej. I have a deep, authoritative voice suited for professional presentations.`,
-      'nova': `Hi, I'm Leela. My voice is clear and energetic, good for delivering news or explanations.`,
-      'shimmer': `Hi, I'm Veena. I have a warm, welcoming voice perfect for friendly conversations.`
-    };
+    showStatus(`Loading ${voiceInfo.name} voice sample...`, 'info');
     
-    // Use the sample text for the selected voice or a default
-    const text = sampleTexts[voice] || `This is a sample of the ${voice} voice.`;
-    
-    // Create a button that's already in the DOM to disable
-    const previewButtons = document.querySelectorAll('#previewHostVoice, #previewCohostVoice');
     previewButtons.forEach(btn => {
       btn.disabled = true;
       btn.textContent = 'Loading...';
     });
     
-    // Generate the audio
-    const response = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        voice: voice,
-        input: text
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`OpenAI API error: ${response.status} - ${JSON.stringify(errorData)}`);
-    }
-    
-    // Convert the response to a blob
-    const audioBlob = await response.blob();
-    
-    // Create a URL for the audio blob
-    const audioUrl = URL.createObjectURL(audioBlob);
+    // Generate the audio with the configured provider
+    const ttsProvider = await getTtsProvider();
+    const { audio, mimeType } = await ttsProvider.synthesize(getVoiceSampleText(voiceInfo), voice);
+    const audioUrl = URL.createObjectURL(new Blob([audio], { type: mimeType }));
     
     // Create an audio element to play the sample
     const audioElement = new Audio(audioUrl);
@@ -1801,14 +4232,13 @@ async function playVoicePreview(voice) {
     
     // Play the audio
     audioElement.play();
-    showStatus(`Playing ${voiceNameMap[voice]} voice sample`, 'success');
+    showStatus(`Playing ${voiceInfo.name} voice sample`, 'success');
     
   } catch (error) {
     console.error('Error playing voice sample:', error);
     showStatus(`Error playing voice sample: ${error.message}`, 'error');
     
     // Re-enable the preview buttons
-    const previewButtons = document.querySelectorAll('#previewHostVoice, #previewCohostVoice');
     previewButtons.forEach(btn => {
       btn.disabled = false;
       btn.textContent = 'Preview Voice';
@@ -1831,48 +4261,3 @@ function toggleScript() {
     toggleButton.textContent = 'Show Script';
   }
 }
-
-/**
- * Update the voice selection labels to show the corresponding names
- */
-function updateVoiceLabels() {
-  const voiceNameMap = {
-    'alloy': 'Esha',
-    'echo': 'Hari',
-    'fable': 'Mira',
-    'onyx': 'Tej',
-    'nova': 'Leela',
-    'shimmer': 'Veena'
-  };
-  
-  const hostVoiceSelect = document.getElementById('hostVoiceSelect');
-  const cohostVoiceSelect = document.getElementById('cohostVoiceSelect');
-  const hostLabel = document.querySelector('label[for="hostVoiceSelect"]');
-  const cohostLabel = document.querySelector('label[for="cohostVoiceSelect"]');
-  
-  // Update the dropdown options to show only the mapped names
-  if (hostVoiceSelect) {
-    const currentValue = hostVoiceSelect.value;
-    hostVoiceSelect.innerHTML = Object.entries(voiceNameMap)
-      .map(([value, name]) => `<option value="${value}">${name}</option>`)
-      .join('');
-    hostVoiceSelect.value = currentValue;
-  }
-  
-  if (cohostVoiceSelect) {
-    const currentValue = cohostVoiceSelect.value;
-    cohostVoiceSelect.innerHTML = Object.entries(voiceNameMap)
-      .map(([value, name]) => `<option value="${value}">${name}</option>`)
-      .join('');
-    cohostVoiceSelect.value = currentValue;
-  }
-  
-  // Update labels to be simple "Host Voice" and "Co-Host Voice"
-  if (hostLabel) {
-    hostLabel.textContent = 'Host Voice';
-  }
-  
-  if (cohostLabel) {
-    cohostLabel.textContent = 'Co-Host Voice';
-  }
-}
@@ -3,17 +3,40 @@
  */
 
 import { combineAudioBlobs } from './openai.js';
-import { saveAudio, getSetting } from './db.js';
-import { executeWithTimeout, formatBytes, logMemoryUsage } from './utils.js';
+import { saveAudio, getCachedTtsSegment, saveTtsSegment, pruneTtsCache } from './db.js';
+import { executeWithTimeout, formatBytes, logMemoryUsage, sha256Hex } from './utils.js';
+import { getTtsProvider } from './ttsProviders.js';
+import { getScriptCast } from './cast.js';
+import { splitLegacyLine } from './legacyScript.js';
+import { getScriptSections } from './scriptGenerator.js';
+import { concatenateMp3, createId3Tag } from './mp3.js';
+import { createTimeline } from './podcastTimeline.js';
+import { isMixRequested } from './audioMixer.js';
+
+const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+// Least recently used segments are evicted once the cache grows past this size
+const TTS_CACHE_MAX_BYTES = 250 * 1024 * 1024;
 
 /**
  * Generate audio for a podcast script
  * @param {Object} scriptData - Script data from generatePodcastScript
  * @param {Function} progressCallback - Callback for progress updates
  * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
+ * @param {Object} [resume] - Checkpointing for background jobs
+ * @param {number} [resume.startLine] - First line still to synthesize
+ * @param {Array<Object>} [resume.previousSegments] - Segments generated before startLine
+ * @param {Function} [resume.onBatchComplete] - Awaited after each batch with (segments, linesDone, totalLines)
+ * @param {Function} [mixPodcast] - Mixes the saved podcast when settings.mix asks for normalization or music;
+ *   called with (podcastId, settings.mix, onProgress) and resolves with { duration, size, loudness }
  * @returns {Promise<Object>} Podcast metadata and IDs
  */
-async function generatePodcastAudio(scriptData, progressCallback = () => {}, abortController = null) {
+async function generatePodcastAudio(scriptData, progressCallback = () => {}, abortController = null, resume = {}, mixPodcast = null) {
+  const { startLine = 0, previousSegments = [], onBatchComplete = null } = resume;
+  
   // Use provided abort controller or create a new one
   const controller = abortController || new AbortController();
   const signal = controller.signal;
@@ -26,11 +49,18 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
       throw new Error('Operation was cancelled');
     }
     
-    // Get OpenAI API key
-    const openaiApiKey = await getSetting('openai_api_key');
-    if (!openaiApiKey) {
-      throw new Error('OpenAI API key not found in settings');
-    }
+    // Each speaker's voice comes from the cast
+    const cast = getScriptCast(settings);
+    console.log('Cast:', cast.map(speaker => `${speaker.name} (${speaker.id}) = ${speaker.voice}`).join(', '));
+    
+    // Structured dialogue lines are one turn each; plain-text lines stored before it may hold several
+    const lineTurns = scriptData.dialogue
+      ? lines.map(line => [line])
+      : lines.map(line => splitLegacyLine(line, cast));
+    
+    // Speech comes from the provider chosen in the options page
+    const ttsProvider = await getTtsProvider();
+    console.log(`Using TTS provider: ${ttsProvider.label} (${ttsProvider.model || 'default model'})`);
     
     // Generate audio for all lines
     progressCallback({ stage: 'audio', message: 'Generating audio...', progress: 65 });
@@ -41,10 +71,10 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
     
     // Process lines in batches
     const totalLines = lines.length;
-    const batches = Math.ceil(totalLines / batchSize);
+    const batches = Math.ceil(Math.max(totalLines - startLine, 0) / batchSize);
     
-    // Store all audio segments in a single array
-    const allAudioSegments = [];
+    // Store all audio segments in a single array, starting with any restored from a checkpoint
+    const allAudioSegments = previousSegments.filter(segment => segment.originalLineIndex < startLine);
     
     for (let batchIndex = 0; batchIndex < batches; batchIndex++) {
       // Check for cancellation before each batch
@@ -52,12 +82,12 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
         throw new Error('Operation was cancelled');
       }
       
-      const startIdx = batchIndex * batchSize;
+      const startIdx = startLine + batchIndex * batchSize;
       const endIdx = Math.min(startIdx + batchSize, totalLines);
       const currentBatchSize = endIdx - startIdx;
       
-      const batchProgressStart = 65 + Math.floor((batchIndex / batches) * 30);
-      const batchProgressEnd = 65 + Math.floor(((batchIndex + 1) / batches) * 30);
+      const batchProgressStart = 65 + Math.floor((startIdx / totalLines) * 30);
+      const batchProgressEnd = 65 + Math.floor((endIdx / totalLines) * 30);
       
       progressCallback({
         stage: 'audio',
@@ -70,15 +100,13 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
         }
       });
 
-      console.log('Voice Map Settings:', settings.voiceMap);
-      
       const batchResult = await generateAudioBatch(
-        lines, 
+        lineTurns, 
         startIdx, 
         currentBatchSize, 
-        openaiApiKey, 
+        ttsProvider, 
         timeoutSeconds,
-        settings.voiceMap,
+        cast,
         controller,
         (progress) => {
           const overallProgress = batchProgressStart + 
@@ -97,8 +125,23 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
         }
       );
       
+      // A line without audio would leave a gap in the episode, so stop here; the lines
+      // that did succeed are cached and a retry only synthesizes what is missing
+      const failedSegments = batchResult.results.filter(segment => segment && segment.error);
+      if (failedSegments.length > 0) {
+        const firstFailure = failedSegments[0];
+        throw new Error(
+          `Text-to-speech failed for ${failedSegments.length} line(s), first at line ${firstFailure.originalLineIndex + 1}: ` +
+          `${firstFailure.error.message || firstFailure.error}`
+        );
+      }
+      
       // Add all segments from this batch to our collection
       allAudioSegments.push(...batchResult.results);
+      
+      if (onBatchComplete) {
+        await onBatchComplete(batchResult.results, endIdx, totalLines);
+      }
     }
     
     // Check for cancellation before processing results
@@ -136,20 +179,64 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
       throw new Error('Operation was cancelled');
     }
     
-    // Extract buffers and metadata
+    // Extract buffers and metadata; a change of speaker gets the configured gap, unless
+    // the turn asked for a longer pause itself
+    const turnPause = Math.max(0, Number(settings.turnPauseSeconds) || 0);
     const validBuffers = validSegments.map(segment => segment.buffer);
-    const validMetadata = validSegments.map(segment => ({
-      voice: segment.voice,
-      role: segment.role,
-      text: segment.text
-    }));
+    const validMetadata = validSegments.map((segment, index) => {
+      const next = validSegments[index + 1];
+      const speakerPause = next && next.role !== segment.role ? turnPause : 0;
+      return {
+        voice: segment.voice,
+        role: segment.role,
+        text: segment.text,
+        section: segment.section || null,
+        pauseAfter: Math.max(segment.pauseAfter || 0, speakerPause)
+      };
+    });
+    
+    // Segments can only be joined when the provider returned one format throughout
+    const formats = new Set(validSegments.map(segment => segment.format || 'mp3'));
+    if (formats.size > 1) {
+      throw new Error(`Cannot combine audio in different formats (${Array.from(formats).join(', ')}). Clear the speech cache and regenerate.`);
+    }
+    const format = formats.values().next().value;
     
-    // Combine audio buffers
+    // Combine audio buffers with the pauses as silence, measuring each segment as it is joined
     progressCallback({ stage: 'combining', message: 'Combining audio files...', progress: 95 });
-    const combinedBuffer = combineAudioBuffers(validBuffers, validMetadata);
+    const pauses = validMetadata.map(entry => entry.pauseAfter);
+    const combined = format === 'wav'
+      ? {
+        buffer: combineWavBuffers(validBuffers, pauses),
+        durations: validBuffers.map(getWavDuration),
+        pauses
+      }
+      : combineAudioBuffers(validBuffers, validMetadata);
+    let combinedBuffer = combined.buffer;
+    
+    const timeline = createTimeline(
+      validSegments.map((segment, index) => ({
+        duration: combined.durations[index],
+        pauseAfter: combined.pauses[index],
+        speaker: segment.role,
+        text: segment.text,
+        section: validMetadata[index].section
+      })),
+      getScriptSections(articleIds, settings.articleTitles)
+    );
+    console.log(`Timeline: ${timeline.lines.length} lines, ${timeline.chapters.length} chapters, ${timeline.duration}s`);
+    
+    // Players that read ID3 chapters can jump between the introduction, articles and conclusion
+    if (format === 'mp3' && timeline.chapters.length > 0) {
+      const tag = createId3Tag({ title }, timeline.chapters);
+      const tagged = new Uint8Array(tag.length + combinedBuffer.length);
+      tagged.set(tag, 0);
+      tagged.set(combinedBuffer, tag.length);
+      combinedBuffer = tagged;
+    }
     
     // Convert buffer to blob
-    const combinedBlob = new Blob([combinedBuffer], { type: 'audio/mp3' });
+    const combinedBlob = new Blob([combinedBuffer], { type: AUDIO_MIME_TYPES[format] });
     
     // Check for cancellation before saving
     if (signal.aborted) {
@@ -163,25 +250,49 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
       title: title,
       articleIds: articleIds,
       script: script,
+      dialogue: scriptData.dialogue || null,
+      timeline,
+      duration: timeline.duration,
       blob: combinedBlob,
+      format,
       type: 'podcast',
       dateCreated: new Date().toISOString(),
       settings: settings
     };
     
     const podcastId = await saveAudio(podcastData);
+    let mixResult = null;
+    
+    // Normalization and music need Web Audio, so the saved podcast is mixed where it is available
+    if (isMixRequested(settings.mix) && mixPodcast && !signal.aborted) {
+      progressCallback({ stage: 'mixing', message: 'Mixing audio...', progress: 99 });
+      try {
+        mixResult = await mixPodcast(podcastId, settings.mix, (progress) => {
+          progressCallback({ stage: 'mixing', message: `Encoding mixed audio... ${Math.round(progress * 100)}%`, progress: 99 });
+        });
+      } catch (error) {
+        // The unmixed podcast is already saved, so it is kept rather than failing the run
+        console.error('Error mixing podcast, keeping the unmixed audio:', error);
+      }
+    }
+    
+    try {
+      await pruneTtsCache(TTS_CACHE_MAX_BYTES);
+    } catch (error) {
+      console.error('Error pruning TTS cache:', error);
+    }
     
     // Save individual audio segments if enabled
     if (settings.saveSegments && !signal.aborted) {
       for (let i = 0; i < validSegments.length && !signal.aborted; i++) {
         const segment = validSegments[i];
-        const segmentBlob = new Blob([segment.buffer], { type: 'audio/mp3' });
+        const segmentBlob = new Blob([segment.buffer], { type: AUDIO_MIME_TYPES[format] });
         const segmentData = {
           articleIds: articleIds,
           podcastId: podcastId,
           lineIndex: segment.originalLineIndex,
           sequenceIndex: segment.sequenceIndex || 0,
-          speaker: segment.role === 'HOST' ? settings.hostNames['HOST'] : settings.hostNames['CO-HOST'],
+          speaker: (cast.find(speaker => speaker.id === segment.role) || cast[0]).name,
           text: segment.text,
           blob: segmentBlob,
           type: 'segment',
@@ -202,8 +313,8 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
     return {
       podcastId,
       title: title,
-      duration: estimateAudioDuration(combinedBlob.size),
-      size: combinedBlob.size
+      duration: mixResult ? mixResult.duration : Math.round(timeline.duration),
+      size: mixResult ? mixResult.size : combinedBlob.size
     };
   } catch (error) {
     if (signal.aborted) {
@@ -219,22 +330,22 @@ async function generatePodcastAudio(scriptData, progressCallback = () => {}, abo
 
 /**
  * Generate audio for a batch of lines
- * @param {Array<object>} lines - Lines of text to convert to audio
+ * @param {Array<Array<object>>} lineTurns - Speaker turns of each line, as { speaker, text, emotion?, pause_after? }
  * @param {number} startIndex - Starting index in the lines array
  * @param {number} batchSize - Number of lines to process in this batch
- * @param {string} openaiApiKey - OpenAI API key
+ * @param {Object} ttsProvider - Provider from getTtsProvider()
  * @param {number} timeoutSeconds - Timeout in seconds for each generation
- * @param {object} voiceMap - Mapping of speaker roles to voice IDs
+ * @param {Array<object>} cast - Speakers with their voices, from getScriptCast()
  * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
  * @param {Function} progressCallback - Callback for progress updates
  * @returns {Promise<object>} Batch results
  */
-async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, timeoutSeconds = 60, voiceMap = {}, abortController = null, progressCallback = () => {}) {
+async function generateAudioBatch(lineTurns, startIndex, batchSize, ttsProvider, timeoutSeconds = 60, cast = [], abortController = null, progressCallback = () => {}) {
   // Use provided abort controller or create a new one
   const controller = abortController || new AbortController();
   const signal = controller.signal;
   
-  const batchEnd = Math.min(startIndex + batchSize, lines.length);
+  const batchEnd = Math.min(startIndex + batchSize, lineTurns.length);
   const batchPromises = [];
   const results = [];
   let resultIndex = 0;
@@ -242,13 +353,17 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
   console.log(`========================`);
   console.log(`GENERATING AUDIO BATCH:`);
   console.log(`Lines ${startIndex} to ${batchEnd-1}`);
-  console.log(`VOICE MAP:`, JSON.stringify(voiceMap, null, 2));
+  console.log(`CAST:`, cast.map(speaker => `${speaker.name}=${speaker.voice}`).join(', '));
   console.log(`========================`);
   
-  // Validate voice map
-  if (!voiceMap || !voiceMap['HOST'] || !voiceMap['CO-HOST']) {
-    console.error("INVALID VOICE MAP:", voiceMap);
-    throw new Error("Invalid voice map configuration. Voice map must contain HOST and CO-HOST keys.");
+  // Every speaker needs a voice before any audio is generated
+  if (!cast || cast.length === 0) {
+    throw new Error("Invalid cast configuration. The podcast needs at least one speaker.");
+  }
+  const speakerWithoutVoice = cast.find(speaker => !speaker.voice);
+  if (speakerWithoutVoice) {
+    console.error("INVALID CAST:", cast);
+    throw new Error(`Invalid cast configuration. No voice is set for ${speakerWithoutVoice.name}.`);
   }
   
   // Check if already aborted
@@ -256,23 +371,8 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
     throw new Error('Operation was cancelled');
   }
   
-  // Track speakers for debugging
-  let hostLineCount = 0;
-  let cohostLineCount = 0;
-  
-  // Get the host voice IDs
-  const hostVoice = voiceMap['HOST'];
-  const cohostVoice = voiceMap['CO-HOST'];
-
-  console.log(`HOST VOICE: ${hostVoice}`);
-  console.log(`CO-HOST VOICE: ${cohostVoice}`);
-  
-  // Define speaker names
-  const hostNames = ['HOST', 'Host', 'Hari'];
-  const cohostNames = ['CO-HOST', 'Co-host', 'Leela'];
-  
-  console.log(`Host identifiers:`, hostNames.map(n => n + ':'));
-  console.log(`Co-host identifiers:`, cohostNames.map(n => n + ':'));
+  // Track turns per speaker for debugging
+  const turnCounts = Object.fromEntries(cast.map(speaker => [speaker.id, 0]));
 
   for (let i = startIndex; i < batchEnd; i++) {
     // Check for cancellation before processing each line
@@ -280,38 +380,20 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
       throw new Error('Operation was cancelled');
     }
     
-    const line = lines[i];
-    let text = line.text.trim();
-    
-    if (!text) {
-      console.warn(`Empty text for line ${i}, skipping`);
+    const turns = lineTurns[i];
+    if (turns.length === 0) {
+      console.warn(`No text for line ${i}, skipping`);
       continue;
     }
     
-    // Fix duplicate name issue - if the line starts with a repeated name like "Hari: Hari:"
-    const duplicateNamePattern = /^([^:]+):\s*\1:/;
-    if (duplicateNamePattern.test(text)) {
-      console.log(`FIXING DUPLICATE NAME in line: "${text}"`);
-      text = text.replace(duplicateNamePattern, '$1:');
-      console.log(`FIXED to: "${text}"`);
-    }
-    
-    // *** CRITICAL NEW STEP: Split multi-speaker lines into individual turns ***
-    const splitLines = splitTextIntoSpeakerTurns(
-      text,
-      hostNames.map(n => n + ':'),
-      cohostNames.map(n => n + ':')
-    );
-    console.log(`Split line ${i} into ${splitLines.length} speaker turns`);
-    
     // Process each speaker turn separately
-    for (let turnIndex = 0; turnIndex < splitLines.length; turnIndex++) {
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex++) {
       // Check for cancellation before processing each turn
       if (signal.aborted) {
         throw new Error('Operation was cancelled');
       }
       
-      const speakerTurn = splitLines[turnIndex];
+      const speakerTurn = turns[turnIndex];
       const { speaker, text: turnText } = speakerTurn;
       
       // Skip empty turns
@@ -320,22 +402,16 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
       }
       
       // Determine voice based on speaker
-      let voice, role;
-      if (speaker === 'HOST') {
-        voice = hostVoice;
-        role = 'HOST';
-        hostLineCount++;
-        console.log(`SPEAKER TURN: HOST - "${turnText.substring(0, 30)}..."`);
-      } else if (speaker === 'CO-HOST') {
-        voice = cohostVoice;
-        role = 'CO-HOST';
-        cohostLineCount++;
-        console.log(`SPEAKER TURN: CO-HOST - "${turnText.substring(0, 30)}..."`);
-      } else {
-        // This should never happen with proper splitting
+      const castMember = cast.find(entry => entry.id === speaker);
+      if (!castMember) {
+        // Dialogue is validated against the cast, so only an edited cast gets here
         console.error(`Unknown speaker for turn: "${turnText.substring(0, 30)}..."`);
         continue;
       }
+      const voice = castMember.voice;
+      const role = castMember.id;
+      turnCounts[role]++;
+      console.log(`SPEAKER TURN: ${castMember.name} - "${turnText.substring(0, 30)}..."`);
       
       console.log(`Voice assigned: ${voice} for role: ${role}`);
       console.log(`Clean text: "${turnText}"`);
@@ -350,10 +426,10 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
           
           console.log(`Generating audio with voice: ${voiceID} for line: "${lineText.substring(0, 30)}..."`);
           
-          const buffer = await generateAudioWithTimeout(
+          const { buffer, format } = await synthesizeWithCache(
             lineText,
             voiceID,
-            openaiApiKey,
+            ttsProvider,
             timeoutSeconds,
             signal
           );
@@ -366,9 +442,13 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
           // Store the result with sequence information
           results.push({
             buffer,
+            format,
             voice: voiceID,
             role: lineRole,
             text: lineText,
+            emotion: speakerTurn.emotion || null,
+            pauseAfter: speakerTurn.pause_after || 0,
+            section: speakerTurn.section || null,
             originalLineIndex: origLineIdx,
             sequenceIndex: seqIdx  // Track sequence within the original line
           });
@@ -425,9 +505,10 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
   
   // Summary stats
   console.log(`\nBATCH RESULTS SUMMARY:`);
-  console.log(`HOST voice (${hostVoice}) used: ${hostLineCount} times`);
-  console.log(`CO-HOST voice (${cohostVoice}) used: ${cohostLineCount} times`);
-  console.log(`Total speaker turns processed: ${hostLineCount + cohostLineCount}`);
+  cast.forEach(speaker => {
+    console.log(`${speaker.name} voice (${speaker.voice}) used: ${turnCounts[speaker.id]} times`);
+  });
+  console.log(`Total speaker turns processed: ${Object.values(turnCounts).reduce((sum, count) => sum + count, 0)}`);
   
   // Count actual results
   let successCount = 0;
@@ -452,73 +533,68 @@ async function generateAudioBatch(lines, startIndex, batchSize, openaiApiKey, ti
 }
 
 /**
- * Generate audio with timeout using a direct API call
+ * Get speech for a segment from the cache, synthesizing and caching it on a miss
+ * Cache failures are logged and never stop generation
  * @param {string} text - Text to convert to speech
- * @param {string} voice - Voice to use (e.g., "alloy", "onyx")
- * @param {string} openaiApiKey - OpenAI API key
+ * @param {string} voice - Voice to use
+ * @param {Object} ttsProvider - Provider from getTtsProvider()
  * @param {number} timeoutSeconds - Timeout in seconds
  * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the operation
- * @returns {Promise<Uint8Array>} - Audio buffer
+ * @returns {Promise<Object>} - { buffer: Uint8Array, format }
  */
-async function generateAudioWithTimeout(text, voice, openaiApiKey, timeoutSeconds = 60, signal = null) {
-  if (!text || text.trim() === '') {
-    throw new Error("Cannot generate audio for empty text");
+async function synthesizeWithCache(text, voice, ttsProvider, timeoutSeconds = 60, signal = null) {
+  // The provider's cache key covers its endpoint and settings, so different backends never share entries
+  const model = `${ttsProvider.id}:${ttsProvider.model}`;
+  const key = await sha256Hex(JSON.stringify([text, voice, ttsProvider.cacheKey]));
+  
+  try {
+    const cached = await getCachedTtsSegment(key);
+    if (cached) {
+      console.log(`Using cached audio for: "${text.substring(0, 30)}..."`);
+      return { buffer: cached.buffer, format: cached.format || 'mp3' };
+    }
+  } catch (error) {
+    console.error('Error reading TTS cache:', error);
   }
   
-  if (!voice) {
-    throw new Error("Voice ID is required for audio generation");
+  const { audio, format } = await generateAudioWithTimeout(text, voice, ttsProvider, timeoutSeconds, signal);
+  
+  try {
+    await saveTtsSegment({ key, buffer: audio, format, voice, model, speed: ttsProvider.speed });
+  } catch (error) {
+    console.error('Error caching TTS segment:', error);
   }
   
+  return { buffer: audio, format };
+}
+
+/**
+ * Generate audio with timeout through the configured TTS provider
+ * @param {string} text - Text to convert to speech
+ * @param {string} voice - Voice to use (e.g., "alloy", "onyx")
+ * @param {Object} ttsProvider - Provider from getTtsProvider()
+ * @param {number} timeoutSeconds - Timeout in seconds
+ * @param {AbortSignal} [signal] - Optional AbortSignal to cancel the operation
+ * @returns {Promise<Object>} - { audio: Uint8Array, format, mimeType }
+ */
+async function generateAudioWithTimeout(text, voice, ttsProvider, timeoutSeconds = 60, signal = null) {
   console.log(`Generating audio with voice=${voice} for text: "${text.substring(0, 30)}..."`);
 
-  // Create an AbortController for timeout if no signal provided
-  const localController = signal ? null : new AbortController();
-  // Use provided signal or the local controller's signal
-  const requestSignal = signal || localController?.signal;
-  
-  // Set timeout that will abort the request if it takes too long
-  const timeoutId = setTimeout(() => {
-    if (localController) {
-      localController.abort();
-    }
-  }, timeoutSeconds * 1000);
+  // The request is aborted on timeout or when the caller cancels
+  const requestController = new AbortController();
+  const abortRequest = () => requestController.abort();
+  if (signal) {
+    signal.addEventListener('abort', abortRequest, { once: true });
+  }
+  
+  const timeoutId = setTimeout(abortRequest, timeoutSeconds * 1000);
   
   try {
-    // Make a direct request to OpenAI API using fetch
-    const response = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        voice: voice,
-        input: text
-      }),
-      signal: requestSignal
-    });
-    
-    if (!response.ok) {
-      let errorMessage = `API error: ${response.status}`;
-      try {
-        const errorData = await response.text();
-        errorMessage += ` - ${errorData}`;
-      } catch (e) {
-        // Ignore error parsing error
-      }
-      throw new Error(errorMessage);
-    }
-    
-    // Get array buffer from response
-    const arrayBuffer = await response.arrayBuffer();
-    console.log(`Successfully received ${arrayBuffer.byteLength} bytes of audio data`);
-    
-    // Convert the response to a Uint8Array
-    const buffer = new Uint8Array(arrayBuffer);
-    return buffer;
+    const result = await ttsProvider.synthesize(text, voice, { signal: requestController.signal });
+    console.log(`Successfully received ${result.audio.byteLength} bytes of ${result.format} audio`);
+    return result;
   } catch (error) {
-    if (error.name === 'AbortError') {
+    if (error.name === 'AbortError' || requestController.signal.aborted) {
       if (signal && signal.aborted) {
         throw new Error('Operation was cancelled');
       } else {
@@ -530,253 +606,148 @@ async function generateAudioWithTimeout(text, voice, openaiApiKey, timeoutSecond
     throw new Error(`Audio generation failed: ${error.message}`);
   } finally {
     clearTimeout(timeoutId);
+    if (signal) {
+      signal.removeEventListener('abort', abortRequest);
+    }
   }
 }
 
 /**
- * Split text into separate speaker turns
- * @param {string} text - Text that may contain multiple speakers
- * @param {Array<string>} hostIdentifiers - Array of strings that identify the host speaker
- * @param {Array<string>} cohostIdentifiers - Array of strings that identify the co-host speaker
- * @returns {Array<object>} Array of objects with speaker and text information
+ * Combine MP3 segments into a single stream
+ * Segments are joined frame by frame under one Xing header, with silence frames for the pauses
+ * @param {Array<Uint8Array>} audioBuffers - MP3 segments in playing order
+ * @param {Array<object>} metadata - Metadata for each buffer, with pauseAfter in seconds
+ * @returns {Object} { buffer, duration, durations, pauses } from concatenateMp3()
  */
-function splitTextIntoSpeakerTurns(text, hostIdentifiers, cohostIdentifiers) {
-  // If the text is empty, return empty array
-  if (!text || text.trim() === '') {
-    return [];
-  }
+function combineAudioBuffers(audioBuffers, metadata) {
+  console.log("Combining audio buffers...");
   
-  console.log(`Processing text for speaker turns:`);
-  console.log(`Host identifiers:`, hostIdentifiers);
-  console.log(`Co-host identifiers:`, cohostIdentifiers);
+  // Check if we have any buffers to combine
+  if (!audioBuffers || audioBuffers.length === 0) {
+    console.warn("No audio buffers to combine, returning empty buffer");
+    return { buffer: new Uint8Array(0), duration: 0, durations: [], pauses: [] };
+  }
   
-  // Create a pattern that matches any speaker identifier followed by a colon
-  const allIdentifiers = [...hostIdentifiers, ...cohostIdentifiers].map(id => 
-    id.replace(/:/g, '')  // Remove any colons from the identifiers
-  );
+  const inputLength = audioBuffers.reduce((acc, buf) => acc + buf.length, 0);
+  console.log(`Total audio size: ${formatBytes(inputLength)} (${inputLength} bytes)`);
+  console.log(`Total number of segments: ${audioBuffers.length}`);
+  logMemoryUsage('Before Combining Audio');
   
-  // Create a regex pattern that will match "SpeakerName: " including the space after colon
-  const speakerPattern = new RegExp(`(${allIdentifiers.join('|')})\\s*:\\s+`, 'g');
-  console.log(`Using speaker pattern: ${speakerPattern}`);
+  const combined = concatenateMp3(audioBuffers, metadata.map(entry => entry.pauseAfter || 0));
   
-  // First, try to separate multiple speakers in the same text block
-  // Split by new line, dashes, or clear speaker markers
-  const segments = text.split(/\n+|---+|\r\n/);
+  // A segment without frames would be silently missing from the episode
+  combined.durations.forEach((duration, index) => {
+    if (duration === 0) {
+      console.warn(`Segment ${index + 1} has no MP3 audio frames: "${metadata[index].text.substring(0, 50)}..."`);
+    }
+  });
   
-  const turns = [];
+  console.log(`Combined ${audioBuffers.length} segments into ${formatBytes(combined.buffer.length)}, ${combined.duration.toFixed(1)} seconds`);
+  logMemoryUsage('After Combining Audio');
   
-  // Process each segment to find speaker turns
-  for (const segment of segments) {
-    if (!segment.trim()) continue;
-    
-    // Find all speaker markers in this segment
-    const speakerMarkers = Array.from(segment.matchAll(speakerPattern));
-    
-    if (speakerMarkers.length === 0) {
-      // No clear speaker, use context to determine
-      let foundSpeaker = null;
-      let segmentText = segment.trim();
-      
-      // Try to find a speaker name at the beginning of the text
-      const prefixMatch = segmentText.match(/^([^:]+):\s*/);
-      if (prefixMatch) {
-        const possibleSpeaker = prefixMatch[1].trim();
-        
-        // Check if this is a known host name
-        for (const hostId of hostIdentifiers) {
-          const cleanHostId = hostId.replace(/:/g, '').trim();
-          if (possibleSpeaker.toLowerCase() === cleanHostId.toLowerCase()) {
-            foundSpeaker = 'HOST';
-            // Remove the speaker prefix for the actual spoken content
-            segmentText = segmentText.substring(prefixMatch[0].length).trim();
-            console.log(`Found host prefix in segment: ${possibleSpeaker}`);
-            break;
-          }
-        }
-        
-        // If not a host, check if it's a co-host
-        if (!foundSpeaker) {
-          for (const cohostId of cohostIdentifiers) {
-            const cleanCohostId = cohostId.replace(/:/g, '').trim();
-            if (possibleSpeaker.toLowerCase() === cleanCohostId.toLowerCase() || 
-                possibleSpeaker.toLowerCase().includes('leela')) {
-              foundSpeaker = 'CO-HOST';
-              // Remove the speaker prefix for the actual spoken content
-              segmentText = segmentText.substring(prefixMatch[0].length).trim();
-              console.log(`Found co-host prefix in segment: ${possibleSpeaker}`);
-              break;
-            }
-          }
-        }
-      }
-      
-      // If still no speaker, use context to determine
-      if (!foundSpeaker) {
-        for (const hostId of hostIdentifiers) {
-          if (segment.includes(hostId)) {
-            foundSpeaker = 'HOST';
-            break;
-          }
-        }
-      }
+  return combined;
+}
+
+/**
+ * Combine WAV files from a local TTS server into one WAV file
+ * The PCM data is joined under a single header, so every segment must share one sample format
+ * @param {Array<Uint8Array>} audioBuffers - WAV files
+ * @param {Array<number>} [pauses] - Seconds of silence to add after each file
+ * @returns {Uint8Array} Combined WAV file
+ */
+function combineWavBuffers(audioBuffers, pauses = []) {
+  let formatChunk = null;
+  const dataChunks = [];
+  const pauseChunks = [];
+  
+  for (const buffer of audioBuffers) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 12; // Skip "RIFF", size and "WAVE"
+    
+    while (offset + 8 <= buffer.byteLength) {
+      const chunkId = String.fromCharCode(...buffer.subarray(offset, offset + 4));
+      const chunkSize = view.getUint32(offset + 4, true);
+      const body = buffer.subarray(offset + 8, Math.min(offset + 8 + chunkSize, buffer.byteLength));
       
-      if (!foundSpeaker) {
-        for (const cohostId of cohostIdentifiers) {
-          if (segment.includes(cohostId)) {
-            foundSpeaker = 'CO-HOST';
-            break;
-          }
+      if (chunkId === 'fmt ') {
+        if (!formatChunk) {
+          formatChunk = body;
+        } else if (formatChunk.join(',') !== body.join(',')) {
+          throw new Error('Cannot combine WAV segments with different sample formats');
         }
+      } else if (chunkId === 'data') {
+        dataChunks.push(body);
+        pauseChunks.push(pauses[dataChunks.length - 1] || 0);
       }
       
-      // Default to HOST if no speaker found
-      turns.push({
-        speaker: foundSpeaker || 'HOST',
-        text: segmentText
-      });
-      
-      console.log(`Processed segment without clear markers: Speaker=${foundSpeaker || 'HOST'}, Text="${segmentText.substring(0, 30)}..."`);
-      continue;
-    }
-    
-    // Use the positions of speaker markers to split the text into turns
-    for (let i = 0; i < speakerMarkers.length; i++) {
-      const marker = speakerMarkers[i];
-      const speakerName = marker[1].trim();
-      
-      // Determine if this is HOST or CO-HOST
-      let speaker = 'HOST';  // Default
-      
-      // Check explicitly for Leela first (priority detection)
-      if (speakerName.toLowerCase().includes('leela')) {
-        speaker = 'CO-HOST';
-        console.log(`Detected Leela as speaker: ${speakerName}`);
-      }
-      else {
-        // Check if the speaker name is in cohostIdentifiers (removing any colons)
-        for (const cohostId of cohostIdentifiers) {
-          const cleanCohostId = cohostId.replace(/:/g, '').trim();
-          if (speakerName.toLowerCase() === cleanCohostId.toLowerCase()) {
-            speaker = 'CO-HOST';
-            console.log(`Matched co-host identifier: ${cleanCohostId}`);
-            break;
-          }
-        }
-      }
-      
-      const startPos = marker.index;
-      const nextMarker = speakerMarkers[i + 1];
-      const endPos = nextMarker ? nextMarker.index : segment.length;
-      
-      // Extract the text for this turn (including the speaker prefix)
-      const turnTextWithPrefix = segment.substring(startPos, endPos).trim();
-      
-      // Remove the speaker prefix for the actual spoken content
-      // Get everything after the first colon and space
-      const actualText = turnTextWithPrefix.replace(/^[^:]+:\s*/, '').trim();
-      
-      // If there's actual content, add it as a turn
-      if (actualText) {
-        turns.push({
-          speaker,
-          text: actualText
-        });
-        
-        console.log(`Identified turn: Speaker=${speaker}, Text="${actualText.substring(0, 30)}..."`);
-        console.log(`Removed prefix from: "${turnTextWithPrefix.substring(0, Math.min(40, turnTextWithPrefix.length))}..."`);
-      }
+      // Chunks are padded to an even length
+      offset += 8 + chunkSize + (chunkSize % 2);
     }
   }
   
-  // If no turns were created but we have text, default to HOST
-  if (turns.length === 0 && text.trim() !== '') {
-    // Check if the text starts with a speaker name
-    const cleanText = text.trim();
-    const prefixMatch = cleanText.match(/^([^:]+):\s*/);
-    let textWithoutPrefix = cleanText;
-    
-    if (prefixMatch) {
-      // Remove the speaker prefix for the actual spoken content
-      textWithoutPrefix = cleanText.substring(prefixMatch[0].length).trim();
-      console.log(`Removed prefix in fallback: "${prefixMatch[0]}"`);
-    }
-    
-    turns.push({
-      speaker: 'HOST',
-      text: textWithoutPrefix
-    });
-    console.log(`No clear turns found, defaulting to HOST with text: "${textWithoutPrefix.substring(0, 30)}..."`);
+  if (!formatChunk) {
+    throw new Error('Audio segments are not valid WAV files');
   }
   
-  console.log(`Split into ${turns.length} turns`);
-  return turns;
+  // Silence is whole sample frames of zero, or the 8-bit midpoint
+  const formatView = new DataView(formatChunk.buffer, formatChunk.byteOffset, formatChunk.byteLength);
+  const byteRate = formatView.getUint32(8, true);
+  const blockAlign = formatView.getUint16(12, true) || 1;
+  const silenceValue = formatView.getUint16(14, true) === 8 ? 128 : 0;
+  const pauseLengths = pauseChunks.map(seconds => Math.round((seconds * byteRate) / blockAlign) * blockAlign);
+  
+  const dataLength = dataChunks.reduce((total, chunk, index) => total + chunk.length + pauseLengths[index], 0);
+  const headerLength = 12 + 8 + formatChunk.length + 8;
+  const combined = new Uint8Array(headerLength + dataLength);
+  const view = new DataView(combined.buffer);
+  const writeId = (offset, id) => combined.set(Array.from(id, char => char.charCodeAt(0)), offset);
+  
+  writeId(0, 'RIFF');
+  view.setUint32(4, combined.length - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, formatChunk.length, true);
+  combined.set(formatChunk, 20);
+  writeId(20 + formatChunk.length, 'data');
+  view.setUint32(24 + formatChunk.length, dataLength, true);
+  
+  let offset = headerLength;
+  dataChunks.forEach((chunk, index) => {
+    combined.set(chunk, offset);
+    offset += chunk.length;
+    if (silenceValue && pauseLengths[index]) {
+      combined.fill(silenceValue, offset, offset + pauseLengths[index]);
+    }
+    offset += pauseLengths[index];
+  });
+  
+  console.log(`Combined ${dataChunks.length} WAV segments (${formatBytes(combined.length)})`);
+  return combined;
 }
 
 /**
- * Combines multiple audio buffers into a single buffer
- * @param {Array<Uint8Array>} audioBuffers - Array of audio buffers to combine
- * @param {Array<object>} metadata - Metadata for each buffer
- * @returns {Uint8Array} Combined audio buffer
+ * Get how long a WAV file plays
+ * @param {Uint8Array} wav - WAV file
+ * @returns {number} Duration in seconds, or 0 when the file has no format or data chunk
  */
-function combineAudioBuffers(audioBuffers, metadata) {
-  console.log("Combining audio buffers...");
-  
-  // Check if we have any buffers to combine
-  if (!audioBuffers || audioBuffers.length === 0) {
-    console.warn("No audio buffers to combine, returning empty buffer");
-    return new Uint8Array(0);
-  }
-  
-  const totalLength = audioBuffers.reduce((acc, buf) => acc + buf.length, 0);
-  console.log(`Total audio size: ${formatBytes(totalLength)} (${totalLength} bytes)`);
-  console.log(`Total number of segments: ${audioBuffers.length}`);
-  
-  // Log memory before buffer allocation
-  logMemoryUsage('Before Buffer Allocation');
-  
-  // Allocate buffer for combined audio
-  console.log(`Allocating buffer of ${formatBytes(totalLength)}`);
-  const combinedBuffer = new Uint8Array(totalLength);
-  
-  // Log memory after buffer allocation
-  logMemoryUsage('After Buffer Allocation');
-  
-  let offset = 0;
-  let segmentsTotalSize = 0;
-  
-  for (let i = 0; i < audioBuffers.length; i++) {
-    const buffer = audioBuffers[i];
-    combinedBuffer.set(buffer, offset);
-    offset += buffer.length;
-    segmentsTotalSize += buffer.length;
-    
-    // Log which speaker and voice was used
-    if (metadata && metadata[i]) {
-      console.log(`Added segment ${i+1}: Speaker="${metadata[i].role}", Voice=${metadata[i].voice}, Length: ${buffer.length} bytes`);
-      if (i < 5 || i >= audioBuffers.length - 5) { // Show text for first and last few segments
-        console.log(`Segment ${i+1} text: "${metadata[i].text.substring(0, 50)}..."`);
-      }
-    } else {
-      console.log(`Added segment ${i+1}, Length: ${buffer.length} bytes`);
-    }
-    
-    // Log memory usage periodically
-    if ((i + 1) % 10 === 0 || i === audioBuffers.length - 1) {
-      const percentComplete = Math.round((i + 1) / audioBuffers.length * 100);
-      console.log(`Combined ${i + 1}/${audioBuffers.length} segments (${percentComplete}%)`);
-      console.log(`Current offset: ${offset} bytes (${formatBytes(offset)})`);
-      logMemoryUsage(`After Combining ${i + 1} Audio Segments`);
+function getWavDuration(wav) {
+  const view = new DataView(wav.buffer, wav.byteOffset, wav.byteLength);
+  let byteRate = 0;
+  let dataLength = 0;
+  let offset = 12; // Skip "RIFF", size and "WAVE"
+  
+  while (offset + 8 <= wav.byteLength) {
+    const chunkId = String.fromCharCode(...wav.subarray(offset, offset + 4));
+    const chunkSize = view.getUint32(offset + 4, true);
+    if (chunkId === 'fmt ' && offset + 20 <= wav.byteLength) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (chunkId === 'data') {
+      dataLength = Math.min(chunkSize, wav.byteLength - offset - 8);
     }
+    offset += 8 + chunkSize + (chunkSize % 2);
   }
   
-  // Verify the combined buffer is complete
-  console.log(`Combined buffer size verification: ${combinedBuffer.length} bytes (expected ${totalLength} bytes)`);
-  console.log(`Segments total size: ${segmentsTotalSize} bytes (${formatBytes(segmentsTotalSize)})`);
-  
-  // Check memory after combining buffers
-  logMemoryUsage('After Combining All Buffers');
-  
-  return combinedBuffer;
+  return byteRate > 0 ? dataLength / byteRate : 0;
 }
 
 /**
@@ -793,7 +764,6 @@ export {
   generatePodcastAudio,
   generateAudioBatch,
   generateAudioWithTimeout,
-  splitTextIntoSpeakerTurns,
   combineAudioBuffers,
   estimateAudioDuration
 }; 
\ No newline at end of file
@@ -0,0 +1,538 @@
+/**
+ * Podcast mixing for Article to Audio Extension (Local Version)
+ * Runs in the offscreen document, where Web Audio is available. A saved podcast is decoded,
+ * each speaker's lines are brought to the same loudness using the podcast's timeline, the
+ * episode is normalized to a target loudness, and the result is saved back in the format it
+ * was made in. MP3 is encoded again in the export worker under a Xing header, with the tag
+ * rewritten from the mixed timeline; WAV is written as 16-bit PCM.
+ * Gain changes are ramped over a few milliseconds at turn boundaries so they never click.
+ * Where the speaker changes, the turns can also crossfade: the pause between them is taken
+ * out and the next speaker fades in while the last one fades out.
+ *
+ * An hour of decoded speech takes hundreds of megabytes, so after decoding the samples are
+ * changed in place or mixed into a single output, with gains that ramp linearly as
+ * AudioParam automation does, instead of being copied through OfflineAudioContext
+ * buffers. The finished samples are transferred to the export worker rather than copied.
+ *
+ * Uploaded music can be mixed in as well: an intro bed that the speech starts over, a
+ * stinger between chapters and an outro bed that rises as the speech ends. Music plays at
+ * the speech's loudness and is ducked while someone is talking. The timeline is moved to
+ * match, so chapters and the transcript stay in sync.
+ *
+ * Mix settings: { normalize, targetLufs, crossfadeSeconds, music: { intro, transition, outro } }
+ * with asset IDs.
+ */
+
+import { getAudioById, updateAudio, getAssetById } from './db.js';
+import { measureLoudness, dbToGain } from './loudness.js';
+import { encodeWav } from './wav.js';
+import { encodeInExportWorker } from './exportWorkerClient.js';
+
+// Speech is mixed in mono at the rate speech providers deliver
+const MIX_SAMPLE_RATE = 24000;
+
+// Bitrate mixed MP3 podcasts are encoded at, in kbps; plenty for mono speech at 24 kHz
+const MIX_MP3_BITRATE = 64;
+
+// Loudness podcasts are commonly delivered at, in LUFS
+const DEFAULT_TARGET_LUFS = -16;
+
+// Largest correction applied to one speaker, in dB
+const MAX_SPEAKER_GAIN_DB = 12;
+
+// Highest sample peak allowed after normalization, in dBFS
+const PEAK_CEILING_DB = -1;
+
+// Time over which the gain moves between turns, in seconds
+const GAIN_RAMP_SECONDS = 0.02;
+
+// Music under speech is this many dB quieter
+const DUCK_DB = 18;
+
+// Time over which music ducks or comes back up, in seconds
+const DUCK_RAMP_SECONDS = 0.5;
+
+// Intro music plays alone for at most this long before the speech starts, in seconds
+const INTRO_LEAD_SECONDS = 5;
+
+// Outro music starts this long before the speech ends, in seconds
+const OUTRO_OVERLAP_SECONDS = 4;
+
+// Silence around a transition stinger, in seconds
+const TRANSITION_PADDING_SECONDS = 0.4;
+
+// Time over which a music bed fades out, in seconds
+const FADE_OUT_SECONDS = 1;
+
+// Longest crossfade between speakers, in seconds
+const MAX_CROSSFADE_SECONDS = 1;
+
+const MUSIC_KINDS = ['intro', 'transition', 'outro'];
+
+/**
+ * Check whether mix settings ask for any mixing
+ * @param {Object} [mix] - Mix settings
+ * @returns {boolean} True when loudness normalization, crossfades or music are requested
+ */
+function isMixRequested(mix) {
+  if (!mix) return false;
+  return Boolean(mix.normalize) || getCrossfadeSeconds(mix) > 0 ||
+    MUSIC_KINDS.some(kind => mix.music && mix.music[kind]);
+}
+
+/**
+ * Get the crossfade length a mix asks for
+ * @param {Object} mix - Mix settings
+ * @returns {number} Seconds, 0 when turns are not crossfaded
+ */
+function getCrossfadeSeconds(mix) {
+  const seconds = Number(mix.crossfadeSeconds);
+  return Number.isFinite(seconds) ? Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, seconds)) : 0;
+}
+
+/**
+ * Decode audio to mono samples
+ * @param {ArrayBuffer} arrayBuffer - Encoded audio
+ * @param {number} [sampleRate] - Rate to resample to; the mixing rate by default
+ * @returns {Promise<Float32Array>} Samples
+ */
+async function decodeToMono(arrayBuffer, sampleRate = MIX_SAMPLE_RATE) {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const decoded = await context.decodeAudioData(arrayBuffer);
+
+  const samples = new Float32Array(decoded.length);
+  for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+    const data = decoded.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / decoded.numberOfChannels;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Work out the gain that brings each speaker to the target loudness
+ * @param {Float32Array} samples - Episode samples
+ * @param {Array<Object>} lines - Timeline lines with start, end and speaker
+ * @param {number} targetLufs - Target loudness
+ * @returns {Object} Gain in dB by speaker ID, with the measured loudness: { [id]: { loudness, gainDb } }
+ */
+function measureSpeakers(samples, lines, targetLufs) {
+  const regions = {};
+  lines.forEach(line => {
+    const start = Math.max(0, Math.floor(line.start * MIX_SAMPLE_RATE));
+    const end = Math.min(samples.length, Math.ceil(line.end * MIX_SAMPLE_RATE));
+    if (end > start) {
+      (regions[line.speaker] = regions[line.speaker] || []).push(samples.subarray(start, end));
+    }
+  });
+
+  const speakers = {};
+  Object.entries(regions).forEach(([speaker, parts]) => {
+    const joined = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      joined.set(part, offset);
+      offset += part.length;
+    });
+
+    const loudness = measureLoudness(joined, MIX_SAMPLE_RATE);
+    const gainDb = Number.isFinite(loudness)
+      ? Math.max(-MAX_SPEAKER_GAIN_DB, Math.min(MAX_SPEAKER_GAIN_DB, targetLufs - loudness))
+      : 0;
+    speakers[speaker] = { loudness: Number.isFinite(loudness) ? loudness : null, gainDb };
+  });
+  return speakers;
+}
+
+/**
+ * Create a gain envelope that moves linearly between points, as AudioParam ramps do
+ * @param {Array<Object>} points - { time, gain } in time order; the gain holds before the
+ *   first point and after the last
+ * @returns {Function} Gain at a time in seconds; times must not go backwards between calls
+ */
+function createEnvelope(points) {
+  let next = 0;
+  return (time) => {
+    while (next < points.length && points[next].time <= time) next++;
+    if (next === 0) return points[0].gain;
+    if (next === points.length) return points[points.length - 1].gain;
+    const from = points[next - 1];
+    const to = points[next];
+    return from.gain + (to.gain - from.gain) * (time - from.time) / (to.time - from.time);
+  };
+}
+
+/**
+ * Add samples into an output, scaled by a gain envelope
+ * @param {Float32Array} output - Output samples, changed in place
+ * @param {Float32Array} source - Samples to add
+ * @param {number} when - Output time the source starts at, in seconds
+ * @param {Array<Object>} points - Gain points in output time, for createEnvelope()
+ * @param {number} [stop] - Output time the source stops at, in seconds
+ */
+function mixInto(output, source, when, points, stop = Infinity) {
+  const start = Math.round(when * MIX_SAMPLE_RATE);
+  const end = Math.min(output.length, start + source.length, Math.round(stop * MIX_SAMPLE_RATE));
+  const gainAt = createEnvelope(points);
+  for (let index = Math.max(0, start); index < end; index++) {
+    output[index] += source[index - start] * gainAt(index / MIX_SAMPLE_RATE);
+  }
+}
+
+/**
+ * Apply each speaker's gain to their lines
+ * @param {Float32Array} samples - Episode samples, changed in place
+ * @param {Array<Object>} lines - Timeline lines
+ * @param {Object} speakers - Result of measureSpeakers()
+ */
+function applySpeakerGains(samples, lines, speakers) {
+  // The gain moves to each speaker's level just before their line starts
+  const points = [{ time: 0, gain: 1 }];
+  let current = 1;
+  lines.forEach(line => {
+    const gain = dbToGain(speakers[line.speaker] ? speakers[line.speaker].gainDb : 0);
+    if (gain === current) return;
+    const rampStart = Math.max(0, points[points.length - 1].time, line.start - GAIN_RAMP_SECONDS);
+    points.push({ time: rampStart, gain: current }, { time: Math.max(rampStart, line.start), gain });
+    current = gain;
+  });
+
+  const gainAt = createEnvelope(points);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] *= gainAt(i / MIX_SAMPLE_RATE);
+  }
+}
+
+/**
+ * Crossfade the turns where the speaker changes and move the timeline to match
+ * The pause before the next turn is taken out and the turns overlap by the crossfade,
+ * with equal-power fades. A crossfade never covers more than half of either line.
+ * @param {Float32Array} speech - Speech samples
+ * @param {Object} timeline - Timeline of the speech
+ * @param {number} crossfadeSeconds - Overlap between turns, in seconds
+ * @returns {Object} { samples, timeline } with the turns joined in a new buffer
+ */
+function crossfadeTurns(speech, timeline, crossfadeSeconds) {
+  const lines = timeline.lines;
+  const speechDuration = speech.length / MIX_SAMPLE_RATE;
+
+  // Speaker changes, with the time each one takes out of the episode
+  const changes = [];
+  for (let i = 0; i < lines.length - 1; i++) {
+    const previous = lines[i];
+    const next = lines[i + 1];
+    if (previous.speaker === next.speaker || next.start < previous.end) continue;
+    const overlap = Math.min(crossfadeSeconds, (previous.end - previous.start) / 2, (next.end - next.start) / 2);
+    if (overlap <= 0) continue;
+    changes.push({ previousEnd: previous.end, nextStart: next.start, overlap, removed: next.start - previous.end + overlap });
+  }
+  if (changes.length === 0) {
+    return { samples: speech, timeline };
+  }
+
+  // Times in a removed pause move to where the next turn now starts
+  const mapTime = time => {
+    let shift = 0;
+    for (const change of changes) {
+      if (time >= change.nextStart) {
+        shift += change.removed;
+      } else if (time > change.previousEnd) {
+        return change.nextStart - shift - change.removed;
+      } else {
+        break;
+      }
+    }
+    return time - shift;
+  };
+
+  const duration = mapTime(speechDuration);
+  const output = new Float32Array(Math.ceil(duration * MIX_SAMPLE_RATE));
+
+  // Stretches of speech between changes, each faded in and out where it overlaps another
+  const stretches = [0, ...changes.map(change => change.nextStart)].map((start, index) => ({
+    start,
+    end: index < changes.length ? changes[index].previousEnd : speechDuration,
+    fadeIn: index > 0 ? changes[index - 1].overlap : 0,
+    fadeOut: index < changes.length ? changes[index].overlap : 0
+  }));
+  stretches.forEach(stretch => {
+    const from = Math.round(stretch.start * MIX_SAMPLE_RATE);
+    const length = Math.round(stretch.end * MIX_SAMPLE_RATE) - from;
+    const offset = Math.round(mapTime(stretch.start) * MIX_SAMPLE_RATE);
+    const fadeIn = Math.round(stretch.fadeIn * MIX_SAMPLE_RATE);
+    const fadeOut = Math.round(stretch.fadeOut * MIX_SAMPLE_RATE);
+    const end = Math.min(length, output.length - offset);
+
+    for (let i = 0; i < end; i++) {
+      let gain = 1;
+      if (i < fadeIn) {
+        gain = Math.sin((i / fadeIn) * Math.PI / 2);
+      } else if (i >= length - fadeOut) {
+        gain = Math.cos(((i - (length - fadeOut)) / fadeOut) * Math.PI / 2);
+      }
+      output[offset + i] += speech[from + i] * gain;
+    }
+  });
+
+  const round = time => Math.round(time * 1000) / 1000;
+  const chapters = (timeline.chapters || []).map(chapter => ({ ...chapter, start: round(mapTime(chapter.start)) }));
+  chapters.forEach((chapter, index) => {
+    chapter.end = index < chapters.length - 1 ? chapters[index + 1].start : round(duration);
+  });
+
+  return {
+    samples: output,
+    timeline: {
+      ...timeline,
+      duration: round(duration),
+      lines: lines.map(line => ({ ...line, start: round(mapTime(line.start)), end: round(mapTime(line.end)) })),
+      chapters
+    }
+  };
+}
+
+/**
+ * Bring mixed samples to the target loudness without letting peaks pass the ceiling
+ * @param {Float32Array} samples - Mixed samples, changed in place
+ * @param {number} targetLufs - Target loudness
+ * @returns {Object} { loudness, gainDb, limited } where limited means the ceiling held the gain back
+ */
+function normalizeLoudness(samples, targetLufs) {
+  const measured = measureLoudness(samples, MIX_SAMPLE_RATE);
+  if (!Number.isFinite(measured)) {
+    return { loudness: null, gainDb: 0, limited: false };
+  }
+
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const peakDb = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+
+  const wantedDb = targetLufs - measured;
+  const gainDb = Math.min(wantedDb, PEAK_CEILING_DB - peakDb);
+  const gain = dbToGain(gainDb);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] *= gain;
+  }
+
+  return {
+    loudness: Math.round((measured + gainDb) * 10) / 10,
+    gainDb: Math.round(gainDb * 10) / 10,
+    limited: gainDb < wantedDb
+  };
+}
+
+/**
+ * Load the music a mix uses
+ * @param {Object} [music] - Asset IDs by kind
+ * @returns {Promise<Object>} Decoded samples by kind, for the kinds that were chosen and found
+ */
+async function loadMusic(music = {}) {
+  const loaded = {};
+  for (const kind of MUSIC_KINDS) {
+    if (!music[kind]) continue;
+    const asset = await getAssetById(music[kind]);
+    if (!asset || !asset.blob) {
+      console.warn(`The ${kind} music (asset ${music[kind]}) no longer exists and is left out`);
+      continue;
+    }
+    loaded[kind] = await decodeToMono(await asset.blob.arrayBuffer());
+  }
+  return loaded;
+}
+
+/**
+ * Mix music around the speech and move the timeline to match
+ * @param {Float32Array} speech - Speech samples
+ * @param {Object} timeline - Timeline of the speech
+ * @param {Object} music - Decoded samples by kind, from loadMusic()
+ * @returns {Object} { samples, timeline } with the speech and music mixed in a new buffer
+ */
+function addMusic(speech, timeline, music) {
+  const seconds = samples => samples.length / MIX_SAMPLE_RATE;
+  const speechDuration = seconds(speech);
+
+  // Music is brought to the speech's loudness; quiet or silent files are left alone
+  const speechLoudness = measureLoudness(speech, MIX_SAMPLE_RATE);
+  const musicGain = samples => {
+    const loudness = measureLoudness(samples, MIX_SAMPLE_RATE);
+    if (!Number.isFinite(loudness) || !Number.isFinite(speechLoudness)) return 1;
+    return dbToGain(Math.max(-MAX_SPEAKER_GAIN_DB, Math.min(MAX_SPEAKER_GAIN_DB, speechLoudness - loudness)));
+  };
+
+  // Stingers go between chapters, in a gap opened in the speech
+  const introLead = music.intro ? Math.min(INTRO_LEAD_SECONDS, seconds(music.intro)) : 0;
+  const boundaries = music.transition ? timeline.chapters.slice(1).map(chapter => chapter.start) : [];
+  const gap = music.transition ? seconds(music.transition) + TRANSITION_PADDING_SECONDS * 2 : 0;
+  const mapTime = time => time + introLead + gap * boundaries.filter(boundary => boundary <= time).length;
+  // A line ending on a chapter boundary ends before that chapter's stinger, not after it
+  const mapEndTime = time => time + introLead + gap * boundaries.filter(boundary => boundary < time).length;
+
+  const speechEnd = mapTime(speechDuration);
+  const outroStart = music.outro ? Math.max(introLead, speechEnd - OUTRO_OVERLAP_SECONDS) : speechEnd;
+  const duration = Math.max(speechEnd, music.outro ? outroStart + seconds(music.outro) : 0);
+
+  const output = new Float32Array(Math.ceil(duration * MIX_SAMPLE_RATE));
+
+  // Speech, cut where the stingers go
+  const cuts = [0, ...boundaries, speechDuration];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const from = Math.round(cuts[i] * MIX_SAMPLE_RATE);
+    const offset = Math.min(output.length, Math.round(mapTime(cuts[i]) * MIX_SAMPLE_RATE));
+    const to = Math.min(Math.round(cuts[i + 1] * MIX_SAMPLE_RATE), from + output.length - offset);
+    output.set(speech.subarray(from, to), offset);
+  }
+
+  const mappedChapters = timeline.chapters.map((chapter, index) => ({
+    ...chapter,
+    // A chapter's stinger belongs to it, so seeking to the chapter plays the stinger first
+    start: index === 0 ? 0 : mapTime(chapter.start) - gap
+  }));
+  mappedChapters.forEach((chapter, index) => {
+    chapter.end = index < mappedChapters.length - 1 ? mappedChapters[index + 1].start : duration;
+  });
+
+  if (music.intro) {
+    const full = musicGain(music.intro);
+    const ducked = full * dbToGain(-DUCK_DB);
+    const points = [
+      { time: Math.max(0, introLead - DUCK_RAMP_SECONDS), gain: full },
+      { time: introLead, gain: ducked }
+    ];
+    let stop = Infinity;
+
+    // The bed stays under the introduction and fades before the first article
+    const introEnd = mappedChapters.length > 1 ? mappedChapters[1].start : speechEnd;
+    if (introEnd < seconds(music.intro)) {
+      points.push({ time: Math.max(introLead, introEnd - FADE_OUT_SECONDS), gain: ducked }, { time: introEnd, gain: 0 });
+      stop = introEnd;
+    }
+    mixInto(output, music.intro, 0, points, stop);
+  }
+
+  if (music.transition) {
+    const full = musicGain(music.transition);
+    boundaries.forEach(boundary => {
+      mixInto(output, music.transition, mapTime(boundary) - gap + TRANSITION_PADDING_SECONDS, [{ time: 0, gain: full }]);
+    });
+  }
+
+  if (music.outro) {
+    const full = musicGain(music.outro);
+    const ducked = full * dbToGain(-DUCK_DB);
+    const points = outroStart < speechEnd
+      ? [{ time: speechEnd, gain: ducked }, { time: speechEnd + DUCK_RAMP_SECONDS, gain: full }]
+      : [{ time: 0, gain: full }];
+    mixInto(output, music.outro, outroStart, points);
+  }
+
+  const round = time => Math.round(time * 1000) / 1000;
+  return {
+    samples: output,
+    timeline: {
+      duration: round(duration),
+      lines: timeline.lines.map(line => ({ ...line, start: round(mapTime(line.start)), end: round(mapEndTime(line.end)) })),
+      chapters: mappedChapters.map(chapter => ({ ...chapter, start: round(chapter.start), end: round(chapter.end) }))
+    }
+  };
+}
+
+/**
+ * Scale samples down so no peak passes the ceiling
+ * @param {Float32Array} samples - Samples, changed in place
+ */
+function limitPeaks(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+
+  const ceiling = dbToGain(PEAK_CEILING_DB);
+  if (peak <= ceiling) return;
+  const gain = ceiling / peak;
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] *= gain;
+  }
+}
+
+/**
+ * Mix a saved podcast and replace its audio with the result
+ * @param {number} podcastId - Podcast ID
+ * @param {Object} mix - Mix settings: { normalize, targetLufs, crossfadeSeconds, music }
+ * @param {Function} [progressCallback] - Called with the fraction of the MP3 encoded
+ * @returns {Promise<Object>} { duration, size, loudness } for the mixed podcast; loudness is
+ *   null when the podcast was not normalized
+ * @throws {Error} When the podcast has no audio or timeline
+ */
+async function mixStoredPodcast(podcastId, mix = {}, progressCallback = () => {}) {
+  const podcast = await getAudioById(podcastId);
+  if (!podcast || !podcast.blob) {
+    throw new Error('Podcast audio not found');
+  }
+  if (!podcast.timeline || !Array.isArray(podcast.timeline.lines)) {
+    throw new Error('The podcast has no timeline to mix by');
+  }
+
+  const targetLufs = Number.isFinite(Number(mix.targetLufs)) ? Number(mix.targetLufs) : DEFAULT_TARGET_LUFS;
+  let samples = await decodeToMono(await podcast.blob.arrayBuffer());
+  let timeline = podcast.timeline;
+  let speakers = null;
+
+  if (mix.normalize) {
+    speakers = measureSpeakers(samples, timeline.lines, targetLufs);
+    applySpeakerGains(samples, timeline.lines, speakers);
+  }
+
+  // Gains are applied first, while each line still has the speech to itself
+  const crossfadeSeconds = getCrossfadeSeconds(mix);
+  if (crossfadeSeconds > 0) {
+    ({ samples, timeline } = crossfadeTurns(samples, timeline, crossfadeSeconds));
+  }
+
+  const music = await loadMusic(mix.music);
+  if (Object.keys(music).length > 0) {
+    ({ samples, timeline } = addMusic(samples, timeline, music));
+  }
+
+  let loudness = null;
+  if (mix.normalize) {
+    loudness = { targetLufs, ...normalizeLoudness(samples, targetLufs), speakers };
+  } else {
+    limitPeaks(samples);
+  }
+
+  const duration = samples.length / MIX_SAMPLE_RATE;
+  let blob;
+  if (podcast.format === 'wav') {
+    blob = new Blob([encodeWav(samples, MIX_SAMPLE_RATE)], { type: 'audio/wav' });
+  } else {
+    // The tag carries the title and the chapters of the mixed timeline, as generation
+    // writes it. The samples are transferred, so the worker holds the only copy.
+    const parts = await encodeInExportWorker({
+      format: 'mp3',
+      samples,
+      sampleRate: MIX_SAMPLE_RATE,
+      bitrate: MIX_MP3_BITRATE,
+      metadata: { title: podcast.title },
+      chapters: timeline.chapters || []
+    }, progressCallback);
+    blob = new Blob(parts, { type: 'audio/mpeg' });
+  }
+  // Only the encoded file is needed from here on
+  samples = null;
+
+  await updateAudio({ ...podcast, blob, duration, timeline, loudness, music: Object.keys(music) });
+  console.log(`Mixed podcast ${podcastId}${loudness ? `: ${loudness.loudness} LUFS (target ${targetLufs})` : ''}`);
+
+  return { duration: Math.round(duration), size: blob.size, loudness };
+}
+
+export {
+  DEFAULT_TARGET_LUFS,
+  MUSIC_KINDS,
+  isMixRequested,
+  decodeToMono,
+  mixStoredPodcast
+};
@@ -1,12 +1,37 @@
 // background.js
 
 // Import local database operations
-import { saveArticle } from './db.js';
+import { saveArticle, updateArticle, findDuplicateArticles } from './db.js';
 import { generateSummary, generateTitle } from './openai.js';
+import { extractArticleContent, mergeArticlePages } from './articleExtractor.js';
+import { textToBlocks } from './articleBlocks.js';
+import { parseTagInput, normalizeFolder } from './collections.js';
+import { getArticleCanonicalUrl, mergeDuplicateArticles, collectAlternateUrls } from './duplicates.js';
+import {
+  KEEPALIVE_ALARM,
+  enqueuePodcastJob,
+  cancelJob,
+  retryJob,
+  removeJob,
+  clearFinishedJobs,
+  getJobs,
+  getJobScript,
+  saveJobScript,
+  regenerateJobSegment,
+  synthesizeJob,
+  resumeInterruptedJobs
+} from './jobQueue.js';
+import { sendOffscreenMessage, publishPodcast } from './offscreenDocument.js';
 
 // Extension initialization flag
 let initialized = false;
 
+// Maximum number of pages followed when stitching a paginated article
+const MAX_ARTICLE_PAGES = 10;
+
+// Time allowed for fetching each later page
+const PAGE_FETCH_TIMEOUT_MS = 15000;
+
 // Initialize the extension when installed or updated
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed or updated');
@@ -19,6 +44,13 @@ chrome.runtime.onStartup.addListener(() => {
   initialize();
 });
 
+// The job queue's keepalive alarm also revives generation if the worker was suspended
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === KEEPALIVE_ALARM) {
+    resumeInterruptedJobs();
+  }
+});
+
 // Handle content script ready messages
 chrome.runtime.onMessage.addListener((request, sender) => {
   if (request.action === "CONTENT_SCRIPT_READY") {
@@ -37,6 +69,11 @@ async function initialize() {
     // Register a handler for article extraction requests
     chrome.runtime.onMessage.addListener(handleMessages);
     
+    // Pick up generation jobs that were running when the worker last stopped
+    resumeInterruptedJobs().catch(error => {
+      console.error('Error resuming generation jobs:', error);
+    });
+    
     initialized = true;
     console.log('Extension initialized successfully');
   } catch (error) {
@@ -81,6 +118,34 @@ function handleMessages(request, sender, sendResponse) {
     return true; // Keep the message channel open for async response
   }
   
+  // Podcast generation jobs run in the background so they survive closing the articles page
+  const jobActions = {
+    START_PODCAST_JOB: () => enqueuePodcastJob(request.articleIds, request.options)
+      .then(job => ({ success: true, job })),
+    GET_JOBS: () => getJobs().then(jobs => ({ success: true, jobs })),
+    CANCEL_JOB: () => cancelJob(request.jobId).then(cancelled => ({ success: cancelled })),
+    RETRY_JOB: () => retryJob(request.jobId).then(job => ({ success: true, job })),
+    REMOVE_JOB: () => removeJob(request.jobId).then(() => ({ success: true })),
+    CLEAR_FINISHED_JOBS: () => clearFinishedJobs().then(count => ({ success: true, count })),
+    GET_JOB_SCRIPT: () => getJobScript(request.jobId).then(script => ({ success: true, ...script })),
+    SAVE_JOB_SCRIPT: () => saveJobScript(request.jobId, request.dialogue).then(job => ({ success: true, job })),
+    REGENERATE_JOB_SEGMENT: () => regenerateJobSegment(request.jobId, request.articleId)
+      .then(turns => ({ success: true, turns })),
+    SYNTHESIZE_JOB: () => synthesizeJob(request.jobId, request.dialogue).then(job => ({ success: true, job })),
+    // Encoding needs the offscreen document; progress arrives as PUBLISH_UPDATED messages
+    PUBLISH_PODCAST: () => publishPodcast(request.podcastId).then(publish => ({ success: true, publish }))
+  };
+  
+  if (jobActions[request.action]) {
+    jobActions[request.action]()
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error(`Error handling ${request.action}:`, error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep the message channel open for async response
+  }
+  
   // Default response for unhandled messages
   return false;
 }
@@ -112,7 +177,7 @@ async function handleExtractArticle(tab) {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['contentScript.js']
+        files: ['dist/contentScript.bundle.js']
       });
       console.log("Content script injection successful");
     } catch (err) {
@@ -189,75 +254,10 @@ async function handleExtractArticleFallback(tab) {
   console.log(`Attempting fallback extraction from tab ${tab.id}`);
   
   try {
-    // Execute a script that directly extracts content in the page context
+    // Run the shared extraction engine directly in the page context
     const [extractionResult] = await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: () => {
-        // In-page extraction function
-        function extractTextFromPage() {
-          try {
-            // Helper to clean text
-            function cleanText(text) {
-              return text.replace(/\s+/g, ' ').trim();
-            }
-            
-            // Extract title
-            const title = document.title || '';
-            
-            // Try a variety of methods to extract content
-            let content = '';
-            
-            // Method 1: Try article/main content selectors
-            const contentSelectors = [
-              'article', 'main', '[role="main"]', '.article', '.post', '.content',
-              '#content', '.main-content', '.article-content', '.post-content'
-            ];
-            
-            for (const selector of contentSelectors) {
-              const element = document.querySelector(selector);
-              if (element) {
-                const text = element.innerText;
-                if (text && text.length > 200) {
-                  content = text;
-                  break;
-                }
-              }
-            }
-            
-            // Method 2: If no content yet, try all paragraphs
-            if (!content || content.length < 200) {
-              const paragraphs = Array.from(document.querySelectorAll('p'))
-                .filter(p => p.innerText.length > 30) // Only substantive paragraphs
-                .map(p => p.innerText.trim())
-                .join('\n\n');
-              
-              if (paragraphs.length > 200) {
-                content = paragraphs;
-              }
-            }
-            
-            // Method 3: Last resort, use body text
-            if (!content || content.length < 200) {
-              // Clone body to remove unwanted elements
-              const bodyClone = document.body.cloneNode(true);
-              
-              // Remove clearly non-content elements
-              const unwanted = bodyClone.querySelectorAll(
-                'nav, header, footer, script, style, iframe, .nav, .menu, .header, .footer, .sidebar, .comments, aside'
-              );
-              unwanted.forEach(el => el.remove());
-              
-              content = bodyClone.innerText;
-            }
-            
-            return { title, text: content, url: window.location.href };
-          } catch (error) {
-            return { error: error.message || 'Unknown error in extraction script' };
-          }
-        }
-        
-        return extractTextFromPage();
-      }
+      func: extractArticleContent
     });
     
     if (!extractionResult || extractionResult.error) {
@@ -265,6 +265,9 @@ async function handleExtractArticleFallback(tab) {
     }
     
     const result = extractionResult.result;
+    if (result) {
+      result.url = tab.url;
+    }
     
     if (!result || !result.text || result.text.length < 100) {
       throw new Error('Extracted content is too short or empty from fallback method');
@@ -323,6 +326,49 @@ async function handleSaveArticle(articleData) {
       throw new Error('Cannot save: Content appears to be JavaScript code rather than an article');
     }
 
+    // Follow "next page" links so paginated stories are saved in full
+    if (articleData.nextPageUrl) {
+      try {
+        articleData = await stitchPaginatedArticle(articleData);
+      } catch (error) {
+        console.error('Error stitching paginated article:', error);
+        // Continue with the first page only
+      }
+    }
+
+    // Metadata read by the extractor (OpenGraph, JSON-LD, meta tags)
+    const metadata = articleData.metadata || {};
+    const canonicalUrl = getArticleCanonicalUrl(articleData.url, metadata.canonicalUrl);
+
+    // Check for the same story before spending API calls on it. The popup resends with
+    // duplicateAction ('merge', 'replace' or 'keep-both') once the user has chosen.
+    const duplicateAction = articleData.duplicateAction || null;
+    let existingArticle = null;
+    if (duplicateAction !== 'keep-both') {
+      const duplicates = await findDuplicateArticles({ canonicalUrl, content: articleData.text });
+
+      if (duplicates.length > 0) {
+        const match = duplicates.find(duplicate => duplicate.article.id === articleData.duplicateOf) || duplicates[0];
+
+        if (!duplicateAction) {
+          console.log('Article already saved as', match.article.id);
+          return {
+            success: false,
+            duplicate: {
+              id: match.article.id,
+              title: match.article.title,
+              url: match.article.url,
+              dateAdded: match.article.dateAdded,
+              reason: match.reason
+            },
+            error: `Already saved as "${match.article.title || 'Untitled Article'}"`
+          };
+        }
+
+        existingArticle = match.article;
+      }
+    }
+
     // Generate title if not provided
     if (!articleData.title) {
       console.log('Generating title for article content');
@@ -361,11 +407,45 @@ async function handleSaveArticle(articleData) {
     const articleToSave = {
       title: articleData.title,
       content: articleData.text,
+      blocks: Array.isArray(articleData.blocks) ? articleData.blocks : textToBlocks(articleData.text),
       summary: articleData.summary,
       url: url,
-      dateAdded: articleData.date || new Date().toISOString()
+      dateAdded: articleData.date || new Date().toISOString(),
+      author: metadata.author || null,
+      publishedDate: metadata.publishedDate || null,
+      siteName: metadata.siteName || null,
+      leadImage: metadata.leadImage || null,
+      language: metadata.language || null,
+      pageCount: articleData.pageCount || 1,
+      tags: parseTagInput(articleData.tags || []),
+      folder: normalizeFolder(articleData.folder),
+      canonicalUrl: canonicalUrl
     };
 
+    if (existingArticle) {
+      // Keep the existing record's identity and organization either way
+      const updatedArticle = duplicateAction === 'replace'
+        ? {
+          ...articleToSave,
+          id: existingArticle.id,
+          dateAdded: existingArticle.dateAdded,
+          status: existingArticle.status,
+          folder: articleToSave.folder || existingArticle.folder || null,
+          tags: parseTagInput([...(existingArticle.tags || []), ...articleToSave.tags]),
+          alternateUrls: collectAlternateUrls(articleToSave.url, [existingArticle])
+        }
+        : mergeDuplicateArticles(existingArticle, articleToSave);
+
+      await updateArticle(updatedArticle);
+      console.log(`Duplicate ${duplicateAction === 'replace' ? 'replaced' : 'merged'} into article`, existingArticle.id);
+
+      return {
+        success: true,
+        duplicateAction,
+        article: updatedArticle
+      };
+    }
+
     // Save article to IndexedDB
     const articleId = await saveArticle(articleToSave);
 
@@ -391,6 +471,152 @@ async function handleSaveArticle(articleData) {
   }
 }
 
+/**
+ * Fetch the remaining pages of a paginated article and merge them into one
+ * @param {Object} articleData - Extracted first page, with nextPageUrl set and tabId of its tab
+ * @returns {Promise<Object>} Article data covering all pages, with pageCount
+ */
+async function stitchPaginatedArticle(articleData) {
+  const firstPage = {
+    title: articleData.title,
+    text: articleData.text,
+    blocks: articleData.blocks || textToBlocks(articleData.text),
+    metadata: articleData.metadata
+  };
+  
+  const pages = [firstPage];
+  const visited = new Set([articleData.url]);
+  let nextPageUrl = articleData.nextPageUrl;
+  
+  while (nextPageUrl && pages.length < MAX_ARTICLE_PAGES && !visited.has(nextPageUrl)) {
+    visited.add(nextPageUrl);
+    console.log(`Fetching article page ${pages.length + 1}: ${nextPageUrl}`);
+    
+    let page;
+    try {
+      page = await fetchArticlePage(nextPageUrl, articleData.tabId);
+    } catch (error) {
+      console.warn(`Could not fetch article page ${nextPageUrl}:`, error);
+      break;
+    }
+    
+    if (!page || !page.text) {
+      break;
+    }
+    
+    pages.push(page);
+    nextPageUrl = page.nextPageUrl;
+  }
+  
+  if (nextPageUrl && pages.length >= MAX_ARTICLE_PAGES) {
+    console.warn(`Stopped following pagination after ${MAX_ARTICLE_PAGES} pages`);
+  }
+  
+  if (pages.length === 1) {
+    return articleData;
+  }
+  
+  const merged = mergeArticlePages(pages);
+  console.log(`Stitched ${merged.pageCount} pages into one article (${merged.text.length} characters)`);
+  
+  return {
+    ...articleData,
+    text: merged.text,
+    blocks: merged.blocks,
+    pageCount: merged.pageCount
+  };
+}
+
+/**
+ * Download a page's HTML from inside the tab the article was saved from
+ * Injected with scripting.executeScript, so it must not use anything outside its own body.
+ * The request is made by the page's origin and carries the cookies the page already has.
+ * @param {string} url - Page URL, on the tab's origin
+ * @param {number} timeoutMs - Time allowed for the request
+ * @returns {Promise<Object>} { html, url } or { error }
+ */
+async function fetchPageInTab(url, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { credentials: 'same-origin', signal: controller.signal });
+    if (!response.ok) {
+      return { error: `Page request failed: ${response.status}` };
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      return { error: `Unexpected content type: ${contentType}` };
+    }
+    return { html: await response.text(), url: response.url || url };
+  } catch (error) {
+    return { error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Download a page's HTML from the service worker
+ * Only used for origins the user has granted, since the request carries their cookies.
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { html, url }
+ */
+async function fetchPageInWorker(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PAGE_FETCH_TIMEOUT_MS);
+  
+  try {
+    // Include cookies so pages behind a login are fetched as the user sees them
+    const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+    
+    if (!response.ok) {
+      throw new Error(`Page request failed: ${response.status}`);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Unexpected content type: ${contentType}`);
+    }
+    
+    return { html: await response.text(), url: response.url || url };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetch a page and run the article extractor over it in the offscreen document
+ * Pages on the tab's own origin are fetched from inside the tab, which activeTab allows.
+ * Other origins are only fetched when the user has granted them under
+ * optional_host_permissions; otherwise this throws, since the request would carry cookies.
+ * @param {string} url - Page URL
+ * @param {number} [tabId] - Tab the first page was extracted from
+ * @returns {Promise<Object>} Extracted article data for the page
+ */
+async function fetchArticlePage(url, tabId) {
+  const origin = new URL(url).origin;
+  
+  let page;
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (tab && tab.url && new URL(tab.url).origin === origin) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: fetchPageInTab,
+      args: [url, PAGE_FETCH_TIMEOUT_MS]
+    });
+    page = injection && injection.result;
+    if (!page || page.error) {
+      throw new Error(page?.error || 'Could not fetch the page from the tab');
+    }
+  } else if (await chrome.permissions.contains({ origins: [`${origin}/*`] })) {
+    page = await fetchPageInWorker(url);
+  } else {
+    throw new Error(`No permission to fetch pages from ${origin}`);
+  }
+  
+  return sendOffscreenMessage('PARSE_ARTICLE_HTML', { html: page.html, url: page.url });
+}
+
 /**
  * Get the URL of the current active tab
  * @returns {Promise<string>} Current tab URL
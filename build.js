@@ -45,5 +45,19 @@ await Promise.all([
         ...commonOptions,
         entryPoints: ['options.js'],
         outfile: 'dist/options.bundle.js',
+    }),
+    
+    // Offscreen document (DOM access for the background script)
+    esbuild.build({
+        ...commonOptions,
+        entryPoints: ['offscreen.js'],
+        outfile: 'dist/offscreen.bundle.js',
+    }),
+    
+    // Export worker (encodes podcast downloads off the articles page)
+    esbuild.build({
+        ...commonOptions,
+        entryPoints: ['exportWorker.js'],
+        outfile: 'dist/exportWorker.bundle.js',
     })
 ]); 
\ No newline at end of file
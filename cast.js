@@ -0,0 +1,214 @@
+/**
+ * Podcast cast for Article to Audio Extension (Local Version)
+ * A cast is one to four speakers: { id, name, persona, voice }. Speaker IDs are fixed by
+ * position (HOST, CO-HOST, SPEAKER-3, SPEAKER-4) so scripts and voice maps written before
+ * casts existed keep working. Names are what the language model writes in front of each line
+ * and must be unique within a cast.
+ *
+ * Casts can be saved as reusable shows in the 'podcast_shows' setting:
+ * [{ id, name, formatId, cast, audio }], where audio holds the show's sound settings:
+ * { turnPauseSeconds, mix: { normalize, targetLufs, crossfadeSeconds, music } }
+ */
+
+import { getSetting, saveSetting } from './db.js';
+
+const SHOWS_SETTINGS_KEY = 'podcast_shows';
+
+const MAX_CAST_SIZE = 4;
+
+const SPEAKER_IDS = ['HOST', 'CO-HOST', 'SPEAKER-3', 'SPEAKER-4'];
+
+// Other labels models use for the first two speakers
+const ROLE_ALIASES = {
+  'HOST': ['Host'],
+  'CO-HOST': ['Co-host', 'Cohost', 'Co host']
+};
+
+/**
+ * Describe a speaker's position, e.g. "host" or "guest"
+ * @param {number} index - Position in the cast
+ * @returns {string} Role description
+ */
+function getSpeakerRole(index) {
+  if (index === 0) return 'host';
+  if (index === 1) return 'co-host';
+  return 'guest';
+}
+
+/**
+ * Check and tidy a cast; speakers get their IDs from their position
+ * @param {Array<Object>} speakers - Speakers as { name, persona, voice }
+ * @returns {Array<Object>} Cast
+ * @throws {Error} When the cast is empty, too large, or names are missing or repeated
+ */
+function normalizeCast(speakers) {
+  if (!Array.isArray(speakers) || speakers.length === 0) {
+    throw new Error('A podcast needs at least one speaker');
+  }
+  if (speakers.length > MAX_CAST_SIZE) {
+    throw new Error(`A podcast can have at most ${MAX_CAST_SIZE} speakers`);
+  }
+
+  const cast = speakers.map((speaker, index) => ({
+    id: SPEAKER_IDS[index],
+    name: String(speaker.name || '').replace(/:/g, '').trim(),
+    persona: String(speaker.persona || '').trim(),
+    voice: speaker.voice || ''
+  }));
+
+  const seen = new Set();
+  cast.forEach((speaker, index) => {
+    if (!speaker.name) {
+      throw new Error(`Speaker ${index + 1} needs a name`);
+    }
+    const key = speaker.name.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`Two speakers are called ${speaker.name}; names must be different`);
+    }
+    seen.add(key);
+  });
+
+  return cast;
+}
+
+/**
+ * Get the cast a script is written for
+ * Settings saved before casts existed only have hostNames and voiceMap for two speakers
+ * @param {Object} settings - Podcast settings
+ * @returns {Array<Object>} Cast
+ */
+function getScriptCast(settings = {}) {
+  if (Array.isArray(settings.cast) && settings.cast.length > 0) {
+    return settings.cast;
+  }
+
+  const hostNames = settings.hostNames || {};
+  const voiceMap = settings.voiceMap || {};
+  return ['HOST', 'CO-HOST'].map((id, index) => ({
+    id,
+    name: hostNames[id] || (index === 0 ? 'Host' : 'Co-Host'),
+    persona: '',
+    voice: voiceMap[id] || ''
+  }));
+}
+
+/**
+ * Map speaker IDs to voices
+ * @param {Array<Object>} cast - Cast
+ * @returns {Object} Voice IDs by speaker ID
+ */
+function castToVoiceMap(cast) {
+  return Object.fromEntries(cast.map(speaker => [speaker.id, speaker.voice]));
+}
+
+/**
+ * Map speaker IDs to names
+ * @param {Array<Object>} cast - Cast
+ * @returns {Object} Names by speaker ID
+ */
+function castToHostNames(cast) {
+  return Object.fromEntries(cast.map(speaker => [speaker.id, speaker.name]));
+}
+
+/**
+ * Get every label a speaker may appear under in a script
+ * @param {Object} speaker - Cast member
+ * @returns {Array<string>} Labels: name, ID and role aliases
+ */
+function getSpeakerLabels(speaker) {
+  return Array.from(new Set([speaker.name, speaker.id, ...(ROLE_ALIASES[speaker.id] || [])].filter(Boolean)));
+}
+
+/**
+ * Find the cast member a script label refers to
+ * @param {Array<Object>} cast - Cast
+ * @param {string} label - Label in front of a line, without the colon
+ * @returns {Object|null} Cast member
+ */
+function findSpeakerByLabel(cast, label) {
+  const key = String(label || '').trim().toLowerCase();
+  return cast.find(speaker => getSpeakerLabels(speaker).some(entry => entry.toLowerCase() === key)) || null;
+}
+
+/**
+ * Build a regular expression source matching any of the cast's labels
+ * Longer labels come first so "Co-host" wins over "Host"
+ * @param {Array<Object>} cast - Cast
+ * @returns {string} Alternation of escaped labels
+ */
+function createSpeakerLabelPattern(cast) {
+  return cast
+    .flatMap(getSpeakerLabels)
+    .sort((a, b) => b.length - a.length)
+    .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+}
+
+/**
+ * Describe the cast for a prompt, one speaker per line
+ * @param {Array<Object>} cast - Cast
+ * @returns {string} e.g. "- Alex (host): A former science teacher who loves analogies"
+ */
+function describeCast(cast) {
+  return cast
+    .map((speaker, index) => `- ${speaker.name} (${getSpeakerRole(index)})${speaker.persona ? `: ${speaker.persona}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Get the saved shows
+ * @returns {Promise<Array<Object>>} Shows as { id, name, formatId, cast, audio }
+ */
+async function getShows() {
+  return (await getSetting(SHOWS_SETTINGS_KEY)) || [];
+}
+
+/**
+ * Save a show, replacing any show with the same ID
+ * @param {Object} show - { id?, name, formatId, cast, audio? }
+ * @returns {Promise<Object>} Saved show, with its ID
+ */
+async function saveShow(show) {
+  if (!show.name || !show.name.trim()) {
+    throw new Error('A show needs a name');
+  }
+
+  const record = {
+    id: show.id || `show-${Date.now()}`,
+    name: show.name.trim(),
+    formatId: show.formatId || null,
+    cast: normalizeCast(show.cast),
+    audio: show.audio || null
+  };
+
+  const shows = await getShows();
+  await saveSetting(SHOWS_SETTINGS_KEY, [...shows.filter(existing => existing.id !== record.id), record]);
+  return record;
+}
+
+/**
+ * Delete a saved show
+ * @param {string} id - Show ID
+ * @returns {Promise<void>}
+ */
+async function deleteShow(id) {
+  const shows = await getShows();
+  await saveSetting(SHOWS_SETTINGS_KEY, shows.filter(show => show.id !== id));
+}
+
+export {
+  MAX_CAST_SIZE,
+  SPEAKER_IDS,
+  getSpeakerRole,
+  normalizeCast,
+  getScriptCast,
+  castToVoiceMap,
+  castToHostNames,
+  getSpeakerLabels,
+  findSpeakerByLabel,
+  createSpeakerLabelPattern,
+  describeCast,
+  getShows,
+  saveShow,
+  deleteShow
+};
@@ -0,0 +1,201 @@
+/**
+ * Tags, folders and smart collections for Article to Audio Extension (Local Version)
+ * Articles carry `tags` (array of normalized strings) and `folder` (string or null).
+ * Smart collections are saved rule sets, stored in the settings store:
+ * { id, name, rules: { tags, tagMatch: 'any' | 'all', domain, folder, dateField,
+ *   dateFrom, dateTo, minWords, maxWords, hasPodcast: true | false | null } }
+ */
+
+import { getSetting, saveSetting } from './db.js';
+
+const COLLECTIONS_SETTING_KEY = 'smart_collections';
+
+/**
+ * Normalize a tag for storage and comparison
+ * @param {string} tag - Raw tag text
+ * @returns {string} Lowercase tag with collapsed whitespace and no leading '#'
+ */
+function normalizeTag(tag) {
+  return String(tag || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .toLowerCase();
+}
+
+/**
+ * Parse comma-separated tag input into unique normalized tags
+ * @param {string|Array<string>} input - Tag text or list of tags
+ * @returns {Array<string>} Tags
+ */
+function parseTagInput(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(',');
+  return Array.from(new Set(parts.map(normalizeTag).filter(Boolean)));
+}
+
+/**
+ * Normalize a folder name; empty names mean "no folder"
+ * @param {string} folder - Raw folder name
+ * @returns {string|null} Folder name or null
+ */
+function normalizeFolder(folder) {
+  const name = String(folder || '').replace(/\s+/g, ' ').trim();
+  return name || null;
+}
+
+/**
+ * Get the domain an article was saved from, without a leading "www."
+ * @param {Object} article - Article data
+ * @returns {string} Hostname, or an empty string when the URL is missing or invalid
+ */
+function getArticleDomain(article) {
+  try {
+    return new URL(article.url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Count the words in an article
+ * @param {Object} article - Article data
+ * @returns {number} Word count
+ */
+function getArticleWordCount(article) {
+  const content = (article.content || '').trim();
+  return content ? content.split(/\s+/).length : 0;
+}
+
+/**
+ * Check whether an article satisfies a smart collection's rules
+ * Unset rules are ignored, so an empty rule set matches everything
+ * @param {Object} article - Article data
+ * @param {Object} rules - Collection rules
+ * @param {Object} [context] - Extra data: { podcastArticleIds: Set<number> }
+ * @returns {boolean} Whether the article belongs to the collection
+ */
+function matchesCollectionRules(article, rules, context = {}) {
+  const articleTags = article.tags || [];
+
+  if (rules.tags && rules.tags.length > 0) {
+    const hasTag = tag => articleTags.indexOf(tag) !== -1;
+    const tagsMatch = rules.tagMatch === 'all' ? rules.tags.every(hasTag) : rules.tags.some(hasTag);
+    if (!tagsMatch) return false;
+  }
+
+  if (rules.domain) {
+    const domain = getArticleDomain(article);
+    const wanted = rules.domain.toLowerCase().replace(/^www\./, '');
+    // Subdomains match their parent domain
+    if (domain !== wanted && !domain.endsWith(`.${wanted}`)) return false;
+  }
+
+  if (rules.folder && article.folder !== rules.folder) return false;
+
+  if (rules.dateFrom || rules.dateTo) {
+    const dateValue = rules.dateField === 'publishedDate' && article.publishedDate
+      ? article.publishedDate
+      : article.dateAdded;
+    const date = new Date(dateValue);
+    if (rules.dateFrom && date < new Date(rules.dateFrom)) return false;
+    if (rules.dateTo) {
+      const endDate = new Date(rules.dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      if (date > endDate) return false;
+    }
+  }
+
+  if (rules.minWords || rules.maxWords) {
+    const wordCount = getArticleWordCount(article);
+    if (rules.minWords && wordCount < rules.minWords) return false;
+    if (rules.maxWords && wordCount > rules.maxWords) return false;
+  }
+
+  if (rules.hasPodcast === true || rules.hasPodcast === false) {
+    const podcastArticleIds = context.podcastArticleIds || new Set();
+    if (podcastArticleIds.has(article.id) !== rules.hasPodcast) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe a collection's rules in a short human-readable line
+ * @param {Object} rules - Collection rules
+ * @returns {string} Description
+ */
+function describeCollectionRules(rules) {
+  const parts = [];
+  if (rules.tags && rules.tags.length > 0) {
+    parts.push(`${rules.tagMatch === 'all' ? 'all of' : 'any of'} tags ${rules.tags.join(', ')}`);
+  }
+  if (rules.domain) parts.push(`from ${rules.domain}`);
+  if (rules.folder) parts.push(`in folder ${rules.folder}`);
+  if (rules.dateFrom || rules.dateTo) {
+    const label = rules.dateField === 'publishedDate' ? 'published' : 'saved';
+    parts.push(`${label} ${rules.dateFrom || '…'} to ${rules.dateTo || 'now'}`);
+  }
+  if (rules.minWords) parts.push(`at least ${rules.minWords} words`);
+  if (rules.maxWords) parts.push(`at most ${rules.maxWords} words`);
+  if (rules.hasPodcast === true) parts.push('has a podcast');
+  if (rules.hasPodcast === false) parts.push('no podcast yet');
+  return parts.length > 0 ? parts.join(' • ') : 'All articles';
+}
+
+/**
+ * Get the saved smart collections
+ * @returns {Promise<Array<Object>>} Collections
+ */
+async function getSmartCollections() {
+  return (await getSetting(COLLECTIONS_SETTING_KEY)) || [];
+}
+
+/**
+ * Create or replace a smart collection
+ * @param {Object} collection - Collection with name and rules; id is assigned when missing
+ * @returns {Promise<Object>} Saved collection
+ */
+async function saveSmartCollection(collection) {
+  const collections = await getSmartCollections();
+  const saved = {
+    ...collection,
+    id: collection.id || `collection-${Date.now()}`
+  };
+
+  const index = collections.findIndex(existing => existing.id === saved.id);
+  if (index === -1) {
+    collections.push(saved);
+  } else {
+    collections[index] = saved;
+  }
+
+  await saveSetting(COLLECTIONS_SETTING_KEY, collections);
+  return saved;
+}
+
+/**
+ * Delete a smart collection
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function deleteSmartCollection(collectionId) {
+  const collections = await getSmartCollections();
+  await saveSetting(
+    COLLECTIONS_SETTING_KEY,
+    collections.filter(collection => collection.id !== collectionId)
+  );
+  return true;
+}
+
+export {
+  normalizeTag,
+  parseTagInput,
+  normalizeFolder,
+  getArticleDomain,
+  getArticleWordCount,
+  matchesCollectionRules,
+  describeCollectionRules,
+  getSmartCollections,
+  saveSmartCollection,
+  deleteSmartCollection
+};
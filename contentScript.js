@@ -1,3 +1,5 @@
+import { extractArticleContent } from './articleExtractor.js';
+
 console.log("📰 Article Extractor Initialized");
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -12,23 +14,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 async function extractArticle() {
-    /**
-     * Extract text from element, removing unwanted elements
-     */
-    function getTextFromElement(element) {
-        if (!element) return "";
-        // Remove unwanted elements
-        const clone = element.cloneNode(true);
-        const unwanted = clone.querySelectorAll('script, style, nav, header, footer, .ad, .advertisement');
-        unwanted.forEach(el => el.remove());
-        return clone.innerText.trim();
-    }
-
     /**
      * Check iframes for content
      */
-    function getTextFromIframes() {
-        let iframeTexts = [];
+    function getArticleFromIframes() {
+        let best = null;
         document.querySelectorAll('iframe').forEach(iframe => {
             try {
                 // Skip known cross-origin iframes
@@ -40,74 +30,48 @@ async function extractArticle() {
 
                 const doc = iframe.contentDocument || iframe.contentWindow.document;
                 if (doc) {
-                    // Try specific selectors first
-                    const articleElement = doc.querySelector('.article-list-article, article, .article-content');
-                    if (articleElement) {
-                        iframeTexts.push(getTextFromElement(articleElement));
-                    } else {
-                        // Fallback to body content if no specific article element found
-                        const bodyText = getTextFromElement(doc.body);
-                        if (bodyText.length > 100) { // Only include if substantial content
-                            iframeTexts.push(bodyText);
-                        }
+                    const iframeArticle = extractArticleContent(doc);
+                    if (!best || iframeArticle.text.length > best.text.length) {
+                        best = iframeArticle;
                     }
                 }
             } catch (e) {
                 console.warn("Could not access iframe:", e);
             }
         });
-        return iframeTexts.join("\n\n");
+        return best;
     }
 
-    // Article selectors in order of preference
-    const articleSelectors = [
-        '.article-list-article',
-        'article',
-        '.article-content',
-        '.story-content',
-        'div[class*="article"]',
-        'div[class*="story"]',
-        '.entry-content',
-        'main',
-        'div[role="main"]'
-    ];
-
-    let mainContent = "";
-    
-    // Try main page first
-    for (const selector of articleSelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            mainContent = getTextFromElement(element);
-            console.log(`Found content using selector: ${selector}, Content Length: ${mainContent.length}`);
-            if (mainContent.length > 100) { // Found substantial content
-                console.log(`Valid content found: ${mainContent.slice(0, 200)}...`);
-                break;
-            }
-        } else {
-            console.log(`No content found for selector: ${selector}`);
-        }
-    }
+    // Score the page and pick the main content
+    let article = extractArticleContent(document);
+    console.log(`Extractor found ${article.blocks.length} blocks, Content Length: ${article.text.length}`);
 
     // Check iframes if main content is not found or too short
-    if (!mainContent || mainContent.length < 100) {
+    if (article.text.length < 100) {
         console.log("Checking iframes for content...");
-        mainContent = getTextFromIframes();
-        console.log(`Iframes content length: ${mainContent.length}`);
+        const iframeArticle = getArticleFromIframes();
+        if (iframeArticle && iframeArticle.text.length > article.text.length) {
+            article = { ...iframeArticle, title: article.title || iframeArticle.title };
+        }
+        console.log(`Iframes content length: ${iframeArticle ? iframeArticle.text.length : 0}`);
     }
 
-    if (!mainContent.trim()) {
+    if (!article.text.trim()) {
         throw new Error("No article content found. Please make sure you're on an article page.");
     }
 
     console.log("Content extraction stats:", {
-        totalLength: mainContent.length,
-        preview: mainContent.slice(0, 200) + '...',
-        estimatedTokens: Math.ceil(mainContent.length / 4)
+        totalLength: article.text.length,
+        blocks: article.blocks.length,
+        preview: article.text.slice(0, 200) + '...',
+        estimatedTokens: Math.ceil(article.text.length / 4)
     });
 
     return {
-        title: document.title,
-        text: mainContent
+        title: article.title || document.title,
+        text: article.text,
+        blocks: article.blocks,
+        metadata: article.metadata,
+        nextPageUrl: article.nextPageUrl
     };
-} 
\ No newline at end of file
+}
@@ -3,15 +3,36 @@
  * Handles all database operations for storing articles, audio files, and metadata locally
  */
 
+import { textToBlocks } from './articleBlocks.js';
+import { ARTICLE_STATUS, getArticleStatus, advanceStatus } from './articleStatus.js';
+import { canonicalizeUrl, computeFingerprint, getDuplicateReason } from './duplicates.js';
+import {
+  MAX_PREFIX_EXPANSIONS,
+  buildArticleIndexEntry,
+  updateSearchStats,
+  parseSearchQuery,
+  rankSearchResults
+} from './searchIndex.js';
+
 // Database constants
 const DB_NAME = "ArticleToAudioDB";
-const DB_VERSION = 2;
+const DB_VERSION = 13;
 const STORES = {
   ARTICLES: "articles",
   AUDIO: "audio",
-  SETTINGS: "settings"
+  SETTINGS: "settings",
+  SEARCH_TERMS: "searchTerms",
+  SEARCH_DOCS: "searchDocs",
+  SEARCH_STATS: "searchStats",
+  JOBS: "jobs",
+  JOB_SEGMENTS: "jobSegments",
+  TTS_CACHE: "ttsCache",
+  ASSETS: "assets"
 };
 
+// Key of the one record in the searchStats store
+const SEARCH_STATS_KEY = "collection";
+
 /**
  * Initialize the database
  * @returns {Promise} Promise that resolves when the database is ready
@@ -79,10 +100,318 @@ function initializeDB() {
           console.log("URL index updated to non-unique");
         }
       }
+      
+      // Update from version 2 to 3 - Index article metadata used for filtering
+      if (oldVersion < 3) {
+        console.log("Upgrading to version 3: Adding article metadata indexes");
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          
+          if (!articlesStore.indexNames.contains("publishedDate")) {
+            articlesStore.createIndex("publishedDate", "publishedDate", { unique: false });
+          }
+          
+          if (!articlesStore.indexNames.contains("siteName")) {
+            articlesStore.createIndex("siteName", "siteName", { unique: false });
+          }
+          console.log("Metadata indexes created");
+        }
+      }
+      
+      // Update from version 3 to 4 - Store articles as ordered blocks alongside plain text
+      if (oldVersion < 4) {
+        console.log("Upgrading to version 4: Adding article blocks");
+      }
+      
+      // Update from version 4 to 5 - Full-text search index built from existing articles
+      if (oldVersion < 5) {
+        console.log("Upgrading to version 5: Building search index");
+        
+        const termsStore = db.objectStoreNames.contains(STORES.SEARCH_TERMS)
+          ? event.target.transaction.objectStore(STORES.SEARCH_TERMS)
+          : db.createObjectStore(STORES.SEARCH_TERMS, { keyPath: "term" });
+        const docsStore = db.objectStoreNames.contains(STORES.SEARCH_DOCS)
+          ? event.target.transaction.objectStore(STORES.SEARCH_DOCS)
+          : db.createObjectStore(STORES.SEARCH_DOCS, { keyPath: "articleId" });
+        const statsStore = db.objectStoreNames.contains(STORES.SEARCH_STATS)
+          ? event.target.transaction.objectStore(STORES.SEARCH_STATS)
+          : db.createObjectStore(STORES.SEARCH_STATS, { keyPath: "key" });
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          const termPostings = {};
+          const stats = createSearchStats();
+          let indexedCount = 0;
+          
+          // Collect postings in memory so each term record is written once
+          articlesStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) {
+              Object.keys(termPostings).forEach(term => {
+                termsStore.put({ term, postings: termPostings[term] });
+              });
+              statsStore.put(stats);
+              console.log(`Indexed ${indexedCount} articles for search`);
+              return;
+            }
+            
+            const article = cursor.value;
+            const entry = buildArticleIndexEntry(article);
+            const terms = Object.keys(entry.postings);
+            
+            terms.forEach(term => {
+              if (!termPostings[term]) {
+                termPostings[term] = {};
+              }
+              termPostings[term][article.id] = entry.postings[term];
+            });
+            docsStore.put({ articleId: article.id, lengths: entry.lengths, terms });
+            updateSearchStats(stats, article.id, entry.lengths);
+            indexedCount++;
+            cursor.continue();
+          };
+        }
+      }
+      
+      // Update from version 5 to 6 - Tags and folders for organizing the library
+      if (oldVersion < 6) {
+        console.log("Upgrading to version 6: Adding tag and folder indexes");
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          
+          if (!articlesStore.indexNames.contains("tags")) {
+            articlesStore.createIndex("tags", "tags", { unique: false, multiEntry: true });
+          }
+          
+          if (!articlesStore.indexNames.contains("folder")) {
+            articlesStore.createIndex("folder", "folder", { unique: false });
+          }
+          console.log("Tag and folder indexes created");
+        }
+      }
+      
+      // Update from version 6 to 7 - Reading status, with existing articles marked unread
+      if (oldVersion < 7) {
+        console.log("Upgrading to version 7: Adding article status");
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          
+          if (!articlesStore.indexNames.contains("status")) {
+            articlesStore.createIndex("status", "status", { unique: false });
+          }
+        }
+      }
+      
+      // Update from version 7 to 8 - Canonical URLs and content fingerprints for duplicate detection
+      if (oldVersion < 8) {
+        console.log("Upgrading to version 8: Fingerprinting articles");
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          
+          if (!articlesStore.indexNames.contains("canonicalUrl")) {
+            articlesStore.createIndex("canonicalUrl", "canonicalUrl", { unique: false });
+          }
+        }
+      }
+      
+      // Update from version 8 to 9 - Background generation jobs and their audio checkpoints
+      if (oldVersion < 9) {
+        console.log("Upgrading to version 9: Adding generation job stores");
+        
+        if (!db.objectStoreNames.contains(STORES.JOBS)) {
+          const jobsStore = db.createObjectStore(STORES.JOBS, { keyPath: "id", autoIncrement: true });
+          jobsStore.createIndex("state", "state", { unique: false });
+          jobsStore.createIndex("dateCreated", "dateCreated", { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(STORES.JOB_SEGMENTS)) {
+          const segmentsStore = db.createObjectStore(STORES.JOB_SEGMENTS, { keyPath: "id", autoIncrement: true });
+          segmentsStore.createIndex("jobId", "jobId", { unique: false });
+        }
+      }
+      
+      // Update from version 9 to 10 - Cache of synthesized speech segments
+      if (oldVersion < 10) {
+        console.log("Upgrading to version 10: Adding TTS segment cache");
+        
+        if (!db.objectStoreNames.contains(STORES.TTS_CACHE)) {
+          const cacheStore = db.createObjectStore(STORES.TTS_CACHE, { keyPath: "key" });
+          cacheStore.createIndex("dateUsed", "dateUsed", { unique: false });
+        }
+      }
+      
+      // Update from version 10 to 11 - Uploaded music and jingles for podcasts
+      if (oldVersion < 11) {
+        console.log("Upgrading to version 11: Adding audio assets store");
+        
+        if (!db.objectStoreNames.contains(STORES.ASSETS)) {
+          const assetsStore = db.createObjectStore(STORES.ASSETS, { keyPath: "id", autoIncrement: true });
+          assetsStore.createIndex("kind", "kind", { unique: false });
+        }
+      }
+      
+      // Update from version 11 to 12 - Collection statistics for ranking, so a search
+      // reads one small record instead of every article's search entry
+      if (oldVersion < 12) {
+        console.log("Upgrading to version 12: Adding search statistics");
+        
+        if (!db.objectStoreNames.contains(STORES.SEARCH_STATS)) {
+          db.createObjectStore(STORES.SEARCH_STATS, { keyPath: "key" });
+        }
+        
+        // Databases older than version 5 got their statistics from the version 5 step
+        if (oldVersion >= 5) {
+          const docsStore = event.target.transaction.objectStore(STORES.SEARCH_DOCS);
+          const statsStore = event.target.transaction.objectStore(STORES.SEARCH_STATS);
+          const stats = createSearchStats();
+          
+          docsStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) {
+              statsStore.put(stats);
+              return;
+            }
+            
+            updateSearchStats(stats, cursor.value.articleId, cursor.value.lengths);
+            cursor.continue();
+          };
+        }
+      }
+      
+      // Update from version 12 to 13 - Fingerprint index, so near-duplicate checks read
+      // keys instead of every article's text
+      if (oldVersion < 13) {
+        console.log("Upgrading to version 13: Adding fingerprint index");
+        
+        if (db.objectStoreNames.contains(STORES.ARTICLES)) {
+          const articlesStore = event.target.transaction.objectStore(STORES.ARTICLES);
+          
+          if (!articlesStore.indexNames.contains("fingerprint")) {
+            articlesStore.createIndex("fingerprint", "fingerprint", { unique: false });
+          }
+        }
+      }
+      
+      // Fields added to every article by the version 4, 7 and 8 steps are filled in by a
+      // single cursor: separate cursors in one transaction each write back the copy they
+      // read, so a later step's update would undo an earlier one's
+      if (oldVersion < 8 && db.objectStoreNames.contains(STORES.ARTICLES)) {
+        backfillArticles(event.target.transaction.objectStore(STORES.ARTICLES), oldVersion);
+      }
     };
   });
 }
 
+/**
+ * Fill in the fields that upgrades since oldVersion added to every article
+ * @param {IDBObjectStore} articlesStore - Articles store in the upgrade transaction
+ * @param {number} oldVersion - Version the database is upgraded from
+ */
+function backfillArticles(articlesStore, oldVersion) {
+  let backfilledCount = 0;
+  
+  articlesStore.openCursor().onsuccess = (cursorEvent) => {
+    const cursor = cursorEvent.target.result;
+    if (!cursor) {
+      console.log(`Backfilled ${backfilledCount} articles`);
+      return;
+    }
+    
+    const article = cursor.value;
+    
+    // Version 4: ordered blocks alongside plain text
+    if (oldVersion < 4 && !Array.isArray(article.blocks)) {
+      article.blocks = textToBlocks(article.content || '');
+    }
+    
+    // Version 7: existing articles start unread
+    if (oldVersion < 7 && !article.status) {
+      article.status = ARTICLE_STATUS.UNREAD;
+    }
+    
+    // Version 8: canonical URL and content fingerprint for duplicate detection
+    article.canonicalUrl = article.canonicalUrl || canonicalizeUrl(article.url);
+    article.fingerprint = computeFingerprint(article.content);
+    
+    cursor.update(article);
+    backfilledCount++;
+    cursor.continue();
+  };
+}
+
+/**
+ * Create empty collection statistics for the searchStats store
+ * @returns {Object} Statistics record with no articles
+ */
+function createSearchStats() {
+  return { key: SEARCH_STATS_KEY, count: 0, totalLengths: {}, lengths: {} };
+}
+
+/**
+ * Bring the search index in line with an article inside an open transaction
+ * Old postings are replaced, so this handles add, update and delete (article = null).
+ * The transaction must include the searchTerms, searchDocs and searchStats stores.
+ * @param {IDBTransaction} transaction - Readwrite transaction
+ * @param {number} articleId - Article ID
+ * @param {Object|null} article - Current article, or null when it was deleted
+ */
+function updateSearchIndex(transaction, articleId, article) {
+  const termsStore = transaction.objectStore(STORES.SEARCH_TERMS);
+  const docsStore = transaction.objectStore(STORES.SEARCH_DOCS);
+  const statsStore = transaction.objectStore(STORES.SEARCH_STATS);
+  const entry = article ? buildArticleIndexEntry(article) : { lengths: {}, postings: {} };
+  const newTerms = Object.keys(entry.postings);
+  
+  // Read the previous term list first; adding and removing postings in
+  // separate passes would race on terms the old and new versions share
+  const docRequest = docsStore.get(articleId);
+  
+  docRequest.onsuccess = () => {
+    const oldTerms = docRequest.result ? docRequest.result.terms : [];
+    const affectedTerms = new Set([...oldTerms, ...newTerms]);
+    
+    affectedTerms.forEach(term => {
+      const termRequest = termsStore.get(term);
+      
+      termRequest.onsuccess = () => {
+        const record = termRequest.result || { term, postings: {} };
+        
+        if (entry.postings[term]) {
+          record.postings[articleId] = entry.postings[term];
+        } else {
+          delete record.postings[articleId];
+        }
+        
+        if (Object.keys(record.postings).length > 0) {
+          termsStore.put(record);
+        } else {
+          termsStore.delete(term);
+        }
+      };
+    });
+    
+    if (article) {
+      docsStore.put({ articleId, lengths: entry.lengths, terms: newTerms });
+    } else {
+      docsStore.delete(articleId);
+    }
+    
+    const statsRequest = statsStore.get(SEARCH_STATS_KEY);
+    statsRequest.onsuccess = () => {
+      const stats = statsRequest.result || createSearchStats();
+      statsStore.put(updateSearchStats(stats, articleId, article ? entry.lengths : null));
+    };
+  };
+  
+  docRequest.onerror = (event) => {
+    console.error("Error updating search index:", event.target.error);
+  };
+}
+
 /**
  * Get a connection to the database
  * @returns {Promise<IDBDatabase>} Database connection
@@ -100,7 +429,7 @@ async function saveArticle(article) {
   const db = await getDBConnection();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORES.ARTICLES], "readwrite");
+    const transaction = db.transaction([STORES.ARTICLES, STORES.SEARCH_TERMS, STORES.SEARCH_DOCS, STORES.SEARCH_STATS], "readwrite");
     const store = transaction.objectStore(STORES.ARTICLES);
     
     // Add timestamp if not present
@@ -113,10 +442,34 @@ async function saveArticle(article) {
       article.url = null;
     }
     
+    // Derive blocks from the plain text when the caller didn't supply them
+    if (!Array.isArray(article.blocks)) {
+      article.blocks = textToBlocks(article.content || '');
+    }
+    
+    // Every article is taggable and filed, even if unfiled
+    if (!Array.isArray(article.tags)) {
+      article.tags = [];
+    }
+    if (!article.folder) {
+      article.folder = null;
+    }
+    
+    if (!article.status) {
+      article.status = ARTICLE_STATUS.UNREAD;
+    }
+    
+    // Keys used to recognize the same story saved again
+    if (!article.canonicalUrl) {
+      article.canonicalUrl = canonicalizeUrl(article.url);
+    }
+    article.fingerprint = computeFingerprint(article.content);
+    
     const request = store.add(article);
     
     request.onsuccess = (event) => {
       console.log("Article saved successfully with ID:", event.target.result);
+      updateSearchIndex(transaction, event.target.result, article);
       resolve(event.target.result);
     };
     
@@ -141,6 +494,7 @@ async function saveArticle(article) {
         
         retryRequest.onsuccess = (event) => {
           console.log("Article saved with modified URL, ID:", event.target.result);
+          updateSearchIndex(transaction, event.target.result, article);
           resolve(event.target.result);
         };
         
@@ -168,16 +522,20 @@ async function updateArticle(article) {
   const db = await getDBConnection();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORES.ARTICLES], "readwrite");
+    const transaction = db.transaction([STORES.ARTICLES, STORES.SEARCH_TERMS, STORES.SEARCH_DOCS, STORES.SEARCH_STATS], "readwrite");
     const store = transaction.objectStore(STORES.ARTICLES);
     
     // Add update timestamp
     article.dateUpdated = new Date().toISOString();
     
+    // Content may have changed (e.g. a duplicate was merged in)
+    article.fingerprint = computeFingerprint(article.content);
+    
     const request = store.put(article);
     
     request.onsuccess = () => {
       console.log("Article updated successfully");
+      updateSearchIndex(transaction, article.id, article);
       resolve(true);
     };
     
@@ -192,6 +550,130 @@ async function updateArticle(article) {
   });
 }
 
+/**
+ * Change the tags, folder or status of several articles in one transaction
+ * Only organization fields change, so the search index is left alone
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {Object} changes - { addTags, removeTags, tags (replaces all), folder (null to unfile),
+ *   status (set as is), advanceStatus (automatic update that never moves backwards) }
+ * @returns {Promise<Array<Object>>} The articles as they are now; only changed ones are written
+ */
+async function organizeArticles(articleIds, changes) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ARTICLES], "readwrite");
+    const store = transaction.objectStore(STORES.ARTICLES);
+    const updatedArticles = [];
+    
+    articleIds.forEach(id => {
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        const article = request.result;
+        if (!article) return;
+        
+        const previousTags = article.tags || [];
+        const previousFolder = article.folder || null;
+        let tags = Array.isArray(changes.tags) ? changes.tags : (article.tags || []);
+        if (changes.addTags) {
+          tags = tags.concat(changes.addTags.filter(tag => tags.indexOf(tag) === -1));
+        }
+        if (changes.removeTags) {
+          tags = tags.filter(tag => changes.removeTags.indexOf(tag) === -1);
+        }
+        article.tags = tags;
+        
+        if (changes.hasOwnProperty('folder')) {
+          article.folder = changes.folder || null;
+        }
+        
+        const previousStatus = getArticleStatus(article);
+        if (changes.status) {
+          article.status = changes.status;
+        } else if (changes.advanceStatus) {
+          article.status = advanceStatus(previousStatus, changes.advanceStatus);
+        }
+        const statusChanged = getArticleStatus(article) !== previousStatus;
+        if (statusChanged) {
+          article.statusUpdated = new Date().toISOString();
+        }
+        
+        const tagsChanged = tags.length !== previousTags.length ||
+          tags.some(tag => previousTags.indexOf(tag) === -1);
+        const folderChanged = (article.folder || null) !== previousFolder;
+        
+        // Opening or re-tagging an article with what it already has isn't an edit
+        if (tagsChanged || folderChanged || statusChanged) {
+          article.dateUpdated = new Date().toISOString();
+          store.put(article);
+        }
+        updatedArticles.push(article);
+      };
+    });
+    
+    transaction.oncomplete = () => {
+      db.close();
+      console.log(`Organized ${updatedArticles.length} articles`);
+      resolve(updatedArticles);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error organizing articles:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get the distinct values of an articles index
+ * @param {string} indexName - Index name
+ * @returns {Promise<Array>} Sorted distinct keys
+ */
+async function getDistinctIndexKeys(indexName) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ARTICLES], "readonly");
+    const index = transaction.objectStore(STORES.ARTICLES).index(indexName);
+    const keys = [];
+    
+    index.openKeyCursor(null, "nextunique").onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        keys.push(cursor.key);
+        cursor.continue();
+      }
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(keys);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error(`Error reading ${indexName} index:`, event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get every tag used by saved articles
+ * @returns {Promise<Array<string>>} Sorted tags
+ */
+async function getAllTags() {
+  return await getDistinctIndexKeys("tags");
+}
+
+/**
+ * Get every folder used by saved articles
+ * @returns {Promise<Array<string>>} Sorted folder names
+ */
+async function getAllFolders() {
+  return await getDistinctIndexKeys("folder");
+}
+
 /**
  * Get all articles from the database
  * @returns {Promise<Array>} Array of article objects
@@ -219,6 +701,69 @@ async function getAllArticles() {
   });
 }
 
+/**
+ * Find saved articles that are the same story as a candidate article
+ * Exact matches come from the canonicalUrl index; only when there are none are the
+ * fingerprint index's keys compared
+ * @param {Object} candidate - Article with url or canonicalUrl, and content
+ * @returns {Promise<Array<Object>>} Matches: { article, reason: 'url' | 'content' }
+ */
+async function findDuplicateArticles(candidate) {
+  const keys = {
+    canonicalUrl: candidate.canonicalUrl || canonicalizeUrl(candidate.url),
+    fingerprint: candidate.fingerprint || computeFingerprint(candidate.content)
+  };
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ARTICLES], "readonly");
+    const store = transaction.objectStore(STORES.ARTICLES);
+    const matches = [];
+    
+    // Walk the fingerprint index's keys and load only the articles that match
+    const compareFingerprints = () => {
+      if (!keys.fingerprint) return;
+      
+      store.index("fingerprint").openKeyCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        if (cursor.primaryKey !== candidate.id &&
+            getDuplicateReason({ fingerprint: keys.fingerprint }, { fingerprint: cursor.key })) {
+          store.get(cursor.primaryKey).onsuccess = (getEvent) => {
+            matches.push({ article: getEvent.target.result, reason: 'content' });
+          };
+        }
+        cursor.continue();
+      };
+    };
+    
+    if (keys.canonicalUrl) {
+      store.index("canonicalUrl").getAll(keys.canonicalUrl).onsuccess = (event) => {
+        event.target.result
+          .filter(article => article.id !== candidate.id)
+          .forEach(article => matches.push({ article, reason: 'url' }));
+        
+        if (matches.length === 0) {
+          compareFingerprints();
+        }
+      };
+    } else {
+      compareFingerprints();
+    }
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(matches);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error finding duplicate articles:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
 /**
  * Get an article by its ID
  * @param {number} id - Article ID
@@ -247,6 +792,74 @@ async function getArticleById(id) {
   });
 }
 
+/**
+ * Search saved articles using the full-text index
+ * @param {string} query - Search query; quoted text matches as a phrase
+ * @returns {Promise<Object>} Parsed query (for highlighting) and ranked results: { articleId, score }
+ */
+async function searchArticleIndex(query) {
+  const parsedQuery = parseSearchQuery(query);
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.SEARCH_TERMS, STORES.SEARCH_STATS], "readonly");
+    const termsStore = transaction.objectStore(STORES.SEARCH_TERMS);
+    const statsStore = transaction.objectStore(STORES.SEARCH_STATS);
+    const termRecords = {};
+    let stats = createSearchStats();
+    
+    const exactTerms = new Set(parsedQuery.terms);
+    parsedQuery.phrases.forEach(phrase => phrase.forEach(({ term }) => exactTerms.add(term)));
+    
+    exactTerms.forEach(term => {
+      termsStore.get(term).onsuccess = (event) => {
+        if (event.target.result) {
+          termRecords[term] = event.target.result;
+        }
+      };
+    });
+    
+    // Expand the word still being typed to its stem and the indexed terms it starts
+    const prefixTerms = new Set();
+    if (parsedQuery.prefix) {
+      termsStore.get(parsedQuery.prefixStem).onsuccess = (event) => {
+        if (event.target.result) {
+          termRecords[parsedQuery.prefixStem] = event.target.result;
+          prefixTerms.add(parsedQuery.prefixStem);
+        }
+      };
+      
+      const range = IDBKeyRange.bound(parsedQuery.prefix, parsedQuery.prefix + "\uffff");
+      termsStore.getAll(range, MAX_PREFIX_EXPANSIONS).onsuccess = (event) => {
+        event.target.result.forEach(record => {
+          termRecords[record.term] = record;
+          prefixTerms.add(record.term);
+        });
+      };
+    }
+    
+    statsStore.get(SEARCH_STATS_KEY).onsuccess = (event) => {
+      if (event.target.result) {
+        stats = event.target.result;
+      }
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      parsedQuery.prefixTerms = Array.from(prefixTerms);
+      resolve({
+        query: parsedQuery,
+        results: rankSearchResults(parsedQuery, termRecords, stats)
+      });
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error searching articles:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
 /**
  * Delete an article and its associated audio files
  * @param {number} id - Article ID
@@ -257,11 +870,13 @@ async function deleteArticle(id) {
   
   return new Promise((resolve, reject) => {
     // First delete the article
-    const articleTransaction = db.transaction([STORES.ARTICLES], "readwrite");
+    const articleTransaction = db.transaction([STORES.ARTICLES, STORES.SEARCH_TERMS, STORES.SEARCH_DOCS, STORES.SEARCH_STATS], "readwrite");
     const articleStore = articleTransaction.objectStore(STORES.ARTICLES);
     const articleRequest = articleStore.delete(id);
     
     articleRequest.onsuccess = async () => {
+      updateSearchIndex(articleTransaction, id, null);
+      
       // Then delete any associated audio files
       try {
         await deleteAudioForArticle(id);
@@ -376,17 +991,83 @@ async function getAudioById(id) {
 }
 
 /**
- * Delete all audio files associated with an article
- * @param {number} articleId - Article ID
- * @returns {Promise<boolean>} Whether the deletion was successful
+ * Get all podcasts without their audio, newest first
+ * @returns {Promise<Array>} Podcast records without blobs, to save memory
  */
-async function deleteAudioForArticle(articleId) {
+async function getAllPodcasts() {
   const db = await getDBConnection();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORES.AUDIO], "readwrite");
+    const transaction = db.transaction([STORES.AUDIO], "readonly");
     const store = transaction.objectStore(STORES.AUDIO);
-    const index = store.index("articleId");
+    const index = store.index("type");
+    const request = index.openCursor(IDBKeyRange.only("podcast"));
+    const podcasts = [];
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        const podcast = { ...cursor.value };
+        delete podcast.blob;
+        podcasts.push(podcast);
+        cursor.continue();
+      } else {
+        podcasts.sort((a, b) => new Date(b.dateCreated) - new Date(a.dateCreated));
+        resolve(podcasts);
+      }
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting podcasts:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Replace a saved audio entry, e.g. after its audio has been mixed
+ * @param {Object} audio - Audio object with its ID
+ * @returns {Promise<number>} ID of the audio entry
+ */
+async function updateAudio(audio) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.AUDIO], "readwrite");
+    const store = transaction.objectStore(STORES.AUDIO);
+    const request = store.put(audio);
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error updating audio:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete all audio files associated with an article
+ * @param {number} articleId - Article ID
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function deleteAudioForArticle(articleId) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.AUDIO], "readwrite");
+    const store = transaction.objectStore(STORES.AUDIO);
+    const index = store.index("articleId");
     const request = index.getAllKeys(articleId);
     
     request.onsuccess = (event) => {
@@ -428,6 +1109,528 @@ async function deleteAudioForArticle(articleId) {
   });
 }
 
+/**
+ * Save a new generation job
+ * @param {Object} job - Job record
+ * @returns {Promise<number>} ID of the saved job
+ */
+async function saveJob(job) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOBS], "readwrite");
+    const store = transaction.objectStore(STORES.JOBS);
+    
+    if (!job.dateCreated) {
+      job.dateCreated = new Date().toISOString();
+    }
+    
+    const request = store.add(job);
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error saving job:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Replace a stored generation job
+ * @param {Object} job - Job record with ID
+ * @returns {Promise<Object>} Updated job
+ */
+async function updateJob(job) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOBS], "readwrite");
+    const store = transaction.objectStore(STORES.JOBS);
+    
+    job.dateUpdated = new Date().toISOString();
+    const request = store.put(job);
+    
+    request.onsuccess = () => {
+      resolve(job);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error updating job:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get a generation job by its ID
+ * @param {number} id - Job ID
+ * @returns {Promise<Object>} Job record
+ */
+async function getJobById(id) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOBS], "readonly");
+    const store = transaction.objectStore(STORES.JOBS);
+    const request = store.get(id);
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting job:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get all generation jobs, oldest first
+ * @returns {Promise<Array>} Job records
+ */
+async function getAllJobs() {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOBS], "readonly");
+    const store = transaction.objectStore(STORES.JOBS);
+    const request = store.getAll();
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting jobs:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete a generation job and its audio checkpoints
+ * @param {number} id - Job ID
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function deleteJob(id) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOBS, STORES.JOB_SEGMENTS], "readwrite");
+    transaction.objectStore(STORES.JOBS).delete(id);
+    
+    const segmentsIndex = transaction.objectStore(STORES.JOB_SEGMENTS).index("jobId");
+    segmentsIndex.openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      transaction.objectStore(STORES.JOB_SEGMENTS).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error deleting job:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Store the audio generated by one batch of a job, so the job can resume after it
+ * @param {number} jobId - Job ID
+ * @param {Array<Object>} segments - Generated segments ({ buffer, originalLineIndex, ... })
+ * @returns {Promise<number>} ID of the checkpoint record
+ */
+async function saveJobSegments(jobId, segments) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOB_SEGMENTS], "readwrite");
+    const store = transaction.objectStore(STORES.JOB_SEGMENTS);
+    const request = store.add({ jobId, segments, dateCreated: new Date().toISOString() });
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error saving job segments:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get every audio segment checkpointed for a job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Array<Object>>} Segments in the order they were stored
+ */
+async function getJobSegments(jobId) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOB_SEGMENTS], "readonly");
+    const index = transaction.objectStore(STORES.JOB_SEGMENTS).index("jobId");
+    const request = index.getAll(jobId);
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result.flatMap(record => record.segments));
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting job segments:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete the audio checkpoints of a job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function deleteJobSegments(jobId) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.JOB_SEGMENTS], "readwrite");
+    const store = transaction.objectStore(STORES.JOB_SEGMENTS);
+    
+    store.index("jobId").openKeyCursor(IDBKeyRange.only(jobId)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error deleting job segments:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get a cached text-to-speech segment and mark it as recently used
+ * @param {string} key - Cache key from the segment's text, voice, model and speed
+ * @returns {Promise<Object|null>} Entry with buffer and format, or null on a cache miss
+ */
+async function getCachedTtsSegment(key) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TTS_CACHE], "readwrite");
+    const store = transaction.objectStore(STORES.TTS_CACHE);
+    const request = store.get(key);
+    
+    request.onsuccess = (event) => {
+      const entry = event.target.result;
+      if (!entry) {
+        resolve(null);
+        return;
+      }
+      
+      entry.dateUsed = new Date().toISOString();
+      store.put(entry);
+      resolve(entry);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error reading TTS cache:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Cache a synthesized text-to-speech segment
+ * @param {Object} entry - { key, buffer, format, voice, model, speed }
+ * @returns {Promise<boolean>} Whether the save was successful
+ */
+async function saveTtsSegment(entry) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TTS_CACHE], "readwrite");
+    const store = transaction.objectStore(STORES.TTS_CACHE);
+    const now = new Date().toISOString();
+    
+    const request = store.put({
+      ...entry,
+      size: entry.buffer.byteLength,
+      dateCreated: now,
+      dateUsed: now
+    });
+    
+    request.onsuccess = () => {
+      resolve(true);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error saving TTS segment:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Evict the least recently used TTS segments once the cache exceeds a size
+ * @param {number} maxBytes - Largest total size to keep
+ * @returns {Promise<number>} Number of segments evicted
+ */
+async function pruneTtsCache(maxBytes) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TTS_CACHE], "readwrite");
+    const index = transaction.objectStore(STORES.TTS_CACHE).index("dateUsed");
+    let keptBytes = 0;
+    let evicted = 0;
+    
+    // Walk from most to least recently used, deleting whatever doesn't fit
+    index.openCursor(null, "prev").onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      keptBytes += cursor.value.size || 0;
+      if (keptBytes > maxBytes) {
+        cursor.delete();
+        evicted++;
+      }
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(evicted);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error pruning TTS cache:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get the number and total size of cached TTS segments
+ * @returns {Promise<Object>} { count, size }
+ */
+async function getTtsCacheStats() {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TTS_CACHE], "readonly");
+    const store = transaction.objectStore(STORES.TTS_CACHE);
+    const stats = { count: 0, size: 0 };
+    
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      
+      stats.count++;
+      stats.size += cursor.value.size || 0;
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(stats);
+    };
+    
+    transaction.onerror = (event) => {
+      console.error("Error reading TTS cache stats:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete every cached TTS segment
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function clearTtsCache() {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TTS_CACHE], "readwrite");
+    const request = transaction.objectStore(STORES.TTS_CACHE).clear();
+    
+    request.onsuccess = () => {
+      console.log("TTS cache cleared");
+      resolve(true);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error clearing TTS cache:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Save an uploaded asset: music for the intro, transitions or outro, or a cover image
+ * @param {Object} asset - { name, kind: 'intro' | 'transition' | 'outro' | 'cover', blob }
+ * @returns {Promise<number>} ID of the saved asset
+ */
+async function saveAsset(asset) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ASSETS], "readwrite");
+    const store = transaction.objectStore(STORES.ASSETS);
+    
+    const request = store.add({
+      ...asset,
+      type: asset.blob.type,
+      size: asset.blob.size,
+      dateCreated: new Date().toISOString()
+    });
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error saving asset:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get the uploaded assets, without their files
+ * @returns {Promise<Array<Object>>} Assets as { id, name, kind, type, size, dateCreated }
+ */
+async function getAllAssets() {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ASSETS], "readonly");
+    const request = transaction.objectStore(STORES.ASSETS).getAll();
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result.map(({ blob, ...asset }) => asset));
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting assets:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get an audio asset with its audio
+ * @param {number} id - Asset ID
+ * @returns {Promise<Object|undefined>} Asset with its blob
+ */
+async function getAssetById(id) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ASSETS], "readonly");
+    const request = transaction.objectStore(STORES.ASSETS).get(id);
+    
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error getting asset:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete an audio asset
+ * @param {number} id - Asset ID
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+async function deleteAsset(id) {
+  const db = await getDBConnection();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.ASSETS], "readwrite");
+    const request = transaction.objectStore(STORES.ASSETS).delete(id);
+    
+    request.onsuccess = () => {
+      resolve(true);
+    };
+    
+    request.onerror = (event) => {
+      console.error("Error deleting asset:", event.target.error);
+      reject(event.target.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
 /**
  * Save a setting in the database
  * @param {string} key - Setting key
@@ -677,13 +1880,37 @@ export {
   initializeDB,
   saveArticle,
   updateArticle,
+  organizeArticles,
+  getAllTags,
+  getAllFolders,
   getAllArticles,
   getArticleById,
+  findDuplicateArticles,
+  searchArticleIndex,
   deleteArticle,
   saveAudio,
   getAudioForArticle,
   getAudioById,
+  getAllPodcasts,
+  updateAudio,
   deleteAudioForArticle,
+  saveJob,
+  updateJob,
+  getJobById,
+  getAllJobs,
+  deleteJob,
+  saveJobSegments,
+  getJobSegments,
+  deleteJobSegments,
+  getCachedTtsSegment,
+  saveTtsSegment,
+  pruneTtsCache,
+  getTtsCacheStats,
+  clearTtsCache,
+  saveAsset,
+  getAllAssets,
+  getAssetById,
+  deleteAsset,
   saveSetting,
   getSetting,
   deleteSetting,
@@ -0,0 +1,295 @@
+/**
+ * Structured podcast dialogue for Article to Audio Extension (Local Version)
+ * Script segments are requested from the language model as JSON:
+ * { "dialogue": [{ "speaker", "text", "emotion"?, "pause_after"? }] }
+ * Replies are checked against the cast. Small slips such as a name left in front of the
+ * text are repaired; a reply that still can't be used is sent back to the model with its
+ * problems listed.
+ *
+ * Validated turns keep the schema's field names, with speaker set to the cast member's ID.
+ * Turns in a full script also carry section: 'introduction', 'conclusion' or 'article-<id>'.
+ */
+
+import { findSpeakerByLabel, createSpeakerLabelPattern } from './cast.js';
+import { splitTextIntoChunks } from './openai.js';
+
+// Emotions a turn may be marked with
+const DIALOGUE_EMOTIONS = ['neutral', 'excited', 'curious', 'amused', 'serious', 'thoughtful', 'concerned', 'surprised'];
+
+// Longest pause a turn may ask for, in seconds
+const MAX_PAUSE_SECONDS = 5;
+
+// Requests per segment, including the first
+const MAX_DIALOGUE_ATTEMPTS = 3;
+
+// Longest text sent to the speech provider in one request
+const MAX_LINE_LENGTH = 4000;
+
+/**
+ * Describe the reply format for a prompt
+ * @param {Array<Object>} cast - Cast
+ * @returns {string} Output instructions naming every speaker
+ */
+function createDialogueInstructions(cast) {
+  const names = cast.map(speaker => speaker.name);
+  const example = [
+    `  {"speaker": "${names[0]}", "text": "The words ${names[0]} says.", "emotion": "curious"}`,
+    `  {"speaker": "${names[1] || names[0]}", "text": "The next thing that is said.", "pause_after": 0.5}`
+  ].join(',\n');
+
+  return `Reply with ONLY a JSON object in this format, with no other text before or after it:
+{"dialogue": [
+${example}
+]}
+- "speaker" must be one of: ${names.join(', ')}
+- "text" holds only the spoken words: no speaker names, stage directions, headings or markdown
+- "emotion" is optional: one of ${DIALOGUE_EMOTIONS.join(', ')}
+- "pause_after" is optional: seconds of silence after the turn, at most ${MAX_PAUSE_SECONDS}`;
+}
+
+/**
+ * Pull the JSON value out of a reply
+ * Tolerates code fences, text around the JSON and trailing commas
+ * @param {string} reply - Model reply
+ * @returns {*} Parsed value
+ * @throws {Error} When no JSON can be read
+ */
+function extractJson(reply) {
+  const text = String(reply || '').replace(/```(?:json)?/gi, '').trim();
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'));
+  if (start === -1 || end <= start) {
+    throw new Error('The reply contains no JSON');
+  }
+
+  const json = text.substring(start, end + 1);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return JSON.parse(json.replace(/,\s*([\]}])/g, '$1'));
+  }
+}
+
+/**
+ * Check dialogue entries against the schema and the cast
+ * @param {Array<Object>} entries - Turns as written by the model or an editor
+ * @param {Array<Object>} cast - Cast
+ * @returns {Object} { turns, problems }: the usable turns, and what was wrong with the rest
+ */
+function normalizeTurns(entries, cast) {
+  const labelPattern = new RegExp(`^(${createSpeakerLabelPattern(cast)})\\s*:\\s*`, 'i');
+  const turns = [];
+  const problems = [];
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`Turn ${index + 1} is not an object`);
+      return;
+    }
+
+    let speaker = findSpeakerByLabel(cast, entry.speaker);
+    let text = typeof entry.text === 'string' ? entry.text.trim() : '';
+
+    // A name left in front of the text would be read aloud
+    const label = text.match(labelPattern);
+    if (label) {
+      speaker = speaker || findSpeakerByLabel(cast, label[1]);
+      text = text.substring(label[0].length).trim();
+    }
+
+    if (!speaker) {
+      problems.push(`Turn ${index + 1} has speaker "${entry.speaker}", who is not in the cast`);
+      return;
+    }
+    // An empty turn has nothing to say; drop it
+    if (!text) return;
+
+    const turn = { speaker: speaker.id, text };
+
+    const emotion = typeof entry.emotion === 'string' ? entry.emotion.trim().toLowerCase() : '';
+    if (DIALOGUE_EMOTIONS.includes(emotion)) {
+      turn.emotion = emotion;
+    }
+
+    const pause = Number(entry.pause_after);
+    if (pause > 0) {
+      turn.pause_after = Math.round(Math.min(pause, MAX_PAUSE_SECONDS) * 10) / 10;
+    }
+
+    if (typeof entry.section === 'string' && entry.section) {
+      turn.section = entry.section;
+    }
+
+    turns.push(turn);
+  });
+
+  if (turns.length === 0 && problems.length === 0) {
+    problems.push('The dialogue is empty');
+  }
+
+  return { turns, problems };
+}
+
+/**
+ * Check a reply against the dialogue schema and the cast
+ * @param {string} reply - Model reply
+ * @param {Array<Object>} cast - Cast
+ * @returns {Object} { turns, problems }: the usable turns, and what was wrong with the rest
+ */
+function parseDialogueReply(reply, cast) {
+  let data;
+  try {
+    data = extractJson(reply);
+  } catch (error) {
+    return { turns: [], problems: ['The reply is not valid JSON'] };
+  }
+
+  const entries = Array.isArray(data) ? data : (data && Array.isArray(data.dialogue) ? data.dialogue : null);
+  if (!entries) {
+    return { turns: [], problems: ['The reply has no "dialogue" array'] };
+  }
+
+  return normalizeTurns(entries, cast);
+}
+
+/**
+ * Check an edited dialogue before it replaces a script
+ * @param {Array<Object>} dialogue - Edited turns
+ * @param {Array<Object>} cast - Cast
+ * @returns {Array<Object>} Turns, with empty ones dropped
+ * @throws {Error} When a turn has no valid speaker or nothing is left
+ */
+function validateDialogue(dialogue, cast) {
+  const { turns, problems } = normalizeTurns(Array.isArray(dialogue) ? dialogue : [], cast);
+  if (problems.length > 0) {
+    throw new Error(problems[0]);
+  }
+  return turns;
+}
+
+/**
+ * Ask the model to fix a reply that could not be used
+ * @param {string} reply - Previous reply
+ * @param {Array<string>} problems - What was wrong with it
+ * @returns {string} Repair request
+ */
+function createRepairRequest(reply, problems) {
+  return `Your previous reply could not be used:
+${problems.slice(0, 10).map(problem => `- ${problem}`).join('\n')}
+
+Previous reply:
+${String(reply || '').substring(0, 8000)}
+
+Reply again with only the corrected JSON object.`;
+}
+
+/**
+ * Request a dialogue segment, retrying with the problems listed until the reply is valid
+ * When every attempt has problems, the valid turns of the last reply are used if it has any
+ * @param {Function} complete - Sends the segment prompt with extra messages, resolving with the reply
+ * @param {Array<Object>} cast - Cast
+ * @param {number} [maxAttempts] - Requests to make at most
+ * @returns {Promise<Array<Object>>} Turns
+ * @throws {Error} When no attempt produced a usable turn
+ */
+async function requestDialogue(complete, cast, maxAttempts = MAX_DIALOGUE_ATTEMPTS) {
+  let messages = [];
+  let result = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const reply = await complete(messages);
+    result = parseDialogueReply(reply, cast);
+    if (result.problems.length === 0) {
+      return result.turns;
+    }
+
+    console.warn(`Dialogue reply ${attempt}/${maxAttempts} could not be used: ${result.problems.join('; ')}`);
+    messages = [{ role: 'user', content: createRepairRequest(reply, result.problems) }];
+  }
+
+  if (result.turns.length > 0) {
+    console.warn(`Using the ${result.turns.length} valid turns of the last reply`);
+    return result.turns;
+  }
+  throw new Error(`The language model did not return a usable dialogue after ${maxAttempts} attempts: ${result.problems[0]}`);
+}
+
+/**
+ * Write turns as a readable script, one "Name: text" line per turn
+ * @param {Array<Object>} turns - Turns
+ * @param {Array<Object>} cast - Cast
+ * @returns {string} Script text
+ */
+function dialogueToScript(turns, cast) {
+  return turns
+    .map(turn => {
+      const speaker = cast.find(entry => entry.id === turn.speaker) || cast[0];
+      return `${speaker.name}: ${turn.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Write a whole episode as a readable script, marking where each article and the conclusion start
+ * @param {Array<Object>} dialogue - Turns of the episode, with their sections
+ * @param {Array<Object>} cast - Cast
+ * @returns {string} Script text
+ */
+function assembleDialogueScript(dialogue, cast) {
+  const sections = [];
+  let articleCount = 0;
+
+  dialogue.forEach(turn => {
+    const current = sections[sections.length - 1];
+    if (current && current.section === turn.section) {
+      current.turns.push(turn);
+      return;
+    }
+
+    let heading = null;
+    if (turn.section === 'conclusion') {
+      heading = '--- CONCLUSION ---';
+    } else if (turn.section && turn.section.startsWith('article-')) {
+      articleCount++;
+      heading = `--- ARTICLE ${articleCount} ---`;
+    }
+    sections.push({ section: turn.section, heading, turns: [turn] });
+  });
+
+  return sections
+    .map(({ heading, turns }) => heading
+      ? `${heading}\n\n${dialogueToScript(turns, cast)}`
+      : dialogueToScript(turns, cast))
+    .join('\n\n');
+}
+
+/**
+ * Turn dialogue into the lines the audio stage synthesizes
+ * Long turns are split at sentence breaks; the pause follows the last part
+ * @param {Array<Object>} turns - Turns
+ * @returns {Array<Object>} Lines as { speaker, text, emotion?, pause_after?, section? }
+ */
+function dialogueToLines(turns) {
+  return turns.flatMap(turn => {
+    const chunks = splitTextIntoChunks(turn.text, MAX_LINE_LENGTH);
+    return chunks.map((chunk, index) => {
+      const line = { speaker: turn.speaker, text: chunk };
+      if (turn.emotion) line.emotion = turn.emotion;
+      if (turn.pause_after && index === chunks.length - 1) line.pause_after = turn.pause_after;
+      if (turn.section) line.section = turn.section;
+      return line;
+    });
+  });
+}
+
+export {
+  DIALOGUE_EMOTIONS,
+  MAX_PAUSE_SECONDS,
+  createDialogueInstructions,
+  parseDialogueReply,
+  validateDialogue,
+  requestDialogue,
+  dialogueToScript,
+  assembleDialogueScript,
+  dialogueToLines
+};
@@ -0,0 +1,266 @@
+/**
+ * Duplicate detection for Article to Audio Extension (Local Version)
+ * The same story reaches the library through AMP pages, tracking links and syndication
+ * partners. Articles are compared two ways:
+ * - a canonical URL key (tracking parameters, AMP variants and "www." removed)
+ * - a 64-bit simhash of the text's word shingles, stored as 16 hex characters
+ */
+
+// Query parameters set by known analytics and ad platforms to identify how a reader
+// arrived at the page. Generic names like ref, src or source are left alone, since
+// some sites use them to pick the content.
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|mc_cid|mc_eid|mkt_tok|_hsenc|_hsmi|ref_src|cmpid|ocid|smid|sr_share|__twitter_impression)$/i;
+
+// Query parameters that ask for the AMP variant of a page
+const AMP_PARAMS = /^(amp|outputtype)$/i;
+
+// Words per shingle when fingerprinting
+const SHINGLE_SIZE = 4;
+
+// Fingerprints differing in at most this many of 64 bits are treated as the same text;
+// unrelated texts differ in about 32
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+/**
+ * Reduce a URL to a key shared by every variant of the same page
+ * The key is for comparison only: the scheme is always https and "www." is dropped
+ * @param {string} url - Page URL
+ * @returns {string|null} Canonical URL key, or the input when it isn't an http(s) URL
+ */
+function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+  const hostname = parsed.hostname.toLowerCase();
+
+  // AMP caches wrap the publisher URL: https://example-com.cdn.ampproject.org/c/s/example.com/story
+  // and https://www.google.com/amp/s/example.com/story
+  const ampCachePath = hostname.endsWith('.cdn.ampproject.org')
+    ? parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/)
+    : /^(www\.)?google\.[a-z.]+$/.test(hostname) && parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  if (ampCachePath) {
+    return canonicalizeUrl(`https://${ampCachePath[2]}${parsed.search}`);
+  }
+
+  const host = hostname.replace(/^(www|amp|m)\./, '');
+
+  // AMP page variants: /amp/story, /story/amp, /story.amp.html
+  let path = parsed.pathname
+    .replace(/\/amp(\/|$)/, '/')
+    .replace(/\.amp(\.html?)$/, '$1')
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/index\.html?$/, '/')
+    .replace(/\/$/, '');
+
+  const params = [];
+  parsed.searchParams.forEach((value, key) => {
+    if (!TRACKING_PARAMS.test(key) && !AMP_PARAMS.test(key)) {
+      params.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  });
+  params.sort();
+
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  return `https://${host}${port}${path || ''}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Get the canonical URL key of a saved page
+ * Prefers the page's declared canonical URL, except when it points at a site's home page,
+ * which some publishers declare for every article
+ * @param {string} url - Address the page was saved from
+ * @param {string|null} declaredUrl - URL from <link rel="canonical"> or og:url
+ * @returns {string|null} Canonical URL key
+ */
+function getArticleCanonicalUrl(url, declaredUrl) {
+  const declaredKey = canonicalizeUrl(declaredUrl);
+  if (declaredKey) {
+    try {
+      if (new URL(declaredKey).pathname.length > 1) return declaredKey;
+    } catch (error) {
+      // Not an http(s) URL; fall back to the page address
+    }
+  }
+  return canonicalizeUrl(url);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @param {number} seed - Offset basis
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Compute the simhash fingerprint of an article's text
+ * @param {string} text - Article text
+ * @returns {string|null} 16 hex characters, or null when the text is too short
+ */
+function computeFingerprint(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u00c0-\uffff\s]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words.length < SHINGLE_SIZE) return null;
+
+  const weights = new Array(64).fill(0);
+
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    // Two independently seeded 32-bit hashes make up the 64-bit shingle hash
+    const halves = [fnv1a(shingle, 2166136261), fnv1a(shingle, 3323198485)];
+
+    for (let bit = 0; bit < 64; bit++) {
+      const half = halves[bit >> 5];
+      weights[bit] += (half >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  let fingerprint = '';
+  for (let nibble = 15; nibble >= 0; nibble--) {
+    let value = 0;
+    for (let bit = 3; bit >= 0; bit--) {
+      value = (value << 1) | (weights[nibble * 4 + bit] > 0 ? 1 : 0);
+    }
+    fingerprint += value.toString(16);
+  }
+  return fingerprint;
+}
+
+/**
+ * Count the differing bits of two fingerprints
+ * @param {string} a - Fingerprint
+ * @param {string} b - Fingerprint
+ * @returns {number} Hamming distance (64 when either is missing)
+ */
+function fingerprintDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return 64;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Explain why two articles are considered duplicates
+ * @param {Object} a - Article with canonicalUrl and fingerprint
+ * @param {Object} b - Article with canonicalUrl and fingerprint
+ * @returns {string|null} 'url', 'content', or null when they differ
+ */
+function getDuplicateReason(a, b) {
+  if (a.canonicalUrl && a.canonicalUrl === b.canonicalUrl) return 'url';
+  if (fingerprintDistance(a.fingerprint, b.fingerprint) <= NEAR_DUPLICATE_DISTANCE) return 'content';
+  return null;
+}
+
+/**
+ * Group a library into sets of duplicate articles
+ * @param {Array<Object>} articles - Articles with canonicalUrl and fingerprint
+ * @returns {Array<Array<Object>>} Groups of two or more articles, oldest first in each group
+ */
+function findDuplicateGroups(articles) {
+  // Union-find over article indexes
+  const parent = articles.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (getDuplicateReason(articles[i], articles[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((article, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)));
+}
+
+/**
+ * Merge a duplicate into the article being kept
+ * The kept record keeps its id, dates and status; the longer text wins, tags are combined,
+ * missing metadata is filled in and the duplicate's URL is remembered
+ * @param {Object} kept - Article that stays in the library
+ * @param {Object} duplicate - Article folded into it
+ * @returns {Object} Merged article
+ */
+function mergeDuplicateArticles(kept, duplicate) {
+  const merged = { ...kept };
+
+  if ((duplicate.content || '').length > (kept.content || '').length) {
+    merged.content = duplicate.content;
+    merged.blocks = duplicate.blocks;
+    merged.fingerprint = duplicate.fingerprint;
+    merged.pageCount = duplicate.pageCount;
+  }
+
+  ['summary', 'author', 'publishedDate', 'siteName', 'leadImage', 'language', 'folder'].forEach(field => {
+    if (!merged[field] && duplicate[field]) {
+      merged[field] = duplicate[field];
+    }
+  });
+
+  merged.tags = Array.from(new Set([...(kept.tags || []), ...(duplicate.tags || [])]));
+
+  merged.alternateUrls = collectAlternateUrls(kept.url, [kept, duplicate]);
+
+  return merged;
+}
+
+/**
+ * Collect every address the given articles were saved from, other than the one kept
+ * @param {string} url - Address of the record that stays in the library
+ * @param {Array<Object>} articles - Articles with url and alternateUrls
+ * @returns {Array<string>} Alternate URLs, without repeats
+ */
+function collectAlternateUrls(url, articles) {
+  const alternateUrls = new Set();
+  articles.forEach(article => {
+    [article.url, ...(article.alternateUrls || [])].forEach(alternateUrl => {
+      if (alternateUrl && alternateUrl !== url) alternateUrls.add(alternateUrl);
+    });
+  });
+  return Array.from(alternateUrls);
+}
+
+export {
+  canonicalizeUrl,
+  getArticleCanonicalUrl,
+  computeFingerprint,
+  fingerprintDistance,
+  getDuplicateReason,
+  findDuplicateGroups,
+  mergeDuplicateArticles,
+  collectAlternateUrls
+};
@@ -0,0 +1,203 @@
+/**
+ * Export worker for Article to Audio Extension (Local Version)
+ * Encodes a podcast's decoded samples into a download format away from the page, so the
+ * articles page stays responsive. MP3 is encoded with lamejs; AAC and Opus use the
+ * browser's WebCodecs encoders and are wrapped in M4A and Ogg here; WAV is written directly.
+ *
+ * Messages in: { format, samples, sampleRate, bitrate, metadata, chapters }
+ * Messages out: { type: 'progress', progress } with progress from 0 to 1,
+ *   then { type: 'complete', parts } or { type: 'error', message }, where parts are the
+ *   file's bytes in order, to be joined in a Blob rather than copied into one array
+ */
+
+import { createId3Tag, createXingHeader, encodeMp3 } from './mp3.js';
+import { createM4a } from './mp4.js';
+import { OPUS_SAMPLE_RATE, createOggOpus } from './ogg.js';
+import { encodeWav } from './wav.js';
+
+// Samples handed to an encoder at a time: a multiple of the MP3 frame size
+const BLOCK_SAMPLES = 1152 * 40;
+
+// Encoder queue length at which input waits for the encoder to catch up
+const MAX_ENCODE_QUEUE = 8;
+
+/**
+ * Report encoding progress to the page
+ * @param {number} progress - Fraction done
+ */
+function postProgress(progress) {
+  self.postMessage({ type: 'progress', progress: Math.min(1, progress) });
+}
+
+/**
+ * Encode MP3 with an ID3 tag and a Xing header in front, so players can seek in it
+ * @param {Object} job - Worker message
+ * @returns {Array<Uint8Array>} Tag, Xing header and frames
+ */
+function encodeMp3File({ samples, sampleRate, bitrate, metadata, chapters }) {
+  const frames = encodeMp3(samples, sampleRate, bitrate, postProgress);
+  return [createId3Tag(metadata, chapters), createXingHeader(frames), frames];
+}
+
+/**
+ * Encode samples with a WebCodecs AudioEncoder
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} config - Encoder configuration
+ * @param {string} label - Format name for errors
+ * @returns {Promise<Object>} { chunks: Array<{ data, duration }>, description } where
+ *   description is the decoder configuration the encoder reported, if any
+ * @throws {Error} When the browser can't encode the format
+ */
+async function encodeWithWebCodecs(samples, sampleRate, config, label) {
+  if (typeof AudioEncoder === 'undefined') {
+    throw new Error(`This browser cannot encode ${label}`);
+  }
+  const support = await AudioEncoder.isConfigSupported(config);
+  if (!support.supported) {
+    throw new Error(`This browser does not support ${label} encoding`);
+  }
+
+  const chunks = [];
+  let description = null;
+  let encoderError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, duration: chunk.duration });
+
+      const reported = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+      if (reported && !description) {
+        description = ArrayBuffer.isView(reported)
+          ? new Uint8Array(reported.buffer.slice(reported.byteOffset, reported.byteOffset + reported.byteLength))
+          : new Uint8Array(reported.slice(0));
+      }
+    },
+    error: error => {
+      encoderError = error;
+    }
+  });
+  encoder.configure(config);
+
+  for (let offset = 0; offset < samples.length && !encoderError; offset += BLOCK_SAMPLES) {
+    const data = samples.slice(offset, offset + BLOCK_SAMPLES);
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: data.length,
+      numberOfChannels: 1,
+      timestamp: Math.round(offset / sampleRate * 1000000),
+      data
+    });
+    encoder.encode(audioData);
+    audioData.close();
+
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encoderError) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    postProgress((offset + data.length) / samples.length);
+  }
+
+  if (!encoderError) {
+    await encoder.flush();
+  }
+  if (encoder.state !== 'closed') {
+    encoder.close();
+  }
+  if (encoderError) {
+    throw new Error(`${label} encoding failed: ${encoderError.message}`);
+  }
+
+  return { chunks, description };
+}
+
+/**
+ * Encode AAC in an M4A file
+ * @param {Object} job - Worker message
+ * @returns {Promise<Uint8Array>} M4A file
+ */
+async function encodeM4a({ samples, sampleRate, bitrate, metadata, chapters }) {
+  const { chunks, description } = await encodeWithWebCodecs(samples, sampleRate, {
+    codec: 'mp4a.40.2',
+    sampleRate,
+    numberOfChannels: 1,
+    bitrate: bitrate * 1000,
+    aac: { format: 'aac' }
+  }, 'AAC');
+
+  return createM4a({
+    frames: chunks.map(chunk => chunk.data),
+    sampleRate,
+    channels: 1,
+    bitrate: bitrate * 1000,
+    config: description
+  }, metadata, chapters);
+}
+
+/**
+ * Encode Opus in an Ogg file
+ * @param {Object} job - Worker message
+ * @returns {Promise<Uint8Array>} Ogg Opus file
+ */
+async function encodeOpus({ samples, sampleRate, bitrate, metadata, chapters }) {
+  if (sampleRate !== OPUS_SAMPLE_RATE) {
+    throw new Error(`Opus audio must be decoded at ${OPUS_SAMPLE_RATE} Hz`);
+  }
+
+  const { chunks, description } = await encodeWithWebCodecs(samples, sampleRate, {
+    codec: 'opus',
+    sampleRate,
+    numberOfChannels: 1,
+    bitrate: bitrate * 1000
+  }, 'Opus');
+
+  // Some encoders report an OpusHead, which has the pre-skip they need
+  const isOpusHead = description && description.length >= 19 &&
+    new TextDecoder().decode(description.subarray(0, 8)) === 'OpusHead';
+  const preSkip = isOpusHead ? new DataView(description.buffer, description.byteOffset).getUint16(10, true) : undefined;
+
+  return createOggOpus({
+    packets: chunks.map(chunk => ({
+      data: chunk.data,
+      samples: Math.round((chunk.duration || 20000) * OPUS_SAMPLE_RATE / 1000000)
+    })),
+    channels: 1,
+    inputSampleRate: sampleRate,
+    length: samples.length,
+    preSkip
+  }, metadata, chapters);
+}
+
+/**
+ * Encode a job in its format
+ * @param {Object} job - Worker message
+ * @returns {Promise<Array<Uint8Array>>} Parts of the file
+ */
+async function encode(job) {
+  switch (job.format) {
+    case 'mp3':
+      return encodeMp3File(job);
+    case 'm4a':
+      return [await encodeM4a(job)];
+    case 'opus':
+      return [await encodeOpus(job)];
+    case 'wav': {
+      const wav = encodeWav(job.samples, job.sampleRate, job.metadata, job.chapters);
+      postProgress(1);
+      return [wav];
+    }
+    default:
+      throw new Error(`Unknown export format: ${job.format}`);
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  try {
+    const parts = await encode(event.data);
+    self.postMessage({ type: 'complete', parts }, [...new Set(parts.map(part => part.buffer))]);
+  } catch (error) {
+    console.error('Error encoding export:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+});
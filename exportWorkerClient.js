@@ -0,0 +1,54 @@
+/**
+ * Export worker access for Article to Audio Extension (Local Version)
+ * The articles page and the offscreen document hand decoded samples to the export worker,
+ * so encoding runs off their thread and reports its progress back.
+ */
+
+const EXPORT_WORKER_URL = 'dist/exportWorker.bundle.js';
+
+/**
+ * Encode samples in the export worker
+ * The samples' buffer is transferred to the worker and can't be used afterwards
+ * @param {Object} job - Worker message: { format, samples, sampleRate, bitrate, metadata, chapters }
+ * @param {Function} [onProgress] - Called with the fraction encoded, from 0 to 1
+ * @param {AbortSignal} [signal] - Stops the encoding
+ * @returns {Promise<Array<Uint8Array>>} Parts of the encoded file, in order, for a Blob
+ * @throws {Error} When encoding fails or is cancelled
+ */
+function encodeInExportWorker(job, onProgress = () => {}, signal = null) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(EXPORT_WORKER_URL);
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new Error('Export cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress(message.progress);
+      } else if (message.type === 'complete') {
+        finish();
+        resolve(message.parts);
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    });
+    worker.addEventListener('error', (event) => {
+      finish();
+      reject(new Error(event.message || 'The export worker failed'));
+    });
+
+    worker.postMessage(job, [job.samples.buffer]);
+  });
+}
+
+export {
+  encodeInExportWorker
+};
@@ -0,0 +1,518 @@
+/**
+ * Background job queue for Article to Audio Extension (Local Version)
+ * Podcast generation runs here, in the service worker, rather than in the articles page,
+ * so closing the page no longer kills a long generation. Job records live in the `jobs`
+ * store and each finished audio batch is checkpointed in `jobSegments`, which lets a job
+ * pick up where it stopped after the worker is suspended or the browser restarts.
+ *
+ * Job record: { id, type: 'podcast', articleIds, options, title, state, step, progress,
+ *   message, lineProgress: { current, total }, checkpointLine, scriptData, error,
+ *   podcastId, duration, size, attempts, dateCreated, dateUpdated }
+ *
+ * Jobs started with options.reviewScript stop in the review state once their script is
+ * written. The script can then be edited, or one article's discussion rewritten, before
+ * synthesizeJob queues the job again to make the audio from the edited script.
+ *
+ * Finished podcasts are published when a publish target is set to publish automatically.
+ *
+ * Every change is broadcast to extension pages as { action: 'JOB_UPDATED', job }.
+ */
+
+import {
+  saveJob,
+  updateJob,
+  getJobById,
+  getAllJobs,
+  deleteJob,
+  saveJobSegments,
+  getJobSegments,
+  deleteJobSegments
+} from './db.js';
+import { generatePodcast } from './podcastGenerator.js';
+import { assembleScript, regenerateArticleDiscussion, getScriptSections } from './scriptGenerator.js';
+import { validateDialogue } from './dialogueScript.js';
+import { mixPodcast, publishPodcast } from './offscreenDocument.js';
+import { getPublishSettings } from './publishTargets.js';
+
+const JOB_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  REVIEW: 'review',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATES = [JOB_STATES.COMPLETED, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+// Periodic alarm that keeps the worker alive while a job runs and revives the queue
+// if the worker was suspended anyway
+const KEEPALIVE_ALARM = 'job-queue-keepalive';
+
+// Progress stages reported by the generators, grouped into job steps
+const STAGE_STEPS = {
+  loading: 'script',
+  title: 'script',
+  introduction: 'script',
+  discussion: 'script',
+  conclusion: 'script',
+  script: 'script',
+  audio: 'audio',
+  combining: 'saving',
+  saving: 'saving',
+  mixing: 'saving'
+};
+
+// Job currently being processed: { id, controller }
+let activeJob = null;
+
+// Promise of the running queue loop, so only one loop runs at a time
+let queueRun = null;
+
+// Writes are chained so progress updates land in the order they were made
+let persistChain = Promise.resolve();
+
+/**
+ * Strip a job down to what pages need; the full script lines stay in the worker
+ * @param {Object} job - Job record
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  const { scriptData, ...summary } = job;
+  return {
+    ...summary,
+    script: scriptData ? scriptData.script : null,
+    hostNames: scriptData && scriptData.settings ? scriptData.settings.hostNames : null,
+    cast: scriptData && scriptData.settings ? scriptData.settings.cast || null : null,
+    lengthReport: scriptData ? scriptData.lengthReport || null : null
+  };
+}
+
+/**
+ * Tell any open extension page that a job changed
+ * @param {Object} job - Job record
+ */
+function broadcastJob(job) {
+  chrome.runtime.sendMessage({ action: 'JOB_UPDATED', job: summarizeJob(job) })
+    .catch(() => {
+      // No page is listening
+    });
+}
+
+/**
+ * Apply changes to a job, store it and broadcast it
+ * @param {Object} job - Job record, updated in place
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated job
+ */
+function persistJob(job, changes) {
+  Object.assign(job, changes, { dateUpdated: new Date().toISOString() });
+  persistChain = persistChain
+    .then(() => updateJob({ ...job }))
+    .catch(error => console.error(`Error saving job ${job.id}:`, error));
+  broadcastJob(job);
+  return persistChain.then(() => job);
+}
+
+/**
+ * Add a podcast generation job to the queue and start the queue
+ * @param {Array<number>} articleIds - Articles to include
+ * @param {Object} options - Podcast generation options
+ * @returns {Promise<Object>} Job summary
+ */
+async function enqueuePodcastJob(articleIds, options = {}) {
+  if (!articleIds || articleIds.length === 0) {
+    throw new Error('No articles selected for the podcast');
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    type: 'podcast',
+    articleIds,
+    options,
+    title: options.title || null,
+    state: JOB_STATES.PENDING,
+    step: 'queued',
+    progress: 0,
+    message: 'Waiting to start',
+    lineProgress: null,
+    checkpointLine: 0,
+    scriptData: null,
+    error: null,
+    podcastId: null,
+    attempts: 0,
+    dateCreated: now,
+    dateUpdated: now
+  };
+
+  job.id = await saveJob(job);
+  broadcastJob(job);
+  processQueue();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Start working through pending jobs unless the queue is already running
+ * @returns {Promise<void>} Resolves when the queue is empty
+ */
+function processQueue() {
+  if (!queueRun) {
+    queueRun = runPendingJobs()
+      .catch(error => console.error('Job queue stopped:', error))
+      .finally(() => {
+        queueRun = null;
+      });
+  }
+  return queueRun;
+}
+
+/**
+ * Run pending jobs one at a time, oldest first
+ */
+async function runPendingJobs() {
+  chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+
+  try {
+    while (true) {
+      const pendingJobs = (await getAllJobs())
+        .filter(job => job.state === JOB_STATES.PENDING)
+        .sort((a, b) => a.id - b.id);
+
+      if (pendingJobs.length === 0) break;
+      await runJob(pendingJobs[0]);
+    }
+  } finally {
+    chrome.alarms.clear(KEEPALIVE_ALARM);
+  }
+}
+
+/**
+ * Run one job to completion, failure or cancellation
+ * @param {Object} job - Pending job record
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  activeJob = { id: job.id, controller };
+
+  const resuming = Boolean(job.scriptData);
+  await persistJob(job, {
+    state: JOB_STATES.RUNNING,
+    step: resuming ? 'audio' : 'script',
+    attempts: (job.attempts || 0) + 1,
+    error: null,
+    message: resuming ? 'Resuming audio generation...' : 'Starting...'
+  });
+
+  try {
+    const previousSegments = resuming && job.checkpointLine > 0
+      ? await getJobSegments(job.id)
+      : [];
+
+    // Without usable checkpoints the audio starts over; drop anything a batch stored
+    // before it was recorded as done
+    if (previousSegments.length === 0) {
+      job.checkpointLine = 0;
+      await deleteJobSegments(job.id);
+    }
+
+    const result = await generatePodcast(job.articleIds, job.options, progress => handleProgress(job, progress), {
+      abortController: controller,
+      scriptData: job.scriptData,
+      mixPodcast,
+      onScriptGenerated: scriptData => persistJob(job, {
+        scriptData,
+        title: scriptData.title,
+        step: 'audio',
+        checkpointLine: 0
+      }),
+      resume: {
+        startLine: job.checkpointLine || 0,
+        previousSegments,
+        onBatchComplete: async (segments, linesDone, totalLines) => {
+          await saveJobSegments(job.id, segments.map(segment => ({
+            ...segment,
+            error: segment.error ? segment.error.message || String(segment.error) : undefined
+          })));
+          await persistJob(job, {
+            checkpointLine: linesDone,
+            lineProgress: { current: linesDone, total: totalLines }
+          });
+        }
+      }
+    });
+
+    if (result.awaitingReview) {
+      await persistJob(job, {
+        state: JOB_STATES.REVIEW,
+        step: 'review',
+        progress: 60,
+        message: 'Script ready for review'
+      });
+      return;
+    }
+
+    await deleteJobSegments(job.id);
+    await persistJob(job, {
+      state: JOB_STATES.COMPLETED,
+      step: 'done',
+      progress: 100,
+      message: 'Podcast generation complete',
+      podcastId: result.podcastId,
+      duration: result.duration,
+      size: result.size
+    });
+    await publishFinishedPodcast(result.podcastId);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Checkpoints are kept so a retry continues from the last finished batch
+      await persistJob(job, { state: JOB_STATES.CANCELLED, message: 'Cancelled' });
+    } else {
+      console.error(`Job ${job.id} failed:`, error);
+      await persistJob(job, {
+        state: JOB_STATES.FAILED,
+        error: error.message,
+        message: `Failed: ${error.message}`
+      });
+    }
+  } finally {
+    activeJob = null;
+  }
+}
+
+/**
+ * Publish a finished podcast when the publish target is set to publish automatically
+ * The publisher records its own status on the podcast, so a failure leaves the job completed.
+ * It is awaited so the keepalive alarm covers the upload.
+ * @param {number} podcastId - Podcast ID
+ */
+async function publishFinishedPodcast(podcastId) {
+  try {
+    const settings = await getPublishSettings();
+    if (settings.target === 'none' || !settings.autoPublish) return;
+    await publishPodcast(podcastId);
+  } catch (error) {
+    console.error(`Error publishing podcast ${podcastId}:`, error);
+  }
+}
+
+/**
+ * Record a generator progress update on the running job
+ * Terminal stages are ignored; runJob records the outcome itself
+ * @param {Object} job - Running job record
+ * @param {Object} progress - Progress update from the generators
+ */
+function handleProgress(job, progress) {
+  if (job.state !== JOB_STATES.RUNNING || !STAGE_STEPS[progress.stage]) return;
+
+  const changes = {
+    step: STAGE_STEPS[progress.stage],
+    message: progress.message
+  };
+  if (typeof progress.progress === 'number') {
+    changes.progress = progress.progress;
+  }
+  if (progress.audioProgress) {
+    changes.lineProgress = {
+      current: progress.audioProgress.currentLine,
+      total: progress.audioProgress.totalLines
+    };
+  }
+
+  persistJob(job, changes);
+}
+
+/**
+ * Cancel a pending or running job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<boolean>} Whether the job was cancelled
+ */
+async function cancelJob(jobId) {
+  if (activeJob && activeJob.id === jobId) {
+    activeJob.controller.abort();
+    return true;
+  }
+
+  const job = await getJobById(jobId);
+  if (!job || job.state !== JOB_STATES.PENDING) return false;
+
+  await persistJob(job, { state: JOB_STATES.CANCELLED, message: 'Cancelled' });
+  return true;
+}
+
+/**
+ * Queue a failed or cancelled job again; it resumes from its last checkpoint
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} Job summary
+ */
+async function retryJob(jobId) {
+  const job = await getJobById(jobId);
+  if (!job) throw new Error('Job not found');
+  if (job.state !== JOB_STATES.FAILED && job.state !== JOB_STATES.CANCELLED) {
+    throw new Error(`Cannot retry a ${job.state} job`);
+  }
+
+  await persistJob(job, {
+    state: JOB_STATES.PENDING,
+    step: 'queued',
+    error: null,
+    message: 'Waiting to start'
+  });
+  processQueue();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Get a job that is waiting for its script to be reviewed
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} Job record
+ */
+async function getJobInReview(jobId) {
+  const job = await getJobById(jobId);
+  if (!job) throw new Error('Job not found');
+  if (job.state !== JOB_STATES.REVIEW || !job.scriptData) {
+    throw new Error('This job has no script waiting for review');
+  }
+  return job;
+}
+
+/**
+ * Get the script of a job under review for editing
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} { dialogue, cast, sections: [{ id, title, articleId? }], lengthReport }
+ */
+async function getJobScript(jobId) {
+  const job = await getJobInReview(jobId);
+  const { dialogue, settings, articleIds, lengthReport } = job.scriptData;
+  const sections = getScriptSections(articleIds, settings.articleTitles);
+
+  return { dialogue: dialogue || [], cast: settings.cast, sections, lengthReport };
+}
+
+/**
+ * Replace the script of a job under review with an edited dialogue
+ * @param {number} jobId - Job ID
+ * @param {Array<Object>} dialogue - Edited turns
+ * @returns {Promise<Object>} Job summary
+ */
+async function saveJobScript(jobId, dialogue) {
+  const job = await getJobInReview(jobId);
+  const { settings } = job.scriptData;
+  const turns = validateDialogue(dialogue, settings.cast);
+
+  await persistJob(job, {
+    scriptData: { ...job.scriptData, dialogue: turns, ...assembleScript(turns, settings), edited: true },
+    message: 'Script edited; ready for review'
+  });
+  return summarizeJob(job);
+}
+
+/**
+ * Write one article's discussion again for a job under review
+ * The new turns are returned for the editor; they replace the script once it is saved
+ * @param {number} jobId - Job ID
+ * @param {number} articleId - Article whose discussion to rewrite
+ * @returns {Promise<Array<Object>>} New turns
+ */
+async function regenerateJobSegment(jobId, articleId) {
+  const job = await getJobInReview(jobId);
+  if (!job.articleIds.includes(articleId)) {
+    throw new Error('That article is not part of this podcast');
+  }
+  return regenerateArticleDiscussion(articleId, job.scriptData.settings);
+}
+
+/**
+ * Queue a reviewed job to synthesize its audio, saving any last edits first
+ * @param {number} jobId - Job ID
+ * @param {Array<Object>} [dialogue] - Edited turns
+ * @returns {Promise<Object>} Job summary
+ */
+async function synthesizeJob(jobId, dialogue = null) {
+  if (dialogue) {
+    await saveJobScript(jobId, dialogue);
+  }
+  const job = await getJobInReview(jobId);
+
+  await persistJob(job, {
+    state: JOB_STATES.PENDING,
+    step: 'queued',
+    checkpointLine: 0,
+    lineProgress: null,
+    message: 'Waiting to synthesize'
+  });
+  processQueue();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Delete a job that isn't running
+ * @param {number} jobId - Job ID
+ * @returns {Promise<boolean>} Whether the job was removed
+ */
+async function removeJob(jobId) {
+  if (activeJob && activeJob.id === jobId) {
+    throw new Error('Cancel the job before removing it');
+  }
+  return deleteJob(jobId);
+}
+
+/**
+ * Delete every completed, failed or cancelled job
+ * @returns {Promise<number>} Number of jobs removed
+ */
+async function clearFinishedJobs() {
+  const finished = (await getAllJobs()).filter(job => FINISHED_STATES.includes(job.state));
+  for (const job of finished) {
+    await deleteJob(job.id);
+  }
+  return finished.length;
+}
+
+/**
+ * List all jobs, newest first
+ * @returns {Promise<Array<Object>>} Job summaries
+ */
+async function getJobs() {
+  const jobs = await getAllJobs();
+  return jobs.sort((a, b) => b.id - a.id).map(summarizeJob);
+}
+
+/**
+ * Requeue jobs that were running when the worker stopped, then restart the queue
+ * Called whenever the worker starts and when the keepalive alarm fires
+ */
+async function resumeInterruptedJobs() {
+  if (queueRun) return;
+
+  const jobs = await getAllJobs();
+  const interrupted = jobs.filter(job => job.state === JOB_STATES.RUNNING);
+
+  for (const job of interrupted) {
+    console.log(`Resuming interrupted job ${job.id}`);
+    await persistJob(job, { state: JOB_STATES.PENDING, message: 'Resuming after interruption' });
+  }
+
+  if (jobs.some(job => job.state === JOB_STATES.PENDING)) {
+    processQueue();
+  }
+}
+
+export {
+  JOB_STATES,
+  KEEPALIVE_ALARM,
+  enqueuePodcastJob,
+  processQueue,
+  cancelJob,
+  retryJob,
+  removeJob,
+  clearFinishedJobs,
+  getJobs,
+  getJobScript,
+  saveJobScript,
+  regenerateJobSegment,
+  synthesizeJob,
+  resumeInterruptedJobs
+};
@@ -0,0 +1,151 @@
+/**
+ * Plain-text podcast scripts for Article to Audio Extension (Local Version)
+ * Scripts used to be written as "Name: text" lines and parsed back with regular expressions.
+ * New scripts are structured dialogue (see dialogueScript.js); this parser remains only for
+ * jobs stored before that, whose lines may still hold several speakers.
+ */
+
+import { getScriptCast, findSpeakerByLabel, createSpeakerLabelPattern } from './cast.js';
+import { splitTextIntoChunks } from './openai.js';
+
+/**
+ * Parse a script into lines for each speaker
+ * Speakers are recognized by the cast's names, IDs and role aliases in front of a line
+ * @param {string} script - Full podcast script
+ * @param {Object} settings - Settings object containing the cast (or legacy hostNames)
+ * @returns {Array<Object>} Array of line objects with speaker ID and text
+ */
+function parseScriptIntoLines(script, settings = {}) {
+  const lines = [];
+  const cast = getScriptCast(settings);
+  const speakerPattern = new RegExp(`^(${createSpeakerLabelPattern(cast)})\\s*:\\s*(.*)`, 'i');
+  const scriptLines = script.split('\n');
+  
+  for (let i = 0; i < scriptLines.length; i++) {
+    const line = scriptLines[i].trim();
+    
+    // Skip empty lines and section markers like "--- ARTICLE 1 ---"
+    if (!line || /^-{3,}.*-{3,}$/.test(line)) continue;
+    
+    const speakerMatch = line.match(speakerPattern);
+    
+    if (speakerMatch) {
+      let speaker = findSpeakerByLabel(cast, speakerMatch[1]).id;
+      let text = speakerMatch[2].trim();
+      
+      // The introduction and conclusion were labelled for the host and may carry their own label
+      const innerMatch = text.match(speakerPattern);
+      if (innerMatch) {
+        speaker = findSpeakerByLabel(cast, innerMatch[1]).id;
+        text = innerMatch[2].trim();
+      }
+      
+      if (text) {
+        // Split long text into chunks if needed
+        for (const chunk of splitTextIntoChunks(text, 4000)) {
+          lines.push({ 
+            speaker, 
+            text: chunk,
+            settings: settings // Add settings to each line
+          });
+        }
+      }
+    } else if (lines.length > 0) {
+      // If no speaker pattern but we have previous lines, append to the last line
+      const lastLine = lines[lines.length - 1];
+      
+      // Check if appending would make the line too long
+      if ((lastLine.text + ' ' + line).length > 4000) {
+        // Start a new line with the same speaker
+        lines.push({ 
+          speaker: lastLine.speaker, 
+          text: line,
+          settings: settings // Add settings to each line
+        });
+      } else {
+        lastLine.text += ' ' + line;
+      }
+    } else {
+      // If there's no speaker pattern and no previous lines, the first speaker opens the show
+      lines.push({ 
+        speaker: cast[0].id, 
+        text: line,
+        settings: settings // Add settings to each line
+      });
+    }
+  }
+  
+  return lines;
+}
+
+/**
+ * Split text into separate speaker turns
+ * A line can hold several turns when the model wrote them on one line ("Alex: ... Sam: ...").
+ * Text before the first label belongs to the line's own speaker.
+ * @param {string} text - Text that may contain multiple speakers
+ * @param {Array<object>} cast - Cast whose names, IDs and aliases mark a new turn
+ * @param {string} defaultSpeakerId - Speaker of text without a label, usually the line's speaker
+ * @returns {Array<object>} Array of objects with speaker ID and text
+ */
+function splitTextIntoSpeakerTurns(text, cast, defaultSpeakerId) {
+  // If the text is empty, return empty array
+  if (!text || text.trim() === '') {
+    return [];
+  }
+  
+  // Match "SpeakerName: " at the start of the text or after whitespace
+  const speakerPattern = new RegExp(`(?:^|\\s)(${createSpeakerLabelPattern(cast)})\\s*:\\s+`, 'gi');
+  
+  const turns = [];
+  let currentSpeaker = cast.some(speaker => speaker.id === defaultSpeakerId) ? defaultSpeakerId : cast[0].id;
+  
+  // Split by new line, dashes, or clear speaker markers
+  const segments = text.split(/\n+|---+|\r\n/);
+  
+  for (const segment of segments) {
+    if (!segment.trim()) continue;
+    
+    // Use the positions of speaker markers to split the text into turns
+    let position = 0;
+    for (const marker of segment.matchAll(speakerPattern)) {
+      const before = segment.substring(position, marker.index).trim();
+      if (before) {
+        turns.push({ speaker: currentSpeaker, text: before });
+      }
+      currentSpeaker = findSpeakerByLabel(cast, marker[1]).id;
+      position = marker.index + marker[0].length;
+    }
+    
+    const rest = segment.substring(position).trim();
+    if (rest) {
+      turns.push({ speaker: currentSpeaker, text: rest });
+    }
+  }
+  
+  console.log(`Split into ${turns.length} turns`);
+  return turns;
+}
+
+/**
+ * Split a stored plain-text line into the turns it holds
+ * @param {Object} line - Line from parseScriptIntoLines
+ * @param {Array<object>} cast - Cast
+ * @returns {Array<object>} Turns as { speaker, text }
+ */
+function splitLegacyLine(line, cast) {
+  let text = line.text.trim();
+  
+  // Fix duplicate name issue - if the line starts with a repeated name like "Hari: Hari:"
+  const duplicateNamePattern = /^([^:]+):\s*\1:/;
+  if (duplicateNamePattern.test(text)) {
+    text = text.replace(duplicateNamePattern, '$1:');
+  }
+  
+  return splitTextIntoSpeakerTurns(text, cast, line.speaker);
+}
+
+export {
+  parseScriptIntoLines,
+  splitTextIntoSpeakerTurns,
+  splitLegacyLine
+};
@@ -0,0 +1,303 @@
+/**
+ * Language model providers for Article to Audio Extension (Local Version)
+ * Summaries, titles and podcast scripts are all written through one interface:
+ * complete({ stage, system, messages, model, maxTokens, temperature, responseFormat, signal })
+ * resolves with the model's reply as plain text. responseFormat 'json' asks for a JSON object
+ * where the API supports it; the prompt must still describe the JSON it wants.
+ *
+ * The chosen provider is stored in the 'llm_provider' setting:
+ * { provider, baseUrl, apiKey, models: { summary, title, introduction, discussion, conclusion } }
+ * Stage models left empty fall back to the provider's default model.
+ */
+
+import { getSetting } from './db.js';
+
+const LLM_SETTINGS_KEY = 'llm_provider';
+
+// Every stage that asks a model for text, in the order they are shown in the options page
+const LLM_STAGES = {
+  summary: 'Article summary',
+  title: 'Article title',
+  introduction: 'Podcast introduction',
+  discussion: 'Article discussion',
+  conclusion: 'Podcast conclusion'
+};
+
+const LLM_PROVIDER_DEFINITIONS = {
+  openai: {
+    label: 'OpenAI',
+    api: 'openai',
+    defaultModel: 'gpt-3.5-turbo',
+    defaultBaseUrl: 'https://api.openai.com/v1'
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible endpoint (llama.cpp, Ollama, ...)',
+    api: 'openai',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1'
+  },
+  anthropic: {
+    label: 'Anthropic',
+    api: 'anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: 'https://api.anthropic.com/v1'
+  },
+  stub: {
+    label: 'Stub (canned text for testing)',
+    api: 'stub',
+    defaultModel: 'stub',
+    defaultBaseUrl: ''
+  }
+};
+
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  baseUrl: '',
+  apiKey: '',
+  models: {}
+};
+
+/**
+ * Get the stored LLM provider settings, filled in with defaults
+ * @returns {Promise<Object>} LLM settings
+ */
+async function getLlmSettings() {
+  const stored = (await getSetting(LLM_SETTINGS_KEY)) || {};
+  const settings = { ...DEFAULT_LLM_SETTINGS, ...stored, models: { ...(stored.models || {}) } };
+  if (!LLM_PROVIDER_DEFINITIONS[settings.provider]) {
+    settings.provider = DEFAULT_LLM_SETTINGS.provider;
+  }
+  return settings;
+}
+
+/**
+ * Throw a readable error for a failed completion response
+ * Both APIs report failures as { error: { message } }
+ * @param {Response} response - Fetch response
+ * @param {string} label - Provider label for the message
+ */
+async function throwResponseError(response, label) {
+  const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+  throw new Error(`${label} error (${response.status}): ${errorData.error?.message || JSON.stringify(errorData)}`);
+}
+
+/**
+ * Call an OpenAI-style /chat/completions endpoint
+ * @param {string} baseUrl - API base URL ending in /v1
+ * @param {string} apiKey - Bearer token; optional for self-hosted endpoints
+ * @param {string} label - Provider label for error messages
+ * @param {Object} request - { system, messages, model, maxTokens, temperature, responseFormat, signal }
+ * @returns {Promise<string>} Reply text
+ */
+async function requestChatCompletion(baseUrl, apiKey, label, request) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const messages = request.system
+    ? [{ role: 'system', content: request.system }, ...request.messages]
+    : request.messages;
+
+  const body = {
+    model: request.model,
+    messages,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature
+  };
+  if (request.responseFormat === 'json') {
+    body.response_format = { type: 'json_object' };
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: request.signal
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, label);
+  }
+
+  const data = await response.json();
+  return data.choices[0].message.content;
+}
+
+/**
+ * Call an Anthropic-style /messages endpoint
+ * The messages API needs at least one user turn, so a system-only prompt is sent as the user turn.
+ * It has no JSON mode; JSON replies rely on the prompt alone.
+ * @param {string} baseUrl - API base URL ending in /v1
+ * @param {string} apiKey - Anthropic API key
+ * @param {Object} request - { system, messages, model, maxTokens, temperature, signal }
+ * @returns {Promise<string>} Reply text
+ */
+async function requestAnthropicMessage(baseUrl, apiKey, request) {
+  const body = {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    messages: request.messages
+  };
+  if (request.messages.length === 0) {
+    body.messages = [{ role: 'user', content: request.system }];
+  } else if (request.system) {
+    body.system = request.system;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    body: JSON.stringify(body),
+    signal: request.signal
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Anthropic API');
+  }
+
+  const data = await response.json();
+  return data.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Canned dialogue for a script segment
+ * @param {string} stage - 'introduction', 'discussion' or 'conclusion'
+ * @returns {Array<Object>} Turns as { speaker, text }
+ */
+function createStubDialogue(stage) {
+  if (stage === 'introduction') {
+    return [
+      { speaker: 'HOST', text: 'Welcome to the show. Today we have a few stories to get through.' },
+      { speaker: 'CO-HOST', text: 'Glad to be here. Let\'s get started.', pause_after: 0.5 }
+    ];
+  }
+  if (stage === 'conclusion') {
+    return [
+      { speaker: 'HOST', text: 'That wraps up today\'s episode.' },
+      { speaker: 'CO-HOST', text: 'Thanks for listening, and see you next time.' }
+    ];
+  }
+  return [
+    { speaker: 'HOST', text: 'This article raises a few points worth talking through.' },
+    { speaker: 'CO-HOST', text: 'It does. The main argument is easy to follow.', emotion: 'curious' },
+    { speaker: 'HOST', text: 'And the details back it up.' },
+    { speaker: 'CO-HOST', text: 'Agreed. Listeners should give it a read.' }
+  ];
+}
+
+/**
+ * Produce canned text for a stage without calling any service
+ * The reply depends only on the request, so tests get stable output. Script segments asked
+ * for as JSON come back as dialogue between HOST and CO-HOST, which every cast of two or
+ * more accepts as speaker IDs
+ * @param {Object} request - { stage, system, messages, responseFormat }
+ * @param {Object} [responses] - Optional replies by stage: a string or a function of the request
+ * @returns {string} Reply text
+ */
+function createStubCompletion(request, responses = {}) {
+  const custom = responses[request.stage];
+  if (typeof custom === 'function') return custom(request);
+  if (typeof custom === 'string') return custom;
+
+  const userText = request.messages.map(message => message.content).join(' ');
+  const words = userText.trim().split(/\s+/).filter(Boolean);
+
+  if (request.responseFormat === 'json') {
+    return JSON.stringify({ dialogue: createStubDialogue(request.stage) });
+  }
+
+  switch (request.stage) {
+    case 'title':
+      return words.slice(0, 8).join(' ') || 'Untitled Article';
+    case 'summary':
+      return `${words.slice(0, 40).join(' ')}${words.length > 40 ? '...' : ''}`;
+    case 'discussion':
+      return [
+        'HOST: This article raises a few points worth talking through.',
+        'CO-HOST: It does. The main argument is easy to follow.',
+        'HOST: And the details back it up.',
+        'CO-HOST: Agreed. Listeners should give it a read.'
+      ].join('\n');
+    case 'conclusion':
+      return 'That wraps up today\'s episode. Thanks for listening, and see you next time.';
+    default:
+      return 'Welcome to the show. Today we have a few stories to get through.';
+  }
+}
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} [settings] - LLM settings; loaded from the database when omitted.
+ *   The stub provider also accepts stubResponses, replies by stage for tests.
+ * @returns {Promise<Object>} Provider: { id, label, getModel(stage), complete(request) }
+ */
+async function getLlmProvider(settings = null) {
+  const llmSettings = settings || await getLlmSettings();
+  const id = llmSettings.provider;
+  const definition = LLM_PROVIDER_DEFINITIONS[id];
+  const getModel = stage => (llmSettings.models && llmSettings.models[stage]) || definition.defaultModel;
+
+  let complete;
+  if (id === 'openai') {
+    complete = async (request) => {
+      const apiKey = await getSetting('openai_api_key');
+      if (!apiKey) {
+        throw new Error('OpenAI API key not found. Please add it in the extension settings.');
+      }
+      return requestChatCompletion(definition.defaultBaseUrl, apiKey, 'OpenAI API', request);
+    };
+  } else if (id === 'openai-compatible') {
+    complete = (request) => requestChatCompletion(
+      llmSettings.baseUrl || definition.defaultBaseUrl,
+      llmSettings.apiKey,
+      'Language model endpoint',
+      request
+    );
+  } else if (id === 'anthropic') {
+    complete = async (request) => {
+      if (!llmSettings.apiKey) {
+        throw new Error('Anthropic API key not found. Please add it in the extension settings.');
+      }
+      return requestAnthropicMessage(llmSettings.baseUrl || definition.defaultBaseUrl, llmSettings.apiKey, request);
+    };
+  } else {
+    complete = async (request) => createStubCompletion(request, llmSettings.stubResponses);
+  }
+
+  return {
+    id,
+    label: definition.label,
+    getModel,
+    complete: async (request) => {
+      if (!request.system && (!request.messages || request.messages.length === 0)) {
+        throw new Error('Cannot request a completion without a prompt');
+      }
+      const text = await complete({
+        maxTokens: 1024,
+        temperature: 0.7,
+        ...request,
+        messages: request.messages || [],
+        model: request.model || getModel(request.stage)
+      });
+      return (text || '').trim();
+    }
+  };
+}
+
+export {
+  LLM_SETTINGS_KEY,
+  LLM_STAGES,
+  LLM_PROVIDER_DEFINITIONS,
+  getLlmSettings,
+  getLlmProvider
+};
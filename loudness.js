@@ -0,0 +1,131 @@
+/**
+ * Loudness measurement for Article to Audio Extension (Local Version)
+ * Integrated loudness follows ITU-R BS.1770 / EBU R128 for a single channel: the signal is
+ * K-weighted, measured in 400 ms blocks overlapping by 75%, and gated at -70 LUFS and
+ * 10 LU below the ungated level, so pauses between turns don't pull the result down.
+ */
+
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+/**
+ * Calculate biquad filter coefficients for the K-weighting stages at a sample rate
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} Filters as { b0, b1, b2, a1, a2 }, normalized by a0
+ */
+function getKWeightingFilters(sampleRate) {
+  // Stage 1: high shelf that models the head, +4 dB above about 1.5 kHz
+  const shelfGain = Math.pow(10, 4 / 40);
+  const shelfW0 = 2 * Math.PI * 1500 / sampleRate;
+  const shelfAlpha = Math.sin(shelfW0) / (2 * Math.SQRT1_2);
+  const shelfCos = Math.cos(shelfW0);
+  const shelfRoot = 2 * Math.sqrt(shelfGain) * shelfAlpha;
+  const shelfA0 = (shelfGain + 1) - (shelfGain - 1) * shelfCos + shelfRoot;
+
+  // Stage 2: high pass that ignores rumble below about 38 Hz
+  const passW0 = 2 * Math.PI * 38 / sampleRate;
+  const passAlpha = Math.sin(passW0) / (2 * 0.5);
+  const passCos = Math.cos(passW0);
+  const passA0 = 1 + passAlpha;
+
+  return [
+    {
+      b0: shelfGain * ((shelfGain + 1) + (shelfGain - 1) * shelfCos + shelfRoot) / shelfA0,
+      b1: -2 * shelfGain * ((shelfGain - 1) + (shelfGain + 1) * shelfCos) / shelfA0,
+      b2: shelfGain * ((shelfGain + 1) + (shelfGain - 1) * shelfCos - shelfRoot) / shelfA0,
+      a1: 2 * ((shelfGain - 1) - (shelfGain + 1) * shelfCos) / shelfA0,
+      a2: ((shelfGain + 1) - (shelfGain - 1) * shelfCos - shelfRoot) / shelfA0
+    },
+    {
+      b0: (1 + passCos) / 2 / passA0,
+      b1: -(1 + passCos) / passA0,
+      b2: (1 + passCos) / 2 / passA0,
+      a1: -2 * passCos / passA0,
+      a2: (1 - passAlpha) / passA0
+    }
+  ];
+}
+
+/**
+ * Run samples through a biquad filter
+ * @param {Float32Array} samples - Input
+ * @param {Object} filter - Coefficients from getKWeightingFilters()
+ * @returns {Float32Array} Filtered samples
+ */
+function applyBiquad(samples, { b0, b1, b2, a1, a2 }) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+/**
+ * Convert a mean square to loudness
+ * @param {number} meanSquare - Mean square of K-weighted samples
+ * @returns {number} LUFS
+ */
+function toLufs(meanSquare) {
+  return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+/**
+ * Measure the integrated loudness of mono audio
+ * @param {Float32Array} samples - Samples in the range -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Loudness in LUFS, or -Infinity for silence or audio shorter than a block
+ */
+function measureLoudness(samples, sampleRate) {
+  const weighted = getKWeightingFilters(sampleRate).reduce(applyBiquad, samples);
+  const blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+  const stepLength = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+  if (weighted.length < blockLength) return -Infinity;
+
+  // Sum of squares up to each step, so each block is one subtraction
+  const steps = Math.floor(weighted.length / stepLength);
+  const stepSums = new Float64Array(steps + 1);
+  for (let step = 0; step < steps; step++) {
+    let sum = 0;
+    for (let i = step * stepLength; i < (step + 1) * stepLength; i++) {
+      sum += weighted[i] * weighted[i];
+    }
+    stepSums[step + 1] = stepSums[step] + sum;
+  }
+
+  const stepsPerBlock = Math.round(blockLength / stepLength);
+  const blocks = [];
+  for (let step = 0; step + stepsPerBlock <= steps; step++) {
+    blocks.push((stepSums[step + stepsPerBlock] - stepSums[step]) / (stepsPerBlock * stepLength));
+  }
+
+  const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+  const audible = blocks.filter(block => toLufs(block) > ABSOLUTE_GATE_LUFS);
+  if (audible.length === 0) return -Infinity;
+
+  const relativeGate = toLufs(mean(audible)) + RELATIVE_GATE_LU;
+  const gated = audible.filter(block => toLufs(block) > relativeGate);
+  return toLufs(mean(gated));
+}
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db - Decibels
+ * @returns {number} Gain
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+export {
+  measureLoudness,
+  dbToGain
+};
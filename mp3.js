@@ -0,0 +1,462 @@
+/**
+ * MP3 stream handling for Article to Audio Extension (Local Version)
+ * Reads MPEG audio frame headers to measure segments exactly, joins segments frame by frame
+ * under a single Xing header, and writes the ID3v2 tag that carries an episode's chapters.
+ *
+ * Speech providers return each segment as a complete file, often with its own ID3 tag and
+ * Xing/Info frame. Left in the middle of a joined stream, those make players misjudge the
+ * length and seek to the wrong place, so only the audio frames are kept.
+ *
+ * Audio that was decoded and changed, as mixing does, is encoded again with lamejs.
+ */
+
+import { Mp3Encoder } from '@breezystack/lamejs';
+
+// Samples handed to the encoder at a time: a multiple of the MP3 frame size
+const ENCODE_BLOCK_SAMPLES = 1152 * 40;
+
+// Bitrates in kbps by bitrate index, for Layer III
+const BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates in Hz by sample rate index, for MPEG 1, 2 and 2.5
+const SAMPLE_RATES = {
+  mpeg1: [44100, 48000, 32000],
+  mpeg2: [22050, 24000, 16000],
+  mpeg25: [11025, 12000, 8000]
+};
+
+const ID3_HEADER_LENGTH = 10;
+
+// Xing header fields after the tag: flags, frame count, byte count, 100-entry TOC, quality
+const XING_LENGTH = 4 + 4 + 4 + 4 + 100 + 4;
+
+/**
+ * Read the MPEG audio frame header at a position
+ * Only Layer III is recognized, which is what speech providers return
+ * @param {Uint8Array} buffer - MP3 data
+ * @param {number} offset - Position of the header
+ * @returns {Object|null} { length, samples, sampleRate, bitrate, mono, sideInfoLength }
+ *   or null when there is no valid header
+ */
+function readFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const mono = (buffer[offset + 3] >> 6) === 3;
+
+  // Version 1 is reserved, layer 1 is Layer III
+  if (versionBits === 1 || layerBits !== 1) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const isMpeg1 = versionBits === 3;
+  const bitrate = BITRATES[isMpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[isMpeg1 ? 'mpeg1' : (versionBits === 2 ? 'mpeg2' : 'mpeg25')][sampleRateIndex];
+  const samples = isMpeg1 ? 1152 : 576;
+
+  return {
+    length: Math.floor((samples / 8) * bitrate / sampleRate) + padding,
+    samples,
+    sampleRate,
+    bitrate,
+    mono,
+    sideInfoLength: isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  };
+}
+
+/**
+ * Check whether a frame holds a Xing, Info or VBRI header rather than audio
+ * @param {Uint8Array} buffer - MP3 data
+ * @param {number} offset - Position of the frame
+ * @param {Object} header - Frame header from readFrameHeader()
+ * @returns {boolean} True for a header frame
+ */
+function isInfoFrame(buffer, offset, header) {
+  const tagAt = position => String.fromCharCode(...buffer.subarray(position, position + 4));
+  const xingTag = tagAt(offset + 4 + header.sideInfoLength);
+  return xingTag === 'Xing' || xingTag === 'Info' || tagAt(offset + 4 + 32) === 'VBRI';
+}
+
+/**
+ * Get the length of an ID3v2 tag at a position
+ * @param {Uint8Array} buffer - MP3 data
+ * @param {number} offset - Position to check
+ * @returns {number} Tag length in bytes, or 0 when there is no tag
+ */
+function getId3TagLength(buffer, offset) {
+  if (offset + ID3_HEADER_LENGTH > buffer.length) return 0;
+  if (buffer[offset] !== 0x49 || buffer[offset + 1] !== 0x44 || buffer[offset + 2] !== 0x33) return 0;
+
+  const size = (buffer[offset + 6] << 21) | (buffer[offset + 7] << 14) | (buffer[offset + 8] << 7) | buffer[offset + 9];
+  const hasFooter = (buffer[offset + 5] & 0x10) !== 0;
+  return ID3_HEADER_LENGTH + size + (hasFooter ? ID3_HEADER_LENGTH : 0);
+}
+
+/**
+ * Find every audio frame in an MP3 stream
+ * ID3v2 tags are skipped wherever they appear; bytes that are neither are passed over
+ * @param {Uint8Array} buffer - MP3 data
+ * @returns {Array<Object>} Frames as { offset, info, ...header } where info marks a
+ *   Xing/Info/VBRI header frame
+ */
+function parseMp3Frames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tagLength = getId3TagLength(buffer, offset);
+    if (tagLength > 0) {
+      offset += tagLength;
+      continue;
+    }
+
+    const header = readFrameHeader(buffer, offset);
+    if (!header || offset + header.length > buffer.length) {
+      offset++;
+      continue;
+    }
+
+    frames.push({ offset, info: isInfoFrame(buffer, offset, header), ...header });
+    offset += header.length;
+  }
+
+  return frames;
+}
+
+/**
+ * Measure how long an MP3 stream plays, counting audio frames only
+ * @param {Uint8Array} buffer - MP3 data
+ * @returns {number} Duration in seconds, or 0 when no frames are found
+ */
+function getMp3Duration(buffer) {
+  return getFramesDuration(parseMp3Frames(buffer).filter(frame => !frame.info));
+}
+
+/**
+ * Add up the playing time of frames
+ * @param {Array<Object>} frames - Frames from parseMp3Frames()
+ * @returns {number} Duration in seconds
+ */
+function getFramesDuration(frames) {
+  return frames.reduce((total, frame) => total + frame.samples / frame.sampleRate, 0);
+}
+
+/**
+ * Build an empty frame in the stream's format, at the lowest bitrate that leaves room for a body
+ * A frame of zeros after the header decodes as silence
+ * @param {Uint8Array} templateHeader - Four header bytes of an audio frame in the stream
+ * @param {number} bodyLength - Bytes needed after the header and side information
+ * @returns {Uint8Array} Frame
+ */
+function createEmptyFrame(templateHeader, bodyLength = 0) {
+  const header = Uint8Array.from(templateHeader);
+  header[1] |= 0x01; // No CRC
+  header[2] &= 0x0D; // Clear the bitrate and padding bits
+
+  for (let bitrateIndex = 1; bitrateIndex < 15; bitrateIndex++) {
+    header[2] = (header[2] & 0x0F) | (bitrateIndex << 4);
+    const frameHeader = readFrameHeader(header, 0);
+    if (frameHeader.length >= 4 + frameHeader.sideInfoLength + bodyLength) {
+      const frame = new Uint8Array(frameHeader.length);
+      frame.set(header, 0);
+      return frame;
+    }
+  }
+  throw new Error('The MP3 format has no frame large enough for the header');
+}
+
+/**
+ * Build the Xing header frame for a joined stream
+ * It tells players the exact frame count and byte length, and where to seek for each
+ * percent of the episode. Constant bitrate streams are tagged "Info" instead of "Xing".
+ * @param {Uint8Array} templateHeader - Four header bytes of an audio frame in the stream
+ * @param {Array<Object>} frames - Audio frames in order as { length, duration }
+ * @param {boolean} constantBitrate - Whether every frame has the same bitrate
+ * @returns {Uint8Array} Frame
+ */
+function createXingFrame(templateHeader, frames, constantBitrate) {
+  const frame = createEmptyFrame(templateHeader, XING_LENGTH);
+  const sideInfoLength = readFrameHeader(frame, 0).sideInfoLength;
+  const totalBytes = frame.length + frames.reduce((total, entry) => total + entry.length, 0);
+  const totalDuration = frames.reduce((total, entry) => total + entry.duration, 0);
+
+  // Byte position of each percent of the playing time, scaled to 0-255
+  const toc = new Uint8Array(100);
+  let frameIndex = 0;
+  let time = 0;
+  let bytes = frame.length;
+  for (let percent = 0; percent < 100; percent++) {
+    const target = (percent / 100) * totalDuration;
+    while (frameIndex < frames.length && time + frames[frameIndex].duration <= target) {
+      time += frames[frameIndex].duration;
+      bytes += frames[frameIndex].length;
+      frameIndex++;
+    }
+    toc[percent] = Math.min(255, Math.floor((bytes / totalBytes) * 256));
+  }
+
+  const view = new DataView(frame.buffer);
+  let offset = 4 + sideInfoLength;
+  frame.set(Array.from(constantBitrate ? 'Info' : 'Xing', char => char.charCodeAt(0)), offset);
+  view.setUint32(offset + 4, 0x0F); // Frames, bytes, TOC and quality are present
+  view.setUint32(offset + 8, frames.length);
+  view.setUint32(offset + 12, totalBytes);
+  frame.set(toc, offset + 16);
+  view.setUint32(offset + 116, 0);
+  return frame;
+}
+
+/**
+ * Join MP3 segments into one stream
+ * Each segment's ID3 tags and Xing/Info frames are dropped, silence frames are put between
+ * segments for the requested pauses, and a single Xing header is written in front
+ * @param {Array<Uint8Array>} buffers - MP3 segments in playing order
+ * @param {Array<number>} [pauses] - Seconds of silence to add after each segment
+ * @returns {Object} { buffer, duration, durations, pauses }: the joined stream, its length,
+ *   and how long each segment and the silence after it play, all in seconds
+ * @throws {Error} When no audio frames are found or segments differ in sample rate or channels
+ */
+function concatenateMp3(buffers, pauses = []) {
+  const segments = buffers.map(buffer => ({
+    buffer,
+    frames: parseMp3Frames(buffer).filter(frame => !frame.info)
+  }));
+
+  const templateSegment = segments.find(segment => segment.frames.length > 0);
+  if (!templateSegment) {
+    throw new Error('Audio segments are not valid MP3 files');
+  }
+  const template = templateSegment.frames[0];
+  const templateHeader = templateSegment.buffer.subarray(template.offset, template.offset + 4);
+
+  segments.forEach(segment => {
+    const mismatch = segment.frames.find(frame => frame.sampleRate !== template.sampleRate || frame.mono !== template.mono);
+    if (mismatch) {
+      throw new Error('Cannot combine MP3 segments with different sample rates or channels');
+    }
+  });
+
+  const silentFrame = createEmptyFrame(templateHeader);
+  const silentDuration = template.samples / template.sampleRate;
+  const frames = [];
+  const durations = [];
+  const pauseDurations = [];
+
+  segments.forEach((segment, index) => {
+    segment.frames.forEach(frame => {
+      frames.push({
+        data: segment.buffer.subarray(frame.offset, frame.offset + frame.length),
+        length: frame.length,
+        duration: frame.samples / frame.sampleRate,
+        bitrate: frame.bitrate
+      });
+    });
+    durations.push(getFramesDuration(segment.frames));
+
+    const silentFrames = Math.round((pauses[index] || 0) / silentDuration);
+    for (let i = 0; i < silentFrames; i++) {
+      frames.push({ data: silentFrame, length: silentFrame.length, duration: silentDuration, bitrate: null });
+    }
+    pauseDurations.push(silentFrames * silentDuration);
+  });
+
+  const constantBitrate = frames.every(frame => frame.bitrate === template.bitrate);
+  const xingFrame = createXingFrame(templateHeader, frames, constantBitrate);
+  const combined = new Uint8Array(xingFrame.length + frames.reduce((total, frame) => total + frame.length, 0));
+  combined.set(xingFrame, 0);
+  let offset = xingFrame.length;
+  frames.forEach(frame => {
+    combined.set(frame.data, offset);
+    offset += frame.length;
+  });
+
+  return {
+    buffer: combined,
+    duration: frames.reduce((total, frame) => total + frame.duration, 0),
+    durations,
+    pauses: pauseDurations
+  };
+}
+
+/**
+ * Build the Xing header frame for an encoded stream, to write in front of it
+ * @param {Uint8Array} buffer - MP3 frames without a Xing header, as encodeMp3() returns them
+ * @returns {Uint8Array} Frame
+ * @throws {Error} When no audio frames are found
+ */
+function createXingHeader(buffer) {
+  const frames = parseMp3Frames(buffer).filter(frame => !frame.info);
+  if (frames.length === 0) {
+    throw new Error('Audio segments are not valid MP3 files');
+  }
+
+  const template = frames[0];
+  return createXingFrame(
+    buffer.subarray(template.offset, template.offset + 4),
+    frames.map(frame => ({ length: frame.length, duration: frame.samples / frame.sampleRate })),
+    frames.every(frame => frame.bitrate === template.bitrate)
+  );
+}
+
+/**
+ * Encode mono samples as MP3 frames, without a tag or Xing header
+ * @param {Float32Array} samples - Samples in the range -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitrate - Bitrate in kbps
+ * @param {Function} [onProgress] - Called with the fraction encoded after each block
+ * @returns {Uint8Array} MP3 frames
+ */
+function encodeMp3(samples, sampleRate, bitrate, onProgress = () => {}) {
+  const encoder = new Mp3Encoder(1, sampleRate, bitrate);
+  const parts = [];
+  const block = new Int16Array(ENCODE_BLOCK_SAMPLES);
+
+  for (let offset = 0; offset < samples.length; offset += ENCODE_BLOCK_SAMPLES) {
+    const length = Math.min(ENCODE_BLOCK_SAMPLES, samples.length - offset);
+    for (let i = 0; i < length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[offset + i]));
+      block[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+    }
+    parts.push(new Uint8Array(encoder.encodeBuffer(block.subarray(0, length))));
+    onProgress((offset + length) / samples.length);
+  }
+  parts.push(new Uint8Array(encoder.flush()));
+
+  const frames = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    frames.set(part, offset);
+    offset += part.length;
+  });
+  return frames;
+}
+
+/**
+ * Encode text for an ID3v2.3 text field: UTF-16 with a byte order mark, null terminated
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function encodeId3Text(text) {
+  const bytes = [0xFF, 0xFE];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes.push(code & 0xFF, code >> 8);
+  }
+  bytes.push(0, 0);
+  return bytes;
+}
+
+/**
+ * Encode a string as null-terminated Latin-1, as ID3 element IDs are
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function encodeId3Latin1(text) {
+  return [...Array.from(text, char => char.charCodeAt(0) & 0xFF), 0];
+}
+
+/**
+ * Build an ID3v2.3 frame
+ * @param {string} id - Four-character frame ID
+ * @param {Array<number>} body - Frame contents
+ * @returns {Array<number>} Bytes
+ */
+function createId3Frame(id, body) {
+  const size = body.length;
+  return [
+    ...encodeId3Latin1(id).slice(0, 4),
+    (size >>> 24) & 0xFF, (size >>> 16) & 0xFF, (size >>> 8) & 0xFF, size & 0xFF,
+    0, 0,
+    ...body
+  ];
+}
+
+/**
+ * Build a text frame
+ * @param {string} id - Frame ID, e.g. TIT2 for the title
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function createTextFrame(id, text) {
+  return createId3Frame(id, [0x01, ...encodeId3Text(text)]);
+}
+
+/**
+ * Write a 32-bit big-endian value
+ * @param {number} value - Value
+ * @returns {Array<number>} Bytes
+ */
+function uint32Bytes(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Build an ID3v2.3 tag with the episode's details and its chapters
+ * Chapters are CHAP frames listed in order by a top-level CTOC frame, each titled with a
+ * TIT2 sub-frame. Byte offsets are left unset (0xFFFFFFFF) so players seek by time.
+ * @param {Object} metadata - { title, artist?, album?, description?, cover?: { type, data } }
+ * @param {Array<Object>} [chapters] - Chapters as { id, title, start, end } in seconds
+ * @returns {Uint8Array} Tag to put in front of the audio
+ */
+function createId3Tag(metadata, chapters = []) {
+  const frames = [createTextFrame('TIT2', metadata.title || 'Podcast')];
+  if (metadata.artist) frames.push(createTextFrame('TPE1', metadata.artist));
+  if (metadata.album) frames.push(createTextFrame('TALB', metadata.album));
+  if (metadata.description) {
+    // Language, then an empty short description, then the text
+    frames.push(createId3Frame('COMM', [0x01, ...encodeId3Latin1('eng').slice(0, 3), ...encodeId3Text(''), ...encodeId3Text(metadata.description)]));
+  }
+  if (metadata.cover) {
+    // Latin-1 MIME type, picture type 3 (front cover), empty description
+    frames.push(createId3Frame('APIC', [0x00, ...encodeId3Latin1(metadata.cover.type), 0x03, 0x00, ...metadata.cover.data]));
+  }
+
+  if (chapters.length > 0) {
+    const elementIds = chapters.map((chapter, index) => `chp${index}`);
+    const tocBody = [
+      ...encodeId3Latin1('toc'),
+      0x03, // Top-level, ordered
+      chapters.length,
+      ...elementIds.flatMap(encodeId3Latin1),
+      ...createTextFrame('TIT2', 'Chapters')
+    ];
+    frames.push(createId3Frame('CTOC', tocBody));
+
+    chapters.forEach((chapter, index) => {
+      frames.push(createId3Frame('CHAP', [
+        ...encodeId3Latin1(elementIds[index]),
+        ...uint32Bytes(Math.round(chapter.start * 1000)),
+        ...uint32Bytes(Math.round(chapter.end * 1000)),
+        ...uint32Bytes(0xFFFFFFFF),
+        ...uint32Bytes(0xFFFFFFFF),
+        ...createTextFrame('TIT2', chapter.title)
+      ]));
+    });
+  }
+
+  const body = frames.flat();
+  const size = body.length;
+  const tag = new Uint8Array(ID3_HEADER_LENGTH + size);
+  tag.set([0x49, 0x44, 0x33, 0x03, 0x00, 0x00], 0);
+  // The tag size is synchsafe: seven bits per byte
+  tag.set([(size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F], 6);
+  tag.set(body, ID3_HEADER_LENGTH);
+  return tag;
+}
+
+export {
+  parseMp3Frames,
+  getMp3Duration,
+  concatenateMp3,
+  createXingHeader,
+  encodeMp3,
+  getId3TagLength,
+  createId3Tag
+};
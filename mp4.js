@@ -0,0 +1,252 @@
+/**
+ * M4A writing for Article to Audio Extension (Local Version)
+ * Wraps AAC frames from the encoder in an MP4 container: ftyp, then moov with the sample
+ * tables and the iTunes-style metadata players show, then mdat with the frames as one chunk.
+ * moov comes first so players can start before the whole file has loaded. Chapters are
+ * written as a Nero "chpl" box, which podcast players and ffmpeg read.
+ */
+
+// AAC-LC frames always hold this many samples
+const AAC_FRAME_SAMPLES = 1024;
+
+// Chapter times in a chpl box are in 100 ns units
+const CHPL_TIMESCALE = 10000000;
+
+// Sampling frequency indexes of an AudioSpecificConfig
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array|Array<number>>} parts - Parts
+ * @returns {Uint8Array} Bytes
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * Write a 16-bit big-endian value
+ * @param {number} value - Value
+ * @returns {Array<number>} Bytes
+ */
+function uint16(value) {
+  return [(value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Write a 32-bit big-endian value
+ * @param {number} value - Value
+ * @returns {Array<number>} Bytes
+ */
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Write a 64-bit big-endian value
+ * @param {number} value - Value, at most 2^53
+ * @returns {Array<number>} Bytes
+ */
+function uint64(value) {
+  return [...uint32(Math.floor(value / 0x100000000)), ...uint32(value >>> 0)];
+}
+
+/**
+ * Turn a four-character code into bytes; "©" becomes 0xA9 as in iTunes atom names
+ * @param {string} type - Code
+ * @returns {Array<number>} Bytes
+ */
+function fourCc(type) {
+  return Array.from(type, char => char.charCodeAt(0) & 0xFF);
+}
+
+/**
+ * Build a box
+ * @param {string} type - Box type
+ * @param {...(Uint8Array|Array<number>)} parts - Contents
+ * @returns {Uint8Array} Bytes
+ */
+function box(type, ...parts) {
+  const body = concatBytes(parts);
+  return concatBytes([uint32(8 + body.length), fourCc(type), body]);
+}
+
+/**
+ * Build a full box, which starts with a version and flags
+ * @param {string} type - Box type
+ * @param {number} version - Version
+ * @param {number} flags - Flags
+ * @param {...(Uint8Array|Array<number>)} parts - Contents
+ * @returns {Uint8Array} Bytes
+ */
+function fullBox(type, version, flags, ...parts) {
+  return box(type, [version, (flags >>> 16) & 0xFF, (flags >>> 8) & 0xFF, flags & 0xFF], ...parts);
+}
+
+/**
+ * Write an MPEG-4 descriptor
+ * @param {number} tag - Descriptor tag
+ * @param {Uint8Array|Array<number>} body - Contents
+ * @returns {Uint8Array} Bytes
+ */
+function descriptor(tag, body) {
+  // Lengths are written in four 7-bit bytes so any size fits
+  const length = body.length;
+  return concatBytes([
+    [tag, 0x80 | ((length >> 21) & 0x7F), 0x80 | ((length >> 14) & 0x7F), 0x80 | ((length >> 7) & 0x7F), length & 0x7F],
+    body
+  ]);
+}
+
+/**
+ * Build an AudioSpecificConfig for AAC-LC, for encoders that don't supply one
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Channel count
+ * @returns {Uint8Array} Two-byte config
+ */
+function createAudioSpecificConfig(sampleRate, channels) {
+  const rateIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+  if (rateIndex === -1) {
+    throw new Error(`AAC does not support a sample rate of ${sampleRate} Hz`);
+  }
+  const config = (2 << 11) | (rateIndex << 7) | (channels << 3);
+  return new Uint8Array(uint16(config));
+}
+
+/**
+ * Unity transformation matrix for mvhd and tkhd
+ * @returns {Array<number>} Bytes
+ */
+function unityMatrix() {
+  return [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].flatMap(uint32);
+}
+
+/**
+ * Build an iTunes metadata item
+ * @param {string} type - Item type, e.g. "©nam"
+ * @param {number} dataType - 1 for UTF-8 text, 13 for JPEG, 14 for PNG
+ * @param {Uint8Array} value - Value
+ * @returns {Uint8Array} Bytes
+ */
+function metadataItem(type, dataType, value) {
+  return box(type, box('data', uint32(dataType), uint32(0), value));
+}
+
+/**
+ * Build the udta box with the episode's details and chapters
+ * @param {Object} metadata - { title, artist?, album?, description?, cover?: { type, data } }
+ * @param {Array<Object>} chapters - Chapters as { title, start } in seconds
+ * @returns {Uint8Array} Bytes
+ */
+function createUserData(metadata, chapters) {
+  const items = [
+    ['©nam', metadata.title],
+    ['©ART', metadata.artist],
+    ['©alb', metadata.album],
+    ['desc', metadata.description],
+    ['©gen', 'Podcast']
+  ]
+    .filter(([, value]) => value)
+    .map(([type, value]) => metadataItem(type, 1, textEncoder.encode(value)));
+
+  if (metadata.cover) {
+    items.push(metadataItem('covr', metadata.cover.type === 'image/png' ? 14 : 13, metadata.cover.data));
+  }
+
+  const handler = fullBox('hdlr', 0, 0, uint32(0), fourCc('mdir'), fourCc('appl'), uint32(0), uint32(0), [0]);
+  const parts = [fullBox('meta', 0, 0, handler, box('ilst', ...items))];
+
+  if (chapters.length > 0) {
+    const entries = chapters.slice(0, 255).map(chapter => {
+      const title = textEncoder.encode(chapter.title).slice(0, 255);
+      return concatBytes([uint64(Math.round(chapter.start * CHPL_TIMESCALE)), [title.length], title]);
+    });
+    parts.unshift(fullBox('chpl', 1, 0, uint32(0), [entries.length], ...entries));
+  }
+
+  return box('udta', ...parts);
+}
+
+/**
+ * Write AAC frames as an M4A file
+ * @param {Object} audio - { frames: Array<Uint8Array>, sampleRate, channels, bitrate, config? }
+ *   where config is the encoder's AudioSpecificConfig
+ * @param {Object} metadata - Episode details, as for createUserData()
+ * @param {Array<Object>} [chapters] - Chapters
+ * @returns {Uint8Array} M4A file
+ */
+function createM4a(audio, metadata, chapters = []) {
+  const { frames, sampleRate, channels, bitrate } = audio;
+  const config = audio.config || createAudioSpecificConfig(sampleRate, channels);
+  const sampleCount = frames.length * AAC_FRAME_SAMPLES;
+  const durationMs = Math.round(sampleCount / sampleRate * 1000);
+  const dataLength = frames.reduce((total, frame) => total + frame.length, 0);
+  const maxBitrate = frames.reduce((max, frame) => Math.max(max, frame.length * 8 * sampleRate / AAC_FRAME_SAMPLES), bitrate);
+
+  const esds = fullBox('esds', 0, 0, descriptor(0x03, concatBytes([
+    uint16(1), // ES ID
+    [0],
+    descriptor(0x04, concatBytes([
+      [0x40], // MPEG-4 audio
+      [0x15], // Audio stream
+      [0, 0x18, 0], // Buffer size
+      uint32(Math.round(maxBitrate)),
+      uint32(Math.round(bitrate)),
+      descriptor(0x05, config)
+    ])),
+    descriptor(0x06, [0x02])
+  ])));
+
+  const sampleEntry = box('mp4a',
+    [0, 0, 0, 0, 0, 0], uint16(1), // Reserved, data reference index
+    uint32(0), uint32(0),
+    uint16(channels), uint16(16), uint16(0), uint16(0),
+    uint32(sampleRate * 0x10000),
+    esds
+  );
+
+  const createMoov = chunkOffset => box('moov',
+    fullBox('mvhd', 0, 0, uint32(0), uint32(0), uint32(1000), uint32(durationMs),
+      uint32(0x00010000), uint16(0x0100), new Array(10).fill(0), unityMatrix(), new Array(24).fill(0), uint32(2)),
+    box('trak',
+      fullBox('tkhd', 0, 3, uint32(0), uint32(0), uint32(1), uint32(0), uint32(durationMs),
+        new Array(8).fill(0), uint16(0), uint16(0), uint16(0x0100), uint16(0), unityMatrix(), uint32(0), uint32(0)),
+      box('mdia',
+        fullBox('mdhd', 0, 0, uint32(0), uint32(0), uint32(sampleRate), uint32(sampleCount), uint16(0x55C4), uint16(0)),
+        fullBox('hdlr', 0, 0, uint32(0), fourCc('soun'), new Array(12).fill(0), textEncoder.encode('SoundHandler\0')),
+        box('minf',
+          fullBox('smhd', 0, 0, uint16(0), uint16(0)),
+          box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1))),
+          box('stbl',
+            fullBox('stsd', 0, 0, uint32(1), sampleEntry),
+            fullBox('stts', 0, 0, uint32(1), uint32(frames.length), uint32(AAC_FRAME_SAMPLES)),
+            fullBox('stsc', 0, 0, uint32(1), uint32(1), uint32(frames.length), uint32(1)),
+            fullBox('stsz', 0, 0, uint32(0), uint32(frames.length), frames.flatMap(frame => uint32(frame.length))),
+            fullBox('stco', 0, 0, uint32(1), uint32(chunkOffset))
+          )
+        )
+      )
+    ),
+    createUserData(metadata, chapters)
+  );
+
+  const ftyp = box('ftyp', fourCc('M4A '), uint32(0), fourCc('M4A '), fourCc('mp42'), fourCc('isom'));
+  // The moov size doesn't depend on the offset, so it is built once to measure it
+  const moovLength = createMoov(0).length;
+  const moov = createMoov(ftyp.length + moovLength + 8);
+
+  return concatBytes([ftyp, moov, uint32(8 + dataLength), fourCc('mdat'), ...frames]);
+}
+
+export {
+  AAC_FRAME_SAMPLES,
+  createM4a
+};
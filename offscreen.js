@@ -0,0 +1,75 @@
+/**
+ * Offscreen document for Article to Audio Extension (Local Version)
+ * Gives the background service worker access to DOM APIs it does not have,
+ * such as parsing fetched article pages with DOMParser, mixing audio with Web Audio and
+ * encoding episodes for publishing in a worker
+ */
+
+import { extractArticleContent } from './articleExtractor.js';
+import { mixStoredPodcast } from './audioMixer.js';
+import { publishStoredPodcast } from './podcastPublisher.js';
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+
+  if (request.action === 'PARSE_ARTICLE_HTML') {
+    try {
+      sendResponse(parseArticleHtml(request.html, request.url));
+    } catch (error) {
+      console.error('Error parsing article HTML:', error);
+      sendResponse({ error: error.message });
+    }
+    return false;
+  }
+
+  if (request.action === 'MIX_PODCAST') {
+    // Progress is sent once per percent rather than for every encoded block
+    let reportedPercent = -1;
+    const reportProgress = progress => {
+      const percent = Math.floor(progress * 100);
+      if (percent === reportedPercent) return;
+      reportedPercent = percent;
+      chrome.runtime.sendMessage({ action: 'MIX_PROGRESS', podcastId: request.podcastId, progress })
+        .catch(() => {
+          // The service worker stopped listening
+        });
+    };
+    mixStoredPodcast(request.podcastId, request.mix, reportProgress)
+      .then(sendResponse)
+      .catch(error => {
+        console.error('Error mixing podcast:', error);
+        sendResponse({ error: error.message });
+      });
+    // Keep the channel open for the asynchronous response
+    return true;
+  }
+
+  if (request.action === 'PUBLISH_PODCAST') {
+    // Failures are logged and recorded on the podcast by the publisher
+    publishStoredPodcast(request.podcastId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+/**
+ * Parse an HTML string and run the article extractor over it
+ * @param {string} html - Page HTML
+ * @param {string} url - URL the page was fetched from, used to resolve relative links
+ * @returns {Object} Extracted article data
+ */
+function parseArticleHtml(html, url) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // Resolve relative links and images against the original page, not the extension
+  const base = doc.createElement('base');
+  base.href = url;
+  doc.head.insertBefore(base, doc.head.firstChild);
+
+  return extractArticleContent(doc);
+}
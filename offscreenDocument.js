@@ -0,0 +1,97 @@
+/**
+ * Offscreen document access for the background service worker
+ * The worker has no DOM or Web Audio, so work that needs them is sent to offscreen.html.
+ * Messages are JSON, so large data such as audio is passed by its IndexedDB ID.
+ */
+
+// Pending offscreen document creation, shared so concurrent callers don't race
+let offscreenDocumentPromise = null;
+
+/**
+ * Create the offscreen document if it is not already open
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  if (chrome.runtime.getContexts) {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) {
+      return;
+    }
+  }
+  
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['DOM_PARSER', 'WORKERS'],
+      justification: 'Parse fetched article pages, mix podcast audio and encode episodes for publishing'
+    }).catch(error => {
+      // Another caller may have created it in the meantime
+      if (!error.message.includes('single offscreen')) {
+        throw error;
+      }
+    }).finally(() => {
+      offscreenDocumentPromise = null;
+    });
+  }
+  
+  await offscreenDocumentPromise;
+}
+
+/**
+ * Run an action in the offscreen document
+ * @param {string} action - Action name
+ * @param {Object} [data] - Message fields for the action
+ * @returns {Promise<Object>} The action's result
+ * @throws {Error} When the action fails or the document does not answer
+ */
+async function sendOffscreenMessage(action, data = {}) {
+  await ensureOffscreenDocument();
+  
+  const result = await chrome.runtime.sendMessage({ ...data, target: 'offscreen', action });
+  
+  if (!result || result.error) {
+    throw new Error(result?.error || 'No response from offscreen document');
+  }
+  
+  return result;
+}
+
+/**
+ * Mix a saved podcast in the offscreen document
+ * @param {number} podcastId - Podcast ID
+ * @param {Object} mix - Mix settings: { normalize, targetLufs, music }
+ * @param {Function} [onProgress] - Called with the fraction of the mixed audio encoded
+ * @returns {Promise<Object>} { duration, size, loudness } for the mixed podcast
+ */
+async function mixPodcast(podcastId, mix, onProgress = () => {}) {
+  // The document reports encoding progress in separate messages while the mix runs
+  const listener = (message) => {
+    if (message.action === 'MIX_PROGRESS' && message.podcastId === podcastId) {
+      onProgress(message.progress);
+    }
+    return false;
+  };
+  chrome.runtime.onMessage.addListener(listener);
+  
+  try {
+    return await sendOffscreenMessage('MIX_PODCAST', { podcastId, mix });
+  } finally {
+    chrome.runtime.onMessage.removeListener(listener);
+  }
+}
+
+/**
+ * Publish a saved podcast to the publish target from the offscreen document
+ * @param {number} podcastId - Podcast ID
+ * @returns {Promise<Object>} The podcast's publish state once published
+ */
+function publishPodcast(podcastId) {
+  return sendOffscreenMessage('PUBLISH_PODCAST', { podcastId });
+}
+
+export {
+  ensureOffscreenDocument,
+  sendOffscreenMessage,
+  mixPodcast,
+  publishPodcast
+};
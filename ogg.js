@@ -0,0 +1,273 @@
+/**
+ * Ogg Opus writing for Article to Audio Extension (Local Version)
+ * Wraps Opus packets from the encoder in an Ogg stream as RFC 7845 describes: an OpusHead
+ * page, OpusTags pages with Vorbis comments, then the audio. Granule positions count
+ * 48 kHz samples including the encoder's pre-skip, and the last page's granule trims the
+ * padding the encoder added at the end. Chapters use the CHAPTERxxx comment convention.
+ */
+
+// Opus always runs at this rate, whatever the input was
+const OPUS_SAMPLE_RATE = 48000;
+
+// Pre-skip when the encoder doesn't report one: libopus's usual lookahead
+const DEFAULT_PRE_SKIP = 312;
+
+// Audio pages are closed once they hold about this many bytes
+const TARGET_PAGE_BYTES = 4096;
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 of an Ogg page (polynomial 0x04C11DB7, not reflected)
+ * @param {Uint8Array} bytes - Page with its checksum field zeroed
+ * @returns {number} Checksum
+ */
+function oggCrc(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+      }
+      crcTable[i] = crc >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Collects packets into Ogg pages for one logical stream
+ */
+class OggWriter {
+  constructor() {
+    this.serial = Math.floor(Math.random() * 0x100000000) >>> 0;
+    this.sequence = 0;
+    this.pages = [];
+    this.segments = [];
+    this.data = [];
+    this.continued = false;
+    this.granule = -1;
+  }
+
+  /**
+   * Add a packet to the current page, closing pages as they fill
+   * @param {Uint8Array} packet - Packet
+   * @param {number} granule - Granule position once the packet has been decoded
+   */
+  addPacket(packet, granule) {
+    let offset = 0;
+    // Each packet is laced into 255-byte segments and ends with a shorter one, even an empty one
+    while (true) {
+      const length = Math.min(255, packet.length - offset);
+      this.segments.push(length);
+      this.data.push(packet.subarray(offset, offset + length));
+      offset += length;
+
+      if (length < 255) break;
+      if (this.segments.length === 255) {
+        // The packet goes on on the next page, which says so
+        this.writePage(false);
+        this.continued = true;
+      }
+    }
+
+    this.granule = granule;
+    if (this.segments.length === 255) {
+      this.writePage(false);
+    }
+  }
+
+  /**
+   * Close the current page
+   * @param {boolean} last - Whether this is the end of the stream
+   */
+  writePage(last) {
+    const dataLength = this.data.reduce((total, part) => total + part.length, 0);
+    const page = new Uint8Array(27 + this.segments.length + dataLength);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4F, 0x67, 0x67, 0x53], 0); // OggS
+    page[5] = (this.continued ? 0x01 : 0) | (this.sequence === 0 ? 0x02 : 0) | (last ? 0x04 : 0);
+    // A page on which no packet ends has a granule position of -1
+    const granule = this.segments[this.segments.length - 1] === 255 ? -1 : this.granule;
+    view.setUint32(6, granule === -1 ? 0xFFFFFFFF : granule >>> 0, true);
+    view.setUint32(10, granule === -1 ? 0xFFFFFFFF : Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, this.serial, true);
+    view.setUint32(18, this.sequence++, true);
+    page[26] = this.segments.length;
+    page.set(this.segments, 27);
+
+    let offset = 27 + this.segments.length;
+    this.data.forEach(part => {
+      page.set(part, offset);
+      offset += part.length;
+    });
+    view.setUint32(22, oggCrc(page), true);
+
+    this.pages.push(page);
+    this.segments = [];
+    this.data = [];
+    this.continued = false;
+  }
+
+  /**
+   * Size of the page being filled
+   * @returns {number} Bytes
+   */
+  get pendingBytes() {
+    return this.data.reduce((total, part) => total + part.length, 0);
+  }
+}
+
+/**
+ * Build an OpusHead packet
+ * @param {number} channels - Channel count
+ * @param {number} preSkip - Samples to drop at the start
+ * @param {number} inputSampleRate - Rate of the audio before encoding
+ * @returns {Uint8Array} Packet
+ */
+function createOpusHead(channels, preSkip, inputSampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(textEncoder.encode('OpusHead'), 0);
+  head[8] = 1; // Version
+  head[9] = channels;
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, inputSampleRate, true);
+  view.setInt16(16, 0, true); // Output gain
+  head[18] = 0; // Mono or stereo
+  return head;
+}
+
+/**
+ * Format a chapter start for a CHAPTERxxx comment, e.g. "00:01:02.500"
+ * @param {number} seconds - Time
+ * @returns {string} Timestamp
+ */
+function formatChapterTime(seconds) {
+  const total = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}.${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Encode a cover as a FLAC picture block in base64, as METADATA_BLOCK_PICTURE expects
+ * @param {Object} cover - { type, data }
+ * @returns {string} Base64
+ */
+function encodePictureBlock(cover) {
+  const mime = textEncoder.encode(cover.type);
+  const block = new Uint8Array(32 + mime.length + cover.data.length);
+  const view = new DataView(block.buffer);
+  view.setUint32(0, 3); // Front cover
+  view.setUint32(4, mime.length);
+  block.set(mime, 8);
+  // Empty description; width, height, depth and colors unknown
+  view.setUint32(28 + mime.length, cover.data.length);
+  block.set(cover.data, 32 + mime.length);
+
+  let binary = '';
+  for (let i = 0; i < block.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, block.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Build an OpusTags packet with the episode's details and chapters
+ * @param {Object} metadata - { title, artist?, album?, description?, cover? }
+ * @param {Array<Object>} chapters - Chapters as { title, start } in seconds
+ * @returns {Uint8Array} Packet
+ */
+function createOpusTags(metadata, chapters) {
+  const comments = [
+    ['TITLE', metadata.title],
+    ['ARTIST', metadata.artist],
+    ['ALBUM', metadata.album],
+    ['DESCRIPTION', metadata.description],
+    ['GENRE', 'Podcast']
+  ]
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`);
+
+  chapters.forEach((chapter, index) => {
+    const number = String(index + 1).padStart(3, '0');
+    comments.push(`CHAPTER${number}=${formatChapterTime(chapter.start)}`, `CHAPTER${number}NAME=${chapter.title}`);
+  });
+  if (metadata.cover) {
+    comments.push(`METADATA_BLOCK_PICTURE=${encodePictureBlock(metadata.cover)}`);
+  }
+
+  const vendor = textEncoder.encode('Article to Audio');
+  const encoded = comments.map(comment => textEncoder.encode(comment));
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4 + encoded.reduce((total, comment) => total + 4 + comment.length, 0));
+  const view = new DataView(tags.buffer);
+
+  tags.set(textEncoder.encode('OpusTags'), 0);
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  let offset = 12 + vendor.length;
+  view.setUint32(offset, encoded.length, true);
+  offset += 4;
+  encoded.forEach(comment => {
+    view.setUint32(offset, comment.length, true);
+    tags.set(comment, offset + 4);
+    offset += 4 + comment.length;
+  });
+  return tags;
+}
+
+/**
+ * Write Opus packets as an Ogg Opus file
+ * @param {Object} audio - { packets: Array<{ data, samples }>, channels, inputSampleRate, length,
+ *   preSkip? } where samples counts 48 kHz samples per packet and length is the input's
+ *   length in 48 kHz samples
+ * @param {Object} metadata - Episode details, as for createOpusTags()
+ * @param {Array<Object>} [chapters] - Chapters
+ * @returns {Uint8Array} Ogg Opus file
+ */
+function createOggOpus(audio, metadata, chapters = []) {
+  const preSkip = audio.preSkip ?? DEFAULT_PRE_SKIP;
+  const writer = new OggWriter();
+
+  // The headers each start a page, and the audio starts on a fresh one
+  writer.addPacket(createOpusHead(audio.channels, preSkip, audio.inputSampleRate), 0);
+  writer.writePage(false);
+  writer.addPacket(createOpusTags(metadata, chapters), 0);
+  writer.writePage(false);
+
+  const end = preSkip + audio.length;
+  let granule = 0;
+  audio.packets.forEach((packet, index) => {
+    granule += packet.samples;
+    const last = index === audio.packets.length - 1;
+    writer.addPacket(packet.data, last ? Math.min(granule, end) : granule);
+    if (last) {
+      writer.writePage(true);
+    } else if (writer.pendingBytes >= TARGET_PAGE_BYTES) {
+      writer.writePage(false);
+    }
+  });
+
+  const length = writer.pages.reduce((total, page) => total + page.length, 0);
+  const file = new Uint8Array(length);
+  let offset = 0;
+  writer.pages.forEach(page => {
+    file.set(page, offset);
+    offset += page.length;
+  });
+  return file;
+}
+
+export {
+  OPUS_SAMPLE_RATE,
+  createOggOpus
+};
@@ -1,38 +1,29 @@
 /**
- * OpenAI API Service for Article to Audio Extension (Local Version)
- * Handles all API calls to OpenAI for text processing and audio generation
+ * Text and audio generation service for Article to Audio Extension (Local Version)
+ * Text goes through the configured LLM provider and audio through the configured TTS provider
  */
 
-import { getSetting } from './db.js';
+import { getLlmProvider } from './llmProviders.js';
+import { getTtsProvider } from './ttsProviders.js';
+import { concatenateMp3 } from './mp3.js';
 
 /**
- * Make a request to OpenAI API
- * @param {string} endpoint - API endpoint (e.g., 'chat/completions')
- * @param {Object} data - Request data
- * @returns {Promise<Object>} Response data
+ * Ask the configured language model for text
+ * @param {string} stage - Stage the text is for; selects the model (e.g. 'summary', 'title')
+ * @param {string} system - System prompt
+ * @param {string} [userText] - Text the prompt applies to
+ * @param {number} maxTokens - Maximum reply length in tokens
+ * @returns {Promise<string>} Reply text
  */
-async function makeOpenAIRequest(endpoint, data) {
-  const apiKey = await getSetting('openai_api_key');
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not found. Please add it in the extension settings.');
-  }
-  
-  const response = await fetch(`https://api.openai.com/v1/${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(data)
+async function requestCompletion(stage, system, userText, maxTokens) {
+  const llmProvider = await getLlmProvider();
+  return llmProvider.complete({
+    stage,
+    system,
+    messages: userText ? [{ role: 'user', content: userText }] : [],
+    maxTokens,
+    temperature: 0.7
   });
-  
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-    throw new Error(`OpenAI API error (${response.status}): ${errorData.error?.message || JSON.stringify(errorData)}`);
-  }
-  
-  return await response.json();
 }
 
 /**
@@ -41,31 +32,16 @@ async function makeOpenAIRequest(endpoint, data) {
  * @returns {Promise<string>} Generated summary
  */
 async function generateSummary(text) {
-  const data = {
-    model: 'gpt-3.5-turbo',
-    messages: [
-      {
-        role: 'system',
-        content: `Summarize the following article concisely while maintaining key details, 
+  const systemPrompt = `Summarize the following article concisely while maintaining key details, 
         covering the main topic, essential facts, important arguments, and any conclusions. 
         Highlight the who, what, when, where, why, and how (if applicable). Retain the 
         original tone—whether informative, analytical, or opinion-based—and include any 
         significant statistics, quotes, or expert opinions mentioned. Ensure clarity, 
         coherence, and neutrality (unless it is an opinion piece, in which case, reflect 
         the stance of the author accurately). If there are action points or takeaways, include 
-        them in bullet points.`
-      },
-      {
-        role: 'user',
-        content: text
-      }
-    ],
-    max_tokens: 500,
-    temperature: 0.7
-  };
+        them in bullet points.`;
   
-  const response = await makeOpenAIRequest('chat/completions', data);
-  return response.choices[0].message.content.trim();
+  return requestCompletion('summary', systemPrompt, text, 500);
 }
 
 /**
@@ -74,24 +50,9 @@ async function generateSummary(text) {
  * @returns {Promise<string>} Generated title
  */
 async function generateTitle(text) {
-  const data = {
-    model: 'gpt-3.5-turbo',
-    messages: [
-      {
-        role: 'system',
-        content: 'Generate a concise, engaging title (maximum 10 words) for this article. Return only the title without quotes or additional text.'
-      },
-      {
-        role: 'user',
-        content: text
-      }
-    ],
-    max_tokens: 50,
-    temperature: 0.7
-  };
+  const systemPrompt = 'Generate a concise, engaging title (maximum 10 words) for this article. Return only the title without quotes or additional text.';
   
-  const response = await makeOpenAIRequest('chat/completions', data);
-  return response.choices[0].message.content.trim();
+  return requestCompletion('title', systemPrompt, text, 50);
 }
 
 /**
@@ -107,20 +68,7 @@ async function generateIntroduction(articles) {
   Make it conversational and interesting, as if you are speaking to your audience. Include a brief 
   welcome and set the tone for the upcoming discussion.`;
   
-  const data = {
-    model: 'gpt-3.5-turbo',
-    messages: [
-      {
-        role: 'system',
-        content: introPrompt
-      }
-    ],
-    max_tokens: 4096,
-    temperature: 0.7
-  };
-  
-  const response = await makeOpenAIRequest('chat/completions', data);
-  return response.choices[0].message.content.trim();
+  return requestCompletion('introduction', introPrompt, null, 4096);
 }
 
 /**
@@ -137,20 +85,7 @@ async function generateArticleDiscussion(article) {
   Article content:
   ${article.content || article.summary}`;
   
-  const data = {
-    model: 'gpt-3.5-turbo',
-    messages: [
-      {
-        role: 'system',
-        content: articlePrompt
-      }
-    ],
-    max_tokens: 4096,
-    temperature: 0.7
-  };
-  
-  const response = await makeOpenAIRequest('chat/completions', data);
-  return response.choices[0].message.content.trim();
+  return requestCompletion('discussion', articlePrompt, null, 4096);
 }
 
 /**
@@ -166,91 +101,12 @@ async function generateConclusion(articles) {
   Thank your listeners and encourage them to return for the next episode. Make it conversational and warm, as if you are 
   speaking directly to your audience.`;
   
-  const data = {
-    model: 'gpt-3.5-turbo',
-    messages: [
-      {
-        role: 'system',
-        content: conclusionPrompt
-      }
-    ],
-    max_tokens: 4096,
-    temperature: 0.7
-  };
-  
-  const response = await makeOpenAIRequest('chat/completions', data);
-  return response.choices[0].message.content.trim();
-}
-
-/**
- * Parse a script into lines for each speaker
- * @param {string} script - Full podcast script
- * @param {Object} settings - Settings object containing hostNames, voiceMap, etc.
- * @returns {Array<Object>} Array of line objects with speaker and text
- */
-function parseScriptIntoLines(script, settings = {}) {
-  const lines = [];
-  const scriptLines = script.split('\n');
-  
-  for (let i = 0; i < scriptLines.length; i++) {
-    const line = scriptLines[i].trim();
-    
-    if (!line) continue;
-    
-    // Check for speaker patterns like "HOST:" or "CO-HOST:"
-    // Use a more specific regex to match exactly HOST or CO-HOST
-    const speakerMatch = line.match(/^(HOST|CO-HOST|Alice|Bob):\s*(.*)/i);
-    
-    if (speakerMatch) {
-      const speaker = speakerMatch[1].trim().toUpperCase(); // Ensure consistent case
-      const text = speakerMatch[2].trim();
-      
-      if (text) {
-        // Split long text into chunks if needed
-        const chunks = splitTextIntoChunks(`${speaker}: ${text}`, 4000);
-        
-        for (const chunk of chunks) {
-          const chunkSpeakerMatch = chunk.match(/^(HOST|CO-HOST|Alice|Bob):\s*(.*)/i);
-          if (chunkSpeakerMatch) {
-            lines.push({ 
-              speaker: chunkSpeakerMatch[1].trim().toUpperCase(), 
-              text: chunkSpeakerMatch[2].trim(),
-              settings: settings // Add settings to each line
-            });
-          }
-        }
-      }
-    } else if (lines.length > 0) {
-      // If no speaker pattern but we have previous lines, append to the last line
-      const lastLine = lines[lines.length - 1];
-      
-      // Check if appending would make the line too long
-      if ((lastLine.text + ' ' + line).length > 4000) {
-        // Start a new line with the same speaker
-        lines.push({ 
-          speaker: lastLine.speaker, 
-          text: line,
-          settings: settings // Add settings to each line
-        });
-      } else {
-        lastLine.text += ' ' + line;
-      }
-    } else {
-      // If there's no speaker pattern and no previous lines, use a default speaker
-      lines.push({ 
-        speaker: 'HOST', 
-        text: line,
-        settings: settings // Add settings to each line
-      });
-    }
-  }
-  
-  return lines;
+  return requestCompletion('conclusion', conclusionPrompt, null, 4096);
 }
 
 /**
- * Split text into chunks that are below the API character limit
- * @param {string} text - Text to split into chunks
+ * Split a speaker's text into chunks that are below the API character limit
+ * @param {string} text - Spoken text, without a speaker label
  * @param {number} maxLength - Maximum length for each chunk
  * @returns {Array<string>} Array of text chunks
  */
@@ -262,17 +118,15 @@ function splitTextIntoChunks(text, maxLength = 4000) {
   
   const chunks = [];
   let currentChunk = "";
-  const speaker = text.match(/^(HOST|CO-HOST|Alice|Bob):/i)[1];
-  const textWithoutSpeaker = text.replace(/^(HOST|CO-HOST|Alice|Bob):\s*/i, '');
   
   // Split by sentences to maintain natural breaks
-  const sentences = textWithoutSpeaker.split(/(?<=\.\s+)/);
+  const sentences = text.split(/(?<=\.\s+)/);
   
   for (const sentence of sentences) {
     // If adding this sentence would exceed the limit, start a new chunk
     if (currentChunk.length + sentence.length > maxLength) {
       if (currentChunk.length > 0) {
-        chunks.push(`${speaker}: ${currentChunk}`);
+        chunks.push(currentChunk);
         currentChunk = "";
       }
       
@@ -283,7 +137,7 @@ function splitTextIntoChunks(text, maxLength = 4000) {
         
         for (const word of words) {
           if (wordChunk.length + word.length + 1 > maxLength) {
-            chunks.push(`${speaker}: ${wordChunk}`);
+            chunks.push(wordChunk);
             wordChunk = word;
           } else {
             wordChunk += (wordChunk ? " " : "") + word;
@@ -303,65 +157,22 @@ function splitTextIntoChunks(text, maxLength = 4000) {
   
   // Add any remaining text
   if (currentChunk) {
-    chunks.push(`${speaker}: ${currentChunk}`);
+    chunks.push(currentChunk);
   }
   
   return chunks;
 }
 
 /**
- * Assemble a full podcast script
- * @param {string} introduction - Introduction script
- * @param {Array<string>} articleScripts - Array of article discussion scripts
- * @param {string} conclusion - Conclusion script
- * @returns {string} Full podcast script
- */
-function assembleFullScript(introduction, articleScripts, conclusion) {
-  let fullScript = "HOST: " + introduction + "\n\n";
-  
-  for (let i = 0; i < articleScripts.length; i++) {
-    fullScript += `\n--- ARTICLE ${i + 1} ---\n\n`;
-    fullScript += articleScripts[i] + "\n\n";
-  }
-  
-  fullScript += "\n--- CONCLUSION ---\n\n";
-  fullScript += "HOST: " + conclusion;
-  
-  return fullScript;
-}
-
-/**
- * Generate audio from text
+ * Generate audio from text with the configured TTS provider
  * @param {string} text - Text to convert to audio
  * @param {string} voice - Voice to use (e.g., "alloy", "onyx")
  * @returns {Promise<Blob>} Audio blob
  */
 async function generateAudio(text, voice = "alloy") {
-  const apiKey = await getSetting('openai_api_key');
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not found. Please add it in the extension settings.');
-  }
-  
-  const response = await fetch('https://api.openai.com/v1/audio/speech', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: 'tts-1',
-      voice: voice,
-      input: text
-    })
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-    throw new Error(`OpenAI API error (${response.status}): ${errorData.error?.message || JSON.stringify(errorData)}`);
-  }
-  
-  return await response.blob();
+  const ttsProvider = await getTtsProvider();
+  const { audio, mimeType } = await ttsProvider.synthesize(text, voice);
+  return new Blob([audio], { type: mimeType });
 }
 
 /**
@@ -398,7 +209,7 @@ async function generateAudioForLines(lines, voiceMap = {}, progressCallback = ()
 }
 
 /**
- * Combine audio blobs into a single blob
+ * Combine MP3 blobs into a single blob, joined frame by frame under one Xing header
  * @param {Array<Blob>} audioBlobs - Array of audio blobs
  * @returns {Promise<Blob>} Combined audio blob
  */
@@ -408,22 +219,8 @@ async function combineAudioBlobs(audioBlobs) {
     audioBlobs.map(blob => blob.arrayBuffer())
   );
   
-  // Determine the total length
-  const totalLength = arrayBuffers.reduce((total, buffer) => total + buffer.byteLength, 0);
-  
-  // Create a new array buffer of the total length
-  const combinedBuffer = new Uint8Array(totalLength);
-  
-  // Copy each buffer into the combined buffer
-  let offset = 0;
-  for (const buffer of arrayBuffers) {
-    const uint8Array = new Uint8Array(buffer);
-    combinedBuffer.set(uint8Array, offset);
-    offset += buffer.byteLength;
-  }
-  
-  // Create a new blob from the combined buffer
-  return new Blob([combinedBuffer], { type: 'audio/mpeg' });
+  const { buffer } = concatenateMp3(arrayBuffers.map(arrayBuffer => new Uint8Array(arrayBuffer)));
+  return new Blob([buffer], { type: 'audio/mpeg' });
 }
 
 // Export all functions
@@ -433,9 +230,7 @@ export {
   generateIntroduction,
   generateArticleDiscussion,
   generateConclusion,
-  parseScriptIntoLines,
   splitTextIntoChunks,
-  assembleFullScript,
   generateAudio,
   generateAudioForLines,
   combineAudioBlobs
@@ -6,8 +6,43 @@ import {
   exportDatabase,
   importDatabase,
   initializeDB,
-  getDatabaseStats
+  getDatabaseStats,
+  getTtsCacheStats,
+  clearTtsCache
 } from './db.js';
+import {
+  TTS_SETTINGS_KEY,
+  TTS_PROVIDER_DEFINITIONS,
+  getTtsSettings,
+  getTtsProvider,
+  getVoiceCatalog,
+  getVoiceSampleText,
+  parseVoiceList,
+  formatVoiceList
+} from './ttsProviders.js';
+import {
+  LLM_SETTINGS_KEY,
+  LLM_STAGES,
+  LLM_PROVIDER_DEFINITIONS,
+  getLlmSettings
+} from './llmProviders.js';
+import {
+  TEMPLATE_NAMES,
+  TEMPLATE_VARIABLES,
+  getPodcastFormats,
+  savePodcastFormat,
+  deletePodcastFormat
+} from './podcastFormats.js';
+import {
+  PUBLISH_SETTINGS_KEY,
+  PUBLISH_TARGET_DEFINITIONS,
+  getPublishSettings,
+  getTargetBaseUrl,
+  getPublicBaseUrl,
+  testPublishTarget
+} from './publishTargets.js';
+import { createIntroPrompt, createArticlePrompt, createConclusionPrompt } from './promptTemplates.js';
+import { calculateWordBudgets } from './scriptLength.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   // Initialize database
@@ -26,9 +61,58 @@ document.addEventListener('DOMContentLoaded', async () => {
   const importDataButton = document.getElementById('import-data');
   const importFileInput = document.getElementById('import-file');
   const clearDataButton = document.getElementById('clear-data');
+  const clearTtsCacheButton = document.getElementById('clear-tts-cache');
+  const ttsProviderSelect = document.getElementById('tts-provider');
+  const ttsBaseUrlInput = document.getElementById('tts-base-url');
+  const ttsLocalStyleSelect = document.getElementById('tts-local-style');
+  const ttsApiKeyInput = document.getElementById('tts-api-key');
+  const ttsModelInput = document.getElementById('tts-model');
+  const ttsSpeedInput = document.getElementById('tts-speed');
+  const ttsVoicesInput = document.getElementById('tts-voices');
+  const saveTtsSettingsButton = document.getElementById('save-tts-settings');
+  const llmProviderSelect = document.getElementById('llm-provider');
+  const llmBaseUrlInput = document.getElementById('llm-base-url');
+  const llmApiKeyInput = document.getElementById('llm-api-key');
+  const saveLlmSettingsButton = document.getElementById('save-llm-settings');
+  const formatSelect = document.getElementById('format-select');
+  const formatNameInput = document.getElementById('format-name');
+  const formatDescriptionInput = document.getElementById('format-description');
+  const formatSpeakersSelect = document.getElementById('format-speakers');
+  const deleteFormatButton = document.getElementById('delete-format');
+  const formatPreview = document.getElementById('format-preview');
+  const publishTargetSelect = document.getElementById('publish-target');
+  
+  // Formats as last loaded, built-ins first
+  let podcastFormats = [];
+  
+  document.getElementById('template-variables').innerHTML = 'Variables: ' + Object.entries(TEMPLATE_VARIABLES)
+    .map(([name, description]) => `<code title="${description}">{{${name}}}</code>`)
+    .join(' ');
+  
+  llmProviderSelect.innerHTML = Object.entries(LLM_PROVIDER_DEFINITIONS)
+    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+    .join('');
+  
+  // One model field per stage that asks the language model for text
+  document.getElementById('llm-models').innerHTML = Object.entries(LLM_STAGES)
+    .map(([stage, label]) => `
+      <div class="form-group">
+        <label for="llm-model-${stage}">${label} Model:</label>
+        <input type="text" id="llm-model-${stage}">
+      </div>`)
+    .join('');
+  
+  ttsProviderSelect.innerHTML = Object.entries(TTS_PROVIDER_DEFINITIONS)
+    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+    .join('');
+  
+  publishTargetSelect.innerHTML = Object.entries(PUBLISH_TARGET_DEFINITIONS)
+    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+    .join('');
   
   // Load saved settings
   loadSettings();
+  loadFormats();
   updateStorageStats();
   
   // Event listeners
@@ -41,6 +125,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   importDataButton.addEventListener('click', () => importFileInput.click());
   importFileInput.addEventListener('change', importData);
   clearDataButton.addEventListener('click', clearAllData);
+  clearTtsCacheButton.addEventListener('click', clearSpeechCache);
+  saveTtsSettingsButton.addEventListener('click', saveTtsSettings);
+  saveLlmSettingsButton.addEventListener('click', saveLlmSettings);
+  llmProviderSelect.addEventListener('change', updateLlmFields);
+  publishTargetSelect.addEventListener('change', updatePublishFields);
+  document.getElementById('save-publish-settings').addEventListener('click', savePublishSettings);
+  document.getElementById('test-publish-target').addEventListener('click', testPublishConnection);
+  formatSelect.addEventListener('change', () => showFormat(formatSelect.value));
+  document.getElementById('save-format').addEventListener('click', () => saveFormat(false));
+  document.getElementById('save-format-copy').addEventListener('click', () => saveFormat(true));
+  deleteFormatButton.addEventListener('click', deleteFormat);
+  document.getElementById('preview-format').addEventListener('click', previewFormat);
+  ttsProviderSelect.addEventListener('change', () => {
+    updateTtsFields();
+    renderVoiceOptions(hostVoiceSelect.value, cohostVoiceSelect.value);
+  });
+  ttsVoicesInput.addEventListener('change', () => {
+    renderVoiceOptions(hostVoiceSelect.value, cohostVoiceSelect.value);
+  });
   
   // Add event listeners to refresh stats when page regains focus or visibility
   window.addEventListener('focus', updateStorageStats);
@@ -79,20 +182,53 @@ document.addEventListener('DOMContentLoaded', async () => {
         showStatus('Please set your OpenAI API key to use this extension', 'warning');
       }
       
-      // Load voice settings
+      // Load language model settings
+      const llmSettings = await getLlmSettings();
+      llmProviderSelect.value = llmSettings.provider;
+      llmBaseUrlInput.value = llmSettings.baseUrl;
+      llmApiKeyInput.value = llmSettings.apiKey;
+      Object.keys(LLM_STAGES).forEach(stage => {
+        document.getElementById(`llm-model-${stage}`).value = llmSettings.models[stage] || '';
+      });
+      updateLlmFields();
+      
+      // Load speech provider settings
+      const ttsSettings = await getTtsSettings();
+      ttsProviderSelect.value = ttsSettings.provider;
+      ttsBaseUrlInput.value = ttsSettings.baseUrl;
+      ttsLocalStyleSelect.value = ttsSettings.localApiStyle;
+      ttsApiKeyInput.value = ttsSettings.apiKey;
+      ttsModelInput.value = ttsSettings.model;
+      ttsSpeedInput.value = ttsSettings.speed;
+      ttsVoicesInput.value = formatVoiceList(ttsSettings.voices);
+      updateTtsFields();
+      
+      // Load publish target
+      const publishSettings = await getPublishSettings();
+      publishTargetSelect.value = publishSettings.target;
+      document.getElementById('publish-webdav-url').value = publishSettings.webdav.url;
+      document.getElementById('publish-webdav-username').value = publishSettings.webdav.username;
+      document.getElementById('publish-webdav-password').value = publishSettings.webdav.password;
+      document.getElementById('publish-s3-endpoint').value = publishSettings.s3.endpoint;
+      document.getElementById('publish-s3-region').value = publishSettings.s3.region;
+      document.getElementById('publish-s3-bucket').value = publishSettings.s3.bucket;
+      document.getElementById('publish-s3-prefix').value = publishSettings.s3.prefix;
+      document.getElementById('publish-s3-access-key').value = publishSettings.s3.accessKeyId;
+      document.getElementById('publish-s3-secret-key').value = publishSettings.s3.secretAccessKey;
+      document.getElementById('publish-s3-path-style').checked = publishSettings.s3.pathStyle;
+      document.getElementById('publish-public-url').value = publishSettings.publicUrl;
+      document.getElementById('publish-auto').checked = publishSettings.autoPublish;
+      updatePublishFields();
+      
+      // Load voice settings; voices default to Hari and Leela when the provider has them
       const hostVoice = await getSetting('host_voice');
-      if (hostVoice) {
-        hostVoiceSelect.value = hostVoice;
-      } else {
-        // If no host voice setting exists, save the default (which is now Echo)
+      const cohostVoice = await getSetting('cohost_voice');
+      renderVoiceOptions(hostVoice || 'echo', cohostVoice || 'nova');
+      
+      if (!hostVoice) {
         await saveSetting('host_voice', hostVoiceSelect.value);
       }
-      
-      const cohostVoice = await getSetting('cohost_voice');
-      if (cohostVoice) {
-        cohostVoiceSelect.value = cohostVoice;
-      } else {
-        // If no co-host voice setting exists, save the default (which is now Nova)
+      if (!cohostVoice) {
         await saveSetting('cohost_voice', cohostVoiceSelect.value);
       }
     } catch (error) {
@@ -101,6 +237,384 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  /**
+   * Read the language model form
+   * @returns {Object} LLM settings
+   */
+  function getLlmFormSettings() {
+    const models = {};
+    Object.keys(LLM_STAGES).forEach(stage => {
+      const model = document.getElementById(`llm-model-${stage}`).value.trim();
+      if (model) models[stage] = model;
+    });
+    
+    return {
+      provider: llmProviderSelect.value,
+      baseUrl: llmBaseUrlInput.value.trim(),
+      apiKey: llmApiKeyInput.value.trim(),
+      models
+    };
+  }
+  
+  /**
+   * Show only the fields the selected language model provider uses
+   */
+  function updateLlmFields() {
+    const provider = llmProviderSelect.value;
+    const definition = LLM_PROVIDER_DEFINITIONS[provider];
+    const usesServer = provider === 'openai-compatible' || provider === 'anthropic';
+    
+    document.getElementById('llm-base-url-group').style.display = usesServer ? 'block' : 'none';
+    document.getElementById('llm-api-key-group').style.display = usesServer ? 'block' : 'none';
+    document.getElementById('llm-models-group').style.display = provider === 'stub' ? 'none' : 'block';
+    
+    llmBaseUrlInput.placeholder = definition.defaultBaseUrl;
+    llmApiKeyInput.placeholder = provider === 'anthropic'
+      ? 'Enter your Anthropic API key'
+      : 'Leave empty if the endpoint needs no key';
+    Object.keys(LLM_STAGES).forEach(stage => {
+      document.getElementById(`llm-model-${stage}`).placeholder = definition.defaultModel;
+    });
+  }
+  
+  /**
+   * Save the language model settings
+   * Servers outside the extension's host permissions need access granted on request
+   */
+  async function saveLlmSettings() {
+    const settings = getLlmFormSettings();
+    
+    try {
+      if (settings.provider === 'anthropic' && !settings.apiKey) {
+        throw new Error('Please enter your Anthropic API key');
+      }
+      
+      // Anthropic's own API is already in the manifest; only a custom base URL needs access
+      let baseUrl = '';
+      if (settings.provider === 'openai-compatible') {
+        baseUrl = settings.baseUrl || LLM_PROVIDER_DEFINITIONS[settings.provider].defaultBaseUrl;
+      } else if (settings.provider === 'anthropic') {
+        baseUrl = settings.baseUrl;
+      }
+      if (baseUrl) {
+        const origin = `${new URL(baseUrl).origin}/*`;
+        const granted = await chrome.permissions.request({ origins: [origin] });
+        if (!granted) {
+          throw new Error(`Access to ${origin} was not granted`);
+        }
+      }
+      
+      await saveSetting(LLM_SETTINGS_KEY, settings);
+      showStatus('Language model settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving language model settings:', error);
+      showStatus('Error saving language model settings: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Read the speech provider form
+   * @returns {Object} TTS settings
+   */
+  function getTtsFormSettings() {
+    return {
+      provider: ttsProviderSelect.value,
+      baseUrl: ttsBaseUrlInput.value.trim(),
+      localApiStyle: ttsLocalStyleSelect.value,
+      apiKey: ttsApiKeyInput.value.trim(),
+      model: ttsModelInput.value.trim(),
+      speed: Math.min(4, Math.max(0.25, parseFloat(ttsSpeedInput.value) || 1)),
+      voices: parseVoiceList(ttsVoicesInput.value)
+    };
+  }
+  
+  /**
+   * Show only the fields the selected provider uses
+   */
+  function updateTtsFields() {
+    const provider = ttsProviderSelect.value;
+    const definition = TTS_PROVIDER_DEFINITIONS[provider];
+    const usesServer = provider === 'openai-compatible' || provider === 'local';
+    
+    document.getElementById('tts-base-url-group').style.display = usesServer ? 'block' : 'none';
+    document.getElementById('tts-local-style-group').style.display = provider === 'local' ? 'block' : 'none';
+    document.getElementById('tts-api-key-group').style.display = provider === 'openai-compatible' ? 'block' : 'none';
+    document.getElementById('tts-model-group').style.display = provider === 'local' || provider === 'mock' ? 'none' : 'block';
+    document.getElementById('tts-voices-group').style.display = definition.customVoices ? 'block' : 'none';
+    
+    ttsBaseUrlInput.placeholder = definition.defaultBaseUrl;
+    ttsModelInput.placeholder = definition.defaultModel;
+  }
+  
+  /**
+   * Fill the voice selects from the selected provider's catalog
+   * @param {string} hostVoice - Voice to select for the host when available
+   * @param {string} cohostVoice - Voice to select for the co-host when available
+   */
+  function renderVoiceOptions(hostVoice, cohostVoice) {
+    const voices = getVoiceCatalog(getTtsFormSettings());
+    const optionsHtml = voices
+      .map(voice => `<option value="${voice.id}">${voice.name}</option>`)
+      .join('');
+    const hasVoice = id => voices.some(voice => voice.id === id);
+    
+    hostVoiceSelect.innerHTML = optionsHtml;
+    cohostVoiceSelect.innerHTML = optionsHtml;
+    hostVoiceSelect.value = hasVoice(hostVoice) ? hostVoice : voices[0].id;
+    cohostVoiceSelect.value = hasVoice(cohostVoice) ? cohostVoice : (voices[1] || voices[0]).id;
+  }
+  
+  /**
+   * Save the speech provider settings
+   * Custom servers need host access, which Chrome grants per origin on request
+   */
+  async function saveTtsSettings() {
+    const settings = getTtsFormSettings();
+    
+    try {
+      if (settings.provider === 'openai-compatible' || settings.provider === 'local') {
+        const baseUrl = settings.baseUrl || TTS_PROVIDER_DEFINITIONS[settings.provider].defaultBaseUrl;
+        const origin = `${new URL(baseUrl).origin}/*`;
+        const granted = await chrome.permissions.request({ origins: [origin] });
+        if (!granted) {
+          throw new Error(`Access to ${origin} was not granted`);
+        }
+      }
+      
+      await saveSetting(TTS_SETTINGS_KEY, settings);
+      
+      // Keep the saved voices valid for the new catalog
+      renderVoiceOptions(hostVoiceSelect.value, cohostVoiceSelect.value);
+      await saveSetting('host_voice', hostVoiceSelect.value);
+      await saveSetting('cohost_voice', cohostVoiceSelect.value);
+      
+      showStatus('Speech provider settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving speech provider settings:', error);
+      showStatus('Error saving speech provider settings: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Read the publish target form
+   * @returns {Object} Publish settings
+   */
+  function getPublishFormSettings() {
+    return {
+      target: publishTargetSelect.value,
+      autoPublish: document.getElementById('publish-auto').checked,
+      publicUrl: document.getElementById('publish-public-url').value.trim(),
+      webdav: {
+        url: document.getElementById('publish-webdav-url').value.trim(),
+        username: document.getElementById('publish-webdav-username').value.trim(),
+        password: document.getElementById('publish-webdav-password').value
+      },
+      s3: {
+        endpoint: document.getElementById('publish-s3-endpoint').value.trim(),
+        region: document.getElementById('publish-s3-region').value.trim(),
+        bucket: document.getElementById('publish-s3-bucket').value.trim(),
+        prefix: document.getElementById('publish-s3-prefix').value.trim(),
+        accessKeyId: document.getElementById('publish-s3-access-key').value.trim(),
+        secretAccessKey: document.getElementById('publish-s3-secret-key').value.trim(),
+        pathStyle: document.getElementById('publish-s3-path-style').checked
+      }
+    };
+  }
+  
+  /**
+   * Show only the fields the selected publish target uses
+   */
+  function updatePublishFields() {
+    const target = publishTargetSelect.value;
+    document.getElementById('publish-webdav-group').style.display = target === 'webdav' ? 'block' : 'none';
+    document.getElementById('publish-s3-group').style.display = target === 's3' ? 'block' : 'none';
+    document.getElementById('publish-common-group').style.display = target === 'none' ? 'none' : 'block';
+    document.getElementById('test-publish-target').style.display = target === 'none' ? 'none' : '';
+  }
+  
+  /**
+   * Check the publish form and ask for access to the server it uploads to
+   * @param {Object} settings - Publish settings
+   * @throws {Error} When the form is incomplete or access is refused
+   */
+  async function requestPublishAccess(settings) {
+    if (settings.target === 'none') return;
+    
+    // Both addresses are checked so mistakes show when saving, not after a generation
+    getPublicBaseUrl(settings);
+    const origin = `${new URL(getTargetBaseUrl(settings)).origin}/*`;
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (!granted) {
+      throw new Error(`Access to ${origin} was not granted`);
+    }
+  }
+  
+  /**
+   * Save the publish target
+   */
+  async function savePublishSettings() {
+    const settings = getPublishFormSettings();
+    
+    try {
+      await requestPublishAccess(settings);
+      await saveSetting(PUBLISH_SETTINGS_KEY, settings);
+      showStatus('Publish settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving publish settings:', error);
+      showStatus('Error saving publish settings: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Check the publish target in the form accepts uploads
+   */
+  async function testPublishConnection() {
+    const settings = getPublishFormSettings();
+    
+    try {
+      await requestPublishAccess(settings);
+      showStatus('Testing connection...', 'info');
+      await testPublishTarget(settings);
+      showStatus('Connection successful! Files can be published.', 'success');
+    } catch (error) {
+      console.error('Error testing publish target:', error);
+      showStatus('Connection failed: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Load the podcast formats into the editor
+   * @param {string} [selectedId] - Format to show; defaults to the one already selected
+   */
+  async function loadFormats(selectedId = formatSelect.value) {
+    try {
+      podcastFormats = await getPodcastFormats();
+      formatSelect.innerHTML = podcastFormats
+        .map(format => `<option value="${format.id}">${format.name}${format.modified ? ' (edited)' : ''}</option>`)
+        .join('');
+      showFormat(podcastFormats.some(format => format.id === selectedId) ? selectedId : podcastFormats[0].id);
+    } catch (error) {
+      console.error('Error loading podcast formats:', error);
+      showStatus('Error loading podcast formats: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Fill the editor with a format
+   * @param {string} id - Format ID
+   */
+  function showFormat(id) {
+    const format = podcastFormats.find(entry => entry.id === id);
+    if (!format) return;
+    
+    formatSelect.value = format.id;
+    formatNameInput.value = format.name;
+    formatDescriptionInput.value = format.description || '';
+    formatSpeakersSelect.value = String(format.speakers || 2);
+    TEMPLATE_NAMES.forEach(name => {
+      document.getElementById(`format-template-${name}`).value = format.templates[name] || '';
+    });
+    
+    // Built-in formats can only be reset to their original templates, and only once edited
+    deleteFormatButton.textContent = format.builtIn ? 'Reset to Built-in' : 'Delete Format';
+    deleteFormatButton.disabled = format.builtIn && !format.modified;
+    formatPreview.style.display = 'none';
+  }
+  
+  /**
+   * Read the format editor
+   * @returns {Object} Format without an ID
+   */
+  function getFormatFormValues() {
+    const templates = {};
+    TEMPLATE_NAMES.forEach(name => {
+      templates[name] = document.getElementById(`format-template-${name}`).value;
+    });
+    
+    return {
+      name: formatNameInput.value.trim(),
+      description: formatDescriptionInput.value.trim(),
+      speakers: parseInt(formatSpeakersSelect.value, 10),
+      templates
+    };
+  }
+  
+  /**
+   * Save the format in the editor
+   * @param {boolean} asCopy - Save as a new format instead of over the selected one
+   */
+  async function saveFormat(asCopy) {
+    const values = getFormatFormValues();
+    
+    try {
+      if (asCopy && podcastFormats.some(format => format.name === values.name)) {
+        values.name = `${values.name} (copy)`;
+      }
+      const saved = await savePodcastFormat({ ...values, id: asCopy ? null : formatSelect.value });
+      await loadFormats(saved.id);
+      showStatus(`Format "${saved.name}" saved`, 'success');
+    } catch (error) {
+      console.error('Error saving podcast format:', error);
+      showStatus('Error saving podcast format: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Delete the selected custom format, or reset an edited built-in one
+   */
+  async function deleteFormat() {
+    const format = podcastFormats.find(entry => entry.id === formatSelect.value);
+    if (!format) return;
+    
+    const question = format.builtIn
+      ? `Reset "${format.name}" to its original templates?`
+      : `Delete the format "${format.name}"?`;
+    if (!confirm(question)) return;
+    
+    try {
+      await deletePodcastFormat(format.id);
+      await loadFormats(format.builtIn ? format.id : undefined);
+      showStatus(format.builtIn ? `Format "${format.name}" reset` : `Format "${format.name}" deleted`, 'success');
+    } catch (error) {
+      console.error('Error deleting podcast format:', error);
+      showStatus('Error deleting podcast format: ' + error.message, 'error');
+    }
+  }
+  
+  /**
+   * Show the prompts the edited templates produce for two sample articles
+   */
+  function previewFormat() {
+    const format = getFormatFormValues();
+    const articles = [
+      {
+        title: 'City Council Approves New Bike Lanes',
+        summary: 'The council voted 7-2 to add 40 km of protected bike lanes over three years, funded by a state grant.'
+      },
+      {
+        title: 'Researchers Map the Deep Ocean Floor',
+        summary: 'A survey using autonomous submarines has mapped a quarter of the ocean floor in high resolution.'
+      }
+    ];
+    const articleTitles = articles.map(article => article.title);
+    const settings = {
+      title: 'Sample Episode',
+      cast: [
+        { id: 'HOST', name: 'Alex', persona: 'Curious host who keeps the conversation moving' },
+        { id: 'CO-HOST', name: 'Jordan', persona: 'Co-host who brings background and examples' }
+      ].slice(0, format.speakers === 1 ? 1 : 2),
+      format,
+      wordBudgets: calculateWordBudgets({ targetMinutes: 15, articleCount: articles.length })
+    };
+    
+    formatPreview.textContent = [
+      `=== INTRODUCTION ===\n${createIntroPrompt(articleTitles, settings)}`,
+      `=== DISCUSSION (first article) ===\n${createArticlePrompt(articles[0], settings, articleTitles)}`,
+      `=== CONCLUSION ===\n${createConclusionPrompt(articleTitles, settings)}`
+    ].join('\n\n');
+    formatPreview.style.display = 'block';
+  }
+  
   /**
    * Save API key to IndexedDB
    */
@@ -188,6 +702,11 @@ document.addEventListener('DOMContentLoaded', async () => {
       const storagePercent = Math.min(100, (stats.totalAudioSize / (100 * 1024 * 1024)) * 100);
       document.getElementById('storage-bar-fill').style.width = `${storagePercent}%`;
       
+      // Speech segments kept so regenerating a podcast doesn't pay for the same lines twice
+      const cacheStats = await getTtsCacheStats();
+      document.getElementById('tts-cache-count').textContent = cacheStats.count;
+      document.getElementById('tts-cache-size').textContent = `${(cacheStats.size / (1024 * 1024)).toFixed(2)} MB`;
+      
       console.log('Storage stats updated:', stats);
     } catch (error) {
       console.error('Error updating storage stats:', error);
@@ -264,6 +783,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     event.target.value = '';
   }
   
+  /**
+   * Clear the cache of synthesized speech segments
+   */
+  async function clearSpeechCache() {
+    try {
+      await clearTtsCache();
+      updateStorageStats();
+      showStatus('Speech cache cleared', 'success');
+    } catch (error) {
+      console.error('Error clearing speech cache:', error);
+      showStatus('Error clearing speech cache: ' + error.message, 'error');
+    }
+  }
+  
   /**
    * Clear all data from IndexedDB
    */
@@ -319,69 +852,24 @@ document.addEventListener('DOMContentLoaded', async () => {
    * @param {string} voice - The voice ID (e.g., "alloy", "onyx")
    */
   async function playVoicePreview(voice) {
+    const previewButtons = document.querySelectorAll('#preview-host-voice, #preview-cohost-voice');
+    
     try {
-      const voiceNameMap = {
-        'alloy': 'Esha',
-        'echo': 'Hari',
-        'fable': 'Mira',
-        'onyx': 'Tej',
-        'nova': 'Leela',
-        'shimmer': 'Veena'
-      };
+      // Preview with the settings in the form, so voices can be tried before saving
+      const ttsProvider = await getTtsProvider(getTtsFormSettings());
+      const voiceInfo = ttsProvider.voices.find(entry => entry.id === voice) || { id: voice, name: voice };
       
       // Show status with the mapped name
-      showStatus(`Loading ${voiceNameMap[voice]} voice sample...`, 'info');
+      showStatus(`Loading ${voiceInfo.name} voice sample...`, 'info');
       
-      // Get the OpenAI API key
-      const apiKey = await getSetting('openai_api_key');
-      if (!apiKey) {
-        throw new Error('OpenAI API key not set. Please set your API key first.');
-      }
-      
-      // Sample text for each voice using mapped names
-      const sampleTexts = {
-        'alloy': `Hi, I'm Esha. I am a versatile voice that can adapt to various content styles.`,
-        'echo': `Hi, I'm Hari. I have a soft-spoken and articulate voice, ideal for educational content.`,
-        'fable': `Hi, I'm Mira. I have a narration style that's great for storytelling and creative content.`,
-        'onyx': `Hi, I'm Tej. I have a deep, authoritative voice suited for professional presentations.`,
-        'nova': `Hi, I'm Leela. My voice is clear and energetic, good for delivering news or explanations.`,
-        'shimmer': `Hi, I'm Veena. I have a warm, welcoming voice perfect for friendly conversations.`
-      };
-      
-      // Use the sample text for the selected voice or a default
-      const text = sampleTexts[voice] || `This is a sample of the ${voice} voice.`;
-      
-      // Create a button that's already in the DOM to disable
-      const previewButtons = document.querySelectorAll('#preview-host-voice, #preview-cohost-voice');
       previewButtons.forEach(btn => {
         btn.disabled = true;
         btn.textContent = 'Loading...';
       });
       
       // Generate the audio
-      const response = await fetch('https://api.openai.com/v1/audio/speech', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'tts-1',
-          voice: voice,
-          input: text
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`OpenAI API error: ${response.status} - ${JSON.stringify(errorData)}`);
-      }
-      
-      // Convert the response to a blob
-      const audioBlob = await response.blob();
-      
-      // Create a URL for the audio blob
-      const audioUrl = URL.createObjectURL(audioBlob);
+      const { audio, mimeType } = await ttsProvider.synthesize(getVoiceSampleText(voiceInfo), voice);
+      const audioUrl = URL.createObjectURL(new Blob([audio], { type: mimeType }));
       
       // Create an audio element to play the sample
       const audioElement = new Audio(audioUrl);
@@ -397,14 +885,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       // Play the audio
       audioElement.play();
-      showStatus(`Playing ${voiceNameMap[voice]} voice sample`, 'success');
+      showStatus(`Playing ${voiceInfo.name} voice sample`, 'success');
       
     } catch (error) {
       console.error('Error playing voice sample:', error);
       showStatus(`Error playing voice sample: ${error.message}`, 'error');
       
       // Re-enable the preview buttons
-      const previewButtons = document.querySelectorAll('#preview-host-voice, #preview-cohost-voice');
       previewButtons.forEach(btn => {
         btn.disabled = false;
         btn.textContent = 'Preview Voice';
@@ -0,0 +1,89 @@
+/**
+ * Podcast export for Article to Audio Extension (Local Version)
+ * Podcasts are stored in whatever format they were made in. Exporting decodes the stored
+ * audio on the page, where Web Audio is available, and hands the samples to the export
+ * worker to encode with the episode's title, show, description, cover art and chapters.
+ */
+
+import { decodeToMono } from './audioMixer.js';
+import { encodeInExportWorker } from './exportWorkerClient.js';
+
+// Formats offered for download, with bitrates in kbps
+const EXPORT_FORMATS = [
+  { id: 'mp3', label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg', sampleRate: 44100, bitrates: [64, 96, 128, 192], defaultBitrate: 128 },
+  { id: 'm4a', label: 'M4A (AAC)', extension: 'm4a', mimeType: 'audio/mp4', sampleRate: 44100, bitrates: [64, 96, 128], defaultBitrate: 96 },
+  { id: 'opus', label: 'Opus (OGG)', extension: 'opus', mimeType: 'audio/ogg', sampleRate: 48000, bitrates: [32, 48, 64, 96], defaultBitrate: 48 },
+  // Speech is generated at 24 kHz, so WAV keeps it at that rate
+  { id: 'wav', label: 'WAV', extension: 'wav', mimeType: 'audio/wav', sampleRate: 24000, bitrates: [], defaultBitrate: null }
+];
+
+const DEFAULT_EXPORT_FORMAT_ID = 'mp3';
+
+/**
+ * Get an export format by ID
+ * @param {string} id - Format ID
+ * @returns {Object} Format, or the default one when the ID is unknown
+ */
+function getExportFormat(id) {
+  return EXPORT_FORMATS.find(format => format.id === id) ||
+    EXPORT_FORMATS.find(format => format.id === DEFAULT_EXPORT_FORMAT_ID);
+}
+
+/**
+ * Write an episode description from the titles of its articles
+ * @param {Array<string>} articleTitles - Titles in the order they are discussed
+ * @returns {string} Description
+ */
+function createEpisodeDescription(articleTitles) {
+  if (articleTitles.length === 0) return '';
+  return `In this episode:\n${articleTitles.map(title => `- ${title}`).join('\n')}`;
+}
+
+/**
+ * Encode a podcast for download
+ * @param {Object} podcast - Podcast record with its blob and timeline
+ * @param {Object} options - { formatId, bitrate, metadata } where metadata is
+ *   { title, artist, album, description, cover?: { type, data } }
+ * @param {Function} [progressCallback] - Called with { message, progress } as a percentage
+ * @param {AbortSignal} [signal] - Stops the export
+ * @returns {Promise<Blob>} Encoded file
+ * @throws {Error} When decoding or encoding fails, or the export is cancelled
+ */
+async function exportPodcast(podcast, options, progressCallback = () => {}, signal = null) {
+  if (!podcast || !podcast.blob) {
+    throw new Error('Podcast audio not found');
+  }
+
+  const format = getExportFormat(options.formatId);
+  const bitrate = format.bitrates.includes(options.bitrate) ? options.bitrate : format.defaultBitrate;
+
+  // Decoding is the only part that needs the page; it is quick next to encoding
+  progressCallback({ message: 'Decoding audio...', progress: 0 });
+  const samples = await decodeToMono(await podcast.blob.arrayBuffer(), format.sampleRate);
+  if (signal && signal.aborted) {
+    throw new Error('Export cancelled');
+  }
+
+  progressCallback({ message: `Encoding ${format.label}...`, progress: 10 });
+  const parts = await encodeInExportWorker({
+    format: format.id,
+    samples,
+    sampleRate: format.sampleRate,
+    bitrate,
+    metadata: options.metadata,
+    chapters: podcast.timeline ? podcast.timeline.chapters : []
+  }, (progress) => {
+    progressCallback({ message: `Encoding ${format.label}...`, progress: Math.round(10 + progress * 90) });
+  }, signal);
+
+  progressCallback({ message: 'Export complete', progress: 100 });
+  return new Blob(parts, { type: format.mimeType });
+}
+
+export {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_FORMAT_ID,
+  getExportFormat,
+  createEpisodeDescription,
+  exportPodcast
+};
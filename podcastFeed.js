@@ -0,0 +1,357 @@
+/**
+ * Podcast feed export for Article to Audio Extension (Local Version)
+ * Podcasts can be listened to in any podcast app through a private feed: a zip holding
+ * feed.xml (RSS 2.0 with the iTunes and Podcasting 2.0 namespaces), the cover, and each
+ * episode's audio, JSON chapters and WebVTT/SRT transcripts under episodes/. The zip is
+ * unpacked onto a static host, so links in the feed are built from the address it will be
+ * served at. The feed asks directories not to list it.
+ *
+ * Channel details are saved in the 'feed_settings' setting as { channel, formatId }; episode
+ * details are stored with each podcast as
+ * podcast.episode = { title, description, number, season, explicit, publishedAt }.
+ */
+
+import { getArticleById, getAssetById } from './db.js';
+import { getScriptCast } from './cast.js';
+import { timelineToWebVtt, timelineToSrt } from './podcastTimeline.js';
+import { exportPodcast, getExportFormat, createEpisodeDescription } from './podcastExport.js';
+import { createZip } from './zip.js';
+
+const FEED_SETTINGS_KEY = 'feed_settings';
+
+// Audio formats podcast apps play everywhere
+const FEED_FORMAT_IDS = ['mp3', 'm4a'];
+
+const DEFAULT_CHANNEL = {
+  title: 'Article to Audio',
+  description: 'Podcasts made from saved articles.',
+  author: '',
+  email: '',
+  language: 'en',
+  category: 'News',
+  explicit: false,
+  baseUrl: '',
+  coverId: null
+};
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap HTML in a CDATA section
+ * @param {string} html - HTML
+ * @returns {string} CDATA section
+ */
+function toCdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Format a duration for itunes:duration, e.g. "1:02:03" or "12:34"
+ * @param {number} seconds - Duration
+ * @returns {string} Duration
+ */
+function formatFeedDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+/**
+ * Get an episode's details, filling in what was never edited
+ * @param {Object} podcast - Podcast record
+ * @returns {Object} { title, description, number, season, explicit, publishedAt }
+ */
+function getEpisodeDetails(podcast) {
+  const episode = podcast.episode || {};
+  return {
+    title: episode.title || podcast.title || 'Untitled Podcast',
+    description: episode.description || '',
+    number: episode.number || null,
+    season: episode.season || null,
+    explicit: Boolean(episode.explicit),
+    publishedAt: episode.publishedAt || podcast.dateCreated || new Date().toISOString()
+  };
+}
+
+/**
+ * Write an episode's chapters in the Podcasting 2.0 JSON chapters format
+ * @param {Object} timeline - Timeline
+ * @returns {string} JSON
+ */
+function createChaptersJson(timeline) {
+  return JSON.stringify({
+    version: '1.2.0',
+    chapters: timeline.chapters.map(chapter => ({
+      startTime: chapter.start,
+      endTime: chapter.end,
+      title: chapter.title
+    }))
+  }, null, 2);
+}
+
+/**
+ * Write an episode's show notes: its description, then links to the articles it covers
+ * @param {string} description - Episode description, paragraphs separated by blank lines
+ * @param {Array<Object>} articles - Source articles
+ * @returns {string} HTML
+ */
+function createShowNotes(description, articles) {
+  const paragraphs = description
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br>')}</p>`);
+
+  if (articles.length > 0) {
+    const links = articles.map(article => article.url
+      ? `<li><a href="${escapeXml(article.url)}">${escapeXml(article.title || article.url)}</a></li>`
+      : `<li>${escapeXml(article.title || 'Untitled')}</li>`);
+    paragraphs.push(`<p>Articles in this episode:</p><ul>${links.join('')}</ul>`);
+  }
+  return paragraphs.join('');
+}
+
+/**
+ * Write the feed
+ * @param {Object} channel - Channel details with baseUrl ending in "/" and coverUrl
+ * @param {Array<Object>} episodes - Episodes as { details, notes, guid, duration, audio: { url, size, type },
+ *   chaptersUrl?, transcripts: [{ url, type, rel? }] }
+ * @returns {string} RSS document
+ */
+function createFeedXml(channel, episodes) {
+  const element = (name, value) => value === null || value === undefined || value === ''
+    ? ''
+    : `<${name}>${escapeXml(value)}</${name}>`;
+
+  const items = episodes.map(episode => [
+    '    <item>',
+    `      ${element('title', episode.details.title)}`,
+    `      <description>${toCdata(episode.notes)}</description>`,
+    `      <guid isPermaLink="false">${escapeXml(episode.guid)}</guid>`,
+    `      ${element('pubDate', new Date(episode.details.publishedAt).toUTCString())}`,
+    `      <enclosure url="${escapeXml(episode.audio.url)}" length="${episode.audio.size}" type="${escapeXml(episode.audio.type)}"/>`,
+    `      ${element('itunes:duration', formatFeedDuration(episode.duration))}`,
+    `      ${element('itunes:episode', episode.details.number)}`,
+    `      ${element('itunes:season', episode.details.season)}`,
+    `      ${element('itunes:explicit', episode.details.explicit ? 'true' : 'false')}`,
+    episode.chaptersUrl ? `      <podcast:chapters url="${escapeXml(episode.chaptersUrl)}" type="application/json+chapters"/>` : '',
+    ...episode.transcripts.map(transcript =>
+      `      <podcast:transcript url="${escapeXml(transcript.url)}" type="${transcript.type}"${transcript.rel ? ` rel="${transcript.rel}"` : ''}/>`),
+    '    </item>'
+  ].filter(line => line.trim()).join('\n'));
+
+  const header = [
+    `    ${element('title', channel.title)}`,
+    `    ${element('link', channel.baseUrl)}`,
+    `    <description>${toCdata(escapeXml(channel.description))}</description>`,
+    `    ${element('language', channel.language)}`,
+    `    ${element('lastBuildDate', new Date().toUTCString())}`,
+    `    <atom:link href="${escapeXml(`${channel.baseUrl}feed.xml`)}" rel="self" type="application/rss+xml"/>`,
+    `    ${element('itunes:author', channel.author)}`,
+    channel.email ? `    <itunes:owner>${element('itunes:name', channel.author)}${element('itunes:email', channel.email)}</itunes:owner>` : '',
+    channel.coverUrl ? `    <itunes:image href="${escapeXml(channel.coverUrl)}"/>` : '',
+    channel.coverUrl ? `    <image><url>${escapeXml(channel.coverUrl)}</url>${element('title', channel.title)}${element('link', channel.baseUrl)}</image>` : '',
+    channel.category ? `    <itunes:category text="${escapeXml(channel.category)}"/>` : '',
+    `    ${element('itunes:explicit', channel.explicit ? 'true' : 'false')}`,
+    '    <itunes:type>episodic</itunes:type>',
+    // A private feed: kept out of directories and not to be imported elsewhere
+    '    <itunes:block>Yes</itunes:block>',
+    '    <podcast:locked>yes</podcast:locked>'
+  ].filter(line => line.trim());
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+${header.join('\n')}
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Make the address the feed will be hosted at usable as a base for links
+ * @param {string} baseUrl - Address as entered
+ * @returns {string} Absolute http(s) address ending in "/"
+ * @throws {Error} When the address is missing or not http(s)
+ */
+function normalizeBaseUrl(baseUrl) {
+  let url;
+  try {
+    url = new URL(String(baseUrl || '').trim());
+  } catch (error) {
+    throw new Error('Enter the web address the feed will be hosted at');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('The feed address must start with http:// or https://');
+  }
+  return url.href.endsWith('/') ? url.href : `${url.href}/`;
+}
+
+/**
+ * Get the audio format episodes are published in
+ * @param {string} formatId - Format ID
+ * @returns {Object} Format; MP3 unless M4A is asked for
+ */
+function getFeedFormat(formatId) {
+  return getExportFormat(FEED_FORMAT_IDS.includes(formatId) ? formatId : FEED_FORMAT_IDS[0]);
+}
+
+/**
+ * Load the channel's cover art as a file for the feed's root
+ * @param {Object} channel - Channel details
+ * @returns {Promise<Object|null>} { name, type, data }, or null without a cover
+ */
+async function loadChannelCover(channel) {
+  const cover = channel.coverId ? await getAssetById(channel.coverId) : null;
+  if (!cover || !cover.blob) return null;
+  return {
+    name: `cover.${COVER_EXTENSIONS[cover.blob.type] || 'jpg'}`,
+    type: cover.blob.type,
+    data: new Uint8Array(await cover.blob.arrayBuffer())
+  };
+}
+
+/**
+ * Encode an episode and write its transcripts and chapters
+ * @param {Object} podcast - Podcast record, with its audio
+ * @param {Object} channel - Channel details with baseUrl ending in "/"
+ * @param {Object} format - Audio format from getFeedFormat()
+ * @param {Object|null} cover - Cover from loadChannelCover()
+ * @param {Function} [progressCallback] - Called with encoding progress as for exportPodcast()
+ * @param {AbortSignal} [signal] - Stops the encoding
+ * @returns {Promise<Object>} { files, episode } where files are { name, type, data } under
+ *   episodes/ and episode is the podcast's entry for createFeedXml()
+ */
+async function buildEpisode(podcast, channel, format, cover, progressCallback = () => {}, signal = null) {
+  const details = getEpisodeDetails(podcast);
+  const articles = (await Promise.all((podcast.articleIds || []).map(id => getArticleById(id).catch(() => null))))
+    .filter(Boolean);
+  const slug = `episodes/${podcast.id}`;
+  const url = name => `${channel.baseUrl}${name}`;
+  const files = [];
+  const addText = (name, type, text) => files.push({ name, type, data: new TextEncoder().encode(text) });
+
+  const blob = await exportPodcast(podcast, {
+    formatId: format.id,
+    bitrate: format.defaultBitrate,
+    metadata: {
+      title: details.title,
+      artist: channel.author || channel.title,
+      album: channel.title,
+      description: details.description || createEpisodeDescription(articles.map(article => article.title || 'Untitled')),
+      cover: cover ? { type: cover.type, data: cover.data } : null
+    }
+  }, progressCallback, signal);
+
+  const audioName = `${slug}.${format.extension}`;
+  files.push({ name: audioName, type: format.mimeType, data: new Uint8Array(await blob.arrayBuffer()) });
+
+  const episode = {
+    details,
+    notes: createShowNotes(details.description, articles),
+    guid: `article-to-audio-${podcast.id}-${podcast.dateCreated || ''}`,
+    duration: podcast.duration || (podcast.timeline ? podcast.timeline.duration : 0),
+    audio: { url: url(audioName), size: blob.size, type: format.mimeType },
+    transcripts: []
+  };
+
+  // Podcasts made before timelines were stored have no timings for chapters or captions
+  if (podcast.timeline && Array.isArray(podcast.timeline.lines)) {
+    const cast = getScriptCast(podcast.settings || {});
+    addText(`${slug}.vtt`, 'text/vtt', timelineToWebVtt(podcast.timeline, cast));
+    addText(`${slug}.srt`, 'application/srt', timelineToSrt(podcast.timeline, cast));
+    episode.transcripts.push(
+      { url: url(`${slug}.vtt`), type: 'text/vtt', rel: 'captions' },
+      { url: url(`${slug}.srt`), type: 'application/srt' }
+    );
+    if (podcast.timeline.chapters.length > 0) {
+      addText(`${slug}.chapters.json`, 'application/json+chapters', createChaptersJson(podcast.timeline));
+      episode.chaptersUrl = url(`${slug}.chapters.json`);
+    }
+  }
+
+  return { files, episode };
+}
+
+/**
+ * Sort feed entries newest first, as feeds list them
+ * @param {Array<Object>} episodes - Entries with details.publishedAt
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortEpisodes(episodes) {
+  return [...episodes].sort((a, b) => new Date(b.details.publishedAt) - new Date(a.details.publishedAt));
+}
+
+/**
+ * Build the feed zip for podcasts
+ * @param {Array<Object>} podcasts - Podcast records, with their audio
+ * @param {Object} channelSettings - Channel details, as DEFAULT_CHANNEL
+ * @param {string} formatId - Audio format: 'mp3' or 'm4a'
+ * @param {Function} [progressCallback] - Called with { message, progress } as a percentage
+ * @param {AbortSignal} [signal] - Stops the export
+ * @returns {Promise<Blob>} Zip file
+ * @throws {Error} When the address is invalid, there are no podcasts or an episode can't be encoded
+ */
+async function exportFeed(podcasts, channelSettings, formatId, progressCallback = () => {}, signal = null) {
+  const channel = { ...DEFAULT_CHANNEL, ...channelSettings, baseUrl: normalizeBaseUrl(channelSettings.baseUrl) };
+  const format = getFeedFormat(formatId);
+  if (podcasts.length === 0) {
+    throw new Error('There are no podcasts to put in the feed');
+  }
+
+  const files = [];
+  const cover = await loadChannelCover(channel);
+  if (cover) {
+    files.push(cover);
+    channel.coverUrl = `${channel.baseUrl}${cover.name}`;
+  }
+
+  const episodes = [];
+  for (let index = 0; index < podcasts.length; index++) {
+    const built = await buildEpisode(podcasts[index], channel, format, cover, (progress) => {
+      progressCallback({
+        message: `Episode ${index + 1} of ${podcasts.length}: ${progress.message}`,
+        progress: Math.round((index + progress.progress / 100) / podcasts.length * 95)
+      });
+    }, signal);
+    files.push(...built.files);
+    episodes.push(built.episode);
+  }
+
+  files.push({ name: 'feed.xml', type: 'application/rss+xml', data: new TextEncoder().encode(createFeedXml(channel, sortEpisodes(episodes))) });
+  progressCallback({ message: 'Writing zip...', progress: 98 });
+  return createZip(files);
+}
+
+export {
+  FEED_SETTINGS_KEY,
+  FEED_FORMAT_IDS,
+  DEFAULT_CHANNEL,
+  getEpisodeDetails,
+  getFeedFormat,
+  normalizeBaseUrl,
+  loadChannelCover,
+  buildEpisode,
+  sortEpisodes,
+  createFeedXml,
+  exportFeed
+};
@@ -0,0 +1,413 @@
+/**
+ * Podcast formats for Article to Audio Extension (Local Version)
+ * A format is the show structure the script prompts follow. Each format has four templates:
+ * introduction, discussion (sent once per article), conclusion, and style, which holds the
+ * tone and dialogue rules and can be pulled into the others with {{style}}.
+ *
+ * Templates use {{variable}} placeholders; see TEMPLATE_VARIABLES. Built-in formats can be
+ * edited, which stores an override with the same id, and new formats can be added. Both are
+ * kept in the 'podcast_formats' setting as an array of formats.
+ */
+
+import { getSetting, saveSetting } from './db.js';
+
+const FORMATS_SETTINGS_KEY = 'podcast_formats';
+
+const DEFAULT_FORMAT_ID = 'banter';
+
+const TEMPLATE_NAMES = ['introduction', 'discussion', 'conclusion', 'style'];
+
+// Placeholders available to every template, with what they are replaced by
+const TEMPLATE_VARIABLES = {
+  hostName: 'Name of the host',
+  cohostName: 'Name of the co-host (guest, opponent or second presenter)',
+  cast: 'Every speaker with their role and persona, one per line',
+  speakerNames: 'Names of every speaker, comma separated',
+  speakerCount: 'Number of speakers in the cast',
+  dialogueFormat: 'The JSON reply format naming each speaker; added at the end of every prompt that does not use it',
+  podcastTitle: 'Title of the episode',
+  articleTitles: 'Titles of all articles, one per line',
+  articleTitleList: 'Titles of all articles, comma separated',
+  articleCount: 'Number of articles in the episode',
+  articleTitle: 'Title of the article being discussed (discussion only)',
+  articleBody: 'Summary or text of the article being discussed (discussion only)',
+  targetWords: 'Word budget for this segment',
+  targetLength: 'Word budget with its speaking time, such as: about 525 words (roughly 3.5 minutes of speech)',
+  articleMinutes: 'Minutes planned for each article',
+  style: 'The format\'s style template'
+};
+
+const BANTER_STYLE = `Tone and Style:
+  - Conversational and engaging, as if speaking directly to the listener.
+  - Use inclusive language to foster a sense of community.
+  - Incorporate light humor or personal anecdotes where appropriate to humanize the discussion.
+
+Additional Guidelines:
+  - Ensure a balanced exchange between the hosts, allowing each to contribute equally.
+  - Use clear and concise language, avoiding jargon unless it's explained.
+  - Aim for smooth transitions between topics to maintain listener interest.
+  - IMPORTANT: DO NOT use terms like "Segment 1" or "Section 2" in the actual dialogue.
+  - Consider the use of rhetorical questions to engage the audience and provoke thought.
+  - ALWAYS refer to the hosts by their actual names ({{speakerNames}}), not as "Host 1" or "Host 2".
+
+Cast:
+{{cast}}
+
+Write it as a real dialogue with a natural conversation flow.`;
+
+const BUILT_IN_FORMATS = [
+  {
+    id: 'banter',
+    name: 'Two-host banter',
+    description: 'Two hosts talk each article through, from background to outlook.',
+    speakers: 2,
+    templates: {
+      introduction: `You are two podcast hosts, {{hostName}} and {{cohostName}}.
+
+Create ONLY the introduction section for a podcast where two hosts engage in a dynamic
+and informative conversation about multiple articles. The introduction should be {{targetLength}}.
+
+Here are the titles of all articles that will be discussed:
+{{articleTitles}}
+
+The introduction should include:
+- {{hostName}} greeting listeners and introducing {{cohostName}}.
+- Brief overview of the episode's topic and its relevance.
+- Mention that today you'll be discussing ALL of these topics: {{articleTitleList}}
+- Create excitement about the full range of articles being covered in this episode.
+- Indicate how much time the episode will spend on each topic (about {{articleMinutes}} minutes apiece).
+
+DO NOT start discussing any specific article yet - this is ONLY the introduction.
+
+{{style}}`,
+      discussion: `You are two podcast hosts, {{hostName}} and {{cohostName}}.
+
+You are in the middle of a podcast episode where you're discussing multiple articles.
+You've already introduced the podcast and now need to create a focused discussion about this specific article:
+
+Title: {{articleTitle}}
+{{articleBody}}
+
+Create a focused discussion about this specific article of {{targetLength}}:
+  - Definition and Background (about a quarter of the segment):
+    - {{hostName}} defines the topic and provides historical context.
+    - {{cohostName}} adds interesting facts or anecdotes related to the topic.
+    - Include sufficient detail to properly introduce the topic to listeners.
+
+  - Current Relevance and Applications (about a third of the segment):
+    - Both hosts discuss how the topic applies in today's world.
+    - Include real-world examples, case studies, or recent news.
+    - Explore multiple areas where this topic has current relevance and impact.
+    - This should be your most detailed section.
+
+  - Challenges and Controversies (about a quarter of the segment):
+    - Hosts explore any debates or challenges associated with the topic.
+    - Present multiple viewpoints to provide a balanced perspective.
+    - Discuss potential solutions or approaches to these challenges.
+
+  - Future Outlook (the remainder):
+    - Hosts speculate on the future developments related to the topic.
+    - Discuss potential innovations or changes on the horizon.
+    - Consider how this might affect listeners or society as a whole.
+
+IMPORTANT:
+- DO NOT create an introduction for the podcast - you're already in the middle of the episode.
+- DO NOT include any conclusion for the overall podcast.
+- DO NOT reference that this is "the first article" or "the next article" or use any numbering.
+- If this isn't the first article, start with a natural transition from a previous topic.
+- CRITICAL: This segment should be {{targetLength}}. The episode is planned around this length, so stay close to it.
+- Spend the words on depth rather than padding - be thorough in your analysis and discussion.
+- Include real dialogue for each point - several exchanges between hosts per subtopic.
+- Addressing the opposite host by name is not required, but feel free to do so if it makes sense in the context of the discussion. But lean towards not using it.
+- Include things like "Hmm", shock responses, and other natural human reactions to the topics WHERE APPLICABLE ONLY.
+
+{{style}}`,
+      conclusion: `You are two podcast hosts, {{hostName}} and {{cohostName}}.
+
+Create ONLY the conclusion section for a podcast where you've just finished discussing these articles:
+{{articleTitles}}
+
+The conclusion should be {{targetLength}} and include:
+- Hosts summarizing key takeaways from the discussions.
+- Encouragement for listeners to reflect on the topics or engage further.
+- Thanking the audience for listening and mentioning any future episodes.
+
+This is ONLY the conclusion - assume all articles have already been thoroughly discussed.
+
+{{style}}`,
+      style: BANTER_STYLE
+    }
+  },
+  {
+    id: 'narrator',
+    name: 'Solo narrator briefing',
+    description: 'One presenter reads a calm, structured briefing.',
+    speakers: 1,
+    templates: {
+      introduction: `You are {{hostName}}, the sole presenter of a spoken briefing.
+
+Write ONLY the opening of today's briefing, {{targetLength}}. Welcome the listener, say that
+the briefing covers {{articleCount}} stories, and name them briefly:
+{{articleTitles}}
+
+Do not start covering any story yet.
+
+{{style}}`,
+      discussion: `You are {{hostName}}, the sole presenter of a spoken briefing, partway through today's episode.
+
+Present this story in {{targetLength}}:
+
+Title: {{articleTitle}}
+{{articleBody}}
+
+Structure:
+- One or two sentences on what happened and why it matters.
+- The key facts, figures and quotes, in order of importance.
+- Context the listener needs to understand the story.
+- What to watch for next.
+
+Do not greet the listener or close the episode; open with a short transition from the previous story.
+
+{{style}}`,
+      conclusion: `You are {{hostName}}, the sole presenter of a spoken briefing.
+
+Write ONLY the close of today's briefing, {{targetLength}}. Recap the single most important point
+from each story below in a sentence each, then thank the listener.
+{{articleTitles}}
+
+{{style}}`,
+      style: `Style:
+  - Clear, calm and measured, like a radio news presenter.
+  - Short sentences that are easy to follow by ear; spell out numbers and abbreviations the way they are spoken.
+  - No headings, bullet points or stage directions.
+
+Every turn is spoken by {{hostName}}.`
+    }
+  },
+  {
+    id: 'interview',
+    name: 'Interview',
+    description: 'The host interviews an expert guest about each article.',
+    speakers: 2,
+    templates: {
+      introduction: `{{hostName}} hosts an interview podcast; today's guest is {{cohostName}}, an expert on the topics below.
+
+Write ONLY the introduction, {{targetLength}}. {{hostName}} welcomes listeners, introduces {{cohostName}}
+and their background, and previews what they will talk about:
+{{articleTitles}}
+
+{{cohostName}} briefly says hello. Do not start the interview proper yet.
+
+{{style}}`,
+      discussion: `{{hostName}} is interviewing {{cohostName}}, an expert guest, partway through the episode.
+
+Write the part of the interview about this article, {{targetLength}}:
+
+Title: {{articleTitle}}
+{{articleBody}}
+
+- {{hostName}} asks open questions, follows up on interesting answers and occasionally pushes back.
+- {{cohostName}} answers with explanation, examples and opinion, drawing on the article.
+- Answers are longer than questions; the guest does most of the talking.
+- Open with {{hostName}} moving the conversation on to this topic. Do not close the episode.
+
+{{style}}`,
+      conclusion: `{{hostName}} is wrapping up an interview with {{cohostName}} after discussing:
+{{articleTitles}}
+
+Write ONLY the close, {{targetLength}}. {{hostName}} asks one last question, {{cohostName}} gives a
+parting thought, and {{hostName}} thanks the guest and the listeners.
+
+{{style}}`,
+      style: `Style:
+  - Curious, respectful and conversational.
+  - The host keeps questions short and specific; the guest explains in plain language.
+
+Cast:
+{{cast}}`
+    }
+  },
+  {
+    id: 'debate',
+    name: 'Debate',
+    description: 'Two hosts take opposing sides on each article.',
+    speakers: 2,
+    templates: {
+      introduction: `{{hostName}} and {{cohostName}} co-host a debate podcast where they take opposing sides on each story.
+
+Write ONLY the introduction, {{targetLength}}. They greet listeners, tease the stories up for debate
+and hint at where they will disagree:
+{{articleTitles}}
+
+{{style}}`,
+      discussion: `{{hostName}} and {{cohostName}} are debating this article partway through their episode:
+
+Title: {{articleTitle}}
+{{articleBody}}
+
+Write the debate, {{targetLength}}.
+- {{hostName}} argues for the article's main claim or the development it describes; {{cohostName}} argues against it.
+- Each opens with their position, then they rebut each other's points with evidence from the article.
+- Keep it sharp but good-natured; concede good points when they are made.
+- End with each giving a one-sentence closing position. Do not close the episode.
+
+{{style}}`,
+      conclusion: `{{hostName}} and {{cohostName}} are finishing a debate episode about:
+{{articleTitles}}
+
+Write ONLY the close, {{targetLength}}. They say where they ended up agreeing and disagreeing,
+invite listeners to decide for themselves, and sign off.
+
+{{style}}`,
+      style: `Style:
+  - Energetic and direct, with quick back-and-forth.
+  - Arguments rest on facts from the articles, not on attacks on the other host.
+
+Cast:
+{{cast}}`
+    }
+  },
+  {
+    id: 'roundup',
+    name: 'News roundup',
+    description: 'A brisk two-presenter roundup of the headlines.',
+    speakers: 2,
+    templates: {
+      introduction: `{{hostName}} and {{cohostName}} present a fast-paced news roundup.
+
+Write ONLY the opening, {{targetLength}}. A quick greeting and a headline rundown of the {{articleCount}} stories:
+{{articleTitles}}
+
+{{style}}`,
+      discussion: `{{hostName}} and {{cohostName}} are presenting a news roundup and have reached this story:
+
+Title: {{articleTitle}}
+{{articleBody}}
+
+Cover it in {{targetLength}}: the headline, the essential facts, and one line on why it matters.
+The presenters hand over to each other briefly; no long tangents. Do not open or close the episode.
+
+{{style}}`,
+      conclusion: `{{hostName}} and {{cohostName}} are closing their news roundup, which covered:
+{{articleTitles}}
+
+Write ONLY the sign-off, {{targetLength}}: a one-line recap of the top story and a goodbye.
+
+{{style}}`,
+      style: `Style:
+  - Brisk, clear and neutral, like a radio bulletin shared by two presenters.
+  - Short sentences; no opinion beyond why a story matters.
+
+Cast:
+{{cast}}`
+    }
+  }
+];
+
+/**
+ * Fill a template's {{variable}} placeholders
+ * Unknown placeholders are left in place so mistakes show up in previews
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder
+  ));
+}
+
+/**
+ * Get a built-in format by ID
+ * @param {string} id - Format ID
+ * @returns {Object|null} Built-in format
+ */
+function getBuiltInFormat(id) {
+  return BUILT_IN_FORMATS.find(format => format.id === id) || null;
+}
+
+/**
+ * Get every format: built-ins (with any saved edits) followed by custom formats
+ * @returns {Promise<Array<Object>>} Formats as { id, name, description, speakers, templates, builtIn, modified }
+ */
+async function getPodcastFormats() {
+  const saved = (await getSetting(FORMATS_SETTINGS_KEY)) || [];
+  const savedById = new Map(saved.map(format => [format.id, format]));
+
+  const builtIns = BUILT_IN_FORMATS.map(format => {
+    const override = savedById.get(format.id);
+    return override
+      ? { ...format, ...override, templates: { ...format.templates, ...override.templates }, builtIn: true, modified: true }
+      : { ...format, builtIn: true, modified: false };
+  });
+
+  const custom = saved
+    .filter(format => !getBuiltInFormat(format.id))
+    .map(format => ({ speakers: 2, ...format, builtIn: false, modified: false }));
+
+  return [...builtIns, ...custom];
+}
+
+/**
+ * Get a format by ID, falling back to the default format
+ * @param {string} [id] - Format ID
+ * @returns {Promise<Object>} Format
+ */
+async function getPodcastFormat(id) {
+  const formats = await getPodcastFormats();
+  return formats.find(format => format.id === id) ||
+    formats.find(format => format.id === DEFAULT_FORMAT_ID);
+}
+
+/**
+ * Save a format; saving a built-in format stores an edited copy over it
+ * @param {Object} format - { id?, name, description, speakers, templates }
+ * @returns {Promise<Object>} Saved format, with its ID
+ */
+async function savePodcastFormat(format) {
+  if (!format.name || !format.name.trim()) {
+    throw new Error('A format needs a name');
+  }
+  const templates = {};
+  TEMPLATE_NAMES.forEach(name => {
+    templates[name] = format.templates && format.templates[name] ? format.templates[name] : '';
+  });
+  if (!templates.discussion.trim()) {
+    throw new Error('A format needs a discussion template');
+  }
+
+  const record = {
+    id: format.id || `custom-${Date.now()}`,
+    name: format.name.trim(),
+    description: format.description || '',
+    speakers: format.speakers === 1 ? 1 : 2,
+    templates
+  };
+
+  const saved = (await getSetting(FORMATS_SETTINGS_KEY)) || [];
+  await saveSetting(FORMATS_SETTINGS_KEY, [...saved.filter(existing => existing.id !== record.id), record]);
+  return record;
+}
+
+/**
+ * Delete a custom format, or drop the edits to a built-in one
+ * @param {string} id - Format ID
+ * @returns {Promise<void>}
+ */
+async function deletePodcastFormat(id) {
+  const saved = (await getSetting(FORMATS_SETTINGS_KEY)) || [];
+  await saveSetting(FORMATS_SETTINGS_KEY, saved.filter(format => format.id !== id));
+}
+
+export {
+  DEFAULT_FORMAT_ID,
+  TEMPLATE_NAMES,
+  TEMPLATE_VARIABLES,
+  BUILT_IN_FORMATS,
+  renderTemplate,
+  getBuiltInFormat,
+  getPodcastFormats,
+  getPodcastFormat,
+  savePodcastFormat,
+  deletePodcastFormat
+};
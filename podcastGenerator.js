@@ -9,64 +9,55 @@ import { estimateAudioDuration, formatDuration } from './utils.js';
 
 /**
  * Generate a podcast from selected articles
- * This is the main function that combines script generation and audio generation
+ * This is the main function that combines script generation and audio generation.
+ * It resolves only once the podcast is saved, so callers that outlive a page (the
+ * background job queue) can await the whole run and checkpoint along the way.
+ * With options.reviewScript a new script is not synthesized; the run stops so the script
+ * can be reviewed and edited, and is synthesized later by passing it back as context.scriptData.
  * @param {Array<number>} articleIds - Array of article IDs
  * @param {Object} options - Generation options
  * @param {Function} progressCallback - Callback for progress updates
- * @returns {Promise<Object>} Script data immediately, with audio generation continuing in background
+ * @param {Object} [context] - Run control
+ * @param {AbortController} [context.abortController] - Controller used to cancel the run
+ * @param {Object} [context.scriptData] - Previously generated script; skips script generation
+ * @param {Function} [context.onScriptGenerated] - Awaited with the script data once it exists
+ * @param {Object} [context.resume] - Audio checkpoint options passed to generatePodcastAudio
+ * @param {Function} [context.mixPodcast] - Mixes the saved podcast, passed to generatePodcastAudio
+ * @returns {Promise<Object>} Script data together with the saved podcast's ID, duration and size,
+ *   or the script data with awaitingReview set when the script is held for review
  */
-async function generatePodcast(articleIds, options = {}, progressCallback = () => {}) {
-  // Create an AbortController for the entire podcast generation process
-  const controller = new AbortController();
+async function generatePodcast(articleIds, options = {}, progressCallback = () => {}, context = {}) {
+  const controller = context.abortController || new AbortController();
   const signal = controller.signal;
   
-  // Add a method to the return value to allow cancellation
-  const cancelPodcastGeneration = () => {
-    console.log('Podcast generation has been cancelled by user');
-    controller.abort();
-    progressCallback({
-      stage: 'cancelled',
-      message: 'Podcast generation cancelled',
-      progress: 0
-    });
-  };
-  
   try {
-    // Generate the script first
-    const scriptData = await generatePodcastScript(articleIds, options, progressCallback, controller);
+    let scriptData = context.scriptData;
     
-    // Add the cancel method to the script data
-    scriptData.cancelGeneration = cancelPodcastGeneration;
+    // Generate the script first, unless a resumed run already has one
+    if (!scriptData) {
+      scriptData = await generatePodcastScript(articleIds, options, progressCallback, controller);
+      if (context.onScriptGenerated) {
+        await context.onScriptGenerated(scriptData);
+      }
+      
+      if (options.reviewScript) {
+        progressCallback({ stage: 'review', message: 'Script ready for review', progress: 60 });
+        return { ...scriptData, awaitingReview: true };
+      }
+    }
     
-    // Start audio generation in the background
-    generatePodcastAudio(scriptData, progressCallback, controller)
-      .then(audioData => {
-        // When audio is complete, update the progress callback
-        if (!signal.aborted) {
-          progressCallback({
-            stage: 'complete',
-            message: 'Podcast generation complete',
-            progress: 100,
-            audioData
-          });
-        }
-      })
-      .catch(error => {
-        // Only report errors that aren't from cancellation
-        if (!signal.aborted) {
-          progressCallback({
-            stage: 'error',
-            message: `Error generating podcast audio: ${error.message}`,
-            error
-          });
-        }
-      });
+    const audioData = await generatePodcastAudio(scriptData, progressCallback, controller, context.resume, context.mixPodcast);
+    
+    progressCallback({
+      stage: 'complete',
+      message: 'Podcast generation complete',
+      progress: 100,
+      audioData: { ...audioData, articleIds }
+    });
     
-    // Return immediately with the script data
     return {
       ...scriptData,
-      audioGenerationInProgress: true,
-      cancelGeneration: cancelPodcastGeneration
+      ...audioData
     };
   } catch (error) {
     if (signal.aborted) {
@@ -0,0 +1,156 @@
+/**
+ * Podcast publishing for Article to Audio Extension (Local Version)
+ * Runs in the offscreen document, where Web Audio and workers are available, so episodes are
+ * encoded as the feed export encodes them. Publishing a podcast uploads its audio,
+ * transcripts and chapters to the publish target, then a feed.xml rebuilt from every
+ * published episode. The target is laid out like the feed zip: feed.xml and the cover at
+ * the root, episode files under episodes/.
+ *
+ * Each podcast's state is stored with it as
+ * podcast.publish = { status, message, error, dateUpdated, publishedAt, entry }
+ * where entry is the episode's item in the feed with links relative to the feed, kept so
+ * the feed can be rebuilt without encoding other episodes again. Every change is broadcast
+ * to extension pages as { action: 'PUBLISH_UPDATED', podcastId, publish }.
+ */
+
+import { getAudioById, updateAudio, getAllPodcasts, getSetting } from './db.js';
+import {
+  FEED_SETTINGS_KEY,
+  DEFAULT_CHANNEL,
+  getEpisodeDetails,
+  getFeedFormat,
+  loadChannelCover,
+  buildEpisode,
+  sortEpisodes,
+  createFeedXml
+} from './podcastFeed.js';
+import { getPublishSettings, getPublicBaseUrl, uploadFile } from './publishTargets.js';
+
+const PUBLISH_STATES = {
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published',
+  FAILED: 'failed'
+};
+
+// Publishes run one at a time, so two of them never rebuild the feed at once
+let publishChain = Promise.resolve();
+
+/**
+ * Store a change to a podcast's publish state and tell open pages
+ * @param {number} podcastId - Podcast ID
+ * @param {Object} changes - Fields of podcast.publish to change
+ * @returns {Promise<Object|null>} New publish state, or null if the podcast is gone
+ */
+async function recordPublishState(podcastId, changes) {
+  const podcast = await getAudioById(podcastId);
+  if (!podcast) return null;
+
+  const publish = { ...(podcast.publish || {}), ...changes, dateUpdated: new Date().toISOString() };
+  await updateAudio({ ...podcast, publish });
+  chrome.runtime.sendMessage({ action: 'PUBLISH_UPDATED', podcastId, publish })
+    .catch(() => {
+      // No page is listening
+    });
+  return publish;
+}
+
+/**
+ * Point a stored feed entry's links at where the feed is served
+ * @param {Object} entry - Entry with links relative to the feed
+ * @param {string} baseUrl - Public address ending in "/"
+ * @returns {Object} Entry with absolute links
+ */
+function resolveEntry(entry, baseUrl) {
+  return {
+    ...entry,
+    audio: { ...entry.audio, url: `${baseUrl}${entry.audio.url}` },
+    chaptersUrl: entry.chaptersUrl ? `${baseUrl}${entry.chaptersUrl}` : undefined,
+    transcripts: entry.transcripts.map(transcript => ({ ...transcript, url: `${baseUrl}${transcript.url}` }))
+  };
+}
+
+/**
+ * Upload a podcast's files, then the rebuilt feed
+ * @param {number} podcastId - Podcast ID
+ * @param {Object} settings - Publish settings
+ * @returns {Promise<Object>} Publish state once published
+ */
+async function uploadPodcast(podcastId, settings) {
+  const podcast = await getAudioById(podcastId);
+  if (!podcast || !podcast.blob) {
+    throw new Error('Podcast audio not found');
+  }
+
+  const feedSettings = (await getSetting(FEED_SETTINGS_KEY)) || {};
+  const channel = { ...DEFAULT_CHANNEL, ...(feedSettings.channel || {}), baseUrl: getPublicBaseUrl(settings) };
+  const cover = await loadChannelCover(channel);
+  if (cover) {
+    channel.coverUrl = `${channel.baseUrl}${cover.name}`;
+  }
+
+  await recordPublishState(podcastId, { message: 'Encoding audio...' });
+  // Built against an empty base so the stored entry keeps working if the address changes
+  const { files, episode } = await buildEpisode(podcast, { ...channel, baseUrl: '' }, getFeedFormat(feedSettings.formatId), cover);
+
+  const onRetry = ({ attempt, maxAttempts, delay }) => recordPublishState(podcastId, {
+    message: `Upload failed, retrying in ${delay / 1000} seconds (attempt ${attempt + 1} of ${maxAttempts})`
+  });
+  for (const file of cover ? [cover, ...files] : files) {
+    await recordPublishState(podcastId, { message: `Uploading ${file.name}...` });
+    await uploadFile(settings, file.name, file.data, file.type, onRetry);
+  }
+
+  // Other episodes keep their stored entries, with details as last edited
+  const entries = (await getAllPodcasts())
+    .filter(other => other.id !== podcastId && other.publish && other.publish.entry)
+    .map(other => ({ ...other.publish.entry, details: getEpisodeDetails(other) }));
+  entries.push(episode);
+
+  await recordPublishState(podcastId, { message: 'Uploading feed.xml...' });
+  const feed = createFeedXml(channel, sortEpisodes(entries.map(entry => resolveEntry(entry, channel.baseUrl))));
+  await uploadFile(settings, 'feed.xml', new TextEncoder().encode(feed), 'application/rss+xml', onRetry);
+
+  return recordPublishState(podcastId, {
+    status: PUBLISH_STATES.PUBLISHED,
+    message: 'Published',
+    error: null,
+    publishedAt: new Date().toISOString(),
+    entry: episode
+  });
+}
+
+/**
+ * Publish a saved podcast to the publish target
+ * Failures are recorded on the podcast before they are thrown.
+ * @param {number} podcastId - Podcast ID
+ * @returns {Promise<Object>} Publish state once published
+ * @throws {Error} When no target is set up or publishing fails
+ */
+function publishStoredPodcast(podcastId) {
+  const run = publishChain.then(async () => {
+    const settings = await getPublishSettings();
+    if (settings.target === 'none') {
+      throw new Error('No publish target is set up');
+    }
+
+    await recordPublishState(podcastId, { status: PUBLISH_STATES.PUBLISHING, message: 'Preparing...', error: null });
+    try {
+      return await uploadPodcast(podcastId, settings);
+    } catch (error) {
+      console.error(`Error publishing podcast ${podcastId}:`, error);
+      await recordPublishState(podcastId, {
+        status: PUBLISH_STATES.FAILED,
+        message: `Failed: ${error.message}`,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+  publishChain = run.catch(() => {});
+  return run;
+}
+
+export {
+  PUBLISH_STATES,
+  publishStoredPodcast
+};
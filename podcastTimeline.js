@@ -0,0 +1,157 @@
+/**
+ * Podcast timelines for Article to Audio Extension (Local Version)
+ * A timeline records when each synthesized line plays and where each chapter starts:
+ * { duration, lines: [{ start, end, speaker, text, section }], chapters: [{ id, title, start, end, articleId? }] }
+ * Times are in seconds from the start of the audio. Chapters follow the script's sections,
+ * so scripts written before sections were recorded have lines but no chapters.
+ *
+ * Timelines can be exported as WebVTT or SRT subtitles, one cue per line.
+ */
+
+/**
+ * Round a time to the millisecond
+ * @param {number} seconds - Time
+ * @returns {number} Rounded time
+ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Lay synthesized segments out end to end
+ * @param {Array<Object>} segments - Segments in playing order as
+ *   { duration, pauseAfter, speaker, text, section }, durations and pauses in seconds
+ * @param {Array<Object>} sections - Sections of the episode from getScriptSections()
+ * @returns {Object} Timeline
+ */
+function createTimeline(segments, sections = []) {
+  const lines = [];
+  let time = 0;
+
+  segments.forEach(segment => {
+    const start = time;
+    const end = start + (segment.duration || 0);
+    time = end + (segment.pauseAfter || 0);
+    lines.push({
+      start: roundTime(start),
+      end: roundTime(end),
+      speaker: segment.speaker,
+      text: segment.text,
+      section: segment.section || null
+    });
+  });
+
+  const duration = roundTime(time);
+  const chapters = [];
+  lines.forEach(line => {
+    const current = chapters[chapters.length - 1];
+    if (!line.section || (current && current.id === line.section)) return;
+
+    if (current) current.end = line.start;
+    const section = sections.find(entry => entry.id === line.section);
+    const chapter = {
+      id: line.section,
+      title: section ? section.title : line.section,
+      // The first chapter covers anything before its first line
+      start: current ? line.start : 0,
+      end: duration
+    };
+    if (section && section.articleId !== undefined) chapter.articleId = section.articleId;
+    chapters.push(chapter);
+  });
+
+  return { duration, lines, chapters };
+}
+
+/**
+ * Find the timeline entry playing at a time
+ * @param {Array<Object>} entries - Lines or chapters of a timeline, in order
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Index of the last entry starting at or before the time, or -1
+ */
+function findTimelineEntry(entries, time) {
+  let found = -1;
+  for (let i = 0; i < entries.length && entries[i].start <= time; i++) {
+    found = i;
+  }
+  return found;
+}
+
+/**
+ * Format a time for a subtitle cue, e.g. "00:01:02.500"
+ * @param {number} seconds - Time
+ * @param {string} separator - Between seconds and milliseconds: '.' for WebVTT, ',' for SRT
+ * @returns {string} Timestamp
+ */
+function formatCueTime(seconds, separator) {
+  const total = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const secs = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Get the name a line is spoken by
+ * @param {Array<Object>} cast - Cast
+ * @param {string} speakerId - Speaker ID
+ * @returns {string} Name
+ */
+function getSpeakerName(cast, speakerId) {
+  const speaker = cast.find(entry => entry.id === speakerId);
+  return speaker ? speaker.name : speakerId;
+}
+
+/**
+ * Write a timeline as WebVTT subtitles
+ * Lines are voiced with the speaker's name, and a note marks where each chapter starts
+ * @param {Object} timeline - Timeline
+ * @param {Array<Object>} cast - Cast the script was written for
+ * @returns {string} WebVTT file
+ */
+function timelineToWebVtt(timeline, cast) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const chapterStarts = new Map(timeline.chapters.map(chapter => [chapter.id, chapter]));
+  const blocks = ['WEBVTT'];
+
+  timeline.lines.forEach((line, index) => {
+    const chapter = chapterStarts.get(line.section);
+    if (chapter) {
+      blocks.push(`NOTE ${chapter.title.replace(/-->/g, '->')}`);
+      chapterStarts.delete(line.section);
+    }
+
+    blocks.push([
+      index + 1,
+      `${formatCueTime(line.start, '.')} --> ${formatCueTime(line.end, '.')}`,
+      `<v ${escape(getSpeakerName(cast, line.speaker))}>${escape(line.text)}`
+    ].join('\n'));
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Write a timeline as SRT subtitles, each cue starting with the speaker's name
+ * @param {Object} timeline - Timeline
+ * @param {Array<Object>} cast - Cast the script was written for
+ * @returns {string} SRT file
+ */
+function timelineToSrt(timeline, cast) {
+  const cues = timeline.lines.map((line, index) => [
+    index + 1,
+    `${formatCueTime(line.start, ',')} --> ${formatCueTime(line.end, ',')}`,
+    `${getSpeakerName(cast, line.speaker)}: ${line.text}`
+  ].join('\n'));
+
+  return `${cues.join('\n\n')}\n`;
+}
+
+export {
+  createTimeline,
+  findTimelineEntry,
+  timelineToWebVtt,
+  timelineToSrt
+};
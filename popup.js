@@ -1,7 +1,8 @@
 // popup.js
 import { saveArticle } from './db.js';
 import { generateSummary, generateTitle } from './openai.js';
-import { getSetting } from './db.js';
+import { getSetting, getAllTags, getAllFolders } from './db.js';
+import { parseTagInput, normalizeFolder } from './collections.js';
 
 /**
  * Show status messages
@@ -98,6 +99,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load voice settings if they exist
     await loadVoiceSettings();
 
+    // Offer existing tags and folders for the article about to be saved
+    await loadOrganizationOptions();
+
     if (saveArticleBtn) {
         saveArticleBtn.addEventListener('click', async () => {
             console.log('Save Article button clicked');
@@ -131,7 +135,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 try {
                     await chrome.scripting.executeScript({
                         target: { tabId: tab.id },
-                        files: ['contentScript.js']
+                        files: ['dist/contentScript.bundle.js']
                     });
                     console.log("Content script injected successfully");
                     
@@ -175,21 +179,49 @@ document.addEventListener('DOMContentLoaded', async () => {
                     return;
                 }
 
-                // Add URL to the article data
+                // Add URL to the article data, and the tab later pages are fetched from
                 articleData.url = tab.url;
+                articleData.tabId = tab.id;
+
+                // Tags and folder picked in the popup
+                articleData.tags = parseTagInput(document.getElementById('saveTagsInput')?.value);
+                articleData.folder = normalizeFolder(document.getElementById('saveFolderInput')?.value);
                 
                 // Show status to user
                 showStatus("Saving article...", "info");
 
                 // Save the article
-                const response = await chrome.runtime.sendMessage({
+                let response = await chrome.runtime.sendMessage({
                     action: "SAVE_ARTICLE",
                     payload: articleData
                 });
 
                 console.log("Response from background script:", response);
 
-                if (response?.success) {
+                // The same story is already in the library; let the user decide
+                if (response?.duplicate) {
+                    const duplicateAction = await askDuplicateAction(response.duplicate);
+                    if (!duplicateAction) {
+                        showStatus("Not saved - this article is already in your library.", "info");
+                        return;
+                    }
+
+                    showStatus("Saving article...", "info");
+                    response = await chrome.runtime.sendMessage({
+                        action: "SAVE_ARTICLE",
+                        payload: {
+                            ...articleData,
+                            duplicateAction,
+                            duplicateOf: response.duplicate.id
+                        }
+                    });
+                }
+
+                if (response?.success && response.duplicateAction === 'merge') {
+                    showStatus("Merged into the saved copy!", "success");
+                } else if (response?.success && response.duplicateAction === 'replace') {
+                    showStatus("Saved copy replaced!", "success");
+                } else if (response?.success) {
                     showStatus("Article saved successfully!", "success");
                 } else {
                     console.error("Error details:", response);
@@ -266,3 +298,73 @@ async function loadVoiceSettings() {
         console.error('Error loading voice settings:', error);
     }
 }
+
+/**
+ * Ask what to do with an article that is already saved
+ * @param {Object} duplicate - Existing article: { id, title, dateAdded, reason }
+ * @returns {Promise<string|null>} 'merge', 'replace', 'keep-both', or null to cancel
+ */
+function askDuplicateAction(duplicate) {
+    const notice = document.getElementById('duplicateNotice');
+    const message = document.getElementById('duplicateMessage');
+    const savedDate = new Date(duplicate.dateAdded).toLocaleDateString();
+    const how = duplicate.reason === 'url' ? 'from the same page' : 'with nearly the same text';
+
+    message.textContent = `Already saved ${how} as "${duplicate.title || 'Untitled Article'}" on ${savedDate}.`;
+    notice.style.display = 'block';
+
+    return new Promise(resolve => {
+        notice.querySelectorAll('button[data-action]').forEach(button => {
+            button.onclick = () => {
+                notice.style.display = 'none';
+                resolve(button.dataset.action || null);
+            };
+        });
+    });
+}
+
+/**
+ * Load existing tags and folders so they can be picked at save time
+ */
+async function loadOrganizationOptions() {
+    try {
+        const tagsInput = document.getElementById('saveTagsInput');
+        const suggestions = document.getElementById('tagSuggestions');
+        const folderOptions = document.getElementById('folderOptions');
+        if (!tagsInput || !suggestions || !folderOptions) return;
+
+        const [tags, folders] = await Promise.all([getAllTags(), getAllFolders()]);
+
+        folders.forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder;
+            folderOptions.appendChild(option);
+        });
+
+        // Clicking a suggestion toggles it in the comma-separated input
+        const renderSuggestions = () => {
+            const selected = parseTagInput(tagsInput.value);
+            suggestions.innerHTML = '';
+            tags.forEach(tag => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `tag-suggestion${selected.includes(tag) ? ' selected' : ''}`;
+                button.textContent = tag;
+                button.addEventListener('click', () => {
+                    const current = parseTagInput(tagsInput.value);
+                    const next = current.includes(tag)
+                        ? current.filter(existing => existing !== tag)
+                        : [...current, tag];
+                    tagsInput.value = next.join(', ');
+                    renderSuggestions();
+                });
+                suggestions.appendChild(button);
+            });
+        };
+
+        tagsInput.addEventListener('input', renderSuggestions);
+        renderSuggestions();
+    } catch (error) {
+        console.error('Error loading tags and folders:', error);
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * Publish targets for Article to Audio Extension (Local Version)
+ * Episodes can be uploaded to the user's own WebDAV server or S3-compatible bucket (AWS S3,
+ * MinIO, Cloudflare R2...). Requests are made from the extension: WebDAV with Basic auth,
+ * S3 signed with AWS Signature Version 4. Files are addressed by paths relative to the
+ * target's root, e.g. "episodes/12.mp3", and failed requests are retried with backoff.
+ *
+ * The target is stored in the 'publish_target' setting:
+ * { target, autoPublish, publicUrl, webdav: { url, username, password },
+ *   s3: { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, pathStyle } }
+ * publicUrl is where listeners fetch the files from; it defaults to the target's own address.
+ */
+
+import { getSetting } from './db.js';
+
+const PUBLISH_SETTINGS_KEY = 'publish_target';
+
+const PUBLISH_TARGET_DEFINITIONS = {
+  none: { label: 'Off' },
+  webdav: { label: 'WebDAV' },
+  s3: { label: 'S3-compatible storage' }
+};
+
+const DEFAULT_PUBLISH_SETTINGS = {
+  target: 'none',
+  autoPublish: true,
+  publicUrl: '',
+  webdav: { url: '', username: '', password: '' },
+  s3: {
+    endpoint: '',
+    region: 'us-east-1',
+    bucket: '',
+    prefix: '',
+    accessKeyId: '',
+    secretAccessKey: '',
+    // MinIO and most self-hosted servers only answer path-style requests
+    pathStyle: true
+  }
+};
+
+// Attempts per request, waiting RETRY_BASE_DELAY_MS, then twice that, and so on in between
+const MAX_REQUEST_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Statuses worth retrying besides 5xx: timeouts and rate limits
+const RETRY_STATUSES = [408, 425, 429];
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Get the stored publish target, filled in with defaults
+ * @returns {Promise<Object>} Publish settings
+ */
+async function getPublishSettings() {
+  const stored = (await getSetting(PUBLISH_SETTINGS_KEY)) || {};
+  const settings = {
+    ...DEFAULT_PUBLISH_SETTINGS,
+    ...stored,
+    webdav: { ...DEFAULT_PUBLISH_SETTINGS.webdav, ...(stored.webdav || {}) },
+    s3: { ...DEFAULT_PUBLISH_SETTINGS.s3, ...(stored.s3 || {}) }
+  };
+  if (!PUBLISH_TARGET_DEFINITIONS[settings.target]) {
+    settings.target = DEFAULT_PUBLISH_SETTINGS.target;
+  }
+  return settings;
+}
+
+/**
+ * Percent-encode text as AWS and WebDAV servers expect: everything but A-Z a-z 0-9 - _ . ~
+ * @param {string} text - Text
+ * @returns {string} Encoded text
+ */
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Encode a file path, keeping its "/" separators
+ * @param {string} path - Path
+ * @returns {string} Encoded path
+ */
+function encodePath(path) {
+  return path.split('/').map(encodeRfc3986).join('/');
+}
+
+/**
+ * Parse an http(s) address from the options page
+ * @param {string} address - Address as entered
+ * @param {string} label - Field name for errors
+ * @returns {URL} Address
+ * @throws {Error} When the address is missing or not http(s)
+ */
+function parseHttpUrl(address, label) {
+  let url;
+  try {
+    url = new URL(String(address || '').trim());
+  } catch (error) {
+    throw new Error(`Enter the ${label}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`The ${label} must start with http:// or https://`);
+  }
+  return url;
+}
+
+/**
+ * Get the address of the target's root, where a path is appended to address a file
+ * @param {Object} settings - Publish settings
+ * @returns {string} Address ending in "/"
+ * @throws {Error} When the target is off or incomplete
+ */
+function getTargetBaseUrl(settings) {
+  if (settings.target === 'webdav') {
+    const url = parseHttpUrl(settings.webdav.url, 'WebDAV folder address');
+    return url.href.endsWith('/') ? url.href : `${url.href}/`;
+  }
+
+  if (settings.target === 's3') {
+    const { s3 } = settings;
+    const endpoint = parseHttpUrl(s3.endpoint, 'S3 endpoint');
+    const bucket = s3.bucket.trim();
+    if (!bucket) {
+      throw new Error('Enter the S3 bucket name');
+    }
+    const prefix = s3.prefix.split('/').filter(Boolean).map(encodeRfc3986).join('/');
+    const host = s3.pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+    const path = [s3.pathStyle ? encodeRfc3986(bucket) : '', prefix].filter(Boolean).join('/');
+    return `${endpoint.protocol}//${host}/${path ? `${path}/` : ''}`;
+  }
+
+  throw new Error('No publish target is set up');
+}
+
+/**
+ * Get the address listeners fetch published files from
+ * @param {Object} settings - Publish settings
+ * @returns {string} Address ending in "/"
+ */
+function getPublicBaseUrl(settings) {
+  if (!settings.publicUrl.trim()) {
+    return getTargetBaseUrl(settings);
+  }
+  const url = parseHttpUrl(settings.publicUrl, 'public address');
+  return url.href.endsWith('/') ? url.href : `${url.href}/`;
+}
+
+/**
+ * Convert bytes to lowercase hex
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} Hex
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Hash bytes or text with SHA-256
+ * @param {Uint8Array|string} data - Data
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256(data) {
+  const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Sign text with HMAC-SHA256
+ * @param {ArrayBuffer|Uint8Array} key - Key
+ * @param {string} text - Text
+ * @returns {Promise<ArrayBuffer>} Signature
+ */
+async function hmac(key, text) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, textEncoder.encode(text));
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * Every header given is signed, along with the URL's host.
+ * @param {Object} request - { method, url, headers, payloadHash } where headers has lowercase
+ *   names and includes x-amz-date
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @returns {Promise<string>} Authorization header
+ */
+async function signAwsRequest({ method, url, headers, payloadHash }, { accessKeyId, secretAccessKey, region, service }) {
+  const parsed = new URL(url);
+  const amzDate = headers['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+
+  const signedHeaders = { ...headers, host: parsed.host };
+  const headerNames = Object.keys(signedHeaders).sort();
+  const canonicalHeaders = headerNames
+    .map(name => `${name}:${String(signedHeaders[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const canonicalQuery = Array.from(parsed.searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  // The path is already encoded as the URL carries it
+  const canonicalRequest = [
+    method,
+    parsed.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256(canonicalRequest)].join('\n');
+
+  let key = textEncoder.encode(`AWS4${secretAccessKey}`);
+  for (const part of [amzDate.slice(0, 8), region, service, 'aws4_request']) {
+    key = await hmac(key, part);
+  }
+  const signature = toHex(await hmac(key, stringToSign));
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+}
+
+/**
+ * Build a request to the target
+ * S3 requests are signed when built, so each attempt builds a new one.
+ * @param {Object} settings - Publish settings
+ * @param {string} method - HTTP method
+ * @param {string} path - File path from the target's root
+ * @param {Uint8Array} [body] - Request body
+ * @param {string} [contentType] - Body type
+ * @returns {Promise<Object>} { url, init } for fetch()
+ */
+async function createTargetRequest(settings, method, path, body = null, contentType = '') {
+  const url = `${getTargetBaseUrl(settings)}${encodePath(path)}`;
+  const headers = {};
+  if (contentType) {
+    headers['content-type'] = contentType;
+  }
+
+  if (settings.target === 'webdav') {
+    const { username, password } = settings.webdav;
+    if (username) {
+      // btoa only takes Latin-1, so credentials are encoded as UTF-8 bytes first
+      const credentials = textEncoder.encode(`${username}:${password}`);
+      headers.authorization = `Basic ${btoa(String.fromCharCode.apply(null, credentials))}`;
+    }
+  } else {
+    const { s3 } = settings;
+    if (!s3.accessKeyId || !s3.secretAccessKey) {
+      throw new Error('Enter the S3 access key and secret key');
+    }
+    headers['x-amz-date'] = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    headers['x-amz-content-sha256'] = await sha256(body || new Uint8Array(0));
+    headers.authorization = await signAwsRequest({
+      method,
+      url,
+      headers: { ...headers },
+      payloadHash: headers['x-amz-content-sha256']
+    }, {
+      accessKeyId: s3.accessKeyId,
+      secretAccessKey: s3.secretAccessKey,
+      region: s3.region.trim() || DEFAULT_PUBLISH_SETTINGS.s3.region,
+      service: 's3'
+    });
+  }
+
+  return { url, init: { method, headers, body } };
+}
+
+/**
+ * Read the reason a server gave for refusing a request
+ * S3 answers with an XML <Error>; WebDAV servers vary, so only the status is used for them.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Reason
+ */
+async function getResponseError(response) {
+  const text = await response.text().catch(() => '');
+  const message = text.match(/<Message>([\s\S]*?)<\/Message>/);
+  return message ? message[1] : `${response.status} ${response.statusText}`.trim();
+}
+
+/**
+ * Send a request to the target, retrying network errors, timeouts, rate limits and server
+ * errors with exponential backoff
+ * @param {Object} settings - Publish settings
+ * @param {string} method - HTTP method
+ * @param {string} path - File path from the target's root
+ * @param {Object} [options] - { body, contentType, acceptStatuses, onRetry } where
+ *   acceptStatuses are failure statuses to treat as success and onRetry is called with
+ *   { attempt, maxAttempts, delay, error } before waiting
+ * @returns {Promise<Response>} Response
+ * @throws {Error} When the request fails for good
+ */
+async function sendTargetRequest(settings, method, path, options = {}) {
+  const { body = null, contentType = '', acceptStatuses = [], onRetry = () => {} } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    const { url, init } = await createTargetRequest(settings, method, path, body, contentType);
+    let error;
+    let retryable = true;
+
+    try {
+      const response = await fetch(url, init);
+      if (response.ok || acceptStatuses.includes(response.status)) {
+        return response;
+      }
+      error = new Error(`${method} ${path} failed: ${await getResponseError(response)}`);
+      retryable = response.status >= 500 || RETRY_STATUSES.includes(response.status);
+    } catch (fetchError) {
+      // fetch only rejects when the server couldn't be reached
+      error = new Error(`${method} ${path} failed: ${fetchError.message}`);
+    }
+
+    if (!retryable || attempt >= MAX_REQUEST_ATTEMPTS) {
+      throw error;
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    console.warn(`${error.message}; retrying in ${delay / 1000} seconds`);
+    onRetry({ attempt, maxAttempts: MAX_REQUEST_ATTEMPTS, delay, error });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Upload a file to the target, replacing any file at the same path
+ * WebDAV servers don't create folders on upload, so the file's folders are made first.
+ * @param {Object} settings - Publish settings
+ * @param {string} path - File path from the target's root
+ * @param {Uint8Array} data - File contents
+ * @param {string} contentType - File type
+ * @param {Function} [onRetry] - Called before a failed request is retried, as for sendTargetRequest()
+ * @returns {Promise<void>}
+ */
+async function uploadFile(settings, path, data, contentType, onRetry = () => {}) {
+  if (settings.target === 'webdav') {
+    const folders = path.split('/').slice(0, -1);
+    for (let i = 1; i <= folders.length; i++) {
+      // 405 means the folder is already there
+      await sendTargetRequest(settings, 'MKCOL', `${folders.slice(0, i).join('/')}/`, {
+        acceptStatuses: [405],
+        onRetry
+      });
+    }
+  }
+
+  await sendTargetRequest(settings, 'PUT', path, { body: data, contentType, onRetry });
+}
+
+/**
+ * Check the target accepts uploads by writing and removing a small file
+ * @param {Object} settings - Publish settings
+ * @returns {Promise<void>}
+ * @throws {Error} When the file can't be written
+ */
+async function testPublishTarget(settings) {
+  const path = '.article-to-audio-test';
+  await sendTargetRequest(settings, 'PUT', path, {
+    body: textEncoder.encode(new Date().toISOString()),
+    contentType: 'text/plain'
+  });
+  // A server that allows writing but not deleting is still usable
+  await sendTargetRequest(settings, 'DELETE', path, { acceptStatuses: [403, 404, 405] });
+}
+
+export {
+  PUBLISH_SETTINGS_KEY,
+  PUBLISH_TARGET_DEFINITIONS,
+  DEFAULT_PUBLISH_SETTINGS,
+  getPublishSettings,
+  getTargetBaseUrl,
+  getPublicBaseUrl,
+  signAwsRequest,
+  uploadFile,
+  testPublishTarget
+};
@@ -2,23 +2,41 @@
  * Script generation functions for podcast generation
  */
 
-import { 
-  assembleFullScript, 
-  parseScriptIntoLines 
-} from './openai.js';
+import {
+  requestDialogue,
+  dialogueToScript,
+  assembleDialogueScript,
+  dialogueToLines
+} from './dialogueScript.js';
 
 import {
   getArticleById,
   updateArticle,
-  getSetting
+  organizeArticles
 } from './db.js';
 
+import { ARTICLE_STATUS } from './articleStatus.js';
+
+import { getLlmProvider } from './llmProviders.js';
+
 import {
   createIntroPrompt,
   createArticlePrompt,
   createConclusionPrompt
 } from './promptTemplates.js';
 
+import {
+  countScriptWords,
+  estimateScriptMinutes,
+  calculateWordBudgets,
+  compareToTarget,
+  describeLengthComparison
+} from './scriptLength.js';
+
+import { DEFAULT_FORMAT_ID, getPodcastFormat } from './podcastFormats.js';
+
+import { normalizeCast, getScriptCast, castToVoiceMap, castToHostNames } from './cast.js';
+
 import { executeWithTimeout } from './utils.js';
 
 /**
@@ -47,16 +65,24 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
     title: 'Generated Podcast',
     includeIntroduction: true,
     includeConclusion: true,
-    model: 'gpt-3.5-turbo',
     maxTokens: 4096,
     temperature: 0.7,
-    timeoutSeconds: 60
+    timeoutSeconds: 60,
+    turnPauseSeconds: 0.3, // Silence added where the speaker changes
+    mix: null, // Loudness normalization after synthesis: { normalize, targetLufs }
+    targetMinutes: null, // Episode length to aim for; null keeps the default segment lengths
+    formatId: DEFAULT_FORMAT_ID
   };
   
   // Merge options
   const settings = { ...defaultOptions, ...options };
   
   try {
+    // The cast decides who speaks; voiceMap and hostNames are kept for older readers of the settings
+    settings.cast = normalizeCast(getScriptCast(settings));
+    settings.voiceMap = castToVoiceMap(settings.cast);
+    settings.hostNames = castToHostNames(settings.cast);
+    
     // Check for abortion before starting
     if (signal.aborted) {
       throw new Error('Operation was cancelled');
@@ -86,14 +112,23 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
       settings.title = `Podcast: ${articles.map(a => a.title).join(', ')}`.substring(0, 100);
     }
     
-    // Get OpenAI API key
-    const openaiApiKey = await getSetting('openai_api_key');
-    if (!openaiApiKey) {
-      throw new Error('OpenAI API key not found in settings');
-    }
+    // Divide the target length across the segments the prompts will ask for
+    settings.wordBudgets = calculateWordBudgets({
+      targetMinutes: settings.targetMinutes,
+      articleCount: articles.length,
+      includeIntroduction: settings.includeIntroduction,
+      includeConclusion: settings.includeConclusion
+    });
+    
+    // The prompts follow the chosen format's templates
+    settings.format = await getPodcastFormat(settings.formatId);
+    settings.articleTitles = articles.map(article => article.title);
+    
+    // Every section is written by the configured language model
+    const llmProvider = await getLlmProvider();
     
     // Generate introduction if enabled
-    let introduction = '';
+    let introduction = [];
     if (settings.includeIntroduction) {
       // Check for cancellation before generating introduction
       if (signal.aborted) {
@@ -101,7 +136,7 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
       }
       
       progressCallback({ stage: 'introduction', message: 'Generating introduction...', progress: 15 });
-      introduction = await generateIntroduction(articles, openaiApiKey, settings, controller);
+      introduction = tagSection(await generateIntroduction(articles, llmProvider, settings, controller), 'introduction');
     }
     
     // Generate article discussions
@@ -119,20 +154,23 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
         progress: progressPercent 
       });
       
-      const script = await generateArticleDiscussion(articles[i], openaiApiKey, settings, controller);
-      articleScripts.push(script);
+      const turns = tagSection(
+        await generateArticleDiscussion(articles[i], llmProvider, settings, controller),
+        getArticleSection(articles[i].id)
+      );
+      articleScripts.push(turns);
       
       // Update article with script if it doesn't have one yet
       if (!articles[i].podcastScript) {
         await updateArticle({
           ...articles[i],
-          podcastScript: script
+          podcastScript: dialogueToScript(turns, settings.cast)
         });
       }
     }
     
     // Generate conclusion if enabled
-    let conclusion = '';
+    let conclusion = [];
     if (settings.includeConclusion) {
       // Check for cancellation before generating conclusion
       if (signal.aborted) {
@@ -140,7 +178,7 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
       }
       
       progressCallback({ stage: 'conclusion', message: 'Generating conclusion...', progress: 55 });
-      conclusion = await generateConclusion(articles, openaiApiKey, settings, controller);
+      conclusion = tagSection(await generateConclusion(articles, llmProvider, settings, controller), 'conclusion');
     }
     
     // Check for cancellation before final assembly
@@ -150,17 +188,32 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
     
     // Assemble full script
     progressCallback({ stage: 'script', message: 'Assembling podcast script...', progress: 60 });
-    const fullScript = assembleFullScript(introduction, articleScripts, conclusion);
+    const dialogue = [...introduction, ...articleScripts.flat(), ...conclusion];
+    const { script: fullScript, lines, lengthReport } = assembleScript(dialogue, settings);
+    
+    console.log(`Script length: ${lengthReport.wordCount} words, ${describeLengthComparison(lengthReport)}`);
+    progressCallback({
+      stage: 'script',
+      message: `Script ready: ${describeLengthComparison(lengthReport)}`,
+      progress: 60,
+      lengthReport
+    });
     
-    // Parse script into lines
-    const lines = parseScriptIntoLines(fullScript, settings);
+    // The articles are now covered by a podcast; a status failure shouldn't lose the script
+    try {
+      await organizeArticles(articleIds, { advanceStatus: ARTICLE_STATUS.IN_PODCAST });
+    } catch (error) {
+      console.error('Error updating article status:', error);
+    }
     
     return {
       title: settings.title,
       articleIds: articleIds,
       script: fullScript,
+      dialogue,
       lines: lines,
-      settings: settings
+      settings: settings,
+      lengthReport
     };
   } catch (error) {
     if (signal.aborted) {
@@ -174,15 +227,93 @@ async function generatePodcastScript(articleIds, options = {}, progressCallback
   }
 }
 
+/**
+ * Get the section key of an article's discussion
+ * @param {number} articleId - Article ID
+ * @returns {string} Section key
+ */
+function getArticleSection(articleId) {
+  return `article-${articleId}`;
+}
+
+/**
+ * List the sections of an episode in the order they are spoken
+ * @param {Array<number>} articleIds - Article IDs
+ * @param {Array<string>} [articleTitles] - Titles of the articles, in the same order
+ * @returns {Array<Object>} Sections as { id, title, articleId? }
+ */
+function getScriptSections(articleIds, articleTitles = []) {
+  return [
+    { id: 'introduction', title: 'Introduction' },
+    ...articleIds.map((articleId, index) => ({
+      id: getArticleSection(articleId),
+      title: articleTitles[index] || `Article ${index + 1}`,
+      articleId
+    })),
+    { id: 'conclusion', title: 'Conclusion' }
+  ];
+}
+
+/**
+ * Mark turns as belonging to a section of the episode
+ * @param {Array<Object>} turns - Dialogue turns
+ * @param {string} section - 'introduction', 'conclusion' or an article section key
+ * @returns {Array<Object>} Turns with their section
+ */
+function tagSection(turns, section) {
+  return turns.map(turn => ({ ...turn, section }));
+}
+
+/**
+ * Build the script text, audio lines and length report for a dialogue
+ * Used for new scripts and again whenever a script is edited before synthesis
+ * @param {Array<Object>} dialogue - Turns of the episode, with their sections
+ * @param {Object} settings - Script settings with the cast and word budgets
+ * @returns {Object} { script, lines, lengthReport }
+ */
+function assembleScript(dialogue, settings) {
+  const script = assembleDialogueScript(dialogue, settings.cast);
+  
+  // The audio stage synthesizes the dialogue turn by turn
+  const lines = dialogueToLines(dialogue);
+  
+  // Check how close the script came to the requested length
+  const targetMinutes = settings.wordBudgets ? settings.wordBudgets.targetMinutes : null;
+  const lengthReport = {
+    wordCount: countScriptWords(script),
+    ...compareToTarget(estimateScriptMinutes(script), targetMinutes)
+  };
+  
+  return { script, lines, lengthReport };
+}
+
+/**
+ * Write one article's discussion again, for a script under review
+ * @param {number} articleId - Article ID
+ * @param {Object} settings - Settings the script was generated with
+ * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
+ * @returns {Promise<Array<Object>>} New turns for the article's section
+ */
+async function regenerateArticleDiscussion(articleId, settings, abortController = null) {
+  const article = await getArticleById(articleId);
+  if (!article) {
+    throw new Error(`Article with ID ${articleId} not found`);
+  }
+  
+  const llmProvider = await getLlmProvider();
+  const turns = await generateArticleDiscussion(article, llmProvider, settings, abortController);
+  return tagSection(turns, getArticleSection(articleId));
+}
+
 /**
  * Generate introduction script for a podcast
  * @param {Array<object>} articles - Array of articles with titles
- * @param {string} openaiApiKey - OpenAI API key
+ * @param {Object} llmProvider - Language model provider from getLlmProvider()
  * @param {object} settings - Settings object
  * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
- * @returns {Promise<string>} Generated introduction script
+ * @returns {Promise<Array<Object>>} Introduction dialogue turns
  */
-async function generateIntroduction(articles, openaiApiKey, settings, abortController = null) {
+async function generateIntroduction(articles, llmProvider, settings, abortController = null) {
   // Use provided abort controller or create a new one
   const controller = abortController || new AbortController();
   const signal = controller.signal;
@@ -193,53 +324,33 @@ async function generateIntroduction(articles, openaiApiKey, settings, abortContr
   // Create introduction prompt
   const introPrompt = createIntroPrompt(allArticleTitles, settings);
 
-  // Introduction request
-  const introRequest = {
-    model: settings.model,
-    messages: [
-      {
-        role: 'system',
-        content: introPrompt
-      }
-    ],
-    max_tokens: settings.maxTokens,
-    temperature: settings.temperature
-  };
-  
   try {
     // Check if already aborted
     if (signal.aborted) {
       throw new Error('Operation was cancelled');
     }
     
-    console.log(`[${new Date().toISOString()}] Starting OpenAI API call for introduction`);
+    console.log(`[${new Date().toISOString()}] Starting ${llmProvider.label} call for introduction`);
     
-    // Execute with timeout and abort controller
-    const introResponse = await executeWithTimeout(
-      async () => {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${openaiApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(introRequest),
-          signal: signal  // Pass the abort signal to fetch
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(`OpenAI API error: ${response.status} - ${JSON.stringify(errorData)}`);
-        }
-        
-        return await response.json();
-      },
-      settings.timeoutSeconds * 1000,
-      signal
+    // Request the dialogue; every attempt gets its own timeout
+    const introScript = await requestDialogue(
+      (messages) => executeWithTimeout(
+        () => llmProvider.complete({
+          stage: 'introduction',
+          system: introPrompt,
+          messages,
+          responseFormat: 'json',
+          maxTokens: settings.maxTokens,
+          temperature: settings.temperature,
+          signal
+        }),
+        settings.timeoutSeconds * 1000,
+        signal
+      ),
+      settings.cast
     );
     
-    console.log(`[${new Date().toISOString()}] Completed OpenAI API call for introduction`);
-    const introScript = introResponse.choices[0].message.content.trim();
+    console.log(`[${new Date().toISOString()}] Completed ${llmProvider.label} call for introduction`);
     console.log("Introduction generated");
     return introScript;
   } catch (error) {
@@ -255,12 +366,12 @@ async function generateIntroduction(articles, openaiApiKey, settings, abortContr
 /**
  * Generate article discussion script for a podcast
  * @param {object} article - Article with title and content/summary
- * @param {string} openaiApiKey - OpenAI API key
+ * @param {Object} llmProvider - Language model provider from getLlmProvider()
  * @param {object} settings - Settings object
  * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
- * @returns {Promise<string>} Generated article discussion script
+ * @returns {Promise<Array<Object>>} Article discussion dialogue turns
  */
-async function generateArticleDiscussion(article, openaiApiKey, settings, abortController = null) {
+async function generateArticleDiscussion(article, llmProvider, settings, abortController = null) {
   // Use provided abort controller or create a new one
   const controller = abortController || new AbortController();
   const signal = controller.signal;
@@ -268,64 +379,46 @@ async function generateArticleDiscussion(article, openaiApiKey, settings, abortC
   console.log(`Generating discussion for article: ${article.title}`);
   
   // Create prompt for this specific article
-  const articlePrompt = createArticlePrompt(article, settings);
+  const articlePrompt = createArticlePrompt(article, settings, settings.articleTitles);
 
-  // Create article request
-  const articleRequest = {
-    model: settings.model,
-    messages: [
-      {
-        role: 'system',
-        content: articlePrompt
-      }
-    ],
-    max_tokens: settings.maxTokens,
-    temperature: settings.temperature
-  };
-  
   try {
     // Check if already aborted
     if (signal.aborted) {
       throw new Error('Operation was cancelled');
     }
     
-    console.log(`[${new Date().toISOString()}] Starting OpenAI API call for article discussion`);
+    console.log(`[${new Date().toISOString()}] Starting ${llmProvider.label} call for article discussion`);
     
-    // Execute with timeout and abort controller
-    const articleResponse = await executeWithTimeout(
-      async () => {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${openaiApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(articleRequest),
-          signal: signal  // Pass the abort signal to fetch
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(`OpenAI API error: ${response.status} - ${JSON.stringify(errorData)}`);
-        }
-        
-        return await response.json();
-      },
-      settings.timeoutSeconds * 1000,
-      signal
+    // Request the dialogue; every attempt gets its own timeout
+    const articleScript = await requestDialogue(
+      (messages) => executeWithTimeout(
+        () => llmProvider.complete({
+          stage: 'discussion',
+          system: articlePrompt,
+          messages,
+          responseFormat: 'json',
+          maxTokens: settings.maxTokens,
+          temperature: settings.temperature,
+          signal
+        }),
+        settings.timeoutSeconds * 1000,
+        signal
+      ),
+      settings.cast
     );
     
-    console.log(`[${new Date().toISOString()}] Completed OpenAI API call for article discussion`);
-    const articleScript = articleResponse.choices[0].message.content.trim();
+    console.log(`[${new Date().toISOString()}] Completed ${llmProvider.label} call for article discussion`);
     
     // Calculate and log the word count and estimated time
-    const wordCount = articleScript.split(/\s+/).length;
-    const estimatedMinutes = (wordCount / 150).toFixed(2); // Assuming ~150 words per minute for podcasts
+    const scriptText = dialogueToScript(articleScript, settings.cast);
+    const wordCount = countScriptWords(scriptText);
+    const estimatedMinutes = estimateScriptMinutes(scriptText).toFixed(2);
     console.log(`Discussion generated: ${wordCount} words, ~${estimatedMinutes} minutes`);
     
-    // If the content seems too short, log a warning
-    if (wordCount < 500) {
-      console.warn(`WARNING: Article discussion may be too short at ${wordCount} words (target: 525-550+ words)`);
+    // If the content is well short of its budget, log a warning
+    const wordBudget = settings.wordBudgets ? settings.wordBudgets.discussion : 525;
+    if (wordCount < wordBudget * 0.85) {
+      console.warn(`WARNING: Article discussion may be too short at ${wordCount} words (target: about ${wordBudget} words)`);
     }
     
     return articleScript;
@@ -342,12 +435,12 @@ async function generateArticleDiscussion(article, openaiApiKey, settings, abortC
 /**
  * Generate conclusion script for a podcast
  * @param {Array<object>} articles - Array of articles with titles
- * @param {string} openaiApiKey - OpenAI API key
+ * @param {Object} llmProvider - Language model provider from getLlmProvider()
  * @param {object} settings - Settings object
  * @param {AbortController} [abortController] - Optional AbortController to cancel the operation
- * @returns {Promise<string>} Generated conclusion script
+ * @returns {Promise<Array<Object>>} Conclusion dialogue turns
  */
-async function generateConclusion(articles, openaiApiKey, settings, abortController = null) {
+async function generateConclusion(articles, llmProvider, settings, abortController = null) {
   // Use provided abort controller or create a new one
   const controller = abortController || new AbortController();
   const signal = controller.signal;
@@ -358,53 +451,33 @@ async function generateConclusion(articles, openaiApiKey, settings, abortControl
   // Create conclusion prompt
   const conclusionPrompt = createConclusionPrompt(allArticleTitles, settings);
 
-  // Create conclusion request
-  const conclusionRequest = {
-    model: settings.model,
-    messages: [
-      {
-        role: 'system',
-        content: conclusionPrompt
-      }
-    ],
-    max_tokens: settings.maxTokens,
-    temperature: settings.temperature
-  };
-  
   try {
     // Check if already aborted
     if (signal.aborted) {
       throw new Error('Operation was cancelled');
     }
     
-    console.log(`[${new Date().toISOString()}] Starting OpenAI API call for conclusion`);
+    console.log(`[${new Date().toISOString()}] Starting ${llmProvider.label} call for conclusion`);
     
-    // Execute with timeout and abort controller
-    const conclusionResponse = await executeWithTimeout(
-      async () => {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${openaiApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(conclusionRequest),
-          signal: signal  // Pass the abort signal to fetch
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(`OpenAI API error: ${response.status} - ${JSON.stringify(errorData)}`);
-        }
-        
-        return await response.json();
-      },
-      settings.timeoutSeconds * 1000,
-      signal
+    // Request the dialogue; every attempt gets its own timeout
+    const conclusionScript = await requestDialogue(
+      (messages) => executeWithTimeout(
+        () => llmProvider.complete({
+          stage: 'conclusion',
+          system: conclusionPrompt,
+          messages,
+          responseFormat: 'json',
+          maxTokens: settings.maxTokens,
+          temperature: settings.temperature,
+          signal
+        }),
+        settings.timeoutSeconds * 1000,
+        signal
+      ),
+      settings.cast
     );
     
-    console.log(`[${new Date().toISOString()}] Completed OpenAI API call for conclusion`);
-    const conclusionScript = conclusionResponse.choices[0].message.content.trim();
+    console.log(`[${new Date().toISOString()}] Completed ${llmProvider.label} call for conclusion`);
     console.log("Conclusion generated");
     return conclusionScript;
   } catch (error) {
@@ -419,6 +492,10 @@ async function generateConclusion(articles, openaiApiKey, settings, abortControl
 
 export {
   generatePodcastScript,
+  assembleScript,
+  regenerateArticleDiscussion,
+  getArticleSection,
+  getScriptSections,
   generateIntroduction,
   generateArticleDiscussion,
   generateConclusion
@@ -0,0 +1,159 @@
+/**
+ * Episode length planning for Article to Audio Extension (Local Version)
+ * A target episode length is divided across the introduction, each article discussion and
+ * the conclusion, and each share is turned into a word budget the prompts can ask for.
+ * Spoken podcasts run at roughly 150 words per minute.
+ */
+
+const WORDS_PER_MINUTE = 150;
+
+// Target lengths offered in the generate podcast modal, in minutes
+const TARGET_LENGTHS = [5, 15, 30, 60];
+
+// Without a target each segment keeps its historical length
+const DEFAULT_SEGMENT_MINUTES = {
+  introduction: 1,
+  discussion: 3.5,
+  conclusion: 1
+};
+
+// Share of a target episode given to the framing segments, and their limits in minutes
+const FRAMING_SHARES = {
+  introduction: { share: 0.08, min: 0.5, max: 2 },
+  conclusion: { share: 0.07, min: 0.5, max: 2 }
+};
+
+// Shortest discussion worth asking for, in minutes
+const MIN_DISCUSSION_MINUTES = 1;
+
+// An estimate within this fraction of the target counts as on target
+const TARGET_TOLERANCE = 0.15;
+
+/**
+ * Convert minutes of speech to a word count
+ * @param {number} minutes - Speaking time
+ * @returns {number} Words
+ */
+function minutesToWords(minutes) {
+  return Math.round(minutes * WORDS_PER_MINUTE);
+}
+
+/**
+ * Count the spoken words of a script, ignoring speaker labels and section markers
+ * @param {string} script - Script text
+ * @returns {number} Word count
+ */
+function countScriptWords(script) {
+  return String(script || '')
+    .split('\n')
+    .filter(line => !/^\s*---.*---\s*$/.test(line))
+    .map(line => line.replace(/^\s*[^:\s][^:]{0,30}:\s*/, ''))
+    .join(' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .length;
+}
+
+/**
+ * Estimate how long a script takes to read aloud
+ * @param {string} script - Script text
+ * @returns {number} Minutes
+ */
+function estimateScriptMinutes(script) {
+  return countScriptWords(script) / WORDS_PER_MINUTE;
+}
+
+/**
+ * Divide an episode into per-segment word budgets
+ * @param {Object} plan - { targetMinutes, articleCount, includeIntroduction, includeConclusion }
+ *   targetMinutes may be null to keep the default segment lengths
+ * @returns {Object} { targetMinutes, introduction, discussion, conclusion, total } in words;
+ *   discussion is the budget for each article
+ */
+function calculateWordBudgets({ targetMinutes = null, articleCount = 1, includeIntroduction = true, includeConclusion = true }) {
+  const articles = Math.max(1, articleCount);
+  const minutes = {
+    introduction: includeIntroduction ? DEFAULT_SEGMENT_MINUTES.introduction : 0,
+    discussion: DEFAULT_SEGMENT_MINUTES.discussion,
+    conclusion: includeConclusion ? DEFAULT_SEGMENT_MINUTES.conclusion : 0
+  };
+
+  const target = Number(targetMinutes);
+  if (target > 0) {
+    ['introduction', 'conclusion'].forEach(segment => {
+      if (minutes[segment] === 0) return;
+      const { share, min, max } = FRAMING_SHARES[segment];
+      minutes[segment] = Math.min(max, Math.max(min, target * share));
+    });
+    const remaining = target - minutes.introduction - minutes.conclusion;
+    minutes.discussion = Math.max(MIN_DISCUSSION_MINUTES, remaining / articles);
+  }
+
+  const budgets = {
+    targetMinutes: target > 0 ? target : null,
+    introduction: minutesToWords(minutes.introduction),
+    discussion: minutesToWords(minutes.discussion),
+    conclusion: minutesToWords(minutes.conclusion)
+  };
+  budgets.total = budgets.introduction + budgets.discussion * articles + budgets.conclusion;
+  return budgets;
+}
+
+/**
+ * Describe a word budget for a prompt, e.g. "about 525 words (roughly 3.5 minutes of speech)"
+ * @param {number} words - Word budget
+ * @returns {string} Budget description
+ */
+function describeWordBudget(words) {
+  const minutes = Math.round((words / WORDS_PER_MINUTE) * 2) / 2;
+  const minuteText = minutes <= 0.5 ? 'about 30 seconds' : `roughly ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return `about ${words} words (${minuteText} of speech)`;
+}
+
+/**
+ * Compare an episode's length against its target
+ * @param {number} estimatedMinutes - Estimated or measured length
+ * @param {number|null} targetMinutes - Target length
+ * @returns {Object} { estimatedMinutes, targetMinutes, differenceMinutes, onTarget }
+ */
+function compareToTarget(estimatedMinutes, targetMinutes) {
+  const estimate = Math.round(estimatedMinutes * 10) / 10;
+  if (!targetMinutes) {
+    return { estimatedMinutes: estimate, targetMinutes: null, differenceMinutes: null, onTarget: true };
+  }
+
+  const difference = estimatedMinutes - targetMinutes;
+  return {
+    estimatedMinutes: estimate,
+    targetMinutes,
+    differenceMinutes: Math.round(difference * 10) / 10,
+    onTarget: Math.abs(difference) <= targetMinutes * TARGET_TOLERANCE
+  };
+}
+
+/**
+ * Summarize a length comparison for display, e.g. "12.4 min (target 15 min, 2.6 min short)"
+ * @param {Object} comparison - Result of compareToTarget()
+ * @returns {string} Description
+ */
+function describeLengthComparison(comparison) {
+  const estimate = `${comparison.estimatedMinutes} min`;
+  if (!comparison.targetMinutes) return estimate;
+
+  const difference = Math.abs(comparison.differenceMinutes);
+  const detail = comparison.onTarget
+    ? 'on target'
+    : `${difference} min ${comparison.differenceMinutes < 0 ? 'short' : 'over'}`;
+  return `${estimate} (target ${comparison.targetMinutes} min, ${detail})`;
+}
+
+export {
+  WORDS_PER_MINUTE,
+  TARGET_LENGTHS,
+  countScriptWords,
+  estimateScriptMinutes,
+  calculateWordBudgets,
+  describeWordBudget,
+  compareToTarget,
+  describeLengthComparison
+};
@@ -0,0 +1,472 @@
+/**
+ * Full-text search for Article to Audio Extension (Local Version)
+ * Tokenization, stemming, query parsing, BM25 ranking and snippet highlighting.
+ * The inverted index itself is persisted in IndexedDB by db.js:
+ *   searchTerms: { term, postings: { [articleId]: { title: [positions], summary: [...], content: [...] } } }
+ *   searchDocs:  { articleId, lengths: { title, summary, content }, terms: [term, ...] }
+ */
+
+// Indexed fields and how much a match in each counts towards the score
+const SEARCH_FIELDS = ['title', 'summary', 'content'];
+const FIELD_BOOSTS = {
+  title: 3,
+  summary: 1.5,
+  content: 1
+};
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Maximum number of indexed terms a prefix (the word being typed) expands to
+const MAX_PREFIX_EXPANSIONS = 20;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'will', 'with', 'from', 'has', 'have', 'had', 'its', 'were', 'been', 'than'
+]);
+
+/**
+ * Split text into lowercase word tokens with diacritics removed
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens in order, stop words included
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9\u00c0-\uffff]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a token is a stop word
+ * @param {string} token - Lowercase token
+ * @returns {boolean} Whether the token is ignored by the index
+ */
+function isStopWord(token) {
+  return STOP_WORDS.has(token);
+}
+
+/**
+ * Reduce an English word to its stem (Porter stemming algorithm)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length < 3 || /[^a-z]/.test(word)) return word;
+
+  const consonant = '[^aeiou]';
+  const vowel = '[aeiouy]';
+  const consonants = consonant + '[^aeiouy]*';
+  const vowels = vowel + '[aeiou]*';
+  const mGreater0 = new RegExp('^(' + consonants + ')?' + vowels + consonants);
+  const mEquals1 = new RegExp('^(' + consonants + ')?' + vowels + consonants + '(' + vowels + ')?$');
+  const mGreater1 = new RegExp('^(' + consonants + ')?' + vowels + consonants + vowels + consonants);
+  const hasVowel = new RegExp('^(' + consonants + ')?' + vowel);
+
+  const step2List = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+  };
+  const step3List = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+  };
+
+  let result = word;
+  const firstCh = result.charAt(0);
+  if (firstCh === 'y') {
+    result = 'Y' + result.substring(1);
+  }
+
+  // Step 1a
+  let match;
+  if ((match = /^(.+?)(ss|i)es$/.exec(result))) {
+    result = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(result))) {
+    result = match[1] + match[2];
+  }
+
+  // Step 1b
+  if ((match = /^(.+?)eed$/.exec(result))) {
+    if (mGreater0.test(match[1])) {
+      result = result.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(result))) {
+    const base = match[1];
+    if (hasVowel.test(base)) {
+      result = base;
+      if (/(at|bl|iz)$/.test(result)) {
+        result += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(result)) {
+        result = result.slice(0, -1);
+      } else if (new RegExp('^' + consonants + vowel + '[^aeiouwxy]$').test(result)) {
+        result += 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(result)) && hasVowel.test(match[1])) {
+    result = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(result))) {
+    if (mGreater0.test(match[1])) {
+      result = match[1] + step2List[match[2]];
+    }
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(result))) {
+    if (mGreater0.test(match[1])) {
+      result = match[1] + step3List[match[2]];
+    }
+  }
+
+  // Step 4
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(result))) {
+    if (mGreater1.test(match[1])) {
+      result = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(result))) {
+    const base = match[1] + match[2];
+    if (mGreater1.test(base)) {
+      result = base;
+    }
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(result))) {
+    const base = match[1];
+    if (mGreater1.test(base) ||
+        (mEquals1.test(base) && !new RegExp('^' + consonants + vowel + '[^aeiouwxy]$').test(base))) {
+      result = base;
+    }
+  }
+  if (/ll$/.test(result) && mGreater1.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  if (firstCh === 'y') {
+    result = 'y' + result.substring(1);
+  }
+
+  return result;
+}
+
+/**
+ * Build the index entry for an article: per-term positions per field, and field lengths
+ * Positions count every token (stop words included) so phrase queries can check adjacency
+ * @param {Object} article - Article with title, summary and content
+ * @returns {Object} Entry with lengths and postings keyed by term
+ */
+function buildArticleIndexEntry(article) {
+  const postings = {};
+  const lengths = {};
+
+  SEARCH_FIELDS.forEach(field => {
+    const tokens = tokenize(article[field] || '');
+    lengths[field] = tokens.length;
+
+    tokens.forEach((token, position) => {
+      if (isStopWord(token)) return;
+      const term = stem(token);
+      if (!postings[term]) {
+        postings[term] = {};
+      }
+      if (!postings[term][field]) {
+        postings[term][field] = [];
+      }
+      postings[term][field].push(position);
+    });
+  });
+
+  return { lengths, postings };
+}
+
+/**
+ * Parse a search query into required terms and phrases
+ * Quoted text is a phrase; the last bare word is treated as a prefix while typing
+ * @param {string} query - Raw query
+ * @returns {Object} Parsed query with terms, phrases, prefix and highlight stems
+ */
+function parseSearchQuery(query) {
+  const phrases = [];
+  const terms = [];
+  let prefix = null;
+
+  const remainder = (query || '').replace(/"([^"]*)"?/g, (_, phraseText) => {
+    const tokens = tokenize(phraseText);
+    // Keep each term's offset within the phrase, skipping stop words but counting them
+    const phraseTerms = [];
+    tokens.forEach((token, offset) => {
+      if (!isStopWord(token)) {
+        phraseTerms.push({ term: stem(token), offset });
+      }
+    });
+    if (phraseTerms.length > 1) {
+      phrases.push(phraseTerms);
+    } else if (phraseTerms.length === 1) {
+      terms.push(phraseTerms[0].term);
+    }
+    return ' ';
+  });
+
+  const words = tokenize(remainder).filter(token => !isStopWord(token));
+  const endsWithWord = /[a-z0-9\u00c0-\uffff]$/i.test((query || '').trim()) && !/"\s*$/.test(query || '');
+
+  words.forEach((word, index) => {
+    if (index === words.length - 1 && endsWithWord) {
+      prefix = word;
+    } else {
+      terms.push(stem(word));
+    }
+  });
+
+  const highlightStems = new Set(terms);
+  phrases.forEach(phrase => phrase.forEach(({ term }) => highlightStems.add(term)));
+
+  return {
+    terms: Array.from(new Set(terms)),
+    phrases,
+    prefix,
+    // A fully typed word also matches through its stem ("running" -> "run")
+    prefixStem: prefix ? stem(prefix) : null,
+    highlightStems: Array.from(highlightStems)
+  };
+}
+
+/**
+ * Check whether a phrase occurs in a document
+ * @param {Array<Object>} phrase - Phrase terms with offsets
+ * @param {Object} postingsByTerm - Map of term to this document's posting
+ * @returns {boolean} Whether the phrase occurs in any field
+ */
+function documentContainsPhrase(phrase, postingsByTerm) {
+  return SEARCH_FIELDS.some(field => {
+    const first = postingsByTerm[phrase[0].term];
+    const starts = first && first[field];
+    if (!starts) return false;
+
+    return starts.some(start => phrase.every(({ term, offset }) => {
+      const posting = postingsByTerm[term];
+      const positions = posting && posting[field];
+      return positions && positions.indexOf(start - phrase[0].offset + offset) !== -1;
+    }));
+  });
+}
+
+/**
+ * Record an article's field lengths in the collection statistics used for ranking
+ * Replaces any lengths recorded for the article before, so this handles add, update and
+ * delete (lengths = null). The statistics are changed in place.
+ * @param {Object} stats - { count, totalLengths, lengths } with lengths keyed by article ID
+ * @param {number} articleId - Article ID
+ * @param {Object|null} lengths - Token count per field, or null when the article was deleted
+ * @returns {Object} The updated statistics
+ */
+function updateSearchStats(stats, articleId, lengths) {
+  const previous = stats.lengths[articleId];
+  if (previous) {
+    SEARCH_FIELDS.forEach(field => {
+      stats.totalLengths[field] = (stats.totalLengths[field] || 0) - (previous[field] || 0);
+    });
+    delete stats.lengths[articleId];
+    stats.count--;
+  }
+
+  if (lengths) {
+    SEARCH_FIELDS.forEach(field => {
+      stats.totalLengths[field] = (stats.totalLengths[field] || 0) + (lengths[field] || 0);
+    });
+    stats.lengths[articleId] = lengths;
+    stats.count++;
+  }
+
+  return stats;
+}
+
+/**
+ * Rank documents for a parsed query with BM25F (per-field length normalization and boosts)
+ * @param {Object} parsedQuery - Result of parseSearchQuery, with prefixTerms resolved
+ * @param {Object} termRecords - Map of term to its record from the searchTerms store
+ * @param {Object} stats - Collection statistics kept by updateSearchStats
+ * @returns {Array<Object>} Results sorted by score: { articleId, score }
+ */
+function rankSearchResults(parsedQuery, termRecords, stats) {
+  const totalDocs = stats.count;
+  if (totalDocs === 0) return [];
+
+  // Average field lengths across the collection
+  const averageLengths = {};
+  SEARCH_FIELDS.forEach(field => {
+    averageLengths[field] = (stats.totalLengths[field] || 0) / totalDocs || 1;
+  });
+
+  const requiredTerms = new Set(parsedQuery.terms);
+  parsedQuery.phrases.forEach(phrase => phrase.forEach(({ term }) => requiredTerms.add(term)));
+
+  // Candidates must contain every required term, and at least one prefix expansion
+  let candidates = null;
+  requiredTerms.forEach(term => {
+    const postings = termRecords[term] ? termRecords[term].postings : {};
+    const ids = new Set(Object.keys(postings));
+    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+  });
+
+  const prefixTerms = parsedQuery.prefixTerms || [];
+  if (parsedQuery.prefix) {
+    const prefixIds = new Set();
+    prefixTerms.forEach(term => {
+      Object.keys(termRecords[term] ? termRecords[term].postings : {}).forEach(id => prefixIds.add(id));
+    });
+    candidates = candidates ? new Set([...candidates].filter(id => prefixIds.has(id))) : prefixIds;
+  }
+
+  if (!candidates) return [];
+
+  const scoringTerms = [...requiredTerms, ...prefixTerms];
+  const results = [];
+
+  candidates.forEach(id => {
+    const postingsByTerm = {};
+    scoringTerms.forEach(term => {
+      const record = termRecords[term];
+      if (record && record.postings[id]) {
+        postingsByTerm[term] = record.postings[id];
+      }
+    });
+
+    if (!parsedQuery.phrases.every(phrase => documentContainsPhrase(phrase, postingsByTerm))) {
+      return;
+    }
+
+    const lengths = stats.lengths[id] || {};
+    let score = 0;
+
+    scoringTerms.forEach(term => {
+      const posting = postingsByTerm[term];
+      if (!posting) return;
+
+      const documentFrequency = Object.keys(termRecords[term].postings).length;
+      const idf = Math.log(1 + (totalDocs - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      // Combine boosted, length-normalized term frequencies across fields
+      let weightedFrequency = 0;
+      SEARCH_FIELDS.forEach(field => {
+        const frequency = posting[field] ? posting[field].length : 0;
+        if (frequency === 0) return;
+        const normalization = 1 - BM25_B + BM25_B * ((lengths[field] || 0) / averageLengths[field]);
+        weightedFrequency += FIELD_BOOSTS[field] * frequency / normalization;
+      });
+
+      score += idf * (weightedFrequency * (BM25_K1 + 1)) / (weightedFrequency + BM25_K1);
+    });
+
+    results.push({ articleId: Number(id), score });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a word matches one of the query stems or the typed prefix
+ * @param {string} word - Word from the text
+ * @param {Object} parsedQuery - Parsed query
+ * @returns {boolean} Whether the word should be highlighted
+ */
+function wordMatchesQuery(word, parsedQuery) {
+  const tokens = tokenize(word);
+  if (tokens.length === 0) return false;
+  const token = tokens[0];
+  if (isStopWord(token)) return false;
+  if (parsedQuery.prefix && token.startsWith(parsedQuery.prefix)) return true;
+  if (parsedQuery.prefixStem && stem(token) === parsedQuery.prefixStem) return true;
+  return parsedQuery.highlightStems.indexOf(stem(token)) !== -1;
+}
+
+/**
+ * Escape text and wrap words matching the query in <mark>
+ * @param {string} text - Raw text
+ * @param {Object} parsedQuery - Parsed query
+ * @returns {string} Escaped HTML with highlights
+ */
+function highlightSearchTerms(text, parsedQuery) {
+  return (text || '').split(/([^\s.,;:!?()"“”]+)/).map(part => {
+    if (part && wordMatchesQuery(part, parsedQuery)) {
+      return `<mark>${escapeHtml(part)}</mark>`;
+    }
+    return escapeHtml(part);
+  }).join('');
+}
+
+/**
+ * Build a highlighted snippet around the densest cluster of matches in a text
+ * @param {string} text - Full text
+ * @param {Object} parsedQuery - Parsed query
+ * @param {number} [maxWords] - Snippet length in words
+ * @returns {string|null} Escaped HTML snippet, or null if nothing matched
+ */
+function createSearchSnippet(text, parsedQuery, maxWords = 30) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const matches = [];
+  words.forEach((word, index) => {
+    if (wordMatchesQuery(word, parsedQuery)) matches.push(index);
+  });
+
+  if (matches.length === 0) return null;
+
+  // Slide a window over the match positions and keep the one covering the most matches
+  let bestStart = matches[0];
+  let bestCount = 0;
+  matches.forEach((start, i) => {
+    let count = 0;
+    for (let j = i; j < matches.length && matches[j] < start + maxWords; j++) count++;
+    if (count > bestCount) {
+      bestCount = count;
+      bestStart = start;
+    }
+  });
+
+  const from = Math.max(0, bestStart - Math.floor(maxWords / 4));
+  const to = Math.min(words.length, from + maxWords);
+  const snippet = highlightSearchTerms(words.slice(from, to).join(' '), parsedQuery);
+
+  return `${from > 0 ? '… ' : ''}${snippet}${to < words.length ? ' …' : ''}`;
+}
+
+export {
+  SEARCH_FIELDS,
+  MAX_PREFIX_EXPANSIONS,
+  tokenize,
+  stem,
+  buildArticleIndexEntry,
+  updateSearchStats,
+  parseSearchQuery,
+  rankSearchResults,
+  highlightSearchTerms,
+  createSearchSnippet,
+  escapeHtml
+};
@@ -0,0 +1,151 @@
+/**
+ * Article extractor tests
+ * Saved pages in fixtures/ are parsed with jsdom and run through extractArticleContent,
+ * as the background fallback does with pages it fetches.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { extractArticleContent, mergeArticlePages } from '../articleExtractor.js';
+import { blocksToText } from '../articleBlocks.js';
+
+/**
+ * Parse a saved page as if it had been loaded from its original address
+ * @param {string} name - Fixture file name without extension
+ * @param {string} url - Address the page was saved from
+ * @returns {Document} Parsed document
+ */
+function loadFixture(name, url) {
+  const html = readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+  return new JSDOM(html, { url }).window.document;
+}
+
+test('extracts a news article with its metadata', () => {
+  const article = extractArticleContent(loadFixture('news-article', 'https://news.example.com/energy/tidal-power-plant-opens'));
+
+  assert.equal(article.title, 'Tidal power plant opens in the north');
+  assert.deepEqual(article.metadata, {
+    title: 'Tidal power plant opens in the north',
+    canonicalUrl: 'https://news.example.com/energy/tidal-power-plant-opens',
+    author: 'Maya Lindqvist, Tom Okafor',
+    publishedDate: '2024-03-14T09:30:00.000Z',
+    siteName: 'The Coastal Times',
+    leadImage: 'https://news.example.com/images/tidal-plant.jpg',
+    language: 'en-GB'
+  });
+  assert.equal(article.nextPageUrl, null);
+});
+
+test('keeps the article structure as blocks', () => {
+  const { blocks } = extractArticleContent(loadFixture('news-article', 'https://news.example.com/energy/tidal-power-plant-opens'));
+
+  assert.deepEqual(blocks[0], { type: 'heading', level: 1, text: 'Tidal power plant opens in the north' });
+  assert.deepEqual(blocks.find(block => block.type === 'heading' && block.level === 2),
+    { type: 'heading', level: 2, text: 'A predictable source of power' });
+  assert.match(blocks.find(block => block.type === 'quote').text, /^We know today exactly/);
+  assert.deepEqual(blocks.filter(block => block.type === 'list-item').map(block => block.text), [
+    'Environmental surveys of the estuary\'s seal colony',
+    'Redesigned turbine blades after early corrosion tests',
+    'Delays in connecting the site to the regional grid'
+  ]);
+  assert.match(blocks[blocks.length - 1].text, /^Local fishermen/);
+});
+
+test('removes navigation, ads, related links, newsletters and footers', () => {
+  const { text } = extractArticleContent(loadFixture('news-article', 'https://news.example.com/energy/tidal-power-plant-opens'));
+
+  [
+    'We use cookies',
+    'Opinion',
+    'Advertisement',
+    'Share this article',
+    'Related stories',
+    'Offshore wind farm approved',
+    'morning newsletter',
+    'All rights reserved',
+    'window.analytics'
+  ].forEach(boilerplate => {
+    assert.ok(!text.includes(boilerplate), `"${boilerplate}" should not be in the article text`);
+  });
+});
+
+test('extracts a blog built from text-only divs', () => {
+  const article = extractArticleContent(loadFixture('blog-post', 'https://crumbnotes.example/sourdough'));
+
+  assert.equal(article.title, 'Why my sourdough finally works - Crumb Notes');
+  assert.equal(article.metadata.author, 'Priya Raman');
+  assert.equal(article.metadata.publishedDate, '2023-11-02T17:00:00.000Z');
+  assert.equal(article.metadata.language, 'en-US');
+  assert.deepEqual(article.blocks.map(block => block.type), [
+    'heading', 'paragraph', 'heading', 'paragraph', 'heading', 'paragraph', 'code', 'paragraph'
+  ]);
+  assert.equal(article.blocks[6].text, '500 g bread flour\n350 g water\n100 g starter\n10 g salt');
+  assert.ok(!article.text.includes('Popular posts'));
+  assert.ok(!article.text.includes('Great tips'));
+});
+
+test('finds the next page of a paginated article', () => {
+  const article = extractArticleContent(loadFixture('paginated-article', 'https://history.example/history/lighthouses?page=1'));
+
+  assert.equal(article.nextPageUrl, 'https://history.example/history/lighthouses?page=2');
+  assert.equal(article.blocks.length, 3);
+  assert.ok(!article.text.includes('Next'));
+});
+
+test('merges pages without repeating shared blocks', () => {
+  const merged = mergeArticlePages([
+    {
+      title: 'The long history of the lighthouse',
+      metadata: { title: 'The long history of the lighthouse' },
+      blocks: [
+        { type: 'heading', level: 1, text: 'The long history of the lighthouse' },
+        { type: 'paragraph', text: 'Page one.' }
+      ]
+    },
+    {
+      title: 'The long history of the lighthouse - page 2',
+      metadata: {},
+      blocks: [
+        { type: 'heading', level: 1, text: 'The long history of the lighthouse' },
+        { type: 'paragraph', text: 'Page two.' }
+      ]
+    }
+  ]);
+
+  assert.equal(merged.title, 'The long history of the lighthouse');
+  assert.equal(merged.pageCount, 2);
+  assert.equal(merged.text, 'The long history of the lighthouse\n\nPage one.\n\nPage two.');
+});
+
+test('merges fixture pages, dropping repeated headers and footers but not repeated text', () => {
+  const pages = [1, 2, 3].map(page => {
+    const name = page === 1 ? 'paginated-article' : `paginated-article-${page}`;
+    return extractArticleContent(loadFixture(name, `https://history.example/history/lighthouses?page=${page}`));
+  });
+  const merged = mergeArticlePages(pages);
+  const texts = merged.blocks.map(block => block.text);
+
+  assert.equal(merged.pageCount, 3);
+  assert.equal(texts.filter(text => text === 'The long history of the lighthouse').length, 1);
+  // The keepers' motto is quoted twice on page 2 and again on page 3
+  assert.equal(texts.filter(text => text === 'Keep the light burning.').length, 3);
+  // The series note closing pages 2 and 3 is kept once, at the end
+  assert.equal(texts.filter(text => text.startsWith('Coastal History is')).length, 1);
+  assert.match(texts[texts.length - 1], /^Coastal History is/);
+  assert.match(texts[texts.length - 2], /^The instruction is still painted/);
+});
+
+test('builds the same text in the page as the shared block helpers', () => {
+  [
+    ['news-article', 'https://news.example.com/energy/tidal-power-plant-opens'],
+    ['blog-post', 'https://crumbnotes.example/sourdough'],
+    ['paginated-article', 'https://history.example/history/lighthouses?page=1'],
+    ['paginated-article-2', 'https://history.example/history/lighthouses?page=2'],
+    ['paginated-article-3', 'https://history.example/history/lighthouses?page=3']
+  ].forEach(([name, url]) => {
+    const article = extractArticleContent(loadFixture(name, url));
+    assert.equal(article.text, blocksToText(article.blocks), name);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Podcast mixing tests
+ * A WAV podcast is mixed with uploaded music in place of the offscreen document. The only
+ * Web Audio call the mixer makes, decoding, is provided by reading the 16-bit PCM that
+ * wav.js writes; fake-indexeddb stands in for the browser's database.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav } from '../wav.js';
+
+const SAMPLE_RATE = 24000;
+
+/**
+ * Read the samples of a 16-bit mono WAV file
+ * @param {ArrayBuffer} arrayBuffer - WAV file
+ * @returns {Float32Array} Samples
+ */
+function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  let offset = 12;
+  while (String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4)) !== 'data') {
+    offset += 8 + view.getUint32(offset + 4, true);
+  }
+  const samples = new Float32Array(view.getUint32(offset + 4, true) / 2);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(offset + 8 + i * 2, true) / 0x8000;
+  }
+  return samples;
+}
+
+globalThis.OfflineAudioContext = class {
+  async decodeAudioData(arrayBuffer) {
+    const samples = decodeWav(arrayBuffer);
+    return { length: samples.length, numberOfChannels: 1, getChannelData: () => samples };
+  }
+};
+
+const { saveAudio, getAudioById, saveAsset } = await import('../db.js');
+const { isMixRequested, mixStoredPodcast } = await import('../audioMixer.js');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Make a WAV file of a tone
+ * @param {number} seconds - Length
+ * @param {number} frequency - Pitch in Hz
+ * @returns {Blob} WAV file
+ */
+function createToneWav(seconds, frequency) {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE))
+    .map((_, i) => 0.2 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+  return new Blob([encodeWav(samples, SAMPLE_RATE)], { type: 'audio/wav' });
+}
+
+/**
+ * Measure the loudest sample between two times
+ * @param {Float32Array} samples - Samples
+ * @param {number} from - Start in seconds
+ * @param {number} to - End in seconds
+ * @returns {number} Peak
+ */
+function peakBetween(samples, from, to) {
+  return samples
+    .subarray(Math.round(from * SAMPLE_RATE), Math.round(to * SAMPLE_RATE))
+    .reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+}
+
+/**
+ * Save an eight-second WAV podcast with an introduction, one article and a conclusion
+ * @returns {Promise<number>} Podcast ID
+ */
+function savePodcast() {
+  return saveAudio({
+    type: 'podcast',
+    title: 'Music test',
+    format: 'wav',
+    blob: createToneWav(8, 200),
+    timeline: {
+      duration: 8,
+      lines: [
+        { start: 0, end: 2, speaker: 'HOST', text: 'Welcome.', section: 'introduction' },
+        { start: 2, end: 6, speaker: 'CO-HOST', text: 'The story.', section: 'article-1' },
+        { start: 6, end: 8, speaker: 'HOST', text: 'Goodbye.', section: 'conclusion' }
+      ],
+      chapters: [
+        { id: 'introduction', title: 'Introduction', start: 0, end: 2 },
+        { id: 'article-1', title: 'The story', start: 2, end: 6, articleId: 1 },
+        { id: 'conclusion', title: 'Conclusion', start: 6, end: 8 }
+      ]
+    }
+  });
+}
+
+test('asks for mixing only when a mix setting is on', () => {
+  assert.equal(isMixRequested(null), false);
+  assert.equal(isMixRequested({ normalize: false, crossfadeSeconds: 0, music: {} }), false);
+  assert.equal(isMixRequested({ music: { outro: 3 } }), true);
+});
+
+test('places intro, stingers and outro around the speech and moves the timeline to match', async () => {
+  const podcastId = await savePodcast();
+  const music = {
+    intro: await saveAsset({ name: 'Intro', kind: 'intro', blob: createToneWav(2, 440) }),
+    transition: await saveAsset({ name: 'Sting', kind: 'transition', blob: createToneWav(1, 660) }),
+    outro: await saveAsset({ name: 'Outro', kind: 'outro', blob: createToneWav(3, 330) })
+  };
+
+  const result = await mixStoredPodcast(podcastId, { music });
+  const podcast = await getAudioById(podcastId);
+  const samples = decodeWav(await podcast.blob.arrayBuffer());
+
+  // The speech starts after the intro, and each chapter after it opens with a 1.8 second
+  // gap holding the stinger between 0.4 seconds of silence
+  assert.deepEqual(podcast.timeline.lines.map(line => [line.start, line.end]), [[2, 4], [5.8, 9.8], [11.6, 13.6]]);
+  assert.deepEqual(podcast.timeline.chapters.map(chapter => [chapter.start, chapter.end]), [[0, 4], [4, 9.8], [9.8, 13.6]]);
+  assert.equal(podcast.timeline.chapters[1].articleId, 1);
+  assert.equal(podcast.timeline.duration, 13.6);
+  assert.equal(samples.length, 13.6 * SAMPLE_RATE);
+  assert.equal(result.duration, 14);
+  assert.deepEqual(podcast.music, ['intro', 'transition', 'outro']);
+
+  assert.ok(peakBetween(samples, 0, 1.5) > 0.1);
+  assert.equal(peakBetween(samples, 4.05, 4.35), 0);
+  assert.ok(peakBetween(samples, 4.45, 5.35) > 0.1);
+  assert.equal(peakBetween(samples, 5.45, 5.75), 0);
+});
+
+test('leaves out music whose asset no longer exists', async () => {
+  const podcastId = await savePodcast();
+
+  await mixStoredPodcast(podcastId, { music: { intro: 9999 } });
+  const podcast = await getAudioById(podcastId);
+
+  assert.deepEqual(podcast.music, []);
+  assert.deepEqual(podcast.timeline.lines.map(line => line.start), [0, 2, 6]);
+  assert.equal(decodeWav(await podcast.blob.arrayBuffer()).length, 8 * SAMPLE_RATE);
+});
@@ -0,0 +1,76 @@
+/**
+ * Podcast cast tests
+ * Speakers take their IDs from their position, scripts may label them by name, ID or role,
+ * and shows are saved in the settings store, which fake-indexeddb stands in for.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCast,
+  getScriptCast,
+  castToVoiceMap,
+  castToHostNames,
+  findSpeakerByLabel,
+  createSpeakerLabelPattern,
+  describeCast,
+  getShows,
+  saveShow,
+  deleteShow
+} from '../cast.js';
+
+mock.method(console, 'log', () => {});
+
+const CAST = normalizeCast([
+  { name: 'Alex', persona: 'A former science teacher', voice: 'af_sky' },
+  { name: ' Sam: ', voice: 'am_adam' },
+  { name: 'Priya', persona: 'Economist' }
+]);
+
+test('gives speakers IDs by position and tidies their names', () => {
+  assert.deepEqual(CAST.map(speaker => [speaker.id, speaker.name]), [['HOST', 'Alex'], ['CO-HOST', 'Sam'], ['SPEAKER-3', 'Priya']]);
+  assert.deepEqual(castToVoiceMap(CAST), { 'HOST': 'af_sky', 'CO-HOST': 'am_adam', 'SPEAKER-3': '' });
+  assert.deepEqual(castToHostNames(CAST), { 'HOST': 'Alex', 'CO-HOST': 'Sam', 'SPEAKER-3': 'Priya' });
+  assert.equal(describeCast(CAST), '- Alex (host): A former science teacher\n- Sam (co-host)\n- Priya (guest): Economist');
+});
+
+test('rejects empty, oversized and ambiguous casts', () => {
+  assert.throws(() => normalizeCast([]), /at least one speaker/);
+  assert.throws(() => normalizeCast(Array.from({ length: 5 }, (_, i) => ({ name: `Speaker ${i}` }))), /at most 4/);
+  assert.throws(() => normalizeCast([{ name: 'Alex' }, { name: ':' }]), /Speaker 2 needs a name/);
+  assert.throws(() => normalizeCast([{ name: 'Alex' }, { name: 'alex' }]), /Two speakers are called alex/);
+});
+
+test('builds a two-speaker cast from settings saved before casts existed', () => {
+  assert.deepEqual(getScriptCast({ hostNames: { HOST: 'Jo' }, voiceMap: { 'CO-HOST': 'bf_emma' } }), [
+    { id: 'HOST', name: 'Jo', persona: '', voice: '' },
+    { id: 'CO-HOST', name: 'Co-Host', persona: '', voice: 'bf_emma' }
+  ]);
+  assert.equal(getScriptCast({ cast: CAST }), CAST);
+});
+
+test('finds speakers by name, ID or role, preferring the longest label', () => {
+  assert.equal(findSpeakerByLabel(CAST, ' alex ').id, 'HOST');
+  assert.equal(findSpeakerByLabel(CAST, 'Co-host').id, 'CO-HOST');
+  assert.equal(findSpeakerByLabel(CAST, 'speaker-3').name, 'Priya');
+  assert.equal(findSpeakerByLabel(CAST, 'Narrator'), null);
+
+  const pattern = new RegExp(`^(${createSpeakerLabelPattern(CAST)}):`);
+  assert.equal('Co-host: Hello'.match(pattern)[1], 'Co-host');
+  assert.equal(new RegExp(createSpeakerLabelPattern(normalizeCast([{ name: 'Dr. A+' }]))).test('Dr. A+'), true);
+});
+
+test('saves, replaces and deletes shows', async () => {
+  const show = await saveShow({ name: ' Morning briefing ', formatId: 'narrator', cast: [{ name: 'Alex' }] });
+
+  assert.match(show.id, /^show-/);
+  assert.equal(show.name, 'Morning briefing');
+  assert.equal(show.cast[0].id, 'HOST');
+  await saveShow({ ...show, audio: { turnPauseSeconds: 0.2 } });
+  assert.deepEqual((await getShows()).map(saved => saved.audio), [{ turnPauseSeconds: 0.2 }]);
+
+  await assert.rejects(saveShow({ name: '', cast: [{ name: 'Alex' }] }), /needs a name/);
+  await deleteShow(show.id);
+  assert.deepEqual(await getShows(), []);
+});
@@ -0,0 +1,117 @@
+/**
+ * Database upgrade tests
+ * A version 2 database, as the first releases left it, is opened through db.js with
+ * fake-indexeddb, so every later upgrade step runs in the one upgrade transaction.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Every upgrade step logs what it does
+mock.method(console, 'log', () => {});
+
+const VERSION_2_ARTICLES = [
+  {
+    title: 'Tidal power',
+    content: 'Turbines under the estuary.\n\nThey turn with every tide.',
+    url: 'https://news.example.com/tidal-power?utm_source=feed',
+    dateAdded: '2024-03-01T08:00:00.000Z'
+  },
+  {
+    title: 'Night trains',
+    content: 'Sleeper services are coming back across Europe.',
+    url: 'https://www.example.org/night-trains/',
+    dateAdded: '2024-03-02T08:00:00.000Z'
+  }
+];
+
+/**
+ * Create the database with the stores and indexes of version 2
+ * @param {string} name - Database name
+ * @param {Array<Object>} articles - Articles to save in it
+ * @returns {Promise<void>} Resolves once the database is closed
+ */
+function createVersion2Database(name, articles) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 2);
+    request.onerror = () => reject(request.error);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const articlesStore = db.createObjectStore('articles', { keyPath: 'id', autoIncrement: true });
+      articlesStore.createIndex('url', 'url', { unique: false });
+      articlesStore.createIndex('title', 'title', { unique: false });
+      articlesStore.createIndex('dateAdded', 'dateAdded', { unique: false });
+      const audioStore = db.createObjectStore('audio', { keyPath: 'id', autoIncrement: true });
+      audioStore.createIndex('articleId', 'articleId', { unique: false });
+      audioStore.createIndex('type', 'type', { unique: false });
+      audioStore.createIndex('dateCreated', 'dateCreated', { unique: false });
+      db.createObjectStore('settings', { keyPath: 'key' });
+      articles.forEach(article => articlesStore.add(article));
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+  });
+}
+
+/**
+ * Open the upgraded database directly, for stores and indexes db.js doesn't expose
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+// db.js opens the database on first use, so it is upgraded by the first test
+const { DB_NAME, getAllArticles, searchArticleIndex } = await import('../db.js');
+await createVersion2Database(DB_NAME, VERSION_2_ARTICLES);
+
+test('fills in blocks, canonical URL and fingerprint for every article', async () => {
+  const articles = await getAllArticles();
+  const tidal = articles.find(article => article.title === 'Tidal power');
+
+  assert.equal(articles.length, 2);
+  assert.deepEqual(tidal.blocks.map(block => block.text), ['Turbines under the estuary.', 'They turn with every tide.']);
+  assert.equal(tidal.canonicalUrl, 'https://news.example.com/tidal-power');
+  assert.ok(articles.every(article => Array.isArray(article.blocks) && article.blocks.length > 0));
+  assert.ok(articles.every(article => typeof article.fingerprint === 'string'));
+});
+
+test('indexes migrated articles for search', async () => {
+  const { results } = await searchArticleIndex('sleeper');
+  const articles = await getAllArticles();
+
+  assert.deepEqual(results.map(result => result.articleId),
+    [articles.find(article => article.title === 'Night trains').id]);
+
+  const db = await openDatabase();
+  const stats = await new Promise((resolve, reject) => {
+    const request = db.transaction('searchStats').objectStore('searchStats').get('collection');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+  db.close();
+
+  assert.equal(stats.count, articles.length);
+});
+
+test('marks migrated articles unread, where the status index finds them', async () => {
+  const articles = await getAllArticles();
+  assert.ok(articles.every(article => article.status === 'unread'));
+
+  const db = await openDatabase();
+  const unreadCount = await new Promise((resolve, reject) => {
+    const request = db.transaction('articles').objectStore('articles').index('status').count('unread');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+  db.close();
+
+  assert.equal(unreadCount, articles.length);
+});
@@ -0,0 +1,112 @@
+/**
+ * Structured dialogue tests
+ * Model replies are read as JSON dialogue and checked against the cast; replies that can't be
+ * used are sent back with their problems until the retries run out.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCast } from '../cast.js';
+import {
+  createDialogueInstructions,
+  parseDialogueReply,
+  validateDialogue,
+  requestDialogue,
+  assembleDialogueScript,
+  dialogueToLines
+} from '../dialogueScript.js';
+
+// Unusable replies are reported as warnings
+mock.method(console, 'warn', () => {});
+
+const CAST = normalizeCast([{ name: 'Alex' }, { name: 'Jordan' }]);
+
+test('names every speaker in the reply format', () => {
+  const instructions = createDialogueInstructions(CAST);
+
+  assert.match(instructions, /"speaker" must be one of: Alex, Jordan/);
+  assert.match(instructions, /\{"speaker": "Jordan", "text": "The next thing that is said\.", "pause_after": 0\.5\}/);
+});
+
+test('reads dialogue from fenced, wrapped or slightly broken JSON', () => {
+  const reply = 'Here you go:\n```json\n{"dialogue": [\n  {"speaker": "Alex", "text": "Hello.", "emotion": "Excited"},\n  {"speaker": "co-host", "text": "Hi!", "pause_after": 9},\n]}\n```';
+
+  assert.deepEqual(parseDialogueReply(reply, CAST), {
+    turns: [
+      { speaker: 'HOST', text: 'Hello.', emotion: 'excited' },
+      { speaker: 'CO-HOST', text: 'Hi!', pause_after: 5 }
+    ],
+    problems: []
+  });
+  assert.deepEqual(parseDialogueReply('[{"speaker": "Jordan", "text": "A bare array.", "emotion": "grumpy"}]', CAST).turns,
+    [{ speaker: 'CO-HOST', text: 'A bare array.' }]);
+});
+
+test('repairs names left in the text and reports turns it cannot use', () => {
+  const { turns, problems } = parseDialogueReply(JSON.stringify({
+    dialogue: [
+      { speaker: 'Narrator', text: 'Jordan: The label names the speaker.' },
+      { speaker: 'Alex', text: 'Alex: Only the words are spoken.' },
+      { speaker: 'Sam', text: 'Nobody in the cast.' },
+      { speaker: 'Alex', text: '   ' },
+      'not a turn'
+    ]
+  }), CAST);
+
+  assert.deepEqual(turns, [
+    { speaker: 'CO-HOST', text: 'The label names the speaker.' },
+    { speaker: 'HOST', text: 'Only the words are spoken.' }
+  ]);
+  assert.deepEqual(problems, ['Turn 3 has speaker "Sam", who is not in the cast', 'Turn 5 is not an object']);
+  assert.deepEqual(parseDialogueReply('No JSON at all', CAST).problems, ['The reply is not valid JSON']);
+  assert.deepEqual(parseDialogueReply('{"lines": []}', CAST).problems, ['The reply has no "dialogue" array']);
+  assert.deepEqual(parseDialogueReply('{"dialogue": []}', CAST).problems, ['The dialogue is empty']);
+});
+
+test('checks edited dialogue before it replaces a script', () => {
+  assert.deepEqual(validateDialogue([{ speaker: 'HOST', text: 'Kept.', section: 'introduction' }, { speaker: 'CO-HOST', text: '' }], CAST),
+    [{ speaker: 'HOST', text: 'Kept.', section: 'introduction' }]);
+  assert.throws(() => validateDialogue([{ speaker: 'GUEST', text: 'Who?' }], CAST), /not in the cast/);
+  assert.throws(() => validateDialogue(null, CAST), /dialogue is empty/);
+});
+
+test('sends unusable replies back with their problems', async () => {
+  const requests = [];
+  const replies = ['Sorry, here is the script: Alex: Hello.', '{"dialogue": [{"speaker": "Alex", "text": "Hello."}]}'];
+
+  const turns = await requestDialogue(async messages => {
+    requests.push(messages);
+    return replies.shift();
+  }, CAST);
+
+  assert.deepEqual(turns, [{ speaker: 'HOST', text: 'Hello.' }]);
+  assert.deepEqual(requests[0], []);
+  assert.match(requests[1][0].content, /could not be used:\n- The reply is not valid JSON\n\nPrevious reply:\nSorry/);
+});
+
+test('keeps the valid turns of the last reply, or fails when there are none', async () => {
+  const partial = '{"dialogue": [{"speaker": "Alex", "text": "Usable."}, {"speaker": "Sam", "text": "Not usable."}]}';
+  let calls = 0;
+
+  assert.deepEqual(await requestDialogue(async () => { calls++; return partial; }, CAST, 2), [{ speaker: 'HOST', text: 'Usable.' }]);
+  assert.equal(calls, 2);
+  await assert.rejects(requestDialogue(async () => 'nothing', CAST, 2), /did not return a usable dialogue after 2 attempts/);
+});
+
+test('writes sections as a readable script and splits long turns into lines', () => {
+  const dialogue = [
+    { speaker: 'HOST', text: 'Welcome.', section: 'introduction' },
+    { speaker: 'CO-HOST', text: 'First story.', section: 'article-4' },
+    { speaker: 'HOST', text: 'Second story.', section: 'article-9' },
+    { speaker: 'HOST', text: 'Goodbye.', section: 'conclusion' }
+  ];
+
+  assert.equal(assembleDialogueScript(dialogue, CAST),
+    'Alex: Welcome.\n\n--- ARTICLE 1 ---\n\nJordan: First story.\n\n--- ARTICLE 2 ---\n\nAlex: Second story.\n\n--- CONCLUSION ---\n\nAlex: Goodbye.');
+
+  const sentence = 'This sentence is part of a very long turn. ';
+  const lines = dialogueToLines([{ speaker: 'HOST', text: sentence.repeat(200).trim(), emotion: 'serious', pause_after: 1, section: 'article-4' }]);
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every(line => line.text.length <= 4000 && line.emotion === 'serious' && line.section === 'article-4'));
+  assert.deepEqual(lines.map(line => line.pause_after), [...Array(lines.length - 1).fill(undefined), 1]);
+});
@@ -0,0 +1,81 @@
+/**
+ * Duplicate detection tests
+ * URL variants of the same page must share a canonical key, and fingerprints must tell a
+ * lightly edited copy from a different story. Lookups go through db.js with
+ * fake-indexeddb standing in for the browser's database.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, getArticleCanonicalUrl, computeFingerprint, fingerprintDistance, getDuplicateReason } from '../duplicates.js';
+
+const { saveArticle, findDuplicateArticles } = await import('../db.js');
+
+mock.method(console, 'log', () => {});
+
+const STORY = Array.from({ length: 80 }, (_, i) =>
+  `Sentence ${i} of the council report describes flood defences along river section ${i * 7}.`).join(' ');
+
+const OTHER_STORY = Array.from({ length: 80 }, (_, i) =>
+  `Paragraph ${i} reviews a new novel whose chapter ${i * 3} follows a lighthouse keeper.`).join(' ');
+
+test('gives AMP, tracking and www variants of a page the same key', () => {
+  const key = 'https://example.com/news/flood-defences';
+
+  [
+    'http://www.example.com/news/flood-defences/',
+    'https://example.com/news/flood-defences?utm_source=rss&utm_medium=feed&fbclid=abc',
+    'https://amp.example.com/news/flood-defences',
+    'https://example.com/amp/news/flood-defences',
+    'https://example.com/news/flood-defences/amp',
+    'https://example.com/news/flood-defences?outputType=amp',
+    'https://example-com.cdn.ampproject.org/c/s/example.com/news/flood-defences',
+    'https://www.google.com/amp/s/example.com/news/flood-defences'
+  ].forEach(url => assert.equal(canonicalizeUrl(url), key, url));
+});
+
+test('keeps query parameters that pick the content, in a stable order', () => {
+  assert.equal(canonicalizeUrl('https://example.com/story?page=2&id=7&utm_campaign=x'),
+    'https://example.com/story?id=7&page=2');
+  assert.equal(canonicalizeUrl('https://example.com/story?ref=home'), 'https://example.com/story?ref=home');
+  assert.equal(canonicalizeUrl('https://example.com:8080/story'), 'https://example.com:8080/story');
+  assert.equal(canonicalizeUrl('file:///tmp/story.html'), 'file:///tmp/story.html');
+  assert.equal(canonicalizeUrl(''), null);
+});
+
+test('ignores a declared canonical URL that points at the home page', () => {
+  assert.equal(getArticleCanonicalUrl('https://m.example.com/story?smid=tw', 'https://example.com/'),
+    'https://example.com/story');
+  assert.equal(getArticleCanonicalUrl('https://partner.example.net/syndicated/123', 'https://example.com/story'),
+    'https://example.com/story');
+});
+
+test('treats fingerprints up to six bits apart as the same text', () => {
+  const base = '0000000000000000';
+
+  assert.equal(fingerprintDistance(base, '000000000000003f'), 6);
+  assert.equal(getDuplicateReason({ fingerprint: base }, { fingerprint: '000000000000003f' }), 'content');
+  assert.equal(getDuplicateReason({ fingerprint: base }, { fingerprint: '000000000000007f' }), null);
+  assert.equal(fingerprintDistance(base, null), 64);
+});
+
+test('fingerprints a lightly edited copy close to the original, and another story far away', () => {
+  const edited = STORY.replace('Sentence 40 of the council report', 'Sentence 40 of the latest council report');
+
+  assert.ok(fingerprintDistance(computeFingerprint(STORY), computeFingerprint(edited)) <= 6);
+  assert.ok(fingerprintDistance(computeFingerprint(STORY), computeFingerprint(OTHER_STORY)) > 6);
+  assert.equal(computeFingerprint('Too short'), null);
+});
+
+test('finds saved duplicates by URL first, then by fingerprint', async () => {
+  const originalId = await saveArticle({ title: 'Flood defences', content: STORY, url: 'https://example.com/flood' });
+  await saveArticle({ title: 'Lighthouse novel', content: OTHER_STORY, url: 'https://example.com/novel' });
+
+  const byUrl = await findDuplicateArticles({ url: 'https://www.example.com/flood?utm_source=x', content: 'Different text' });
+  assert.deepEqual(byUrl.map(match => [match.article.id, match.reason]), [[originalId, 'url']]);
+
+  const byContent = await findDuplicateArticles({ url: 'https://partner.example.net/flood', content: `${STORY} Updated.` });
+  assert.deepEqual(byContent.map(match => [match.article.id, match.reason]), [[originalId, 'content']]);
+  assert.equal(byContent[0].article.content, STORY);
+});
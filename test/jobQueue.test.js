@@ -0,0 +1,143 @@
+/**
+ * Job queue tests
+ * Podcast jobs run end to end against the stub language model and the mock TTS provider,
+ * with fake-indexeddb standing in for the browser's database. The chrome global only
+ * provides what the queue calls in the service worker.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Job updates broadcast to extension pages, in the order they were sent
+const jobUpdates = [];
+
+globalThis.chrome = {
+  runtime: {
+    sendMessage: async (message) => {
+      if (message.action === 'JOB_UPDATED') {
+        jobUpdates.push(message.job);
+      }
+    }
+  },
+  alarms: {
+    create() {},
+    clear: async () => true
+  }
+};
+
+const { saveArticle, saveSetting, getAudioById, getArticleById, getJobSegments } = await import('../db.js');
+const {
+  JOB_STATES,
+  enqueuePodcastJob,
+  getJobScript,
+  saveJobScript,
+  regenerateJobSegment,
+  synthesizeJob,
+  getJobs
+} = await import('../jobQueue.js');
+
+// The generators log every step
+mock.method(console, 'log', () => {});
+
+await saveSetting('llm_provider', { provider: 'stub' });
+await saveSetting('tts_provider', { provider: 'mock' });
+
+/**
+ * Save an article long enough to be discussed
+ * @param {number} number - Used to tell the articles apart
+ * @returns {Promise<number>} Article ID
+ */
+function saveTestArticle(number) {
+  return saveArticle({
+    title: `Story number ${number}`,
+    content: `Paragraph about story ${number}. `.repeat(60),
+    url: `https://news.example.com/story-${number}`
+  });
+}
+
+/**
+ * Wait for a job to reach one of the given states
+ * @param {number} jobId - Job ID
+ * @param {Array<string>} states - States to wait for
+ * @returns {Promise<Object>} Job summary once it is in one of the states
+ */
+async function waitForJob(jobId, states) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const job = (await getJobs()).find(candidate => candidate.id === jobId);
+    if (job && states.includes(job.state)) return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not reach ${states.join(' or ')}`);
+}
+
+test('runs a podcast job to completion with the mock TTS provider', async () => {
+  const articleIds = [await saveTestArticle(1), await saveTestArticle(2)];
+
+  const queued = await enqueuePodcastJob(articleIds, { title: 'Morning briefing' });
+  assert.equal(queued.state, JOB_STATES.PENDING);
+
+  const job = await waitForJob(queued.id, [JOB_STATES.COMPLETED, JOB_STATES.FAILED]);
+  assert.equal(job.error, null);
+  assert.equal(job.state, JOB_STATES.COMPLETED);
+  assert.equal(job.progress, 100);
+  assert.ok(job.duration > 0);
+
+  const podcast = await getAudioById(job.podcastId);
+  assert.equal(podcast.title, 'Morning briefing');
+  assert.equal(podcast.blob.size, job.size);
+  assert.deepEqual(await getJobSegments(job.id), []);
+
+  const steps = jobUpdates.filter(update => update.id === job.id).map(update => update.step);
+  assert.deepEqual([...new Set(steps)], ['queued', 'script', 'audio', 'saving', 'done']);
+
+  for (const id of articleIds) {
+    assert.equal((await getArticleById(id)).status, 'in-podcast');
+  }
+});
+
+test('holds a job for script review, then synthesizes the reviewed script', async () => {
+  const articleIds = [await saveTestArticle(3)];
+
+  const queued = await enqueuePodcastJob(articleIds, { title: 'Reviewed episode', reviewScript: true });
+  const review = await waitForJob(queued.id, [JOB_STATES.REVIEW, JOB_STATES.FAILED]);
+  assert.equal(review.state, JOB_STATES.REVIEW);
+  assert.equal(review.podcastId, null);
+  assert.match(review.script, /This article raises a few points worth talking through/);
+
+  await synthesizeJob(queued.id);
+  const job = await waitForJob(queued.id, [JOB_STATES.COMPLETED, JOB_STATES.FAILED]);
+  assert.equal(job.state, JOB_STATES.COMPLETED);
+  assert.equal((await getAudioById(job.podcastId)).title, 'Reviewed episode');
+});
+
+test('saves script edits made in review with the podcast', async () => {
+  const articleIds = [await saveTestArticle(4), await saveTestArticle(5)];
+
+  const queued = await enqueuePodcastJob(articleIds, { title: 'Edited episode', reviewScript: true });
+  await waitForJob(queued.id, [JOB_STATES.REVIEW, JOB_STATES.FAILED]);
+  const { dialogue, sections } = await getJobScript(queued.id);
+  assert.deepEqual(sections.map(section => section.id),
+    ['introduction', `article-${articleIds[0]}`, `article-${articleIds[1]}`, 'conclusion']);
+
+  // Rewrite the second article, reorder its turns and give the last word to the co-host
+  const rewritten = await regenerateJobSegment(queued.id, articleIds[1]);
+  assert.ok(rewritten.every(turn => turn.section === sections[2].id));
+  const edited = [
+    ...dialogue.filter(turn => turn.section !== sections[2].id && turn.section !== 'conclusion'),
+    ...rewritten.reverse(),
+    { speaker: 'CO-HOST', text: 'An edited goodbye.', section: 'conclusion' }
+  ];
+  const summary = await saveJobScript(queued.id, edited);
+  assert.match(summary.script, /--- CONCLUSION ---\n\nJordan: An edited goodbye\.$/);
+
+  await assert.rejects(saveJobScript(queued.id, [{ speaker: 'NARRATOR', text: 'Who?' }]), /not in the cast/);
+  await assert.rejects(regenerateJobSegment(queued.id, 9999), /not part of this podcast/);
+
+  await synthesizeJob(queued.id);
+  const job = await waitForJob(queued.id, [JOB_STATES.COMPLETED, JOB_STATES.FAILED]);
+  const podcast = await getAudioById(job.podcastId);
+  assert.equal(podcast.script, summary.script);
+  assert.deepEqual(podcast.dialogue, edited);
+  await assert.rejects(getJobScript(queued.id), /no script waiting for review/);
+});
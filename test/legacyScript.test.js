@@ -0,0 +1,57 @@
+/**
+ * Plain-text script tests
+ * Jobs stored before structured dialogue hold "Name: text" lines, sometimes with several
+ * speakers on one line; the legacy parser must still attribute every turn.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCast } from '../cast.js';
+import { parseScriptIntoLines, splitTextIntoSpeakerTurns, splitLegacyLine } from '../legacyScript.js';
+
+mock.method(console, 'log', () => {});
+
+const CAST = normalizeCast([{ name: 'Hari' }, { name: 'Mei' }, { name: 'Dr. Okafor' }]);
+
+test('reads speakers by name, ID or role and skips section markers', () => {
+  const script = [
+    'Host: Hari: Welcome back to the show.',
+    '',
+    '--- ARTICLE 1 ---',
+    'MEI: Today we talk about tides.',
+    'and why they matter.',
+    'Dr. Okafor: They move whole oceans.',
+    'CO-HOST: Remarkable.'
+  ].join('\n');
+
+  assert.deepEqual(parseScriptIntoLines(script, { cast: CAST }).map(({ speaker, text }) => [speaker, text]), [
+    ['HOST', 'Welcome back to the show.'],
+    ['CO-HOST', 'Today we talk about tides. and why they matter.'],
+    ['SPEAKER-3', 'They move whole oceans.'],
+    ['CO-HOST', 'Remarkable.']
+  ]);
+});
+
+test('gives unlabelled opening text to the first speaker of legacy settings', () => {
+  const lines = parseScriptIntoLines('An unlabelled opening.\nGuest: Hello.', { hostNames: { HOST: 'Guest' } });
+
+  assert.deepEqual(lines.map(({ speaker, text }) => [speaker, text]), [['HOST', 'An unlabelled opening.'], ['HOST', 'Hello.']]);
+  assert.equal(parseScriptIntoLines('Co-host: Hi.', {})[0].speaker, 'CO-HOST');
+});
+
+test('splits a line holding several speakers into turns', () => {
+  assert.deepEqual(splitTextIntoSpeakerTurns('Opening words. Mei: A reply. Dr. Okafor: An answer.\nHari: Back to me.', CAST, 'HOST'), [
+    { speaker: 'HOST', text: 'Opening words.' },
+    { speaker: 'CO-HOST', text: 'A reply.' },
+    { speaker: 'SPEAKER-3', text: 'An answer.' },
+    { speaker: 'HOST', text: 'Back to me.' }
+  ]);
+  assert.deepEqual(splitTextIntoSpeakerTurns('Text for an unknown speaker.', CAST, 'NARRATOR'),
+    [{ speaker: 'HOST', text: 'Text for an unknown speaker.' }]);
+  assert.deepEqual(splitTextIntoSpeakerTurns('  ', CAST, 'HOST'), []);
+});
+
+test('drops a repeated name in front of a stored line', () => {
+  assert.deepEqual(splitLegacyLine({ speaker: 'HOST', text: 'Mei: Mei: Hello again.' }, CAST),
+    [{ speaker: 'CO-HOST', text: 'Hello again.' }]);
+});
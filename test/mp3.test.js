@@ -0,0 +1,113 @@
+/**
+ * MP3 stream tests
+ * Speech segments arrive as complete files and are joined frame by frame under one Xing
+ * header. Mixed podcasts and MP3 exports are encoded with lamejs in the export worker, which
+ * writes the tag and a Xing header in front of the frames.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMp3, concatenateMp3, createXingHeader, parseMp3Frames, getMp3Duration, createId3Tag, getId3TagLength } from '../mp3.js';
+
+/**
+ * Make a quiet tone
+ * @param {number} seconds - Length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Samples
+ */
+function createTone(seconds, sampleRate) {
+  return new Float32Array(Math.round(seconds * sampleRate)).map((_, i) => 0.3 * Math.sin(2 * Math.PI * 220 * i / sampleRate));
+}
+
+/**
+ * Make a segment the way speech providers return it: an ID3 tag and a Xing frame before the audio
+ * @param {number} seconds - Length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Uint8Array} MP3 file
+ */
+function createProviderSegment(seconds, sampleRate) {
+  const tag = createId3Tag({ title: 'Segment' });
+  const { buffer } = concatenateMp3([encodeMp3(createTone(seconds, sampleRate), sampleRate, 64)]);
+  const segment = new Uint8Array(tag.length + buffer.length);
+  segment.set(tag, 0);
+  segment.set(buffer, tag.length);
+  return segment;
+}
+
+test('encodes samples as MP3 frames that play for the same time', () => {
+  const frames = encodeMp3(createTone(3, 24000), 24000, 64);
+  const parsed = parseMp3Frames(frames);
+
+  assert.ok(parsed.length > 0);
+  assert.ok(parsed.every(frame => frame.sampleRate === 24000 && frame.mono && frame.bitrate === 64000));
+  // The encoder pads the end to whole frames
+  assert.ok(Math.abs(getMp3Duration(frames) - 3) < 0.1);
+});
+
+test('puts a single Xing header in front of encoded frames', () => {
+  const frames = encodeMp3(createTone(2, 24000), 24000, 64);
+  const { buffer, duration } = concatenateMp3([frames]);
+  const parsed = parseMp3Frames(buffer);
+
+  assert.equal(parsed[0].info, true);
+  assert.equal(parsed.filter(frame => frame.info).length, 1);
+  assert.equal(duration, getMp3Duration(buffer));
+});
+
+test('builds the same Xing header for encoded frames as joining them does', () => {
+  const frames = encodeMp3(createTone(2, 24000), 24000, 64);
+  const header = createXingHeader(frames);
+  const { buffer } = concatenateMp3([frames]);
+
+  assert.deepEqual(header, buffer.subarray(0, header.length));
+  assert.equal(header.length + frames.length, buffer.length);
+  assert.throws(() => createXingHeader(new Uint8Array(100)), /not valid MP3/);
+});
+
+test('writes chapters in an ID3 tag that readers can skip', () => {
+  const tag = createId3Tag({ title: 'Morning briefing' }, [
+    { id: 'introduction', title: 'Introduction', start: 0, end: 4.5 },
+    { id: 'article-1', title: 'Tidal power', start: 4.5, end: 60 }
+  ]);
+  const text = Buffer.from(tag).toString('latin1');
+
+  assert.equal(text.slice(0, 3), 'ID3');
+  assert.equal(getId3TagLength(tag, 0), tag.length);
+  assert.equal(text.split('CTOC').length - 1, 1);
+  assert.equal(text.split('CHAP').length - 1, 2);
+
+  // The tag is skipped when the audio after it is read
+  const { buffer } = concatenateMp3([encodeMp3(createTone(1, 24000), 24000, 64)]);
+  const tagged = new Uint8Array(tag.length + buffer.length);
+  tagged.set(tag, 0);
+  tagged.set(buffer, tag.length);
+  assert.equal(getMp3Duration(tagged), getMp3Duration(buffer));
+});
+
+test('joins provider segments under one header with the pauses between them', () => {
+  const segments = [createProviderSegment(1, 24000), createProviderSegment(2, 24000)];
+  const { buffer, duration, durations, pauses } = concatenateMp3(segments, [0.5]);
+  const parsed = parseMp3Frames(buffer);
+  // MPEG 2 Layer III frames hold 576 samples
+  const frameDuration = 576 / 24000;
+
+  assert.equal(getId3TagLength(buffer, 0), 0);
+  assert.equal(parsed[0].info, true);
+  assert.equal(parsed.filter(frame => frame.info).length, 1);
+  assert.deepEqual(durations, segments.map(getMp3Duration));
+  assert.deepEqual(pauses, [Math.round(0.5 / frameDuration) * frameDuration, 0]);
+  assert.ok(Math.abs(duration - (durations[0] + durations[1] + pauses[0])) < 1e-9);
+  assert.ok(Math.abs(getMp3Duration(buffer) - duration) < 1e-9);
+
+  // Silence frames are at a lower bitrate, so the header is tagged Xing and counts them too
+  const xingOffset = 4 + parsed[0].sideInfoLength;
+  assert.equal(Buffer.from(buffer.subarray(xingOffset, xingOffset + 4)).toString('latin1'), 'Xing');
+  assert.equal(new DataView(buffer.buffer).getUint32(xingOffset + 8), parsed.length - 1);
+  assert.equal(new DataView(buffer.buffer).getUint32(xingOffset + 12), buffer.length);
+});
+
+test('refuses segments that are not MP3 or that differ in sample rate', () => {
+  assert.throws(() => concatenateMp3([new Uint8Array(500)]), /not valid MP3/);
+  assert.throws(() => concatenateMp3([createProviderSegment(0.5, 24000), createProviderSegment(0.5, 22050)]),
+    /different sample rates/);
+});
@@ -0,0 +1,88 @@
+/**
+ * M4A container tests
+ * The file's boxes are walked the way a player reads them: the sample tables must point at
+ * the AAC frames in mdat, and the metadata and chapters must be where players look.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AAC_FRAME_SAMPLES, createM4a } from '../mp4.js';
+
+// Boxes whose contents are more boxes, with the bytes to skip before them
+const CONTAINERS = { moov: 0, trak: 0, mdia: 0, minf: 0, stbl: 0, udta: 0, meta: 4, ilst: 0 };
+
+/**
+ * Read the boxes in a range of a file, descending into container boxes
+ * @param {Uint8Array} bytes - File
+ * @param {number} [start] - First byte
+ * @param {number} [end] - Byte after the last
+ * @param {string} [prefix] - Path of the parent box
+ * @returns {Object} Boxes by path, e.g. "moov/trak/mdia/mdhd", as { offset, size, body }
+ */
+function readBoxes(bytes, start = 0, end = bytes.length, prefix = '') {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const boxes = {};
+  let offset = start;
+  while (offset < end) {
+    const size = view.getUint32(offset);
+    const type = Buffer.from(bytes.subarray(offset + 4, offset + 8)).toString('latin1');
+    const path = `${prefix}${type}`;
+    assert.ok(size >= 8 && offset + size <= end, `${path} fits in its parent`);
+    boxes[path] = { offset, size, body: bytes.subarray(offset + 8, offset + size) };
+    if (type in CONTAINERS) {
+      Object.assign(boxes, readBoxes(bytes, offset + 8 + CONTAINERS[type], offset + size, `${path}/`));
+    }
+    offset += size;
+  }
+  return boxes;
+}
+
+const FRAMES = [new Uint8Array([1, 2, 3]), new Uint8Array(200).fill(4), new Uint8Array([5, 6])];
+const STBL = 'moov/trak/mdia/minf/stbl';
+
+test('lays out ftyp, moov and mdat with the sample tables pointing at the frames', () => {
+  const file = createM4a({ frames: FRAMES, sampleRate: 24000, channels: 1, bitrate: 64000 }, { title: 'Episode' });
+  const boxes = readBoxes(file);
+  const uint32At = (body, offset) => new DataView(body.buffer, body.byteOffset).getUint32(offset);
+
+  assert.deepEqual(Object.keys(boxes).filter(path => !path.includes('/')), ['ftyp', 'moov', 'mdat']);
+  assert.equal(Buffer.from(boxes.ftyp.body.subarray(0, 4)).toString('latin1'), 'M4A ');
+
+  // stsz: version and flags, a zero default size, the count, then each frame's size
+  const stsz = boxes[`${STBL}/stsz`].body;
+  assert.deepEqual([uint32At(stsz, 8), uint32At(stsz, 12), uint32At(stsz, 16), uint32At(stsz, 20)], [3, 3, 200, 2]);
+
+  // stco: the single chunk starts at the first frame, inside mdat
+  const chunkOffset = uint32At(boxes[`${STBL}/stco`].body, 8);
+  assert.equal(chunkOffset, boxes.mdat.offset + 8);
+  assert.deepEqual(file.subarray(chunkOffset), Uint8Array.from([...FRAMES[0], ...FRAMES[1], ...FRAMES[2]]));
+
+  // mdhd counts samples at the audio's rate
+  const mdhd = boxes['moov/trak/mdia/mdhd'].body;
+  assert.deepEqual([uint32At(mdhd, 12), uint32At(mdhd, 16)], [24000, FRAMES.length * AAC_FRAME_SAMPLES]);
+  assert.ok(boxes[`${STBL}/stsd`]);
+});
+
+test('writes iTunes metadata and Nero chapters', () => {
+  const file = createM4a({ frames: FRAMES, sampleRate: 24000, channels: 1, bitrate: 64000 },
+    { title: 'Morning briefing', artist: 'Newsroom' },
+    [{ title: 'Introduction', start: 0 }, { title: 'Tidal power', start: 62.5 }]);
+  const boxes = readBoxes(file);
+
+  const title = boxes['moov/udta/meta/ilst/©nam'].body;
+  assert.equal(Buffer.from(title.subarray(16)).toString('utf8'), 'Morning briefing');
+  assert.ok(boxes['moov/udta/meta/ilst/©ART']);
+  assert.equal(boxes['moov/udta/meta/ilst/©alb'], undefined);
+
+  // chpl version 1: flags, a reserved word, the count, then 100 ns start times and titles
+  const chpl = boxes['moov/udta/chpl'].body;
+  const view = new DataView(chpl.buffer, chpl.byteOffset);
+  assert.equal(chpl[8], 2);
+  const secondOffset = 9 + 8 + 1 + 'Introduction'.length;
+  assert.equal(Number(view.getBigUint64(secondOffset)), 625000000);
+  assert.equal(Buffer.from(chpl.subarray(secondOffset + 9, secondOffset + 9 + chpl[secondOffset + 8])).toString('utf8'), 'Tidal power');
+});
+
+test('refuses sample rates AAC cannot describe', () => {
+  assert.throws(() => createM4a({ frames: FRAMES, sampleRate: 23000, channels: 1, bitrate: 64000 }, {}), /23000 Hz/);
+});
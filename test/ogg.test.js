@@ -0,0 +1,126 @@
+/**
+ * Ogg Opus container tests
+ * Pages are read back and checked against RFC 3533 and RFC 7845: checksums, page flags,
+ * lacing and granule positions, and the header packets at the start of the stream.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOggOpus } from '../ogg.js';
+
+/**
+ * Calculate an Ogg checksum bit by bit, as a reference for the writer's table
+ * @param {Uint8Array} bytes - Page with its checksum field zeroed
+ * @returns {number} Checksum
+ */
+function referenceCrc(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Split an Ogg stream into pages
+ * @param {Uint8Array} file - Ogg file
+ * @returns {Array<Object>} Pages as { flags, granule, serial, sequence, crc, segments, data, bytes }
+ */
+function readPages(file) {
+  const pages = [];
+  let offset = 0;
+  while (offset < file.length) {
+    const view = new DataView(file.buffer, file.byteOffset + offset);
+    assert.equal(Buffer.from(file.subarray(offset, offset + 4)).toString('latin1'), 'OggS');
+    const segments = Array.from(file.subarray(offset + 27, offset + 27 + file[offset + 26]));
+    const dataLength = segments.reduce((total, length) => total + length, 0);
+    const length = 27 + segments.length + dataLength;
+    pages.push({
+      flags: file[offset + 5],
+      granule: view.getBigInt64(6, true),
+      serial: view.getUint32(14, true),
+      sequence: view.getUint32(18, true),
+      crc: view.getUint32(22, true),
+      segments,
+      data: file.subarray(offset + 27 + segments.length, offset + length),
+      bytes: file.subarray(offset, offset + length)
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+/**
+ * Make packets of 20 ms Opus frames
+ * @param {Array<number>} sizes - Byte length of each packet
+ * @returns {Array<Object>} Packets as { data, samples }
+ */
+function createPackets(sizes) {
+  return sizes.map((size, index) => ({ data: new Uint8Array(size).fill(index % 256), samples: 960 }));
+}
+
+test('checksums every page and numbers the pages of one stream in order', () => {
+  assert.equal(referenceCrc(new TextEncoder().encode('123456789')), 0x89A1897F);
+
+  const file = createOggOpus({ packets: createPackets([100, 120, 90]), channels: 1, inputSampleRate: 24000, length: 2000 }, { title: 'Episode' });
+  const pages = readPages(file);
+
+  pages.forEach((page, index) => {
+    const zeroed = Uint8Array.from(page.bytes);
+    zeroed.fill(0, 22, 26);
+    assert.equal(page.crc, referenceCrc(zeroed), `page ${index}`);
+    assert.equal(page.sequence, index);
+    assert.equal(page.serial, pages[0].serial);
+  });
+  // Beginning of stream on the first page, end of stream on the last
+  assert.deepEqual(pages.map(page => page.flags), [0x02, 0, 0x04]);
+});
+
+test('starts with OpusHead and OpusTags pages carrying the chapters', () => {
+  const file = createOggOpus({ packets: createPackets([50]), channels: 1, inputSampleRate: 24000, length: 900, preSkip: 120 },
+    { title: 'Morning briefing' }, [{ title: 'Introduction', start: 0 }, { title: 'Tidal power', start: 3723.25 }]);
+  const [head, tags] = readPages(file);
+
+  assert.equal(Buffer.from(head.data.subarray(0, 8)).toString('latin1'), 'OpusHead');
+  const headData = Buffer.from(head.data);
+  assert.deepEqual([headData[9], headData.readUInt16LE(10), headData.readUInt32LE(12)], [1, 120, 24000]);
+  assert.equal(head.granule, 0n);
+
+  const comments = Buffer.from(tags.data).toString('utf8');
+  assert.ok(comments.startsWith('OpusTags'));
+  ['TITLE=Morning briefing', 'CHAPTER001=00:00:00.000', 'CHAPTER002=01:02:03.250', 'CHAPTER002NAME=Tidal power']
+    .forEach(comment => assert.ok(comments.includes(comment), comment));
+});
+
+test('sets granule positions from the packets and trims the padding on the last page', () => {
+  const sizes = Array(40).fill(150);
+  const file = createOggOpus({ packets: createPackets(sizes), channels: 1, inputSampleRate: 48000, length: 38000 }, {});
+  const audioPages = readPages(file).slice(2);
+
+  assert.ok(audioPages.length > 1);
+  // Each page closes once it holds about 4 KB, and its granule counts the packets so far
+  const first = audioPages[0];
+  const packetsOnFirst = first.segments.length;
+  assert.ok(first.data.length >= 4096);
+  assert.equal(first.granule, BigInt(packetsOnFirst * 960));
+  assert.equal(audioPages.at(-1).granule, BigInt(312 + 38000));
+  assert.equal(audioPages.reduce((total, page) => total + page.segments.length, 0), sizes.length);
+});
+
+test('laces a packet longer than a page across pages', () => {
+  const file = createOggOpus({ packets: createPackets([70000, 10]), channels: 1, inputSampleRate: 48000, length: 1920 }, {});
+  const audioPages = readPages(file).slice(2);
+
+  // 255 segments of 255 bytes fill a page on which no packet ends
+  assert.deepEqual(audioPages[0].segments, Array(255).fill(255));
+  assert.equal(audioPages[0].granule, -1n);
+  // The rest continues the packet, and the page closes where it ends
+  assert.equal(audioPages[1].flags, 0x01);
+  assert.equal(audioPages[1].data.length, 70000 - 255 * 255);
+  assert.equal(audioPages[1].granule, 960n);
+  assert.deepEqual(audioPages[2].segments, [10]);
+  assert.equal(audioPages[2].flags, 0x04);
+});
@@ -0,0 +1,81 @@
+/**
+ * Podcast feed tests
+ * The feed is written from prepared episodes; every value from a podcast or article must be
+ * escaped, and enclosures must carry the audio's address, size and type.
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CHANNEL, getEpisodeDetails, normalizeBaseUrl, sortEpisodes, createFeedXml } from '../podcastFeed.js';
+
+const CHANNEL = {
+  ...DEFAULT_CHANNEL,
+  title: 'Reading <list> & more',
+  author: 'Sam "the reader"',
+  email: 'sam@example.com',
+  baseUrl: 'https://feeds.example.com/private/',
+  coverUrl: 'https://feeds.example.com/private/cover.png'
+};
+
+/**
+ * Make a feed entry the way buildEpisode() prepares one
+ * @param {number} id - Podcast ID
+ * @param {Object} details - Episode details to override
+ * @returns {Object} Feed entry
+ */
+function createEpisode(id, details = {}) {
+  return {
+    details: getEpisodeDetails({ id, title: `Episode ${id}`, dateCreated: '2024-03-0' + id + 'T08:00:00.000Z', episode: details }),
+    notes: '<p>Articles in this episode:</p><ul><li><a href="https://news.example.com/?a=1&amp;b=2">Tides</a></li></ul>',
+    guid: `article-to-audio-${id}`,
+    duration: 3723,
+    audio: { url: `https://feeds.example.com/private/episodes/${id}.mp3?v=1&x=2`, size: 123456, type: 'audio/mpeg' },
+    chaptersUrl: `https://feeds.example.com/private/episodes/${id}.chapters.json`,
+    transcripts: [{ url: `https://feeds.example.com/private/episodes/${id}.vtt`, type: 'text/vtt', rel: 'captions' }]
+  };
+}
+
+test('escapes channel and episode text, and keeps show notes in CDATA', () => {
+  const episode = createEpisode(1, { title: 'Tides & <turbines>' });
+  const xml = createFeedXml(CHANNEL, [episode, { ...createEpisode(2), notes: '<p>Ends with ]]> inside</p>' }]);
+
+  assert.match(xml, /<title>Reading &lt;list&gt; &amp; more<\/title>/);
+  assert.match(xml, /<itunes:author>Sam &quot;the reader&quot;<\/itunes:author>/);
+  assert.match(xml, /<item>\n\s+<title>Tides &amp; &lt;turbines&gt;<\/title>/);
+  assert.match(xml, /<description><!\[CDATA\[<p>Articles in this episode:<\/p>.*<\/ul>\]\]><\/description>/);
+  // A CDATA end inside the notes is split so the section doesn't close early
+  assert.ok(xml.includes('<description><![CDATA[<p>Ends with ]]]]><![CDATA[> inside</p>]]></description>'));
+});
+
+test('writes the enclosure, duration, chapters and transcripts of each episode', () => {
+  const xml = createFeedXml(CHANNEL, [createEpisode(2, { number: 4, explicit: true })]);
+
+  assert.match(xml, /<enclosure url="https:\/\/feeds\.example\.com\/private\/episodes\/2\.mp3\?v=1&amp;x=2" length="123456" type="audio\/mpeg"\/>/);
+  assert.match(xml, /<itunes:duration>1:02:03<\/itunes:duration>/);
+  assert.match(xml, /<itunes:episode>4<\/itunes:episode>/);
+  assert.match(xml, /<itunes:explicit>true<\/itunes:explicit>\n\s+<podcast:chapters url="[^"]+\/2\.chapters\.json" type="application\/json\+chapters"\/>/);
+  assert.match(xml, /<podcast:transcript url="[^"]+\/2\.vtt" type="text\/vtt" rel="captions"\/>/);
+  assert.match(xml, /<atom:link href="https:\/\/feeds\.example\.com\/private\/feed\.xml" rel="self"/);
+  assert.match(xml, /<itunes:block>Yes<\/itunes:block>/);
+  assert.match(xml, /<guid isPermaLink="false">article-to-audio-2<\/guid>/);
+  assert.match(xml, /<pubDate>Sat, 02 Mar 2024 08:00:00 GMT<\/pubDate>/);
+  assert.ok(!xml.includes('<itunes:season>'));
+});
+
+test('fills in episode details and lists episodes newest first', () => {
+  assert.deepEqual(getEpisodeDetails({ title: 'Morning', dateCreated: '2024-03-01T08:00:00.000Z' }), {
+    title: 'Morning', description: '', number: null, season: null, explicit: false, publishedAt: '2024-03-01T08:00:00.000Z'
+  });
+  assert.equal(getEpisodeDetails({ episode: { title: 'Edited' }, title: 'Morning' }).title, 'Edited');
+
+  const sorted = sortEpisodes([createEpisode(1), createEpisode(3), createEpisode(2)]);
+  assert.deepEqual(sorted.map(episode => episode.guid), ['article-to-audio-3', 'article-to-audio-2', 'article-to-audio-1']);
+});
+
+test('accepts only http(s) feed addresses, ending them with a slash', () => {
+  assert.equal(normalizeBaseUrl(' https://example.com/feeds/news '), 'https://example.com/feeds/news/');
+  assert.equal(normalizeBaseUrl('http://example.com'), 'http://example.com/');
+  assert.throws(() => normalizeBaseUrl(''), /web address/);
+  assert.throws(() => normalizeBaseUrl('ftp://example.com/'), /http:\/\/ or https:\/\//);
+});
@@ -0,0 +1,70 @@
+/**
+ * Podcast format tests
+ * Templates render their {{variable}} placeholders, and edits to built-in formats are stored
+ * as overrides in the settings store, which fake-indexeddb stands in for.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TEMPLATE_NAMES,
+  TEMPLATE_VARIABLES,
+  BUILT_IN_FORMATS,
+  renderTemplate,
+  getBuiltInFormat,
+  getPodcastFormats,
+  getPodcastFormat,
+  savePodcastFormat,
+  deletePodcastFormat
+} from '../podcastFormats.js';
+
+mock.method(console, 'log', () => {});
+
+test('renders known placeholders and leaves unknown ones for previews to show', () => {
+  assert.equal(renderTemplate('{{ hostName }} and {{cohostName}} discuss {{topic}}', { hostName: 'Ada', cohostName: 'Ben' }),
+    'Ada and Ben discuss {{topic}}');
+  assert.equal(renderTemplate('{{articleCount}} stories', { articleCount: 0 }), '0 stories');
+  assert.equal(renderTemplate(null, {}), '');
+});
+
+test('built-in formats only use documented placeholders', () => {
+  BUILT_IN_FORMATS.forEach(format => {
+    assert.deepEqual(Object.keys(format.templates), TEMPLATE_NAMES, format.id);
+    TEMPLATE_NAMES.forEach(name => {
+      const placeholders = [...format.templates[name].matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+      placeholders.forEach(placeholder => assert.ok(placeholder in TEMPLATE_VARIABLES, `${format.id}.${name}: ${placeholder}`));
+    });
+  });
+  assert.equal(getBuiltInFormat('narrator').speakers, 1);
+  assert.equal(getBuiltInFormat('missing'), null);
+});
+
+test('stores edits to a built-in format over it, and drops them on delete', async () => {
+  await savePodcastFormat({ id: 'debate', name: ' Friendly debate ', templates: { discussion: 'Argue about {{articleTitle}}' } });
+
+  const edited = await getPodcastFormat('debate');
+  assert.equal(edited.name, 'Friendly debate');
+  assert.equal(edited.templates.discussion, 'Argue about {{articleTitle}}');
+  assert.equal(edited.builtIn, true);
+  assert.equal(edited.modified, true);
+
+  await deletePodcastFormat('debate');
+  const restored = await getPodcastFormat('debate');
+  assert.equal(restored.templates.discussion, getBuiltInFormat('debate').templates.discussion);
+  assert.equal(restored.modified, false);
+});
+
+test('adds custom formats after the built-ins and falls back to the default format', async () => {
+  const saved = await savePodcastFormat({ name: 'Book club', speakers: 3, templates: { discussion: 'Talk about {{articleTitle}}' } });
+
+  assert.match(saved.id, /^custom-/);
+  assert.equal(saved.speakers, 2);
+  const formats = await getPodcastFormats();
+  assert.deepEqual(formats.map(format => format.id), [...BUILT_IN_FORMATS.map(format => format.id), saved.id]);
+  assert.equal(formats.at(-1).builtIn, false);
+  assert.equal((await getPodcastFormat('unknown')).id, 'banter');
+
+  await assert.rejects(savePodcastFormat({ name: '  ', templates: { discussion: 'x' } }), /needs a name/);
+  await assert.rejects(savePodcastFormat({ name: 'Empty', templates: { discussion: ' ' } }), /discussion template/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Podcast timeline tests
+ * Synthesized segments are laid out end to end with their pauses, and chapters follow the
+ * script's sections so they can be written as MP3 chapter frames. Transcripts are exported
+ * from the same timeline as WebVTT and SRT.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTimeline, findTimelineEntry, timelineToWebVtt, timelineToSrt } from '../podcastTimeline.js';
+import { createId3Tag } from '../mp3.js';
+
+const SECTIONS = [
+  { id: 'introduction', title: 'Introduction' },
+  { id: 'article-7', title: 'Tidal power', articleId: 7 },
+  { id: 'conclusion', title: 'Conclusion' }
+];
+
+const SEGMENTS = [
+  { duration: 2.5, pauseAfter: 0.5, speaker: 'HOST', text: 'Welcome.', section: 'introduction' },
+  { duration: 4, pauseAfter: 0.3, speaker: 'CO-HOST', text: 'Tides first.', section: 'article-7' },
+  { duration: 3.2, pauseAfter: 0.3, speaker: 'HOST', text: 'They turn turbines.', section: 'article-7' },
+  { duration: 1.0004, speaker: 'HOST', text: 'Goodbye.', section: 'conclusion' }
+];
+
+test('lays lines out end to end with the pauses between them', () => {
+  const timeline = createTimeline(SEGMENTS, SECTIONS);
+
+  assert.deepEqual(timeline.lines.map(line => [line.start, line.end]), [[0, 2.5], [3, 7], [7.3, 10.5], [10.8, 11.8]]);
+  assert.equal(timeline.duration, 11.8);
+  assert.deepEqual(timeline.lines[1], { start: 3, end: 7, speaker: 'CO-HOST', text: 'Tides first.', section: 'article-7' });
+});
+
+test('starts a chapter at the first line of each section', () => {
+  const { chapters } = createTimeline(SEGMENTS, SECTIONS);
+
+  assert.deepEqual(chapters, [
+    { id: 'introduction', title: 'Introduction', start: 0, end: 3 },
+    { id: 'article-7', title: 'Tidal power', start: 3, end: 10.8, articleId: 7 },
+    { id: 'conclusion', title: 'Conclusion', start: 10.8, end: 11.8 }
+  ]);
+  // Scripts written before sections were recorded have no chapters
+  assert.deepEqual(createTimeline(SEGMENTS.map(({ section, ...segment }) => segment)).chapters, []);
+  // The first chapter covers anything before its first line
+  const untitled = createTimeline([{ duration: 1, pauseAfter: 0.2 }, { duration: 2, section: 'article-9' }]);
+  assert.deepEqual(untitled.chapters, [{ id: 'article-9', title: 'article-9', start: 0, end: 3.2 }]);
+});
+
+test('finds the line or chapter playing at a time', () => {
+  const { lines, chapters } = createTimeline(SEGMENTS, SECTIONS);
+
+  assert.equal(findTimelineEntry(lines, 0), 0);
+  // A pause still belongs to the line before it
+  assert.equal(findTimelineEntry(lines, 2.8), 0);
+  assert.equal(findTimelineEntry(lines, 7.3), 2);
+  assert.equal(findTimelineEntry(chapters, 100), 2);
+  assert.equal(findTimelineEntry(lines, -1), -1);
+  assert.equal(findTimelineEntry([], 5), -1);
+});
+
+test('writes chapter times in milliseconds into the MP3 chapter frames', () => {
+  const { chapters } = createTimeline(SEGMENTS, SECTIONS);
+  const tag = Buffer.from(createId3Tag({ title: 'Episode' }, chapters));
+
+  const times = [];
+  for (let offset = tag.indexOf('CHAP'); offset !== -1; offset = tag.indexOf('CHAP', offset + 4)) {
+    // Frame header, then the null-terminated element ID, then start and end times
+    const timesOffset = tag.indexOf(0, offset + 10) + 1;
+    times.push([tag.readUInt32BE(timesOffset), tag.readUInt32BE(timesOffset + 4)]);
+  }
+  assert.deepEqual(times, [[0, 3000], [3000, 10800], [10800, 11800]]);
+});
+
+test('exports the transcript as WebVTT with voices and chapter notes', () => {
+  const cast = [{ id: 'HOST', name: 'Alex' }, { id: 'CO-HOST', name: 'Sam <& co>' }];
+  const timeline = createTimeline([
+    { ...SEGMENTS[0], text: 'Fish & <chips>' },
+    SEGMENTS[1],
+    { duration: 3600, speaker: 'GUEST', text: 'A long answer.', section: 'article-7' }
+  ], [SECTIONS[0], { ...SECTIONS[1], title: 'Tides --> turbines' }]);
+
+  assert.equal(timelineToWebVtt(timeline, cast), [
+    'WEBVTT',
+    'NOTE Introduction',
+    '1\n00:00:00.000 --> 00:00:02.500\n<v Alex>Fish &amp; &lt;chips&gt;',
+    'NOTE Tides -> turbines',
+    '2\n00:00:03.000 --> 00:00:07.000\n<v Sam &lt;&amp; co&gt;>Tides first.',
+    '3\n00:00:07.300 --> 01:00:07.300\n<v GUEST>A long answer.'
+  ].join('\n\n') + '\n');
+});
+
+test('exports the transcript as SRT with the speaker in front of each cue', () => {
+  const cast = [{ id: 'HOST', name: 'Alex' }, { id: 'CO-HOST', name: 'Sam' }];
+  const timeline = createTimeline(SEGMENTS.slice(0, 2), SECTIONS);
+
+  assert.equal(timelineToSrt(timeline, cast),
+    '1\n00:00:00,000 --> 00:00:02,500\nAlex: Welcome.\n\n2\n00:00:03,000 --> 00:00:07,000\nSam: Tides first.\n');
+});
@@ -0,0 +1,105 @@
+/**
+ * Script generation tests
+ * Scripts are written through the stub language model, which answers every stage with
+ * canned dialogue, and fake-indexeddb stands in for the browser's database.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { saveArticle, saveSetting, getArticleById } = await import('../db.js');
+const { generatePodcastScript, regenerateArticleDiscussion } = await import('../scriptGenerator.js');
+
+// The generator logs every step and warns about the stub's short segments
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Save an article long enough to be discussed
+ * @param {string} title - Article title
+ * @returns {Promise<number>} Article ID
+ */
+function saveTestArticle(title) {
+  return saveArticle({
+    title,
+    content: `A paragraph about ${title.toLowerCase()}. `.repeat(60),
+    url: `https://news.example.com/${title.toLowerCase().replace(/\s+/g, '-')}`
+  });
+}
+
+test('writes an introduction, a discussion per article and a conclusion', async () => {
+  await saveSetting('llm_provider', { provider: 'stub' });
+  const articleIds = [await saveTestArticle('Tidal power'), await saveTestArticle('Night trains')];
+  const stages = [];
+
+  const scriptData = await generatePodcastScript(articleIds, {}, progress => stages.push(progress.stage));
+
+  assert.equal(scriptData.title, 'Podcast: Tidal power, Night trains');
+  assert.deepEqual([...new Set(scriptData.dialogue.map(turn => turn.section))], [
+    'introduction',
+    `article-${articleIds[0]}`,
+    `article-${articleIds[1]}`,
+    'conclusion'
+  ]);
+  assert.ok(scriptData.dialogue.every(turn => ['HOST', 'CO-HOST'].includes(turn.speaker)));
+  assert.deepEqual(scriptData.lines, scriptData.dialogue);
+  assert.deepEqual([...new Set(stages)], ['loading', 'title', 'introduction', 'discussion', 'conclusion', 'script']);
+
+  // Host names from the default cast, with the sections marked
+  assert.match(scriptData.script, /^Alex: Welcome to the show\./);
+  assert.match(scriptData.script, /--- ARTICLE 2 ---\n\nAlex: This article raises a few points/);
+  assert.match(scriptData.script, /--- CONCLUSION ---\n\nAlex: That wraps up today's episode\.\nJordan: Thanks for listening/);
+
+  for (const id of articleIds) {
+    const article = await getArticleById(id);
+    assert.equal(article.status, 'in-podcast');
+    assert.match(article.podcastScript, /^Alex: This article raises a few points worth talking through\./);
+  }
+});
+
+test('leaves out the introduction and conclusion when asked to', async () => {
+  await saveSetting('llm_provider', { provider: 'stub' });
+  const articleId = await saveTestArticle('Urban beekeeping');
+
+  const scriptData = await generatePodcastScript([articleId], {
+    title: 'Just the story',
+    includeIntroduction: false,
+    includeConclusion: false
+  });
+
+  assert.equal(scriptData.title, 'Just the story');
+  assert.ok(scriptData.dialogue.every(turn => turn.section === `article-${articleId}`));
+});
+
+test('uses the stub replies configured for a stage', async () => {
+  await saveSetting('llm_provider', {
+    provider: 'stub',
+    stubResponses: {
+      conclusion: JSON.stringify({ dialogue: [{ speaker: 'CO-HOST', text: 'That is all for today.' }] })
+    }
+  });
+  const articleId = await saveTestArticle('Desert rain');
+
+  const scriptData = await generatePodcastScript([articleId], {});
+  const conclusion = scriptData.dialogue.filter(turn => turn.section === 'conclusion');
+
+  assert.deepEqual(conclusion, [{ speaker: 'CO-HOST', text: 'That is all for today.', section: 'conclusion' }]);
+  assert.match(scriptData.script, /Jordan: That is all for today\.$/);
+});
+
+test('rewrites one article\'s discussion for review', async () => {
+  await saveSetting('llm_provider', { provider: 'stub' });
+  const articleId = await saveTestArticle('Glacier retreat');
+  const { settings } = await generatePodcastScript([articleId], {});
+
+  await saveSetting('llm_provider', {
+    provider: 'stub',
+    stubResponses: {
+      discussion: JSON.stringify({ dialogue: [{ speaker: 'HOST', text: 'Take two on the glaciers.' }] })
+    }
+  });
+  const turns = await regenerateArticleDiscussion(articleId, settings);
+
+  assert.deepEqual(turns, [{ speaker: 'HOST', text: 'Take two on the glaciers.', section: `article-${articleId}` }]);
+});
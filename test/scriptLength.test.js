@@ -0,0 +1,63 @@
+/**
+ * Episode length planning tests
+ * Word budgets must add up to the target episode length, and scripts are measured by their
+ * spoken words only.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WORDS_PER_MINUTE,
+  countScriptWords,
+  estimateScriptMinutes,
+  calculateWordBudgets,
+  describeWordBudget,
+  compareToTarget,
+  describeLengthComparison
+} from '../scriptLength.js';
+
+test('keeps the historical segment lengths without a target', () => {
+  assert.deepEqual(calculateWordBudgets({ articleCount: 2 }),
+    { targetMinutes: null, introduction: 150, discussion: 525, conclusion: 150, total: 1350 });
+  assert.equal(calculateWordBudgets({ articleCount: 1, includeIntroduction: false, includeConclusion: false }).total, 525);
+});
+
+test('divides a target length across the framing segments and each article', () => {
+  const budgets = calculateWordBudgets({ targetMinutes: 15, articleCount: 2 });
+
+  assert.deepEqual(budgets, { targetMinutes: 15, introduction: 180, discussion: 956, conclusion: 158, total: 2250 });
+  assert.equal(budgets.total, 15 * WORDS_PER_MINUTE);
+  // Framing segments are capped on long episodes, leaving the rest to the articles
+  const long = calculateWordBudgets({ targetMinutes: 60, articleCount: 3 });
+  assert.deepEqual([long.introduction, long.conclusion, long.discussion], [300, 300, 2800]);
+  // A skipped segment gives its time to the articles
+  assert.equal(calculateWordBudgets({ targetMinutes: 15, articleCount: 2, includeIntroduction: false }).introduction, 0);
+});
+
+test('never asks for less than a minute per article', () => {
+  const budgets = calculateWordBudgets({ targetMinutes: 5, articleCount: 10 });
+
+  assert.deepEqual([budgets.introduction, budgets.discussion, budgets.conclusion], [75, 150, 75]);
+  assert.ok(budgets.total > 5 * WORDS_PER_MINUTE);
+});
+
+test('counts spoken words, not speaker labels or section markers', () => {
+  const script = '--- INTRODUCTION ---\nHost: Hello there, listeners.\n\nGuest: Thanks: glad to be here.';
+
+  assert.equal(countScriptWords(script), 8);
+  assert.equal(countScriptWords(''), 0);
+  assert.equal(countScriptWords(null), 0);
+  assert.equal(estimateScriptMinutes('word '.repeat(300)), 2);
+});
+
+test('describes budgets and lengths against the target', () => {
+  assert.equal(describeWordBudget(525), 'about 525 words (roughly 3.5 minutes of speech)');
+  assert.equal(describeWordBudget(150), 'about 150 words (roughly 1 minute of speech)');
+  assert.equal(describeWordBudget(60), 'about 60 words (about 30 seconds of speech)');
+
+  const short = compareToTarget(12.4, 15);
+  assert.deepEqual(short, { estimatedMinutes: 12.4, targetMinutes: 15, differenceMinutes: -2.6, onTarget: false });
+  assert.equal(describeLengthComparison(short), '12.4 min (target 15 min, 2.6 min short)');
+  assert.equal(describeLengthComparison(compareToTarget(16, 15)), '16 min (target 15 min, on target)');
+  assert.equal(describeLengthComparison(compareToTarget(7.26, null)), '7.3 min');
+});
@@ -0,0 +1,115 @@
+/**
+ * Search index tests
+ * Articles are indexed in memory the way db.js stores them, then queried through
+ * parseSearchQuery and rankSearchResults. Highlighting must escape the article's text.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize,
+  stem,
+  buildArticleIndexEntry,
+  updateSearchStats,
+  parseSearchQuery,
+  rankSearchResults,
+  highlightSearchTerms,
+  createSearchSnippet
+} from '../searchIndex.js';
+
+const ARTICLES = [
+  { id: 1, title: 'Night trains return', summary: '', content: 'Sleeper trains are running again across Europe, with new night routes every season.' },
+  { id: 2, title: 'Tidal power', summary: 'Energy from the sea', content: 'The train of turbines runs at night, when the tide turns and power is cheap.' },
+  { id: 3, title: 'Running a night market', summary: '', content: 'Stall holders say the market draws crowds long after the last train leaves.' }
+];
+
+/**
+ * Index articles as db.js does: term records of postings, and collection statistics
+ * @param {Array<Object>} articles - Articles with id, title, summary and content
+ * @returns {Object} { termRecords, stats }
+ */
+function buildIndex(articles) {
+  const termRecords = {};
+  const stats = { count: 0, totalLengths: {}, lengths: {} };
+  articles.forEach(article => {
+    const entry = buildArticleIndexEntry(article);
+    Object.entries(entry.postings).forEach(([term, posting]) => {
+      termRecords[term] = termRecords[term] || { term, postings: {} };
+      termRecords[term].postings[article.id] = posting;
+    });
+    updateSearchStats(stats, article.id, entry.lengths);
+  });
+  return { termRecords, stats };
+}
+
+/**
+ * Run a query against an index, expanding the typed prefix as db.js does
+ * @param {string} query - Raw query
+ * @param {Object} index - Result of buildIndex()
+ * @returns {Array<number>} Matching article IDs, best first
+ */
+function search(query, { termRecords, stats }) {
+  const parsed = parseSearchQuery(query);
+  if (parsed.prefix) {
+    parsed.prefixTerms = Object.keys(termRecords)
+      .filter(term => term.startsWith(parsed.prefix) || term === parsed.prefixStem);
+  }
+  return rankSearchResults(parsed, termRecords, stats).map(result => result.articleId);
+}
+
+test('tokenizes and stems words so forms of a word match', () => {
+  assert.deepEqual(tokenize('Café-owners’ night, RUNNING!'), ['cafe', 'owners', 'night', 'running']);
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('trains'), stem('train'));
+  assert.equal(stem('connection'), stem('connected'));
+});
+
+test('matches quoted text only where the words are adjacent', () => {
+  const index = buildIndex(ARTICLES);
+
+  assert.deepEqual(parseSearchQuery('"night trains"').phrases, [[{ term: 'night', offset: 0 }, { term: 'train', offset: 1 }]]);
+  assert.deepEqual(search('"night trains" ', index), [1]);
+  // Stop words inside a phrase still count towards adjacency
+  assert.deepEqual(search('"draws crowds after the last train"', index), []);
+  assert.deepEqual(search('"after the last train"', index), [3]);
+  // Without quotes both words are required anywhere
+  assert.deepEqual(search('night train ', index).sort(), [1, 2, 3]);
+});
+
+test('treats the word being typed as a prefix', () => {
+  const index = buildIndex(ARTICLES);
+  const parsed = parseSearchQuery('night tur');
+
+  assert.equal(parsed.prefix, 'tur');
+  assert.deepEqual(parsed.terms, ['night']);
+  assert.deepEqual(search('night tur', index), [2]);
+  // A closing quote ends the word
+  assert.equal(parseSearchQuery('"night tur"').prefix, null);
+  // A fully typed word also matches other forms through its stem
+  assert.deepEqual(search('runs', index).sort(), [1, 2, 3]);
+});
+
+test('ranks title matches above matches in the text', () => {
+  const index = buildIndex(ARTICLES);
+
+  assert.deepEqual(search('market ', index), [3]);
+  assert.equal(search('night ', index)[0] !== 2, true);
+  assert.equal(search('power ', index)[0], 2);
+  assert.deepEqual(rankSearchResults(parseSearchQuery('power '), {}, { count: 0, totalLengths: {}, lengths: {} }), []);
+});
+
+test('escapes article text around highlighted words', () => {
+  assert.equal(highlightSearchTerms('Night & <train> "day"', parseSearchQuery('night train')),
+    '<mark>Night</mark> &amp; <mark>&lt;train&gt;</mark> &quot;day&quot;');
+  assert.equal(highlightSearchTerms('<script>alert(1)</script>', parseSearchQuery('script')),
+    '<mark>&lt;script&gt;alert</mark>(1)<mark>&lt;/script&gt;</mark>');
+});
+
+test('builds an escaped snippet around the matches', () => {
+  const text = `${'Filler words come first. '.repeat(20)}The <night> train leaves at ten & arrives at dawn.`;
+  const snippet = createSearchSnippet(text, parseSearchQuery('train '));
+
+  assert.match(snippet, /^… /);
+  assert.match(snippet, /&lt;night&gt; <mark>train<\/mark> leaves at ten &amp; arrives/);
+  assert.equal(createSearchSnippet(text, parseSearchQuery('ferry ')), null);
+});
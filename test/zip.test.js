@@ -0,0 +1,82 @@
+/**
+ * Zip writing tests
+ * Archives are read back through their central directory, as unzip tools do, and checksums
+ * are compared with zlib's CRC-32.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createZip } from '../zip.js';
+
+/**
+ * Read the files of a zip through its central directory
+ * @param {Uint8Array} zip - Zip file
+ * @returns {Object} { count, entries: [{ name, crc, size, flags, time, date, data }] }
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset);
+  const endOffset = zip.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054B50);
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  assert.equal(offset + view.getUint32(endOffset + 12, true), endOffset);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014B50);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const size = view.getUint32(offset + 24, true);
+    const name = new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+
+    // The local header repeats the name and sizes, and the stored data follows it
+    assert.equal(view.getUint32(localOffset, true), 0x04034B50);
+    assert.equal(view.getUint32(localOffset + 14, true), view.getUint32(offset + 16, true));
+    assert.equal(view.getUint32(localOffset + 22, true), size);
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true);
+
+    entries.push({
+      name,
+      crc: view.getUint32(offset + 16, true),
+      size,
+      flags: view.getUint16(offset + 8, true),
+      time: view.getUint16(offset + 12, true),
+      date: view.getUint16(offset + 14, true),
+      data: zip.subarray(dataOffset, dataOffset + size)
+    });
+    offset += 46 + nameLength;
+  }
+  return { count, entries };
+}
+
+test('stores files with their checksums behind a central directory', async () => {
+  const files = [
+    { name: 'feed.xml', data: new TextEncoder().encode('<rss/>') },
+    { name: 'episodes/1.mp3', data: new Uint8Array(5000).map((_, i) => i % 251) },
+    { name: 'episodes/empty.srt', data: new Uint8Array(0) }
+  ];
+  const zip = new Uint8Array(await createZip(files).arrayBuffer());
+  const { count, entries } = readZip(zip);
+
+  assert.equal(count, files.length);
+  entries.forEach((entry, index) => {
+    assert.equal(entry.name, files[index].name);
+    assert.equal(entry.crc, crc32(files[index].data));
+    assert.deepEqual(entry.data, files[index].data);
+  });
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+  assert.equal(entries[0].crc, crc32(Buffer.from('<rss/>')));
+});
+
+test('writes names as flagged UTF-8 and the date in MS-DOS fields', async () => {
+  const zip = new Uint8Array(await createZip([{ name: 'épisodes/Café ☕.vtt', data: new Uint8Array([1]) }],
+    new Date(2024, 2, 9, 14, 30, 59)).arrayBuffer());
+  const [entry] = readZip(zip).entries;
+
+  assert.equal(entry.name, 'épisodes/Café ☕.vtt');
+  assert.equal(entry.flags & 0x0800, 0x0800);
+  // Seconds are stored in two-second steps
+  assert.deepEqual([entry.time >> 11, (entry.time >> 5) & 0x3F, (entry.time & 0x1F) * 2], [14, 30, 58]);
+  assert.deepEqual([(entry.date >> 9) + 1980, (entry.date >> 5) & 0x0F, entry.date & 0x1F], [2024, 3, 9]);
+});
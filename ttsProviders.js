@@ -0,0 +1,329 @@
+/**
+ * Text-to-speech providers for Article to Audio Extension (Local Version)
+ * Every provider exposes synthesize(text, voice, options) with options { model, speed, signal }
+ * and resolves with { audio: Uint8Array, format: 'mp3' | 'wav', mimeType }.
+ *
+ * The chosen provider is stored in the 'tts_provider' setting:
+ * { provider, baseUrl, apiKey, model, speed, localApiStyle: 'coqui' | 'piper', voices: [{ id, name }] }
+ * Voice IDs picked from the provider's catalog are what ends up in settings.voiceMap.
+ */
+
+import { getSetting } from './db.js';
+
+const TTS_SETTINGS_KEY = 'tts_provider';
+
+// OpenAI voices, presented under the host names used throughout the extension
+const OPENAI_VOICES = [
+  { id: 'alloy', name: 'Esha', description: 'I am a versatile voice that can adapt to various content styles.' },
+  { id: 'echo', name: 'Hari', description: 'I have a soft-spoken and articulate voice, ideal for educational content.' },
+  { id: 'fable', name: 'Mira', description: "I have a narration style that's great for storytelling and creative content." },
+  { id: 'onyx', name: 'Tej', description: 'I have a deep, authoritative voice suited for professional presentations.' },
+  { id: 'nova', name: 'Leela', description: 'My voice is clear and energetic, good for delivering news or explanations.' },
+  { id: 'shimmer', name: 'Veena', description: 'I have a warm, welcoming voice perfect for friendly conversations.' }
+];
+
+const MOCK_VOICES = [
+  { id: 'mock-a', name: 'Ada' },
+  { id: 'mock-b', name: 'Ben' },
+  { id: 'mock-c', name: 'Cleo' },
+  { id: 'mock-d', name: 'Dev' }
+];
+
+const TTS_PROVIDER_DEFINITIONS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'tts-1',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    voices: OPENAI_VOICES
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible endpoint',
+    defaultModel: 'tts-1',
+    defaultBaseUrl: 'http://localhost:8880/v1',
+    voices: OPENAI_VOICES,
+    customVoices: true
+  },
+  local: {
+    label: 'Local TTS server (Coqui / Piper)',
+    defaultModel: '',
+    defaultBaseUrl: 'http://localhost:5002',
+    voices: [{ id: 'default', name: 'Default' }],
+    customVoices: true
+  },
+  mock: {
+    label: 'Mock (silent audio for testing)',
+    defaultModel: 'mock',
+    defaultBaseUrl: '',
+    voices: MOCK_VOICES
+  }
+};
+
+const DEFAULT_TTS_SETTINGS = {
+  provider: 'openai',
+  baseUrl: '',
+  apiKey: '',
+  model: '',
+  speed: 1,
+  localApiStyle: 'coqui',
+  voices: []
+};
+
+/**
+ * Get the stored TTS provider settings, filled in with defaults
+ * @returns {Promise<Object>} TTS settings
+ */
+async function getTtsSettings() {
+  const stored = (await getSetting(TTS_SETTINGS_KEY)) || {};
+  const settings = { ...DEFAULT_TTS_SETTINGS, ...stored };
+  if (!TTS_PROVIDER_DEFINITIONS[settings.provider]) {
+    settings.provider = DEFAULT_TTS_SETTINGS.provider;
+  }
+  return settings;
+}
+
+/**
+ * Get the voices a provider offers
+ * Providers that accept any voice name use the configured list when there is one
+ * @param {Object} settings - TTS settings
+ * @returns {Array<Object>} Voices as { id, name, description? }
+ */
+function getVoiceCatalog(settings) {
+  const definition = TTS_PROVIDER_DEFINITIONS[settings.provider] || TTS_PROVIDER_DEFINITIONS.openai;
+  if (definition.customVoices && settings.voices && settings.voices.length > 0) {
+    return settings.voices;
+  }
+  return definition.voices;
+}
+
+/**
+ * Parse a voice list typed as one "id = Name" per line
+ * @param {string} text - Voice list
+ * @returns {Array<Object>} Voices as { id, name }
+ */
+function parseVoiceList(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [id, ...nameParts] = line.split('=');
+      const name = nameParts.join('=').trim();
+      return { id: id.trim(), name: name || id.trim() };
+    })
+    .filter(voice => voice.id);
+}
+
+/**
+ * Format a voice list for editing, one "id = Name" per line
+ * @param {Array<Object>} voices - Voices as { id, name }
+ * @returns {string} Voice list
+ */
+function formatVoiceList(voices) {
+  return (voices || []).map(voice => `${voice.id} = ${voice.name}`).join('\n');
+}
+
+/**
+ * Get the sentence a voice reads when previewed
+ * @param {Object} voice - Voice from a catalog
+ * @returns {string} Sample text
+ */
+function getVoiceSampleText(voice) {
+  return `Hi, I'm ${voice.name}. ${voice.description || 'This is a sample of my voice.'}`;
+}
+
+/**
+ * Map a response content type to an audio format
+ * @param {string} mimeType - Content type
+ * @returns {string} 'wav' or 'mp3'
+ */
+function getAudioFormat(mimeType) {
+  return /wav|wave/i.test(mimeType) ? 'wav' : 'mp3';
+}
+
+/**
+ * Throw a readable error for a failed TTS response
+ * @param {Response} response - Fetch response
+ * @param {string} label - Provider label for the message
+ */
+async function throwResponseError(response, label) {
+  let detail = '';
+  try {
+    detail = await response.text();
+  } catch (error) {
+    // Ignore error parsing error
+  }
+  throw new Error(`${label} error (${response.status})${detail ? `: ${detail}` : ''}`);
+}
+
+/**
+ * Call an OpenAI-style /audio/speech endpoint
+ * @param {string} baseUrl - API base URL ending in /v1
+ * @param {string} apiKey - Bearer token; optional for self-hosted endpoints
+ * @param {string} label - Provider label for error messages
+ * @param {string} text - Text to speak
+ * @param {string} voice - Voice ID
+ * @param {Object} options - { model, speed, signal }
+ * @returns {Promise<Object>} { audio, format, mimeType }
+ */
+async function requestOpenAISpeech(baseUrl, apiKey, label, text, voice, options) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/audio/speech`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: options.model,
+      voice,
+      input: text,
+      speed: options.speed,
+      response_format: 'mp3'
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, label);
+  }
+
+  return {
+    audio: new Uint8Array(await response.arrayBuffer()),
+    format: 'mp3',
+    mimeType: 'audio/mpeg'
+  };
+}
+
+/**
+ * Call a local Coqui or Piper HTTP server
+ * Coqui: GET /api/tts?text=...&speaker_id=...  Piper: POST / with { text, voice, length_scale }
+ * @param {Object} settings - TTS settings
+ * @param {string} text - Text to speak
+ * @param {string} voice - Speaker or voice name; 'default' uses the server's own
+ * @param {Object} options - { speed, signal }
+ * @returns {Promise<Object>} { audio, format, mimeType }
+ */
+async function requestLocalSpeech(settings, text, voice, options) {
+  const baseUrl = (settings.baseUrl || TTS_PROVIDER_DEFINITIONS.local.defaultBaseUrl).replace(/\/+$/, '');
+  const namedVoice = voice && voice !== 'default' ? voice : null;
+  let response;
+
+  if (settings.localApiStyle === 'piper') {
+    const body = { text, length_scale: 1 / (options.speed || 1) };
+    if (namedVoice) body.voice = namedVoice;
+    response = await fetch(`${baseUrl}/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+  } else {
+    const params = new URLSearchParams({ text });
+    if (namedVoice) params.set('speaker_id', namedVoice);
+    response = await fetch(`${baseUrl}/api/tts?${params.toString()}`, { signal: options.signal });
+  }
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Local TTS server');
+  }
+
+  const mimeType = (response.headers.get('Content-Type') || 'audio/wav').split(';')[0].trim();
+  return {
+    audio: new Uint8Array(await response.arrayBuffer()),
+    format: getAudioFormat(mimeType),
+    mimeType
+  };
+}
+
+/**
+ * Produce silent MP3 audio whose length follows the word count
+ * The output depends only on the text, so tests and cache keys are stable
+ * @param {string} text - Text to "speak"
+ * @returns {Object} { audio, format, mimeType }
+ */
+function createMockSpeech(text) {
+  // One MPEG-1 Layer III frame: 128 kbps, 44.1 kHz, mono, 1152 samples (about 26 ms).
+  // An all-zero body decodes as silence.
+  const FRAME_BYTES = 417;
+  const FRAME_SECONDS = 1152 / 44100;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  const frameCount = Math.max(1, Math.round((words * 0.4) / FRAME_SECONDS));
+
+  const audio = new Uint8Array(frameCount * FRAME_BYTES);
+  for (let frame = 0; frame < frameCount; frame++) {
+    audio.set([0xFF, 0xFB, 0x90, 0xC4], frame * FRAME_BYTES);
+  }
+
+  return { audio, format: 'mp3', mimeType: 'audio/mpeg' };
+}
+
+/**
+ * Create the configured TTS provider
+ * @param {Object} [settings] - TTS settings; loaded from the database when omitted
+ * @returns {Promise<Object>} Provider: { id, label, model, speed, voices, cacheKey, synthesize(text, voice, options) }
+ *   where cacheKey covers every setting that changes the audio produced for a text and voice
+ */
+async function getTtsProvider(settings = null) {
+  const ttsSettings = settings || await getTtsSettings();
+  const id = ttsSettings.provider;
+  const definition = TTS_PROVIDER_DEFINITIONS[id];
+  const model = ttsSettings.model || definition.defaultModel;
+  const speed = Number(ttsSettings.speed) || 1;
+
+  let synthesize;
+  let endpoint = [];
+  if (id === 'openai') {
+    synthesize = async (text, voice, options) => {
+      const apiKey = await getSetting('openai_api_key');
+      if (!apiKey) {
+        throw new Error('OpenAI API key not found. Please add it in the extension settings.');
+      }
+      return requestOpenAISpeech(definition.defaultBaseUrl, apiKey, 'OpenAI API', text, voice, options);
+    };
+  } else if (id === 'openai-compatible') {
+    endpoint = [ttsSettings.baseUrl || definition.defaultBaseUrl];
+    synthesize = (text, voice, options) => requestOpenAISpeech(
+      ttsSettings.baseUrl || definition.defaultBaseUrl,
+      ttsSettings.apiKey,
+      'TTS endpoint',
+      text,
+      voice,
+      options
+    );
+  } else if (id === 'local') {
+    endpoint = [ttsSettings.baseUrl || definition.defaultBaseUrl, ttsSettings.localApiStyle];
+    synthesize = (text, voice, options) => requestLocalSpeech(ttsSettings, text, voice, options);
+  } else {
+    synthesize = async (text) => createMockSpeech(text);
+  }
+
+  return {
+    id,
+    label: definition.label,
+    model,
+    speed,
+    voices: getVoiceCatalog(ttsSettings),
+    cacheKey: JSON.stringify([id, ...endpoint, model, speed]),
+    synthesize: async (text, voice, options = {}) => {
+      if (!text || text.trim() === '') {
+        throw new Error('Cannot generate audio for empty text');
+      }
+      if (!voice) {
+        throw new Error('Voice ID is required for audio generation');
+      }
+      return synthesize(text, voice, { model, speed, ...options });
+    }
+  };
+}
+
+export {
+  TTS_SETTINGS_KEY,
+  TTS_PROVIDER_DEFINITIONS,
+  getTtsSettings,
+  getTtsProvider,
+  getVoiceCatalog,
+  getVoiceSampleText,
+  parseVoiceList,
+  formatVoiceList
+};
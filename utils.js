@@ -10,10 +10,11 @@
  * @returns {Promise<any>} Result of the function
  */
 async function executeWithTimeout(fn, timeoutMs, signal = null) {
+  let id;
+  
   // Create a timeout promise that rejects after the specified timeout
   const timeoutPromise = new Promise((_, reject) => {
-    const id = setTimeout(() => {
-      clearTimeout(id);
+    id = setTimeout(() => {
       reject(new Error(`Operation timed out after ${timeoutMs/1000} seconds`));
     }, timeoutMs);
     
@@ -26,7 +27,12 @@ async function executeWithTimeout(fn, timeoutMs, signal = null) {
     }
   });
   
-  return Promise.race([fn(), timeoutPromise]);
+  // Clear the timer once the function settles so it doesn't hold the worker open
+  try {
+    return await Promise.race([fn(), timeoutPromise]);
+  } finally {
+    clearTimeout(id);
+  }
 }
 
 /**
@@ -81,10 +87,23 @@ function formatDuration(seconds) {
   return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
 export {
   executeWithTimeout,
   logMemoryUsage,
   formatBytes,
   estimateAudioDuration,
-  formatDuration
+  formatDuration,
+  sha256Hex
 }; 
\ No newline at end of file
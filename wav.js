@@ -0,0 +1,95 @@
+/**
+ * WAV writing for Article to Audio Extension (Local Version)
+ * Mixed and exported audio is written as 16-bit mono PCM. Exports can carry the episode's
+ * details twice: in a LIST/INFO chunk, which most tools read, and in an "id3 " chunk with
+ * the cover and chapters, which podcast players read.
+ */
+
+import { createId3Tag } from './mp3.js';
+
+/**
+ * Build a RIFF chunk, padded to an even length
+ * @param {string} id - Four-character chunk ID
+ * @param {Uint8Array} body - Chunk contents
+ * @returns {Uint8Array} Bytes
+ */
+function createChunk(id, body) {
+  const chunk = new Uint8Array(8 + body.length + (body.length % 2));
+  chunk.set(Array.from(id, char => char.charCodeAt(0)), 0);
+  new DataView(chunk.buffer).setUint32(4, body.length, true);
+  chunk.set(body, 8);
+  return chunk;
+}
+
+/**
+ * Build a LIST/INFO chunk with the episode's title, show and description
+ * @param {Object} metadata - { title, artist?, album?, description? }
+ * @returns {Uint8Array} Bytes
+ */
+function createInfoChunk(metadata) {
+  const encoder = new TextEncoder();
+  const entries = [
+    ['INAM', metadata.title],
+    ['IART', metadata.artist],
+    ['IPRD', metadata.album],
+    ['ICMT', metadata.description]
+  ].filter(([, value]) => value);
+
+  const parts = [encoder.encode('INFO'), ...entries.map(([id, value]) => createChunk(id, encoder.encode(`${value}\0`)))];
+  const body = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    body.set(part, offset);
+    offset += part.length;
+  });
+  return createChunk('LIST', body);
+}
+
+/**
+ * Write mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples in the range -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [metadata] - Episode details for an export, as for createId3Tag()
+ * @param {Array<Object>} [chapters] - Chapters for an export
+ * @returns {Uint8Array} WAV file
+ */
+function encodeWav(samples, sampleRate, metadata = null, chapters = []) {
+  const extra = metadata ? [createInfoChunk(metadata), createChunk('id3 ', createId3Tag(metadata, chapters))] : [];
+  const extraLength = extra.reduce((total, chunk) => total + chunk.length, 0);
+  const dataOffset = 44 + extraLength;
+
+  const wav = new Uint8Array(dataOffset + samples.length * 2);
+  const view = new DataView(wav.buffer);
+  const writeId = (offset, id) => wav.set(Array.from(id, char => char.charCodeAt(0)), offset);
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, wav.length - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+
+  let offset = 36;
+  extra.forEach(chunk => {
+    wav.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  writeId(offset, 'data');
+  view.setUint32(offset + 4, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(dataOffset + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+  }
+  return wav;
+}
+
+export {
+  encodeWav
+};
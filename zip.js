@@ -0,0 +1,111 @@
+/**
+ * Zip writing for Article to Audio Extension (Local Version)
+ * Files are stored without compression: audio is already compressed, and the feed's text
+ * files are small. Names are written as UTF-8.
+ */
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 zip files use
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+      }
+      crcTable[i] = crc >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write files into a zip archive
+ * @param {Array<Object>} files - Files as { name, data: Uint8Array }, names using "/" for folders
+ * @param {Date} [date] - Modification time recorded for every file
+ * @returns {Blob} Zip file
+ */
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dos = toDosDateTime(date);
+  const parts = [];
+  const centralEntries = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034B50, true);
+    localView.setUint16(4, 20, true); // Version needed
+    localView.setUint16(6, 0x0800, true); // UTF-8 names
+    localView.setUint16(8, 0, true); // Stored
+    localView.setUint16(10, dos.time, true);
+    localView.setUint16(12, dos.date, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, file.data.length, true);
+    localView.setUint32(22, file.data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014B50, true);
+    centralView.setUint16(4, 20, true); // Version made by
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(10, 0, true);
+    centralView.setUint16(12, dos.time, true);
+    centralView.setUint16(14, dos.date, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, file.data.length, true);
+    centralView.setUint32(24, file.data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    parts.push(local, file.data);
+    centralEntries.push(central);
+    offset += local.length + file.data.length;
+  });
+
+  const centralLength = centralEntries.reduce((total, entry) => total + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054B50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralLength, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralEntries, end], { type: 'application/zip' });
+}
+
+export {
+  createZip
+};